@@ -5,6 +5,7 @@ import { createSensorsScene } from './sensors.js';
 import { createNavigationScene } from './navigation.js';
 import { createUrdfScene } from './urdf.js';
 import { createRoslibMockScene } from './roslib-mock.js';
+import { createPlaybackScene } from './playback.js';
 
 /**
  * @fileoverview 场景注册中心
@@ -22,5 +23,6 @@ export const scenes = {
   '导航数据测试': createNavigationScene,
   'URDF 模型测试': createUrdfScene,
   'ROSLIB Mock 测试': createRoslibMockScene,
+  'Rosbag 回放测试': createPlaybackScene,
   // 在这里添加更多场景...
 };
\ No newline at end of file
@@ -0,0 +1,152 @@
+import {
+  Viewer,
+  Grid,
+  BagPlayer,
+  MarkerArrayClient,
+  LaserScan,
+  PointCloud2,
+  Path,
+  Odometry,
+  Pose,
+  PoseArray,
+} from '@/index';
+
+/**
+ * @fileoverview Rosbag 回放测试场景
+ * @description 选择本地的 rosbag (.bag) 或 MCAP (.mcap) 文件，通过 BagPlayer 驱动现有的可视化客户端。
+ */
+
+// 支持可视化的主题类型
+const SUPPORTED_TYPES = {
+  'visualization_msgs/MarkerArray': MarkerArrayClient,
+  'sensor_msgs/LaserScan': LaserScan,
+  'sensor_msgs/PointCloud2': PointCloud2,
+  'nav_msgs/Path': Path,
+  'nav_msgs/Odometry': Odometry,
+  'geometry_msgs/PoseStamped': Pose,
+  'geometry_msgs/PoseArray': PoseArray,
+};
+
+/**
+ * 创建 Rosbag 回放测试场景
+ * @param {HTMLElement} viewerContainer - 3D视图的div容器。
+ * @param {HTMLElement} controlsContainer - 放置UI控件的div容器。
+ * @returns {object} 包含 `dispose` 方法的对象，用于清理场景。
+ */
+export function createPlaybackScene(viewerContainer, controlsContainer) {
+  const player = new BagPlayer({ loop: true });
+  let viewer = null;
+  let clients = [];
+
+  // --- UI 创建 ---
+  const panel = document.createElement('div');
+  panel.className = 'rviz-panel';
+  controlsContainer.append(panel);
+
+  const fileRow = document.createElement('div');
+  fileRow.className = 'panel-row';
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.bag,.mcap';
+  const frameInput = document.createElement('input');
+  frameInput.type = 'text';
+  frameInput.className = 'control-input';
+  frameInput.value = 'map';
+  fileRow.append(fileInput, frameInput);
+
+  const controlRow = document.createElement('div');
+  controlRow.className = 'panel-row';
+  const playButton = document.createElement('button');
+  playButton.className = 'control-button';
+  playButton.innerText = '播放';
+  playButton.disabled = true;
+  const rateSelect = document.createElement('select');
+  [0.25, 0.5, 1, 2, 4].forEach(rate => rateSelect.add(new Option(`${rate}x`, rate)));
+  rateSelect.value = '1';
+  const timeline = document.createElement('input');
+  timeline.type = 'range';
+  timeline.min = 0;
+  timeline.max = 1000;
+  timeline.value = 0;
+  const timeLabel = document.createElement('span');
+  controlRow.append(playButton, rateSelect, timeline, timeLabel);
+
+  panel.append(fileRow, controlRow);
+
+  // --- 场景 ---
+  const cleanupScene = () => {
+    clients.forEach(client => client.dispose());
+    clients = [];
+    if (viewer) {
+      viewer.dispose();
+      viewer = null;
+    }
+  };
+
+  const setupScene = () => {
+    cleanupScene();
+    viewer = new Viewer({
+      divID: viewerContainer.id,
+      width: viewerContainer.clientWidth,
+      height: viewerContainer.clientHeight,
+      antialias: true,
+      ros: player.ros,
+      fixedFrame: frameInput.value,
+      background: '#000000',
+    });
+    viewer.addObject(new Grid());
+
+    player.topics
+      .filter(topic => SUPPORTED_TYPES[topic.type.replace('/msg/', '/')])
+      .forEach(topic => {
+        const ClientClass = SUPPORTED_TYPES[topic.type.replace('/msg/', '/')];
+        clients.push(new ClientClass({
+          ros: player.ros,
+          topic: topic.topic,
+          tfClient: viewer.tfClient,
+          rootObject: viewer.scene,
+          max_pts: 1000000,
+        }));
+      });
+  };
+
+  // --- 回放控制 ---
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    if (!file) return;
+    await player.load(file);
+    setupScene();
+    player.seek(player.startTime);
+    playButton.disabled = false;
+  });
+
+  playButton.addEventListener('click', () => {
+    if (player.playing) {
+      player.pause();
+    } else {
+      player.play();
+    }
+  });
+
+  rateSelect.addEventListener('change', () => player.setRate(Number(rateSelect.value)));
+
+  timeline.addEventListener('input', () => {
+    const ratio = Number(timeline.value) / 1000;
+    player.seek(player.startTime + ratio * (player.endTime - player.startTime));
+  });
+
+  player.on('play', () => { playButton.innerText = '暂停'; });
+  player.on('pause', () => { playButton.innerText = '播放'; });
+  player.on('time', ({ time, start, progress }) => {
+    timeline.value = Math.round(progress * 1000);
+    timeLabel.innerText = `${(time - start).toFixed(2)} s`;
+  });
+
+  return {
+    dispose: () => {
+      cleanupScene();
+      player.dispose();
+      controlsContainer.innerHTML = '';
+    },
+  };
+}
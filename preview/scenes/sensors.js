@@ -3,7 +3,7 @@ import * as THREE from 'three';
 
 /**
  * @fileoverview 传感器数据测试场景
- * @description 展示 ROS3D.LaserScan 和 ROS3D.PointCloud2 的可视化。
+ * @description 展示 ROS3D.LaserScan、ROS3D.PointCloud2 和 ROS3D.ImageClient 的可视化。
  */
 
 /**
@@ -33,7 +33,9 @@ export function createSensorsScene(viewerContainer) {
     topic: '/scan',
     rootObject: viewer.scene,
     tfClient: null, // 在此示例中不使用TF
-    material: new THREE.PointsMaterial({ size: 0.1, color: 0xff0000 }),
+    style: 'circles', // 以米为单位的圆点，缩放时尺寸保持一致
+    worldSize: true,
+    material: { size: 0.1, color: 0xff0000 },
   });
   viewer.addObject(laserScan);
   sensorObjects.push(laserScan);
@@ -78,31 +80,9 @@ export function createSensorsScene(viewerContainer) {
     '#99FF33', '#FFFF00', '#FFAA00', '#FF6666'
   ];
 
-  const createColormap = (palette, min, max) => {
-    const colors = palette.map(hex => new THREE.Color(hex));
-    return function(value) {
-      if (value === undefined || value === null || isNaN(value)) {
-        return new THREE.Color(0xffffff); // 无效值返回白色
-      }
-      const normalized = Math.max(0, Math.min(1, (value - min) / (max - min)));
-      if (colors.length === 1) {
-        return colors[0];
-      }
-      const index = Math.floor(normalized * (colors.length - 1));
-      const nextIndex = Math.min(colors.length - 1, index + 1);
-      const t = (normalized * (colors.length - 1)) - index;
-      
-      const color1 = colors[index];
-      const color2 = colors[nextIndex];
-
-      return color1.clone().lerp(color2, t);
-    }
-  };
-
   // 使用更精确的数据范围来避免颜色被限制在两端
   const zMin = -1;
   const zMax = 5;
-  const pointCloudColormap = createColormap(TURBO_COLORS, zMin, zMax);
 
   const pointCloud2 = new ROS3D.PointCloud2({
     ros: null,
@@ -111,8 +91,15 @@ export function createSensorsScene(viewerContainer) {
     tfClient: null,
     material: new THREE.PointsMaterial({ size: 0.05, vertexColors: true }),
     max_pts: 20000,
-    colorsrc: 'z', // 使用z轴作为颜色来源
-    colormap: pointCloudColormap, // 提供颜色映射函数
+    // 按固定坐标系的 z 轴着色
+    colorTransformer: {
+      type: 'AxisColor',
+      axis: 'z',
+      autoRange: false,
+      min: zMin,
+      max: zMax,
+      colorMap: TURBO_COLORS,
+    },
   });
   viewer.addObject(pointCloud2);
   sensorObjects.push(pointCloud2);
@@ -163,10 +150,39 @@ export function createSensorsScene(viewerContainer) {
   };
   simulatePointCloud2();
 
+  // 3. Image 示例（屏幕叠加层，32FC1 深度图自动归一化）
+  const imageClient = new ROS3D.ImageClient({
+    ros: null,
+    mode: 'overlay',
+    viewer,
+    overlay: { left: 10, top: 10, width: 240 },
+  });
+  sensorObjects.push(imageClient);
+
+  const imageWidth = 160;
+  const imageHeight = 120;
+  const depth = new Float32Array(imageWidth * imageHeight);
+  for (let v = 0; v < imageHeight; v++) {
+    for (let u = 0; u < imageWidth; u++) {
+      depth[v * imageWidth + u] = 1 + Math.hypot(u - imageWidth / 2, v - imageHeight / 2) / 20;
+    }
+  }
+  imageClient.processMessage({
+    header: { frame_id: 'camera_optical_frame' },
+    width: imageWidth,
+    height: imageHeight,
+    encoding: '32FC1',
+    is_bigendian: 0,
+    step: imageWidth * 4,
+    data: new Uint8Array(depth.buffer),
+  });
+
   return {
     dispose: () => {
       sensorObjects.forEach(obj => {
-        viewer.scene.remove(obj);
+        if (obj.isObject3D) {
+          viewer.scene.remove(obj);
+        }
         if (typeof obj.dispose === 'function') {
           obj.dispose();
         }
@@ -8,17 +8,32 @@ export const REVISION = "1.2.0";
 
 // Core visualization
 export * from "./visualization";
-export { applyTransform } from "./utils/ros.js";
+export {
+  applyTransform,
+  stampToSeconds,
+  secondsToStamp,
+  resolveRosVersion,
+  toRosType,
+  detectRosVersion,
+} from "./utils/ros.js";
+export { RosClock } from "./utils/RosClock.js";
+
+// TF
+export * from "./tf";
 
 // Interaction
 export { MouseHandler } from "./interaction/MouseHandler.js";
 export { OrbitControls } from "./interaction/OrbitControls.js";
 export { Highlighter } from "./interaction/Highlighter.js";
+export { ViewerTool } from "./interaction/ViewerTool.js";
+export { PoseTool, GoalTool, PoseEstimateTool } from "./interaction/PoseTool.js";
+export { PublishPointTool } from "./interaction/PublishPointTool.js";
 
 // Markers
 export { Marker } from "./markers/Marker.js";
 export { MarkerClient } from "./markers/MarkerClient.js";
 export { MarkerArrayClient } from "./markers/MarkerArrayClient.js";
+export { MarkerBatcher } from "./markers/MarkerBatcher.js";
 export {
   MARKER_ARROW,
   MARKER_CUBE,
@@ -41,8 +56,11 @@ export {
   createPointsMarker,
   createArrowMarker,
   createInstancedMeshMarker,
+  updateInstancedMeshMarker,
+  updatePointsMarker,
   createMarkerObject,
   makeColorMaterial,
+  updateColorMaterial,
 } from "./markers/marker.creators.js";
 
 // Models
@@ -54,18 +72,38 @@ export { PointCloud2 } from "./sensors/PointCloud2.js";
 export { Points } from "./sensors/Points.js";
 export { NavSatFix } from "./sensors/NavSatFix.js";
 export { TFAxes } from "./sensors/TFAxes.js";
+export { DecoderPool } from "./sensors/DecoderPool.js";
+export { PointsAccumulator } from "./sensors/PointsAccumulator.js";
+export { PointsDecodeQueue } from "./sensors/PointsDecodeQueue.js";
+export { PointsPicker } from "./sensors/PointsPicker.js";
+export { decodePointCloud2, decodeLaserScan, readPointFields } from "./sensors/points.decoders.js";
+export { COLOR_MAPS, createColorLUT, resolveColorTask } from "./sensors/color.transformers.js";
+export { ImageClient } from "./sensors/ImageClient.js";
+export { decodeImage } from "./sensors/image.decoders.js";
+export { CameraInfo } from "./sensors/CameraInfo.js";
+export { ImageProjector } from "./sensors/ImageProjector.js";
+export {
+  cameraIntrinsics,
+  frustumCorners,
+  projectionTextureMatrix,
+} from "./sensors/camera.utils.js";
 
 // Navigation
 export { OccupancyGrid } from "./navigation/OccupancyGrid.js";
 export { OccupancyGridClient } from "./navigation/OccupancyGridClient.js";
+export { GRID_COLOR_SCHEMES, createGridPalette } from "./navigation/grid.palettes.js";
 export { Path } from "./navigation/Path.js";
 export { Polygon } from "./navigation/Polygon.js";
+export { GridCells } from "./navigation/GridCells.js";
+export { GridMap } from "./navigation/GridMap.js";
+export { GridMapClient } from "./navigation/GridMapClient.js";
 export { Pose } from "./navigation/Pose.js";
 export { PoseArray } from "./navigation/PoseArray.js";
 export { Odometry } from "./navigation/Odometry.js";
 export { PoseWithCovariance } from "./navigation/PoseWithCovariance.js";
 export { Point } from "./navigation/Point.js";
-export { OcTree } from "./navigation/OcTree.js";
+export { parseFullOcTree, parseBinaryOcTree, toOctomapBytes } from "./navigation/octree.parsers.js";
+export { OcTree, OCTREE_COLOR_MODES } from "./navigation/OcTree.js";
 export { ColorOcTree } from "./navigation/ColorOcTree.js";
 export { OcTreeClient } from "./navigation/OcTreeClient.js";
 
@@ -83,6 +121,9 @@ export { InteractiveMarkerClient } from "./interactivemarkers/InteractiveMarkerC
 export { InteractiveMarkerControl } from "./interactivemarkers/InteractiveMarkerControl.js";
 export { InteractiveMarkerHandle } from "./interactivemarkers/InteractiveMarkerHandle.js";
 
+// Playback
+export * from "./playback";
+
 // Client
 
 // Utilities
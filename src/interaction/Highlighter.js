@@ -101,7 +101,7 @@ export class Highlighter {
   /**
    * @private
    * @method _makeEverythingInvisible
-   * @description 遍历给定对象，使其所有网格、线条或精灵类型的子对象不可见，并保存其原始可见性状态。
+   * @description 遍历给定对象，使其所有网格、线条、点或精灵类型的子对象不可见，并保存其原始可见性状态。
    * @param {THREE.Object3D} object - 要遍历的对象。
    */
   _makeEverythingInvisible(object) {
@@ -109,6 +109,7 @@ export class Highlighter {
       if (
         currentObject instanceof THREE.Mesh ||
         currentObject instanceof THREE.Line ||
+        currentObject instanceof THREE.Points ||
         currentObject instanceof THREE.Sprite
       ) {
         currentObject.previousVisibility = currentObject.visible;
@@ -127,6 +128,7 @@ export class Highlighter {
       if (
         currentObject instanceof THREE.Mesh ||
         currentObject instanceof THREE.Line ||
+        currentObject instanceof THREE.Points ||
         currentObject instanceof THREE.Sprite
       ) {
         currentObject.visible = true;
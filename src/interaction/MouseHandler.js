@@ -10,6 +10,8 @@ import { MouseEventStatus } from '../constants/interaction.constants.js';
  * @class
  * @name MouseHandler
  * @description 将鼠标和触摸事件从DOM传播到three.js对象。
+ * 只拾取自身及所有祖先均可见的对象。拾取到的对象可以实现 `resolvePickTarget(intersection)`，
+ * 把交点（例如实例化网格的 `instanceId`）映射为接收事件的对象，使合并绘制的多个对象各自接收事件。
  * @extends THREE.EventDispatcher
  */
 export class MouseHandler extends THREE.EventDispatcher {
@@ -101,12 +103,16 @@ export class MouseHandler extends THREE.EventDispatcher {
       return;
     }
 
-    const intersections = mouseData.mouseRaycaster.intersectObject(this.rootObject, true);
+    // 射线检测不考虑可见性，跳过隐藏的对象
+    const intersection = mouseData.mouseRaycaster
+      .intersectObject(this.rootObject, true)
+      .find((candidate) => this.isPickable(candidate.object));
     let targetObj = this.fallbackTarget;
 
-    if (intersections.length > 0) {
-      targetObj = intersections[0].object;
-      event3D.intersection = this.lastIntersection = intersections[0];
+    if (intersection) {
+      const { object } = intersection;
+      targetObj = (typeof object.resolvePickTarget === 'function' && object.resolvePickTarget(intersection)) || object;
+      event3D.intersection = this.lastIntersection = intersection;
     }
 
     if (targetObj !== this.lastTarget) {
@@ -120,6 +126,22 @@ export class MouseHandler extends THREE.EventDispatcher {
     this.lastTarget = targetObj;
   }
 
+  /**
+   * @private
+   * @method isPickable
+   * @description 判断对象及其到拾取根对象的所有祖先是否可见。
+   * @param {THREE.Object3D} object - 射线检测到的对象。
+   * @returns {boolean} 是否可以拾取。
+   */
+  isPickable(object) {
+    for (let current = object; current && current !== this.rootObject; current = current.parent) {
+      if (!current.visible) {
+        return false;
+      }
+    }
+    return true;
+  }
+
   /**
    * @private
    * @method handleTargetChange
@@ -136,11 +158,12 @@ export class MouseHandler extends THREE.EventDispatcher {
       const eventStatus = this.notify(newTarget, 'mouseover', event3D);
       if (eventStatus === MouseEventStatus.ACCEPTED) {
         this.notify(this.lastTarget, 'mouseout', event3D);
-      } else if (eventStatus === MouseEventStatus.FAILED) {
+      } else if (eventStatus === MouseEventStatus.FAILED && this.lastTarget !== this.fallbackTarget) {
+        // 新目标不处理悬停时由备用目标接管，上一个目标仍需收到 mouseout（例如从对象移到空白处）
         if (newTarget !== this.fallbackTarget) {
           this.notify(this.fallbackTarget, 'mouseover', event3D);
-          this.notify(this.lastTarget, 'mouseout', event3D);
         }
+        this.notify(this.lastTarget, 'mouseout', event3D);
       }
     } else if (isTouchEvent) {
       const eventStatus = this.notify(newTarget, domEvent.type, event3D);
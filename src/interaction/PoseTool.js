@@ -0,0 +1,160 @@
+/**
+ * @fileOverview PoseTool - 在地平面上拖动发布导航目标（2D Nav Goal）与初始位姿（2D Pose Estimate）的工具。
+ */
+
+import * as THREE from "three";
+import { Arrow } from "../models/Arrow.js";
+import { resolveRosVersion } from "../utils/ros.js";
+import { ViewerTool } from "./ViewerTool.js";
+
+/**
+ * @class PoseTool
+ * @description 在地平面上按下鼠标左键确定位置、拖动确定朝向，松开时发布位姿。
+ * 拖动过程中在固定坐标系中显示预览箭头；不拖动直接松开时朝向为 0。
+ * @extends ViewerTool
+ */
+export class PoseTool extends ViewerTool {
+  /**
+   * @param {object} options - 选项对象，其余选项见 {@link ViewerTool}。
+   * @param {number} [options.arrowLength=1] - 预览箭头的长度（米）。
+   * @param {THREE.Color|number|string} [options.color=0x00ff00] - 预览箭头的颜色。
+   */
+  constructor(options = {}) {
+    super(options);
+    const { arrowLength = 1, color = 0x00ff00 } = options;
+
+    this.origin = null;
+    this.yaw = 0;
+    this.arrow = new Arrow({
+      length: arrowLength,
+      headLength: arrowLength * 0.3,
+      shaftDiameter: arrowLength * 0.05,
+      headDiameter: arrowLength * 0.15,
+      material: new THREE.MeshBasicMaterial({ color }),
+    });
+    this.arrow.visible = false;
+  }
+
+  /**
+   * @method dispose
+   * @description 停用工具并释放预览箭头。
+   */
+  dispose() {
+    super.dispose();
+    this.arrow.dispose();
+  }
+
+  /**
+   * @method buildMessage
+   * @description 由位姿生成不含 header 的消息，由子类实现。
+   * @param {object} pose - `geometry_msgs/Pose`。
+   * @returns {object} 消息内容。
+   */
+  buildMessage(pose) {
+    return { pose };
+  }
+
+  onPress(x, y) {
+    this.origin = this.intersectGround(x, y);
+    this.yaw = 0;
+    if (!this.origin) {
+      return;
+    }
+    this.arrow.position.copy(this.origin);
+    this.arrow.setDirection(new THREE.Vector3(1, 0, 0));
+    this.arrow.visible = true;
+    if (this.scene && this.arrow.parent !== this.scene) {
+      this.scene.add(this.arrow);
+    }
+  }
+
+  onDrag(x, y) {
+    const point = this.origin && this.intersectGround(x, y);
+    if (!point || point.distanceTo(this.origin) === 0) {
+      return;
+    }
+    this.yaw = Math.atan2(point.y - this.origin.y, point.x - this.origin.x);
+    this.arrow.setDirection(new THREE.Vector3(Math.cos(this.yaw), Math.sin(this.yaw), 0));
+  }
+
+  onRelease(x, y) {
+    if (!this.origin) {
+      return;
+    }
+    this.onDrag(x, y);
+    const { x: px, y: py, z: pz } = this.origin;
+    const pose = {
+      position: { x: px, y: py, z: pz },
+      orientation: { x: 0, y: 0, z: Math.sin(this.yaw / 2), w: Math.cos(this.yaw / 2) },
+    };
+    this.onCancel();
+    this.publish(this.buildMessage(pose));
+  }
+
+  onCancel() {
+    this.origin = null;
+    this.arrow.visible = false;
+    if (this.arrow.parent) {
+      this.arrow.parent.remove(this.arrow);
+    }
+  }
+}
+
+/**
+ * @class GoalTool
+ * @description 发布 `geometry_msgs/PoseStamped` 导航目标，对应 RViz 的 2D Nav Goal。
+ * @extends PoseTool
+ */
+export class GoalTool extends PoseTool {
+  /**
+   * @param {object} options - 选项对象，见 {@link PoseTool}。
+   * @param {string} [options.topic] - 目标主题，ROS 1 默认为 '/move_base_simple/goal'，ROS 2 默认为 '/goal_pose'。
+   */
+  constructor(options = {}) {
+    const rosVersion = resolveRosVersion(options.ros, options.rosVersion);
+    super({
+      ...options,
+      topic: options.topic || (rosVersion === 2 ? "/goal_pose" : "/move_base_simple/goal"),
+      messageType: "geometry_msgs/PoseStamped",
+    });
+  }
+}
+
+/**
+ * @class PoseEstimateTool
+ * @description 发布 `geometry_msgs/PoseWithCovarianceStamped` 初始位姿，对应 RViz 的 2D Pose Estimate。
+ * @extends PoseTool
+ */
+export class PoseEstimateTool extends PoseTool {
+  /**
+   * @param {object} options - 选项对象，见 {@link PoseTool}。
+   * @param {string} [options.topic='/initialpose'] - 初始位姿主题。
+   * @param {Array<number>} [options.covariance] - 6x6 协方差（按行展开的 36 个元素），
+   *   默认与 RViz 相同：x、y 方差 0.25，偏航角方差 (π/12)²。
+   */
+  constructor(options = {}) {
+    super({
+      color: 0x00ffff,
+      ...options,
+      topic: options.topic || "/initialpose",
+      messageType: "geometry_msgs/PoseWithCovarianceStamped",
+    });
+    this.covariance = options.covariance || PoseEstimateTool.defaultCovariance();
+  }
+
+  /**
+   * RViz 默认的初始位姿协方差。
+   * @returns {Array<number>} 36 个元素的协方差。
+   */
+  static defaultCovariance() {
+    const covariance = new Array(36).fill(0);
+    covariance[0] = 0.25;
+    covariance[7] = 0.25;
+    covariance[35] = (Math.PI / 12) * (Math.PI / 12);
+    return covariance;
+  }
+
+  buildMessage(pose) {
+    return { pose: { pose, covariance: [...this.covariance] } };
+  }
+}
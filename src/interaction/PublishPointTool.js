@@ -0,0 +1,86 @@
+/**
+ * @fileOverview PublishPointTool - 单击发布场景表面上的点（Publish Point）的工具。
+ */
+
+import { ViewerTool } from "./ViewerTool.js";
+
+// 按下与抬起之间移动不超过该距离（像素）时视为单击
+const CLICK_TOLERANCE = 4;
+
+/**
+ * @class PublishPointTool
+ * @description 单击时发布鼠标下场景表面（网格或点云）上的 `geometry_msgs/PointStamped`，对应 RViz 的 Publish Point。
+ * 没有命中可见表面时使用与地平面的交点。线条（网格线、路径等）不参与拾取。
+ * @extends ViewerTool
+ */
+export class PublishPointTool extends ViewerTool {
+  /**
+   * @param {object} options - 选项对象，其余选项见 {@link ViewerTool}。
+   * @param {string} [options.topic='/clicked_point'] - 发布的主题。
+   * @param {number} [options.pointThreshold=0.05] - 拾取点云时的距离阈值（米）。
+   */
+  constructor(options = {}) {
+    super({
+      ...options,
+      topic: options.topic || "/clicked_point",
+      messageType: "geometry_msgs/PointStamped",
+    });
+    this.pointThreshold = options.pointThreshold ?? 0.05;
+    this.pressPoint = null;
+  }
+
+  /**
+   * @method intersectSurface
+   * @description 计算画布坐标处场景中最近的可见表面交点，没有命中时使用地平面交点。
+   * @param {number} x - 相对画布左上角的横坐标（像素）。
+   * @param {number} y - 相对画布左上角的纵坐标（像素）。
+   * @returns {THREE.Vector3|null} 固定坐标系中的交点。
+   */
+  intersectSurface(x, y) {
+    if (this.scene) {
+      const raycaster = this.raycast(x, y);
+      raycaster.params.Points.threshold = this.pointThreshold;
+      this.scene.updateMatrixWorld();
+      const hit = raycaster
+        .intersectObjects(this.scene.children, true)
+        .find(({ object }) => (object.isMesh || object.isPoints) && isVisible(object));
+      if (hit) {
+        return hit.point;
+      }
+    }
+    return this.intersectGround(x, y);
+  }
+
+  onPress(x, y) {
+    this.pressPoint = { x, y };
+  }
+
+  onRelease(x, y) {
+    const start = this.pressPoint;
+    this.pressPoint = null;
+    if (!start || Math.hypot(x - start.x, y - start.y) > CLICK_TOLERANCE) {
+      return;
+    }
+    const point = this.intersectSurface(x, y);
+    if (point) {
+      this.publish({ point: { x: point.x, y: point.y, z: point.z } });
+    }
+  }
+
+  onCancel() {
+    this.pressPoint = null;
+  }
+}
+
+/**
+ * THREE.Raycaster 不检查可见性，这里沿父节点逐级检查。
+ * @private
+ */
+function isVisible(object) {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) {
+      return false;
+    }
+  }
+  return true;
+}
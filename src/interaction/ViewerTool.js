@@ -0,0 +1,274 @@
+/**
+ * @fileOverview ViewerTool - 接管鼠标左键并向 ROS 主题发布消息的查看器工具基类。
+ */
+
+import * as THREE from "three";
+import * as ROSLIB from "roslib";
+import { EventEmitter } from "eventemitter3";
+import { resolveRosVersion, secondsToStamp, toRosType } from "../utils/ros.js";
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("ViewerTool");
+
+/**
+ * @class ViewerTool
+ * @description 与 RViz 工具栏中的工具类似：激活后接管鼠标左键（中键、右键与滚轮仍由相机控制器处理），
+ * 在固定坐标系（场景根坐标系）中计算鼠标位置并发布消息。子类实现 `onPress`、`onDrag` 与 `onRelease`。
+ *
+ * 事件：
+ * - 'activate' / 'deactivate'：工具被激活或停用。
+ * - 'publish'：参数为 `{topic, message}`，未提供 ROS 连接时只触发事件而不发布。
+ * @extends EventEmitter
+ */
+export class ViewerTool extends EventEmitter {
+  /**
+   * @param {object} options - 选项对象。
+   * @param {ROSLIB.Ros} [options.ros] - ROSLIB.Ros的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
+   * @param {Viewer} [options.viewer] - 查看器，提供相机、画布、场景与固定坐标系。
+   * @param {THREE.Camera} [options.camera] - 相机，未提供 viewer 时使用。
+   * @param {HTMLElement} [options.domElement] - 画布元素，未提供 viewer 时使用。
+   * @param {THREE.Object3D} [options.scene] - 场景根对象，未提供 viewer 时使用。
+   * @param {string} [options.fixedFrame] - 消息的坐标系，默认为查看器的固定坐标系或 'map'。
+   * @param {string} options.topic - 发布的主题。
+   * @param {string} options.messageType - 消息类型（ROS 1 格式，按 ROS 版本自动转换）。
+   * @param {number} [options.groundHeight=0] - 地平面在固定坐标系中的高度（米）。
+   * @param {boolean} [options.oneShot=true] - 发布一次后是否自动停用。
+   */
+  constructor(options = {}) {
+    super();
+    const {
+      ros,
+      rosVersion,
+      viewer,
+      camera = viewer && viewer.camera,
+      domElement = viewer && viewer.renderer.domElement,
+      scene = viewer && viewer.scene,
+      fixedFrame = (viewer && viewer.fixedFrame) || "map",
+      topic,
+      messageType,
+      groundHeight = 0,
+      oneShot = true,
+    } = options;
+
+    this.ros = ros;
+    this.rosVersion = rosVersion;
+    this.camera = camera;
+    this.domElement = domElement;
+    this.scene = scene;
+    this.fixedFrame = fixedFrame;
+    this.topicName = topic;
+    this.messageType = messageType;
+    this.groundHeight = groundHeight;
+    this.oneShot = oneShot;
+    this.active = false;
+    this.pressed = false;
+    this.rosTopic = null;
+
+    // 捕获阶段的监听器先于 MouseHandler 执行，从而阻止左键事件到达相机控制器
+    this.listeners = {
+      mousedown: this.#onMouseDown.bind(this),
+      mousemove: this.#onMouseMove.bind(this),
+      mouseup: this.#onMouseUp.bind(this),
+      click: this.#onClick.bind(this),
+    };
+    if (this.domElement) {
+      Object.entries(this.listeners).forEach(([type, listener]) => {
+        this.domElement.addEventListener(type, listener, true);
+      });
+    }
+  }
+
+  /**
+   * @method dispose
+   * @description 停用工具，移除DOM事件监听器并取消广播主题。
+   */
+  dispose() {
+    this.deactivate();
+    if (this.domElement) {
+      Object.entries(this.listeners).forEach(([type, listener]) => {
+        this.domElement.removeEventListener(type, listener, true);
+      });
+    }
+    if (this.rosTopic) {
+      this.rosTopic.unadvertise();
+      this.rosTopic = null;
+    }
+    this.removeAllListeners();
+  }
+
+  /**
+   * @method activate
+   * @description 激活工具，接管鼠标左键。
+   */
+  activate() {
+    if (!this.active) {
+      this.active = true;
+      this.emit("activate");
+    }
+  }
+
+  /**
+   * @method deactivate
+   * @description 停用工具，鼠标左键交还给相机控制器。
+   */
+  deactivate() {
+    if (this.active) {
+      this.active = false;
+      this.pressed = false;
+      this.onCancel();
+      this.emit("deactivate");
+    }
+  }
+
+  /**
+   * @method raycast
+   * @description 计算画布坐标处从相机发出的射线。
+   * @param {number} x - 相对画布左上角的横坐标（像素）。
+   * @param {number} y - 相对画布左上角的纵坐标（像素）。
+   * @returns {THREE.Raycaster} 射线投射器。
+   */
+  raycast(x, y) {
+    const width = this.domElement.clientWidth || this.domElement.width;
+    const height = this.domElement.clientHeight || this.domElement.height;
+    const raycaster = new THREE.Raycaster();
+    this.camera.updateMatrixWorld();
+    raycaster.setFromCamera(new THREE.Vector2((x / width) * 2 - 1, 1 - (y / height) * 2), this.camera);
+    return raycaster;
+  }
+
+  /**
+   * @method intersectGround
+   * @description 计算画布坐标处的射线与地平面的交点。
+   * @param {number} x - 相对画布左上角的横坐标（像素）。
+   * @param {number} y - 相对画布左上角的纵坐标（像素）。
+   * @returns {THREE.Vector3|null} 固定坐标系中的交点，射线与地平面不相交时返回 null。
+   */
+  intersectGround(x, y) {
+    const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -this.groundHeight);
+    return this.raycast(x, y).ray.intersectPlane(plane, new THREE.Vector3());
+  }
+
+  /**
+   * @method publish
+   * @description 为消息填充固定坐标系和当前时间的消息头后发布，并触发 'publish' 事件。
+   * @param {object} message - 不含 header 的消息内容。
+   * @returns {object} 发布的完整消息。
+   */
+  publish(message) {
+    const rosVersion = resolveRosVersion(this.ros, this.rosVersion);
+    const stamped = {
+      header: {
+        frame_id: this.fixedFrame,
+        stamp: secondsToStamp(Date.now() / 1000, rosVersion),
+      },
+      ...message,
+    };
+    if (this.ros) {
+      if (!this.rosTopic) {
+        this.rosTopic = new ROSLIB.Topic({
+          ros: this.ros,
+          name: this.topicName,
+          messageType: toRosType(this.messageType, rosVersion),
+        });
+      }
+      this.rosTopic.publish(stamped);
+    }
+    logger.info(`Published ${this.messageType} on ${this.topicName}`);
+    this.emit("publish", { topic: this.topicName, message: stamped });
+    if (this.oneShot) {
+      this.deactivate();
+    }
+    return stamped;
+  }
+
+  /**
+   * 按下鼠标左键时调用，由子类实现。
+   * @param {number} x - 相对画布左上角的横坐标（像素）。
+   * @param {number} y - 相对画布左上角的纵坐标（像素）。
+   */
+  onPress(x, y) {}
+
+  /**
+   * 按住鼠标左键移动时调用，由子类实现。
+   * @param {number} x - 相对画布左上角的横坐标（像素）。
+   * @param {number} y - 相对画布左上角的纵坐标（像素）。
+   */
+  onDrag(x, y) {}
+
+  /**
+   * 松开鼠标左键时调用，由子类实现。
+   * @param {number} x - 相对画布左上角的横坐标（像素）。
+   * @param {number} y - 相对画布左上角的纵坐标（像素）。
+   */
+  onRelease(x, y) {}
+
+  /**
+   * 操作被取消（停用工具或按下其他鼠标键）时调用，子类在此清理预览。
+   */
+  onCancel() {}
+
+  /**
+   * @private
+   */
+  #localPoint(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  /**
+   * @private
+   */
+  #onMouseDown(event) {
+    if (!this.active) {
+      return;
+    }
+    if (event.button !== 0) {
+      // 拖动过程中按下其他鼠标键时取消本次操作
+      if (this.pressed) {
+        this.pressed = false;
+        this.onCancel();
+      }
+      return;
+    }
+    event.stopImmediatePropagation();
+    event.preventDefault();
+    const { x, y } = this.#localPoint(event);
+    this.pressed = true;
+    this.onPress(x, y);
+  }
+
+  /**
+   * @private
+   */
+  #onMouseMove(event) {
+    if (!this.pressed) {
+      return;
+    }
+    event.stopImmediatePropagation();
+    const { x, y } = this.#localPoint(event);
+    this.onDrag(x, y);
+  }
+
+  /**
+   * @private
+   */
+  #onMouseUp(event) {
+    if (!this.pressed || event.button !== 0) {
+      return;
+    }
+    event.stopImmediatePropagation();
+    const { x, y } = this.#localPoint(event);
+    this.pressed = false;
+    this.onRelease(x, y);
+  }
+
+  /**
+   * @private
+   */
+  #onClick(event) {
+    if (this.active && event.button === 0) {
+      event.stopImmediatePropagation();
+    }
+  }
+}
@@ -2,6 +2,7 @@ import * as ROSLIB from 'roslib';
 import * as THREE from 'three';
 import { InteractiveMarkerHandle } from './InteractiveMarkerHandle.js';
 import { InteractiveMarker } from './InteractiveMarker.js';
+import { resolveRosVersion, toRosType } from '../utils/ros.js';
 
 /**
  * 交互式标记话题的客户端。
@@ -9,6 +10,9 @@ import { InteractiveMarker } from './InteractiveMarker.js';
  * @constructor
  * @param {object} options - 包含以下键的选项对象：
  * @param {ROSLIB.Ros} options.ros - ROS 的连接句柄。
+ * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
+ *   ROS 1 通过 interactive_marker_proxy 的 tunneled 主题通信，ROS 2 直接使用
+ *   `<topic>/update` 主题和 `<topic>/get_interactive_markers` 服务。
  * @param {ROS3D.TfClient} options.tfClient - TF 客户端句柄。
  * @param {string} [options.topic] - 要订阅的话题，例如 '/basic_controls'，如果未提供，则使用 subscribe() 开始接收消息。
  * @param {string} [options.path] - 将要加载的任何网格的基础路径。
@@ -21,6 +25,7 @@ export class InteractiveMarkerClient {
   constructor(options) {
     options = options || {};
     this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
     this.tfClient = options.tfClient;
     this.topicName = options.topic;
     this.path = options.path || '/';
@@ -49,10 +54,13 @@ export class InteractiveMarkerClient {
     // unsubscribe to the other topics
     this.unsubscribe();
 
+    const rosVersion = resolveRosVersion(this.ros, this.rosVersion);
+    const isRos2 = rosVersion === 2;
+
     this.updateTopic = new ROSLIB.Topic({
       ros: this.ros,
-      name: topic + '/tunneled/update',
-      messageType: 'visualization_msgs/InteractiveMarkerUpdate',
+      name: topic + (isRos2 ? '/update' : '/tunneled/update'),
+      messageType: toRosType('visualization_msgs/InteractiveMarkerUpdate', rosVersion),
       compression: 'png'
     });
     this.updateTopic.subscribe(this.processUpdate);
@@ -60,18 +68,19 @@ export class InteractiveMarkerClient {
     this.feedbackTopic = new ROSLIB.Topic({
       ros: this.ros,
       name: topic + '/feedback',
-      messageType: 'visualization_msgs/InteractiveMarkerFeedback',
+      messageType: toRosType('visualization_msgs/InteractiveMarkerFeedback', rosVersion),
       compression: 'png'
     });
     this.feedbackTopic.advertise();
 
     this.initService = new ROSLIB.Service({
       ros: this.ros,
-      name: topic + '/tunneled/get_init',
-      serviceType: 'demo_interactive_markers/GetInit'
+      name: topic + (isRos2 ? '/get_interactive_markers' : '/tunneled/get_init'),
+      serviceType: isRos2
+        ? 'visualization_msgs/srv/GetInteractiveMarkers'
+        : 'demo_interactive_markers/GetInit'
     });
-    const request = new ROSLIB.ServiceRequest({});
-    this.initService.callService(request, this.processInit.bind(this));
+    this.initService.callService({}, this.processInit.bind(this));
   }
 
   /**
@@ -97,7 +106,8 @@ export class InteractiveMarkerClient {
    * @param {object} initMessage - the interactive marker initialization message to process
    */
   processInit(initMessage) {
-    const message = initMessage.msg;
+    // the ROS 1 proxy wraps an InteractiveMarkerInit in 'msg', the ROS 2 service returns the markers directly
+    const message = initMessage.msg || { markers: initMessage.markers || [] };
 
     // erase any old markers
     message.erases = [];
@@ -116,6 +126,11 @@ export class InteractiveMarkerClient {
    * @param {object} message - the interactive marker update message to process
    */
   processUpdate(message) {
+    // keep-alive updates carry no markers
+    if (message.type === 0 && !message.markers.length) {
+      return;
+    }
+
     // erase any markers
     message.erases.forEach((name) => {
       this.eraseIntMarker(name);
@@ -142,6 +157,7 @@ export class InteractiveMarkerClient {
         message: msg,
         feedbackTopic: this.feedbackTopic,
         tfClient: this.tfClient,
+        rosVersion: this.rosVersion,
         menuFontSize: this.menuFontSize
       });
       this.interactiveMarkers[msg.name] = handle;
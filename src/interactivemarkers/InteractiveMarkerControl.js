@@ -4,8 +4,10 @@
  * @author ROS3D development team
  */
 
+import * as ROSLIB from 'roslib';
 import * as THREE from 'three';
 import { Marker } from '@markers/Marker.js';
+import { resolveRosVersion } from '../utils/ros.js';
 import {
   INTERACTIVE_MARKER_NONE,
   INTERACTIVE_MARKER_MENU,
@@ -175,8 +177,12 @@ export class InteractiveMarkerControl extends THREE.Object3D {
         break;
     }
 
-    // 临时TFClient以获取从InteractiveMarker框架到潜在子Marker框架的变换
-    this.localTfClient = new ROSLIB.TFClient({
+    // 临时TFClient以获取从InteractiveMarker框架到潜在子Marker框架的变换，ROS 2 下使用动作接口的客户端
+    const TFClientClass =
+      resolveRosVersion(handle.tfClient.ros, handle.rosVersion) === 2
+        ? ROSLIB.ROS2TFClient
+        : ROSLIB.TFClient;
+    this.localTfClient = new TFClientClass({
       ros: handle.tfClient.ros,
       fixedFrame: handle.message.header.frame_id,
       serverName: handle.tfClient.serverName
@@ -1,5 +1,6 @@
 import * as ROSLIB from 'roslib';
 import EventEmitter3 from 'eventemitter3';
+import { stampToSeconds } from '../utils/ros.js';
 import { FEEDBACK_POSE_UPDATE, FEEDBACK_BUTTON_CLICK, FEEDBACK_MOUSE_DOWN, FEEDBACK_MOUSE_UP, FEEDBACK_MENU_SELECT } from '../constants/interactiveMarker.constants.js';
 
 /**
@@ -14,6 +15,7 @@ import { FEEDBACK_POSE_UPDATE, FEEDBACK_BUTTON_CLICK, FEEDBACK_MOUSE_DOWN, FEEDB
  * @param {object} options.message - 交互式标记消息。
  * @param {ROSLIB.Topic} options.feedbackTopic - 与反馈关联的 ROSLIB.Topic。
  * @param {ROS3D.TfClient} options.tfClient - 要使用的 TF 客户端句柄。
+ * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `tfClient.ros.rosVersion` 或 1。
  * @param {string} [options.menuFontSize] - 菜单字体大小。
  */
 export class InteractiveMarkerHandle extends EventEmitter3 {
@@ -23,6 +25,7 @@ export class InteractiveMarkerHandle extends EventEmitter3 {
     this.message = options.message;
     this.feedbackTopic = options.feedbackTopic;
     this.tfClient = options.tfClient;
+    this.rosVersion = options.rosVersion;
     this.menuFontSize = options.menuFontSize || '0.8em';
     this.name = this.message.name;
     this.header = this.message.header;
@@ -30,7 +33,7 @@ export class InteractiveMarkerHandle extends EventEmitter3 {
     this.menuEntries = this.message.menu_entries;
     this.dragging = false;
     this.timeoutHandle = null;
-    this.tfTransform = new ROSLIB.Transform();
+    this.tfTransform = new ROSLIB.Transform({});
     this.pose = new ROSLIB.Pose();
 
     this.setPoseFromClient = this.setPoseFromClient.bind(this);
@@ -49,7 +52,7 @@ export class InteractiveMarkerHandle extends EventEmitter3 {
    */
   subscribeTf() {
     // subscribe to tf updates if frame-fixed
-    if (this.message.header.stamp.secs === 0.0 && this.message.header.stamp.nsecs === 0.0) {
+    if (stampToSeconds(this.message.header.stamp) === 0) {
       this.tfClient.subscribe(this.message.header.frame_id, this.tfUpdate);
     }
   }
@@ -2,7 +2,15 @@ import * as THREE from "three";
 import { Arrow } from "@models/Arrow";
 import { TriangleList } from "@models/TriangleList";
 import { MeshResource } from "@models/MeshResource";
-import { makeColorMaterial, createMarkerObject } from "./marker.creators";
+import {
+  makeColorMaterial,
+  updateColorMaterial,
+  createMarkerObject,
+  updateInstancedMeshMarker,
+  updatePointsMarker,
+  updatePointsColor,
+} from "./marker.creators";
+import { setPointSize } from "@models/point.styles";
 import {
   MARKER_ARROW,
   MARKER_CUBE,
@@ -25,11 +33,17 @@ export class Marker extends THREE.Object3D {
    * @param {Object} options - 对象，包含以下键:
    *   * path - 为此标记加载的网格文件的基路径或 URL
    *   * message - 标记消息
+   *   * pointStyle (optional) - MARKER_POINTS 的渲染样式，默认为以米为单位的方点
+   *   * textStyle (optional) - TEXT_VIEW_FACING 标记的 `TextLabel` 选项，例如描边、背景框、固定像素高度与字体
+   *   * batcher (optional) - `MarkerBatcher`，可合并的立方体与球体标记不创建自己的网格，而是写入共享的批次
    */
   constructor(options = {}) {
     super();
 
     this.path = options.path || '/';
+    this.pointStyle = options.pointStyle;
+    this.textStyle = options.textStyle;
+    this.batcher = options.batcher || null;
     const { message } = options;
 
     // 检查路径尾部是否有 '/'
@@ -40,6 +54,7 @@ export class Marker extends THREE.Object3D {
     this.msgScale = message.scale ? [message.scale.x, message.scale.y, message.scale.z] : [1, 1, 1];
     this.msgColor = message.color;
     this.msgMesh = undefined;
+    this.opacityScale = 1;
 
     this.init(message);
   }
@@ -56,6 +71,11 @@ export class Marker extends THREE.Object3D {
         : message.mesh_resource;
     }
 
+    if (this.batcher && this.batcher.accepts(message)) {
+      this.add(this.batcher.add(message));
+      return;
+    }
+
     const colorMaterial = makeColorMaterial(
       this.msgColor.r,
       this.msgColor.g,
@@ -63,7 +83,10 @@ export class Marker extends THREE.Object3D {
       this.msgColor.a,
     );
 
-    const markerObject = createMarkerObject(message, this.normalizedPath, colorMaterial);
+    const markerObject = createMarkerObject(message, this.normalizedPath, colorMaterial, {
+      pointStyle: this.pointStyle,
+      textStyle: this.textStyle,
+    });
     if (markerObject) {
       this.add(markerObject);
     }
@@ -85,6 +108,37 @@ export class Marker extends THREE.Object3D {
     this.updateMatrixWorld();
   }
 
+  /**
+   * 按比例缩放所有材质的不透明度，例如按命名空间淡化标记。重建的材质在 `update` 后沿用该比例。
+   * @param {number} scale - 不透明度比例（0-1），1 表示按消息中的颜色显示
+   */
+  setOpacityScale(scale) {
+    this.opacityScale = scale;
+    this.traverse((object) => {
+      if (object.isMarkerBatchMember) {
+        object.setOpacityScale(scale);
+        return;
+      }
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach((material) => {
+        if (!material) {
+          return;
+        }
+        // 首次缩放时记录材质自身的不透明度和混合设置
+        if (material.userData.baseOpacity === undefined) {
+          material.userData.baseOpacity = material.opacity;
+          material.userData.baseTransparent = material.transparent;
+        }
+        const transparent = material.userData.baseTransparent || scale < 1;
+        material.opacity = material.userData.baseOpacity * scale;
+        if (material.transparent !== transparent) {
+          material.transparent = transparent;
+          material.needsUpdate = true;
+        }
+      });
+    });
+  }
+
   /**
    * 更新此标记
    * @param {Object} message - 标记消息
@@ -105,6 +159,14 @@ export class Marker extends THREE.Object3D {
       return false;
     }
 
+    // 合并的标记由批次写入实例
+    if (child.isMarkerBatchMember) {
+      this.msgColor = message.color;
+      this.msgScale = [message.scale.x, message.scale.y, message.scale.z];
+      child.setMessage(message);
+      return true;
+    }
+
     // 更新颜色
     if (
       message.color.r !== this.msgColor.r ||
@@ -113,23 +175,8 @@ export class Marker extends THREE.Object3D {
       message.color.a !== this.msgColor.a
     ) {
       this.msgColor = message.color;
-      const newMaterial = makeColorMaterial(
-        this.msgColor.r,
-        this.msgColor.g,
-        this.msgColor.b,
-        this.msgColor.a,
-      );
-
-      // 特殊处理网格资源
-      if (message.type === MARKER_MESH_RESOURCE) {
-        if (this.msgColor.a === 0) {
-          child.material = new THREE.MeshBasicMaterial({ transparent: true, opacity: 0, color: 0x000000 });
-        } else {
-          child.material = newMaterial;
-        }
-      } else if (child.material) {
-        child.material.dispose();
-        child.material = newMaterial;
+      if (!this.#updateColor(child, message)) {
+        return false;
       }
     }
 
@@ -155,9 +202,15 @@ export class Marker extends THREE.Object3D {
           child.material.linewidth = message.scale.x;
           break;
         case MARKER_POINTS:
-          child.material.size = message.scale.x;
+          setPointSize(child.material, message.scale.x);
+          break;
+        case MARKER_CUBE_LIST:
+        case MARKER_SPHERE_LIST:
+          // 尺寸包含在实例矩阵中，随点集一起更新
           break;
         case MARKER_TEXT_VIEW_FACING:
+          child.setHeight(message.scale.z);
+          break;
         case MARKER_MESH_RESOURCE:
         case MARKER_TRIANGLE_LIST:
           // 这些类型的尺寸变化通常需要重建
@@ -167,29 +220,23 @@ export class Marker extends THREE.Object3D {
       }
     }
 
-    // 更新点集
+    // 更新点集与文本
     switch (message.type) {
+      case MARKER_TEXT_VIEW_FACING:
+        child.setText(message.text);
+        break;
       case MARKER_CUBE_LIST:
-      case MARKER_SPHERE_LIST: {
-        const instancedMesh = child;
-        if (message.points.length !== instancedMesh.count) {
-          return false; // 点数量变化，需要重建
-        }
-        const matrix = new THREE.Matrix4();
-        const position = new THREE.Vector3();
-        const scale = new THREE.Vector3(1, 1, 1);
-        const quaternion = new THREE.Quaternion();
-        for (let i = 0; i < message.points.length; i++) {
-          position.set(message.points[i].x, message.points[i].y, message.points[i].z);
-          matrix.compose(position, quaternion, scale);
-          instancedMesh.setMatrixAt(i, matrix);
+      case MARKER_SPHERE_LIST:
+        // 原地重写实例矩阵与实例颜色，点数增加时扩容
+        updateInstancedMeshMarker(child, message);
+        break;
+      case MARKER_POINTS:
+        if (!updatePointsMarker(child, message)) {
+          return false; // 逐点颜色的有无变化，需要重建
         }
-        instancedMesh.instanceMatrix.needsUpdate = true;
         break;
-      }
       case MARKER_LINE_STRIP:
-      case MARKER_LINE_LIST:
-      case MARKER_POINTS: {
+      case MARKER_LINE_LIST: {
         const geometry = child.geometry;
         const positions = geometry.getAttribute('position');
         if (message.points.length * 3 !== positions.count * positions.itemSize) {
@@ -205,9 +252,52 @@ export class Marker extends THREE.Object3D {
         break;
     }
 
+    if (this.opacityScale !== 1) {
+      this.setOpacityScale(this.opacityScale);
+    }
     return true;
   }
 
+  /**
+   * 原地更新子对象的颜色，避免每次颜色变化都重新创建材质。
+   * @param {THREE.Object3D} child - 标记的子对象
+   * @param {Object} message - 标记消息
+   * @return {boolean} 成功时返回 true，无法原地更新时返回 false
+   */
+  #updateColor(child, message) {
+    const { r, g, b, a } = message.color;
+    switch (message.type) {
+      case MARKER_MESH_RESOURCE:
+        // 颜色材质在加载模型时使用；使用模型自带材质（颜色全为 0）时需要重建
+        if (!child.material || (r === 0 && g === 0 && b === 0 && a === 0)) {
+          return false;
+        }
+        return updateColorMaterial(child.material, r, g, b, a);
+      case MARKER_CUBE_LIST:
+      case MARKER_SPHERE_LIST:
+        // 颜色写入实例颜色，材质只决定不透明度
+        return updateColorMaterial(child.material, 1, 1, 1, a);
+      case MARKER_POINTS:
+      case MARKER_LINE_STRIP:
+      case MARKER_LINE_LIST:
+        updatePointsColor(child.material, r, g, b, a);
+        return true;
+      case MARKER_TEXT_VIEW_FACING:
+        child.setColor(new THREE.Color(r, g, b), a);
+        if (child.material.userData.baseOpacity !== undefined) {
+          child.material.userData.baseOpacity = a;
+        }
+        return true;
+      default: {
+        const material = child.material || (child.mesh && child.mesh.material);
+        if (!material) {
+          return true;
+        }
+        return Boolean(material.vertexColors) || updateColorMaterial(material, r, g, b, a);
+      }
+    }
+  }
+
   /**
    * 释放此标记中的元素内存
    */
@@ -7,30 +7,62 @@
 import * as THREE from 'three';
 import { EventEmitter } from 'eventemitter3';
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from '../utils/ros.js';
 import { Marker } from './Marker.js';
 import { SceneNode } from '../visualization/SceneNode.js';
+import { MarkerBatcher } from './MarkerBatcher.js';
+import { bindMarkerSelection } from './marker.selection.js';
+import { MarkerLifetimes, bindMarkerFrame, markerExpiry } from './marker.lifetime.js';
 
 /**
  * @class MarkerArrayClient
  * @description 一个监听给定MarkerArray主题的客户端。
  * @param {object} options - 选项
  * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros连接句柄。
+ * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
  * @param {string} options.topic - 要监听的标记主题。
  * @param {object} options.tfClient - TF客户端句柄。
  * @param {THREE.Object3D} [options.rootObject] - 要将标记添加到的根对象。
  * @param {string} [options.path] - 将加载的任何网格的基本路径。
+ * @param {string} [options.pointStyle] - MARKER_POINTS 的渲染样式，参见 `POINT_STYLES`，默认为以米为单位的方点。
+ * @param {object} [options.textStyle] - TEXT_VIEW_FACING 标记的 `TextLabel` 选项，同 `MarkerClient`。
+ * @param {RosClock|function} [options.clock] - 判断标记过期的时钟（`RosClock` 或返回秒数的函数），默认为系统时间。
+ * @param {boolean} [options.batch=false] - 是否把不透明度相同的 CUBE、SPHERE、CUBE_LIST 与 SPHERE_LIST 标记
+ *   合并为共享的实例化绘制调用（参见 `MarkerBatcher`），适合大量体素或点列表标记。
+ * @param {boolean} [options.selectable=false] - 是否可以用鼠标选择标记，同 `MarkerClient`。
+ *
+ * 标记的生命周期与 `frame_locked` 的处理与 `MarkerClient` 相同。
+ * 与 RViz MarkerArray 显示的命名空间树一样，可以按命名空间列出、显示/隐藏标记并设置不透明度。
+ * 命名空间的设置在 DELETEALL 和重新发布后保留，之后收到的同一命名空间的标记沿用该设置。
+ * 标记的命名空间/ID 清单变化时派发 'namespaces' 事件，参数为 `getNamespaces()` 的结果。
  */
 export class MarkerArrayClient extends EventEmitter {
   constructor(options) {
     super();
     this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = options.topic;
     this.tfClient = options.tfClient;
     this.rootObject = options.rootObject || new THREE.Object3D();
     this.path = options.path || '/';
+    this.pointStyle = options.pointStyle;
+    this.textStyle = options.textStyle;
+    this.selectable = options.selectable || false;
+    this.batcher = options.batch ? new MarkerBatcher({ rootObject: this.rootObject }) : null;
 
     this.markers = {};
     this.rosTopic = null;
+    // 按命名空间保存的显示设置 {visible, opacity}，移除标记时不清除
+    this.namespaceSettings = new Map();
+    this.inventoryChanged = false;
+    this.lifetimes = new MarkerLifetimes({
+      clock: options.clock,
+      onExpire: (key) => {
+        this.removeMarker(key);
+        this.#emitInventory();
+        this.emit('change');
+      },
+    });
 
     this.processMessage = this.processMessage.bind(this);
     this.subscribe();
@@ -46,7 +78,10 @@ export class MarkerArrayClient extends EventEmitter {
     this.rosTopic = new ROSLIB.Topic({
       ros: this.ros,
       name: this.topicName,
-      messageType: 'visualization_msgs/MarkerArray',
+      messageType: toRosType(
+        'visualization_msgs/MarkerArray',
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
       compression: 'png',
     });
     this.rosTopic.subscribe(this.processMessage);
@@ -70,6 +105,10 @@ export class MarkerArrayClient extends EventEmitter {
   dispose() {
     this.unsubscribe();
     this.removeAllMarkers();
+    if (this.batcher) {
+      this.batcher.dispose();
+    }
+    this.#emitInventory();
     this.emit('change');
   }
 
@@ -88,28 +127,43 @@ export class MarkerArrayClient extends EventEmitter {
         let updated = false;
         if (this.markers[key]) {
           const marker = this.markers[key].children[0];
-          if (marker && marker.update) {
+          // 坐标系变化时重建场景节点
+          if (marker && marker.update && this.markers[key].frameID === message.header.frame_id) {
             updated = marker.update(message);
           }
           if (!updated) {
-            this.removeMarker(key);
+            // 同一标记重建，清单不变
+            this.#destroyMarker(key);
           }
+        } else {
+          this.inventoryChanged = true;
         }
 
         if (!updated) {
           const newMarker = new Marker({
             message: message,
             path: this.path,
+            pointStyle: this.pointStyle,
+            textStyle: this.textStyle,
+            batcher: this.batcher,
           });
+          if (this.selectable) {
+            bindMarkerSelection(newMarker, this);
+          }
 
+          // 标记自身已应用消息中的位姿，场景节点只负责坐标系变换
           this.markers[key] = new SceneNode({
             frameID: message.header.frame_id,
             tfClient: this.tfClient,
             object: newMarker,
-            pose: message.pose,
           });
+          this.markers[key].ns = message.ns;
+          this.markers[key].markerId = message.id;
           this.rootObject.add(this.markers[key]);
+          this.#applyNamespaceSettings(this.markers[key]);
         }
+        bindMarkerFrame(this.markers[key], message);
+        this.lifetimes.set(key, markerExpiry(message, this.lifetimes.now()));
       } 
       // DEPRECATED
       else if (message.action === 1) {
@@ -128,9 +182,101 @@ export class MarkerArrayClient extends EventEmitter {
       }
     });
 
+    this.#emitInventory();
+    this.emit('change');
+  }
+
+  /**
+   * @method getNamespaces
+   * @description 列出当前标记的命名空间及其ID与显示设置。
+   * @returns {Array<{ns: string, ids: Array<number>, visible: boolean, opacity: number}>} 按命名空间排序的清单。
+   */
+  getNamespaces() {
+    const inventory = new Map();
+    Object.values(this.markers).forEach((node) => {
+      if (!inventory.has(node.ns)) {
+        inventory.set(node.ns, []);
+      }
+      inventory.get(node.ns).push(node.markerId);
+    });
+    return [...inventory.keys()].sort().map((ns) => ({
+      ns,
+      ids: inventory.get(ns).sort((a, b) => a - b),
+      ...this.#namespaceSettings(ns),
+    }));
+  }
+
+  /**
+   * @method setNamespaceVisible
+   * @description 显示或隐藏一个命名空间中的所有标记，包括之后收到的标记。
+   * @param {string} ns - 命名空间。
+   * @param {boolean} visible - 是否显示。
+   */
+  setNamespaceVisible(ns, visible) {
+    this.namespaceSettings.set(ns, { ...this.#namespaceSettings(ns), visible });
+    this.#applyToNamespace(ns);
+  }
+
+  /**
+   * @method setNamespaceOpacity
+   * @description 按比例设置一个命名空间中所有标记的不透明度，包括之后收到的标记。
+   * @param {string} ns - 命名空间。
+   * @param {number} opacity - 不透明度比例（0-1），1 表示按消息中的颜色显示。
+   */
+  setNamespaceOpacity(ns, opacity) {
+    this.namespaceSettings.set(ns, { ...this.#namespaceSettings(ns), opacity });
+    this.#applyToNamespace(ns);
+  }
+
+  /**
+   * 命名空间的显示设置，未设置时为默认值。
+   * @private
+   */
+  #namespaceSettings(ns) {
+    return this.namespaceSettings.get(ns) || { visible: true, opacity: 1 };
+  }
+
+  /**
+   * 把命名空间的设置应用到其中已有的标记。
+   * @private
+   */
+  #applyToNamespace(ns) {
+    Object.values(this.markers).forEach((node) => {
+      if (node.ns === ns) {
+        this.#applyNamespaceSettings(node);
+      }
+    });
+    this.#emitInventory(true);
     this.emit('change');
   }
 
+  /**
+   * 把命名空间的设置应用到一个标记。隐藏的是标记本身，因为场景节点在TF更新时会被重新设为可见。
+   * @private
+   */
+  #applyNamespaceSettings(node) {
+    const { visible, opacity } = this.#namespaceSettings(node.ns);
+    const marker = node.children[0];
+    if (!marker) {
+      return;
+    }
+    marker.visible = visible;
+    if (marker.setOpacityScale && (opacity !== 1 || marker.opacityScale !== 1)) {
+      marker.setOpacityScale(opacity);
+    }
+  }
+
+  /**
+   * 清单变化时派发 'namespaces' 事件。
+   * @private
+   */
+  #emitInventory(force = false) {
+    if (this.inventoryChanged || force) {
+      this.inventoryChanged = false;
+      this.emit('namespaces', this.getNamespaces());
+    }
+  }
+
   /**
    * @private
    * @method removeMarker
@@ -138,6 +284,18 @@ export class MarkerArrayClient extends EventEmitter {
    * @param {string} key - 要移除的标记的键 (ns/id)。
    */
   removeMarker(key) {
+    this.lifetimes.delete(key);
+    if (this.markers[key]) {
+      this.#destroyMarker(key);
+      this.inventoryChanged = true;
+    }
+  }
+
+  /**
+   * 释放并移除标记的场景节点。
+   * @private
+   */
+  #destroyMarker(key) {
     const markerNode = this.markers[key];
     if (markerNode) {
       markerNode.dispose();
@@ -156,5 +314,6 @@ export class MarkerArrayClient extends EventEmitter {
       this.removeMarker(key);
     }
     this.markers = {};
+    this.lifetimes.clear();
   }
 }
@@ -0,0 +1,353 @@
+/**
+ * @fileOverview MarkerBatcher - 把 MarkerArray 中材质相同的立方体与球体标记合并为共享的实例化绘制调用。
+ */
+
+import * as THREE from "three";
+import {
+  MARKER_CUBE,
+  MARKER_SPHERE,
+  MARKER_CUBE_LIST,
+  MARKER_SPHERE_LIST,
+} from "../constants/marker.constants.js";
+import {
+  makeColorMaterial,
+  ensureInstanceCapacity,
+  markerInstanceCount,
+  writeInstanceMatrices,
+  writeInstanceColors,
+} from "./marker.creators.js";
+
+// 可合并的标记类型及其基础形状
+const BATCH_SHAPES = {
+  [MARKER_CUBE]: "cube",
+  [MARKER_CUBE_LIST]: "cube",
+  [MARKER_SPHERE]: "sphere",
+  [MARKER_SPHERE_LIST]: "sphere",
+};
+
+const SHAPE_GEOMETRIES = {
+  cube: () => new THREE.BoxBufferGeometry(1, 1, 1),
+  sphere: () => new THREE.SphereBufferGeometry(0.5, 8, 8),
+};
+
+/**
+ * 合并到批次中的标记在场景中的占位对象。它本身不渲染，批次按它的世界变换写入实例。
+ * @private
+ */
+class MarkerBatchMember extends THREE.Object3D {
+  constructor(batcher, message) {
+    super();
+    this.isMarkerBatchMember = true;
+    this.batcher = batcher;
+    this.batch = null;
+    this.opacityScale = 1;
+    this.count = 0;
+    this.offset = 0;
+    this.shown = false;
+    this.dirty = true;
+    // 相对批次的变换，以及上次写入实例时使用的变换
+    this.relative = new THREE.Matrix4();
+    this.applied = new THREE.Matrix4();
+    this.highlight = null;
+    this.setMessage(message);
+  }
+
+  /**
+   * 创建用于高亮的代理网格：与批次共享几何体、只包含此标记的实例，平时不可见，
+   * 由 Highlighter 在高亮渲染时显示，使悬停时只高亮此标记而不是整个批次。
+   * @returns {THREE.InstancedMesh} 代理网格
+   */
+  createHighlight() {
+    if (!this.highlight) {
+      this.highlight = new THREE.InstancedMesh(this.batch.geometry, new THREE.MeshBasicMaterial(), this.count);
+      this.highlight.visible = false;
+      this.highlight.frustumCulled = false;
+      this.add(this.highlight);
+      this.#updateHighlight();
+    }
+    return this.highlight;
+  }
+
+  #updateHighlight() {
+    if (this.highlight) {
+      // 几何体属于批次，扩容时只替换代理自己的实例矩阵
+      if (this.count > this.highlight.instanceMatrix.count) {
+        this.highlight.instanceMatrix = new THREE.InstancedBufferAttribute(new Float32Array(this.count * 16), 16);
+        this.highlight.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      }
+      this.highlight.count = this.count;
+      writeInstanceMatrices(this.highlight.instanceMatrix.array, 0, this.message);
+      this.highlight.instanceMatrix.needsUpdate = true;
+    }
+  }
+
+  /**
+   * 使用新的标记消息更新实例。
+   * @param {Object} message - 标记消息
+   */
+  setMessage(message) {
+    this.message = message;
+    this.dirty = true;
+    const count = markerInstanceCount(message);
+    if (count !== this.count) {
+      this.count = count;
+      if (this.batch) {
+        this.batch.layoutDirty = true;
+      }
+    }
+    this.batcher.assign(this);
+    this.#updateHighlight();
+  }
+
+  /**
+   * 按比例缩放不透明度，标记会移到对应不透明度的批次中。
+   * @param {number} scale - 不透明度比例（0-1）
+   */
+  setOpacityScale(scale) {
+    this.opacityScale = scale;
+    this.batcher.assign(this);
+  }
+
+  /**
+   * 从批次中移除。
+   */
+  dispose() {
+    if (this.batch) {
+      this.batch.removeMember(this);
+      this.batch = null;
+    }
+    if (this.highlight) {
+      // 几何体属于批次，只释放代理的材质
+      this.highlight.material.dispose();
+      this.remove(this.highlight);
+      this.highlight = null;
+    }
+  }
+}
+
+/**
+ * 一个形状与不透明度相同的批次：一个实例化网格，实例颜色为标记颜色或逐点颜色。
+ * 每次更新世界矩阵时按成员的世界变换同步实例，只有成员的变换或消息变化时才重写其实例。
+ * @private
+ */
+class MarkerBatch extends THREE.InstancedMesh {
+  constructor(shape, opacity) {
+    const geometry = SHAPE_GEOMETRIES[shape]();
+    const colors = new THREE.InstancedBufferAttribute(new Float32Array(3), 3);
+    geometry.setAttribute("color", colors.setUsage(THREE.DynamicDrawUsage));
+    const material = makeColorMaterial(1, 1, 1, opacity);
+    material.vertexColors = true;
+    super(geometry, material, 1);
+    this.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.count = 0;
+    this.members = [];
+    this.layoutDirty = false;
+    this.inverse = new THREE.Matrix4();
+    // 实例分布在各成员的坐标系中，包围球不能用于剔除
+    this.frustumCulled = false;
+  }
+
+  addMember(member) {
+    this.members.push(member);
+    member.batch = this;
+    member.dirty = true;
+    this.layoutDirty = true;
+  }
+
+  removeMember(member) {
+    const index = this.members.indexOf(member);
+    if (index >= 0) {
+      this.members.splice(index, 1);
+      this.layoutDirty = true;
+    }
+  }
+
+  /**
+   * 查找实例所属的成员，例如用于射线拾取。
+   * @param {number} instanceId - 实例下标
+   * @returns {THREE.Object3D|null} 成员占位对象，其父对象为 Marker
+   */
+  memberAt(instanceId) {
+    return (
+      this.members.find(
+        (member) =>
+          member.shown && instanceId >= member.offset && instanceId < member.offset + member.count
+      ) || null
+    );
+  }
+
+  /**
+   * 供 MouseHandler 把拾取到的实例映射为所属标记的占位对象，事件随后冒泡到 Marker。
+   * @param {object} intersection - 射线交点
+   * @returns {THREE.Object3D|null} 占位对象
+   */
+  resolvePickTarget(intersection) {
+    return this.memberAt(intersection.instanceId);
+  }
+
+  updateMatrixWorld(force) {
+    super.updateMatrixWorld(force);
+    this.sync();
+  }
+
+  /**
+   * 按成员当前的可见性与世界变换同步实例缓冲区。
+   */
+  sync() {
+    this.inverse.getInverse(this.matrixWorld);
+    let layoutChanged = this.layoutDirty;
+    let changed = false;
+    this.members.forEach((member) => {
+      const shown = this.#isShown(member);
+      if (shown !== member.shown) {
+        member.shown = shown;
+        layoutChanged = true;
+      }
+      if (!shown) {
+        return;
+      }
+      member.updateWorldMatrix(true, false);
+      member.relative.multiplyMatrices(this.inverse, member.matrixWorld);
+      if (!member.relative.equals(member.applied)) {
+        member.dirty = true;
+      }
+    });
+
+    if (layoutChanged) {
+      let total = 0;
+      this.members.forEach((member) => {
+        if (member.shown) {
+          member.offset = total;
+          total += member.count;
+        }
+      });
+      ensureInstanceCapacity(this, total);
+      this.count = total;
+      this.visible = total > 0;
+      this.layoutDirty = false;
+    }
+
+    this.members.forEach((member) => {
+      if (member.shown && (member.dirty || layoutChanged)) {
+        writeInstanceMatrices(this.instanceMatrix.array, member.offset, member.message, member.relative);
+        writeInstanceColors(this.geometry.getAttribute("color").array, member.offset, member.message);
+        member.applied.copy(member.relative);
+        member.dirty = false;
+        changed = true;
+      }
+    });
+
+    // 只上传使用中的实例
+    if (changed && this.count > 0) {
+      const colors = this.geometry.getAttribute("color");
+      this.instanceMatrix.updateRange = { offset: 0, count: this.count * 16 };
+      colors.updateRange = { offset: 0, count: this.count * 3 };
+      this.instanceMatrix.needsUpdate = true;
+      colors.needsUpdate = true;
+    }
+  }
+
+  /**
+   * 成员及其到批次父对象的所有祖先（标记、场景节点）均可见时才显示。
+   */
+  #isShown(member) {
+    let object = member;
+    while (object && object !== this.parent) {
+      if (!object.visible) {
+        return false;
+      }
+      object = object.parent;
+    }
+    return Boolean(object) && object === this.parent;
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+/**
+ * @class MarkerBatcher
+ * @description 把 CUBE、SPHERE、CUBE_LIST 与 SPHERE_LIST 标记按形状与不透明度合并为共享的实例化网格，
+ * 成千上万个标记只需少量绘制调用。标记的颜色与逐点颜色写入实例颜色，位姿、TF变换与可见性按每个标记的
+ * 场景节点计算，实例缓冲区在消息间复用并按需扩容。批次添加到 `rootObject` 中，标记的场景节点必须也在其中。
+ */
+export class MarkerBatcher {
+  /**
+   * @param {object} options - 配置选项。
+   * @param {THREE.Object3D} options.rootObject - 批次网格所在的根对象，即标记场景节点的父对象。
+   */
+  constructor(options) {
+    this.rootObject = options.rootObject;
+    this.batches = new Map();
+  }
+
+  /**
+   * @method accepts
+   * @description 判断标记是否可以合并。
+   * @param {Object} message - 标记消息
+   * @returns {boolean} 是否可以合并
+   */
+  accepts(message) {
+    return message.type in BATCH_SHAPES;
+  }
+
+  /**
+   * @method add
+   * @description 为标记创建合并到批次中的占位对象，作为 Marker 的子对象使用。
+   * @param {Object} message - 标记消息
+   * @returns {THREE.Object3D} 占位对象，`setMessage` 更新实例，`dispose` 移出批次
+   */
+  add(message) {
+    return new MarkerBatchMember(this, message);
+  }
+
+  /**
+   * @private
+   * @method assign
+   * @description 把成员移到与其形状和不透明度对应的批次中。
+   * @param {MarkerBatchMember} member - 成员
+   */
+  assign(member) {
+    const shape = BATCH_SHAPES[member.message.type];
+    const opacity = Math.round(member.message.color.a * member.opacityScale * 100) / 100;
+    const key = `${shape}/${opacity}`;
+    if (member.batch && member.batch.key === key) {
+      return;
+    }
+    if (member.batch) {
+      member.batch.removeMember(member);
+    }
+
+    let batch = this.batches.get(key);
+    if (!batch) {
+      batch = new MarkerBatch(shape, opacity);
+      batch.key = key;
+      this.batches.set(key, batch);
+      this.rootObject.add(batch);
+    }
+    batch.addMember(member);
+  }
+
+  /**
+   * @method getBatches
+   * @description 当前的批次网格，每个批次为一次绘制调用。
+   * @returns {Array<THREE.InstancedMesh>} 批次网格，`memberAt(instanceId)` 返回实例所属标记的占位对象。
+   */
+  getBatches() {
+    return [...this.batches.values()];
+  }
+
+  /**
+   * @method dispose
+   * @description 从根对象中移除并释放所有批次。
+   */
+  dispose() {
+    this.batches.forEach((batch) => {
+      this.rootObject.remove(batch);
+      batch.dispose();
+    });
+    this.batches.clear();
+  }
+}
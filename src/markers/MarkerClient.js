@@ -5,43 +5,63 @@
 import * as THREE from "three";
 import { EventEmitter } from "eventemitter3";
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
 import { Marker } from "./Marker.js";
 import { SceneNode } from "../visualization/SceneNode.js";
+import { MarkerLifetimes, bindMarkerFrame, markerExpiry } from "./marker.lifetime.js";
+import { bindMarkerSelection } from "./marker.selection.js";
 
 /**
  * @class MarkerClient
  * @description 一个监听给定标记主题的客户端。
  * @param {object} options - 选项
  * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros连接句柄。
+ * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
  * @param {string} options.topic - 要监听的标记主题。
  * @param {object} options.tfClient - TF客户端句柄。
  * @param {number} [options.throttle_rate] - 消息节流速率（毫秒）。
  * @param {THREE.Object3D} [options.rootObject] - 要将此标记添加到的根对象。
  * @param {string} [options.path] - 将加载的任何网格的基本路径。
- * @param {number} [options.lifetime=0] - 标记的生命周期（毫秒）。
+ * @param {string} [options.pointStyle] - MARKER_POINTS 的渲染样式，参见 `POINT_STYLES`，默认为以米为单位的方点。
+ * @param {object} [options.textStyle] - TEXT_VIEW_FACING 标记的 `TextLabel` 选项，例如 `outlineColor`、`backgroundColor`、
+ *   `pixelHeight`（在屏幕上保持固定的像素高度）与 `fontFamily`；文本高度取自 `scale.z`（米）。
+ * @param {number} [options.lifetime=0] - 消息中生命周期为 0 的标记的生命周期（毫秒），从最后一次更新开始计算，0 表示永不过期。
+ * @param {RosClock|function} [options.clock] - 判断标记过期的时钟（`RosClock` 或返回秒数的函数），默认为系统时间；
+ *   使用仿真时间时传入 `new RosClock({ ros, useSimTime: true })`。
+ * @param {boolean} [options.selectable=false] - 是否可以用鼠标选择标记。需要把 `rootObject` 设为 `viewer.selectableObjects`，
+ *   悬停与单击时派发 'mouseover'、'mouseout' 与 'click' 事件，参数包含标记的 ns、id、type、pose 与 text，
+ *   悬停的标记由查看器的 Highlighter 高亮。
+ *
+ * 与 RViz 一样，标记的 `lifetime` 从 `header.stamp` 开始计算；`frame_locked` 的标记跟随TF移动，
+ * 其余标记停留在时间戳时刻的坐标系位姿上（TF客户端不支持按时间查询时为接收时刻的位姿）。
  */
 export class MarkerClient extends EventEmitter {
   constructor(options) {
     super();
     this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = options.topic;
     this.tfClient = options.tfClient;
     this.rootObject = options.rootObject || new THREE.Object3D();
     this.path = options.path || "/";
+    this.pointStyle = options.pointStyle;
+    this.textStyle = options.textStyle;
     this.lifetime = options.lifetime || 0;
+    this.selectable = options.selectable || false;
     this.throttle_rate = options.throttle_rate || null;
 
     this.markers = {};
     this.rosTopic = null;
+    this.lifetimes = new MarkerLifetimes({
+      clock: options.clock,
+      onExpire: (key) => {
+        this.removeMarker(key);
+        this.emit("change");
+      },
+    });
 
     this.processMessage = this.processMessage.bind(this);
     this.subscribe();
-
-    if (this.lifetime > 0) {
-      this.checkInterval = setInterval(() => {
-        this.checkExpiredMarkers();
-      }, 1000);
-    }
   }
 
   /**
@@ -54,7 +74,10 @@ export class MarkerClient extends EventEmitter {
     this.rosTopic = new ROSLIB.Topic({
       ros: this.ros,
       name: this.topicName,
-      messageType: "visualization_msgs/Marker",
+      messageType: toRosType(
+        "visualization_msgs/Marker",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
       throttle_rate: this.throttle_rate,
       compression: "png",
     });
@@ -78,9 +101,6 @@ export class MarkerClient extends EventEmitter {
    */
   dispose() {
     this.unsubscribe();
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
-    }
     this.removeAllMarkers();
     this.emit("change");
   }
@@ -107,14 +127,12 @@ export class MarkerClient extends EventEmitter {
       let updated = false;
       if (this.markers[key]) {
         const marker = this.markers[key].children[0];
-        if (marker && marker.update) {
+        // 坐标系变化时重建场景节点
+        if (marker && marker.update && this.markers[key].frameID === message.header.frame_id) {
           updated = marker.update(message);
         }
         if (!updated) {
           this.removeMarker(key);
-        } else {
-          // If update was successful, just update the time
-          this.markers[key].updatedTime = new Date().getTime();
         }
       }
 
@@ -122,18 +140,27 @@ export class MarkerClient extends EventEmitter {
         const newMarker = new Marker({
           message: message,
           path: this.path,
+          pointStyle: this.pointStyle,
+          textStyle: this.textStyle,
         });
+        if (this.selectable) {
+          bindMarkerSelection(newMarker, this);
+        }
 
+        // 标记自身已应用消息中的位姿，场景节点只负责坐标系变换
         this.markers[key] = new SceneNode({
           frameID: message.header.frame_id,
           tfClient: this.tfClient,
           object: newMarker,
-          pose: message.pose,
         });
 
         this.rootObject.add(this.markers[key]);
       }
-      this.markers[key].updatedTime = new Date().getTime();
+      bindMarkerFrame(this.markers[key], message);
+      this.lifetimes.set(
+        key,
+        markerExpiry(message, this.lifetimes.now(), this.lifetime / 1000)
+      );
     }
     // DELETE
     else if (message.action === 2) {
@@ -155,6 +182,7 @@ export class MarkerClient extends EventEmitter {
    */
   removeMarker(key) {
     const markerNode = this.markers[key];
+    this.lifetimes.delete(key);
     if (markerNode) {
       markerNode.dispose();
       this.rootObject.remove(markerNode);
@@ -172,20 +200,6 @@ export class MarkerClient extends EventEmitter {
       this.removeMarker(key);
     }
     this.markers = {};
-  }
-
-  /**
-   * @private
-   * @method checkExpiredMarkers
-   * @description 检查并移除所有已过期的标记。
-   */
-  checkExpiredMarkers() {
-    const now = new Date().getTime();
-    for (const key in this.markers) {
-      if (now - this.markers[key].updatedTime > this.lifetime) {
-        this.removeMarker(key);
-      }
-    }
-    this.emit("change");
+    this.lifetimes.clear();
   }
 }
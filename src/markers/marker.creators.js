@@ -8,6 +8,32 @@ import * as THREE from "three";
 import { Arrow } from "../models/Arrow.js";
 import { TriangleList } from "../models/TriangleList.js";
 import { MeshResource } from "../models/MeshResource.js";
+import { TextLabel } from "../models/TextLabel.js";
+import {
+  createPointAttribute,
+  createPointsGeometry,
+  createPointsMaterial,
+  createPointsObject,
+  setPointsCount,
+} from "../models/point.styles.js";
+import {
+  MARKER_ARROW,
+  MARKER_CUBE,
+  MARKER_SPHERE,
+  MARKER_CYLINDER,
+  MARKER_LINE_STRIP,
+  MARKER_LINE_LIST,
+  MARKER_CUBE_LIST,
+  MARKER_SPHERE_LIST,
+  MARKER_POINTS,
+  MARKER_TEXT_VIEW_FACING,
+  MARKER_MESH_RESOURCE,
+  MARKER_TRIANGLE_LIST,
+} from "../constants/marker.constants.js";
+
+// 单个立方体/球体标记作为位于原点的一个实例
+const ORIGIN = [{ x: 0, y: 0, z: 0 }];
+const IDENTITY = new THREE.Matrix4();
 
 /**
  * 创建 THREE 材质，基于给定的 RGBA 值
@@ -38,6 +64,63 @@ export const makeColorMaterial = (r, g, b, a) => {
   }
 };
 
+/**
+ * 原地更新 `makeColorMaterial` 创建的材质的颜色与不透明度。
+ * @param {THREE.Material} material - 材质
+ * @param {number} r - 红色值
+ * @param {number} g - 绿色值
+ * @param {number} b - 蓝色值
+ * @param {number} a - 透明度值
+ * @returns {boolean} 材质类型与新的透明度相符并已更新时返回 true，否则需要重新创建材质
+ */
+export const updateColorMaterial = (material, r, g, b, a) => {
+  const transparent = a <= 0.99;
+  if (transparent ? !material.isMeshBasicMaterial : !material.isMeshPhongMaterial) {
+    return false;
+  }
+  const opacity = transparent ? a + 0.1 : a;
+  material.color.setRGB(r, g, b);
+  material.opacity = opacity;
+  // 按比例缩放过不透明度的材质以新的不透明度为基准
+  if (material.userData.baseOpacity !== undefined) {
+    material.userData.baseOpacity = opacity;
+  }
+  return true;
+};
+
+/**
+ * 原地更新点与线标记材质的颜色与不透明度。使用逐点颜色时颜色与不透明度都由逐点颜色决定，不做修改。
+ * @param {THREE.Material} material - `createLineMarker` 或 `createPointsMarker` 创建的材质
+ * @param {number} r - 红色值
+ * @param {number} g - 绿色值
+ * @param {number} b - 蓝色值
+ * @param {number} a - 透明度值
+ */
+export const updatePointsColor = (material, r, g, b, a) => {
+  if (material.vertexColors) {
+    return;
+  }
+  const transparent = a < 1;
+  if (material.uniforms) {
+    material.uniforms.diffuse.value.setRGB(r, g, b);
+    material.uniforms.opacity.value = a;
+  } else {
+    material.color.setRGB(r, g, b);
+  }
+  material.opacity = a;
+  if (material.userData.baseOpacity !== undefined) {
+    material.userData.baseOpacity = a;
+    material.userData.baseTransparent = transparent;
+  }
+  if (material.transparent !== transparent) {
+    material.transparent = transparent;
+    if (material.uniforms) {
+      material.depthWrite = !transparent;
+    }
+    material.needsUpdate = true;
+  }
+};
+
 /**
  * 创建立方体标记
  * @param {Object} message - 标记消息
@@ -120,11 +203,8 @@ export const createLineMarker = (message, baseMaterial, isStrip = true) => {
     }
     geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
   } else {
-    material.color.setRGB(
-      baseMaterial.color.r,
-      baseMaterial.color.g,
-      baseMaterial.color.b
-    );
+    const { r, g, b, a } = message.color;
+    updatePointsColor(material, r, g, b, a);
   }
 
   // 返回线条对象
@@ -134,52 +214,52 @@ export const createLineMarker = (message, baseMaterial, isStrip = true) => {
 };
 
 /**
- * 创建点标记
+ * 创建点标记。与 RViz 一致，scale.x 为点的宽度（米）。
  * @param {Object} message - 标记消息
  * @param {THREE.Material} baseMaterial - 基础材质
- * @returns {THREE.Points} 点系统
+ * @param {string} [style='squares'] - 点的渲染样式，参见 `POINT_STYLES`
+ * @returns {THREE.Points|THREE.Mesh} 点集对象
  */
-export const createPointsMarker = (message, baseMaterial) => {
-  const geometry = new THREE.BufferGeometry();
-  const material = new THREE.PointsMaterial({
-    size: message.scale.x,
-    color: new THREE.Color().setRGB(
-      baseMaterial.color.r,
-      baseMaterial.color.g,
-      baseMaterial.color.b
-    ),
-  });
+export const createPointsMarker = (message, baseMaterial, style = "squares") => {
+  const geometry = createPointsGeometry(style);
+  const numPoints = message.points.length;
 
   // 创建位置数组
-  const positions = new Float32Array(message.points.length * 3);
-  for (let i = 0; i < message.points.length; i++) {
+  const positions = new Float32Array(numPoints * 3);
+  for (let i = 0; i < numPoints; i++) {
     positions[i * 3] = message.points[i].x;
     positions[i * 3 + 1] = message.points[i].y;
     positions[i * 3 + 2] = message.points[i].z;
   }
+  geometry.setAttribute("position", createPointAttribute(style, positions));
 
-  // 设置位置属性
-  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
-
-  // 确定颜色
-  if (message.colors && message.colors.length === message.points.length) {
-    material.vertexColors = true;
-    const colors = new Float32Array(message.colors.length * 3);
-    for (let i = 0; i < message.colors.length; i++) {
+  // 确定颜色：逐点颜色存在时使用顶点色，否则使用标记颜色
+  const vertexColors =
+    Boolean(message.colors) && message.colors.length === numPoints;
+  if (vertexColors) {
+    const colors = new Float32Array(numPoints * 3);
+    for (let i = 0; i < numPoints; i++) {
       colors[i * 3] = message.colors[i].r;
       colors[i * 3 + 1] = message.colors[i].g;
       colors[i * 3 + 2] = message.colors[i].b;
     }
-    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
-  } else {
-    material.color.setRGB(
-      baseMaterial.color.r,
-      baseMaterial.color.g,
-      baseMaterial.color.b
-    );
+    geometry.setAttribute("color", createPointAttribute(style, colors));
+  }
+  if (geometry.isInstancedBufferGeometry) {
+    geometry.instanceCount = numPoints;
   }
 
-  return new THREE.Points(geometry, material);
+  const material = createPointsMaterial(style, {
+    size: message.scale.x,
+    worldSize: true,
+    vertexColors,
+    color: vertexColors ? 0xffffff : baseMaterial.color.clone(),
+  });
+  if (!vertexColors) {
+    const { r, g, b, a } = message.color;
+    updatePointsColor(material, r, g, b, a);
+  }
+  return createPointsObject(style, geometry, material);
 };
 
 /**
@@ -233,7 +313,169 @@ export const createArrowMarker = (message, material) => {
 };
 
 /**
- * 创建实例化网格标记（用于列表类型）
+ * 原地更新点标记的坐标与逐点颜色，点数超过缓冲区容量时按 1.5 倍扩容。
+ * @param {THREE.Points|THREE.Mesh} object - `createPointsMarker` 创建的点集对象
+ * @param {Object} message - 标记消息
+ * @returns {boolean} 成功时返回 true；是否使用逐点颜色发生变化时返回 false，需要重建
+ */
+export const updatePointsMarker = (object, message) => {
+  const { geometry, material } = object;
+  const numPoints = message.points.length;
+  const vertexColors =
+    Boolean(message.colors) && message.colors.length === numPoints;
+  if (vertexColors !== Boolean(material.vertexColors)) {
+    return false;
+  }
+
+  let positions = geometry.getAttribute("position");
+  let colors = geometry.getAttribute("color");
+  if (numPoints > positions.count) {
+    const capacity = Math.max(numPoints, Math.ceil(positions.count * 1.5));
+    const grow = (attribute) => {
+      const next = attribute.isInstancedBufferAttribute
+        ? new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3, false)
+        : new THREE.BufferAttribute(new Float32Array(capacity * 3), 3, false);
+      return next.setUsage(THREE.DynamicDrawUsage);
+    };
+    // 实例化几何体的最大实例数在首次绘制时确定，不随属性扩容，因此换用新的几何体，
+    // 只沿用基础形状（索引与 shape / normal 属性），旧几何体的缓冲区随之释放
+    const next = geometry.isInstancedBufferGeometry
+      ? new THREE.InstancedBufferGeometry()
+      : new THREE.BufferGeometry();
+    next.setIndex(geometry.index);
+    Object.keys(geometry.attributes).forEach((name) => {
+      if (name !== "position" && name !== "color") {
+        next.setAttribute(name, geometry.getAttribute(name));
+      }
+    });
+    positions = grow(positions);
+    next.setAttribute("position", positions);
+    if (colors) {
+      colors = grow(colors);
+      next.setAttribute("color", colors);
+    }
+    object.geometry = next;
+    geometry.dispose();
+  }
+
+  for (let i = 0; i < numPoints; i++) {
+    const point = message.points[i];
+    positions.setXYZ(i, point.x, point.y, point.z);
+    if (vertexColors) {
+      const color = message.colors[i];
+      colors.setXYZ(i, color.r, color.g, color.b);
+    }
+  }
+  positions.needsUpdate = true;
+  if (vertexColors) {
+    colors.needsUpdate = true;
+  }
+  setPointsCount(object.geometry, numPoints);
+  return true;
+};
+
+/**
+ * 标记的实例数：CUBE_LIST / SPHERE_LIST 每个点一个实例，CUBE / SPHERE 为一个实例。
+ * @param {Object} message - 标记消息
+ * @returns {number} 实例数
+ */
+export const markerInstanceCount = (message) => instancePoints(message).length;
+
+const instancePoints = (message) =>
+  message.type === MARKER_CUBE_LIST || message.type === MARKER_SPHERE_LIST
+    ? message.points
+    : ORIGIN;
+
+/**
+ * 按标记的点与尺寸写入实例矩阵（每个实例 16 个元素）。
+ * @param {Float32Array} array - 目标数组
+ * @param {number} offset - 起始实例下标
+ * @param {Object} message - 标记消息
+ * @param {THREE.Matrix4} [parentMatrix] - 左乘的变换，默认为单位矩阵
+ */
+export const writeInstanceMatrices = (array, offset, message, parentMatrix = IDENTITY) => {
+  const e = parentMatrix.elements;
+  const { x: sx, y: sy, z: sz } = message.scale;
+  const points = instancePoints(message);
+  for (let i = 0; i < points.length; i++) {
+    const { x, y, z } = points[i];
+    const k = (offset + i) * 16;
+    // parentMatrix * 平移(点) * 缩放(scale)，按列主序写入
+    for (let r = 0; r < 4; r++) {
+      array[k + r] = e[r] * sx;
+      array[k + 4 + r] = e[4 + r] * sy;
+      array[k + 8 + r] = e[8 + r] * sz;
+      array[k + 12 + r] = e[r] * x + e[4 + r] * y + e[8 + r] * z + e[12 + r];
+    }
+  }
+};
+
+/**
+ * 写入实例颜色（每个实例 3 个元素）：列表类型的逐点颜色存在时使用逐点颜色，否则使用标记颜色。
+ * @param {Float32Array} array - 目标数组
+ * @param {number} offset - 起始实例下标
+ * @param {Object} message - 标记消息
+ */
+export const writeInstanceColors = (array, offset, message) => {
+  const points = instancePoints(message);
+  const perPoint =
+    points !== ORIGIN && Boolean(message.colors) && message.colors.length === points.length;
+  for (let i = 0; i < points.length; i++) {
+    const color = perPoint ? message.colors[i] : message.color;
+    const k = (offset + i) * 3;
+    array[k] = color.r;
+    array[k + 1] = color.g;
+    array[k + 2] = color.b;
+  }
+};
+
+/**
+ * 确保实例化网格能容纳 n 个实例，容量不足时按 1.5 倍扩容实例矩阵与实例颜色缓冲区。
+ * 扩容后缓冲区内容为空，调用方需要重新写入全部实例。
+ * @param {THREE.InstancedMesh} mesh - 实例化网格，实例颜色为几何体的 `color` 属性
+ * @param {number} n - 实例数
+ * @returns {boolean} 是否扩容
+ */
+export const ensureInstanceCapacity = (mesh, n) => {
+  const capacity = mesh.instanceMatrix.count;
+  if (n <= capacity) {
+    return false;
+  }
+  const size = Math.max(n, Math.ceil(capacity * 1.5));
+  // InstancedMesh 按 mesh.count 绘制，只需替换属性，旧缓冲区随属性对象一起被回收
+  mesh.instanceMatrix = new THREE.InstancedBufferAttribute(new Float32Array(size * 16), 16);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  if (mesh.geometry.getAttribute("color")) {
+    const colors = new THREE.InstancedBufferAttribute(new Float32Array(size * 3), 3);
+    mesh.geometry.setAttribute("color", colors.setUsage(THREE.DynamicDrawUsage));
+  }
+  return true;
+};
+
+/**
+ * 原地更新实例化网格标记的实例矩阵与实例颜色，只上传使用中的部分。
+ * @param {THREE.InstancedMesh} mesh - `createInstancedMeshMarker` 创建的实例化网格
+ * @param {Object} message - 标记消息
+ */
+export const updateInstancedMeshMarker = (mesh, message) => {
+  const n = markerInstanceCount(message);
+  ensureInstanceCapacity(mesh, n);
+  mesh.count = n;
+  if (n === 0) {
+    return;
+  }
+  const colors = mesh.geometry.getAttribute("color");
+  writeInstanceMatrices(mesh.instanceMatrix.array, 0, message);
+  writeInstanceColors(colors.array, 0, message);
+  mesh.instanceMatrix.updateRange = { offset: 0, count: n * 16 };
+  colors.updateRange = { offset: 0, count: n * 3 };
+  mesh.instanceMatrix.needsUpdate = true;
+  colors.needsUpdate = true;
+};
+
+/**
+ * 创建实例化网格标记（用于列表类型）。实例颜色取逐点颜色或标记颜色，材质颜色为白色，
+ * 材质只决定不透明度；缓冲区在 `updateInstancedMeshMarker` 中复用。
  * @param {Object} message - 标记消息
  * @param {THREE.Material} material - 材质
  * @param {Function} geometryCreator - 几何体创建函数
@@ -244,54 +486,49 @@ export const createInstancedMeshMarker = (
   material,
   geometryCreator
 ) => {
-  const numPoints = message.points.length;
+  const capacity = Math.max(markerInstanceCount(message), 1);
   const geometry = geometryCreator();
+  const colors = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+  geometry.setAttribute("color", colors.setUsage(THREE.DynamicDrawUsage));
+  material.color.setRGB(1, 1, 1);
+  material.vertexColors = true;
 
-  const instancedMesh = new THREE.InstancedMesh(geometry, material, numPoints);
-
-  const matrix = new THREE.Matrix4();
-  const position = new THREE.Vector3();
-  const scale = new THREE.Vector3(
-    message.scale.x,
-    message.scale.y,
-    message.scale.z
-  );
-  const quaternion = new THREE.Quaternion();
-
-  // 为每个实例设置位置
-  for (let i = 0; i < numPoints; i++) {
-    position.set(message.points[i].x, message.points[i].y, message.points[i].z);
-    matrix.compose(position, quaternion, scale);
-    instancedMesh.setMatrixAt(i, matrix);
-  }
-
-  instancedMesh.instanceMatrix.needsUpdate = true;
+  const instancedMesh = new THREE.InstancedMesh(geometry, material, capacity);
+  instancedMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  // 包围球只覆盖单个基础形状，不能用于剔除
+  instancedMesh.frustumCulled = false;
+  updateInstancedMeshMarker(instancedMesh, message);
   return instancedMesh;
 };
 
-import {
-  MARKER_ARROW,
-  MARKER_CUBE,
-  MARKER_SPHERE,
-  MARKER_CYLINDER,
-  MARKER_LINE_STRIP,
-  MARKER_LINE_LIST,
-  MARKER_CUBE_LIST,
-  MARKER_SPHERE_LIST,
-  MARKER_POINTS,
-  MARKER_TEXT_VIEW_FACING,
-  MARKER_MESH_RESOURCE,
-  MARKER_TRIANGLE_LIST,
-} from "../constants/marker.constants.js";
+/**
+ * 创建文本标记：以 `scale.z` 为文本高度（米）的 SDF 文本标签，支持多行文本
+ * @param {Object} message - 标记消息
+ * @param {Object} [style] - `TextLabel` 的其余选项，例如 `outlineColor`、`backgroundColor`、`pixelHeight` 与 `fontFamily`
+ * @returns {TextLabel} 文本标签
+ */
+export const createTextMarker = (message, style = {}) => {
+  const { r, g, b, a } = message.color;
+  return new TextLabel({
+    ...style,
+    text: message.text,
+    height: message.scale.z,
+    color: new THREE.Color(r, g, b),
+    opacity: a,
+  });
+};
 
 /**
  * 创建标记的工厂函数
  * @param {Object} message - 标记消息
  * @param {string} path - 路径
  * @param {THREE.Material} colorMaterial - 颜色材质
+ * @param {Object} [options] - 创建选项
+ * @param {string} [options.pointStyle] - MARKER_POINTS 的渲染样式，参见 `POINT_STYLES`
+ * @param {Object} [options.textStyle] - TEXT_VIEW_FACING 标记的描边、背景框与字体等选项，参见 `createTextMarker`
  * @returns {THREE.Object3D} 标记对象
  */
-export const createMarkerObject = (message, path, colorMaterial) => {
+export const createMarkerObject = (message, path, colorMaterial, options = {}) => {
   switch (message.type) {
     case MARKER_ARROW:
       return createArrowMarker(message, colorMaterial);
@@ -309,16 +546,16 @@ export const createMarkerObject = (message, path, colorMaterial) => {
       return createInstancedMeshMarker(
         message,
         colorMaterial,
-        () => new THREE.BoxGeometry(1, 1, 1)
+        () => new THREE.BoxBufferGeometry(1, 1, 1)
       );
     case MARKER_SPHERE_LIST:
       return createInstancedMeshMarker(
         message,
         colorMaterial,
-        () => new THREE.SphereGeometry(0.5, 8, 8)
+        () => new THREE.SphereBufferGeometry(0.5, 8, 8)
       );
     case MARKER_POINTS:
-      return createPointsMarker(message, colorMaterial);
+      return createPointsMarker(message, colorMaterial, options.pointStyle);
     case MARKER_TRIANGLE_LIST:
       const tri = new TriangleList({
         material: colorMaterial,
@@ -349,53 +586,7 @@ export const createMarkerObject = (message, path, colorMaterial) => {
       });
       return meshResource;
     case MARKER_TEXT_VIEW_FACING:
-      // 文本标记的实现保持原样
-      if (message.text && message.text.length > 0) {
-        const textColor = {
-          r: message.color.r,
-          g: message.color.g,
-          b: message.color.b,
-          a: message.color.a,
-        };
-        const canvas = document.createElement("canvas");
-        const context = canvas.getContext("2d");
-        const textHeight = 100;
-        const fontString = "normal " + textHeight + "px sans-serif";
-        context.font = fontString;
-        const metrics = context.measureText(message.text);
-        const textWidth = metrics.width;
-
-        canvas.width = textWidth;
-        canvas.height = 1.5 * textHeight;
-
-        context.font = fontString;
-        context.fillStyle =
-          "rgba(" +
-          Math.round(255 * textColor.r) +
-          ", " +
-          Math.round(255 * textColor.g) +
-          ", " +
-          Math.round(255 * textColor.b) +
-          ", " +
-          textColor.a +
-          ")";
-        context.textAlign = "left";
-        context.textBaseline = "middle";
-        context.fillText(message.text, 0, canvas.height / 2);
-
-        const texture = new THREE.Texture(canvas);
-        texture.needsUpdate = true;
-
-        const spriteMaterial = new THREE.SpriteMaterial({
-          map: texture,
-        });
-        const sprite = new THREE.Sprite(spriteMaterial);
-        const textSize = message.scale.x;
-        sprite.scale.set((textWidth / canvas.height) * textSize, textSize, 1);
-
-        return sprite;
-      }
-      return new THREE.Object3D(); // 空对象
+      return createTextMarker(message, options.textStyle);
     default:
       console.error("Currently unsupported marker type: " + message.type);
       return new THREE.Object3D(); // 空对象
@@ -0,0 +1,135 @@
+/**
+ * @fileOverview 标记的生命周期与坐标系锁定（frame_locked），由 MarkerClient 与 MarkerArrayClient 共用。
+ */
+
+import { stampToSeconds } from "../utils/ros.js";
+import { RosClock } from "../utils/RosClock.js";
+
+// 检查过期标记的间隔（毫秒）
+const CHECK_INTERVAL = 100;
+
+/**
+ * 计算标记的过期时刻。生命周期从 `header.stamp` 开始计算，时间戳为 0 时从接收时刻开始。
+ * @function markerExpiry
+ * @param {object} message - `visualization_msgs/Marker` 消息。
+ * @param {number|null} now - 当前 ROS 时间（秒），仿真时间尚不可用时为 null。
+ * @param {number} [fallbackLifetime=0] - 消息生命周期为 0 时使用的生命周期（秒），从接收时刻开始计算。
+ * @returns {number} 过期时刻（秒），永不过期或无法确定起点时为 Infinity。
+ */
+export function markerExpiry(message, now, fallbackLifetime = 0) {
+  const lifetime = stampToSeconds(message.lifetime);
+  if (lifetime > 0) {
+    const stamp = stampToSeconds(message.header && message.header.stamp);
+    const start = stamp > 0 ? stamp : now;
+    return start === null ? Infinity : start + lifetime;
+  }
+  return fallbackLifetime > 0 && now !== null ? now + fallbackLifetime : Infinity;
+}
+
+/**
+ * 按 `frame_locked` 绑定标记场景节点的坐标系：锁定的标记跟随最新的TF变换；
+ * 未锁定的标记停留在时间戳时刻的变换上（TF客户端不支持按时间查询或时间戳为 0 时，停留在接收时刻的变换上）。
+ * 标记更新时应再次调用，以使用新消息的时间戳。
+ * @function bindMarkerFrame
+ * @param {SceneNode} node - 标记的场景节点。
+ * @param {object} message - `visualization_msgs/Marker` 消息。
+ */
+export function bindMarkerFrame(node, message) {
+  const stamp = message.header && message.header.stamp;
+  if (message.frame_locked) {
+    node.setStamp(null);
+    node.setFrozen(false);
+  } else if (node.isTimeAware() && stampToSeconds(stamp) > 0) {
+    node.setFrozen(false);
+    node.setStamp(stamp);
+  } else {
+    node.setStamp(null);
+    node.setFrozen(true);
+  }
+}
+
+/**
+ * 按过期时刻移除标记。只有存在会过期的标记时才定时检查，时钟可以是系统时间或仿真时间。
+ * @private
+ */
+export class MarkerLifetimes {
+  /**
+   * @param {object} options - 配置选项。
+   * @param {RosClock|function(): (number|null)} [options.clock] - 时钟，或返回当前 ROS 时间（秒）的函数，默认为系统时间。
+   * @param {function(string): void} options.onExpire - 标记过期时以其键调用。
+   */
+  constructor(options) {
+    this.clock = options.clock || new RosClock();
+    this.onExpire = options.onExpire;
+    this.expiries = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * 当前 ROS 时间。
+   * @returns {number|null} 秒数，仿真时间尚不可用时为 null。
+   */
+  now() {
+    const now = typeof this.clock === "function" ? this.clock() : this.clock.now();
+    return now === undefined ? null : now;
+  }
+
+  /**
+   * 设置标记的过期时刻，Infinity 表示永不过期。
+   * @param {string} key - 标记的键。
+   * @param {number} expiry - 过期时刻（秒）。
+   */
+  set(key, expiry) {
+    if (expiry === Infinity) {
+      this.delete(key);
+      return;
+    }
+    this.expiries.set(key, expiry);
+    if (!this.timer) {
+      this.timer = setInterval(() => this.check(), CHECK_INTERVAL);
+    }
+  }
+
+  /**
+   * 停止跟踪标记。
+   * @param {string} key - 标记的键。
+   */
+  delete(key) {
+    this.expiries.delete(key);
+    if (this.expiries.size === 0) {
+      this.#stop();
+    }
+  }
+
+  /**
+   * 移除所有已过期的标记。
+   * @returns {boolean} 是否有标记过期。
+   */
+  check() {
+    const now = this.now();
+    if (now === null) {
+      return false;
+    }
+    const expired = [...this.expiries].filter(([, expiry]) => now >= expiry).map(([key]) => key);
+    expired.forEach((key) => {
+      this.delete(key);
+      this.onExpire(key);
+    });
+    return expired.length > 0;
+  }
+
+  /**
+   * 停止跟踪所有标记。
+   */
+  clear() {
+    this.expiries.clear();
+    this.#stop();
+  }
+
+  #stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
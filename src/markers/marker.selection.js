@@ -0,0 +1,107 @@
+/**
+ * @fileOverview 标记的鼠标选择与悬停事件，由 MarkerClient 与 MarkerArrayClient 共用。
+ */
+
+import {
+  MARKER_CUBE_LIST,
+  MARKER_SPHERE_LIST,
+  MARKER_POINTS,
+} from "../constants/marker.constants.js";
+
+// 按下与抬起之间移动超过该距离（像素）时视为拖动而不是单击
+const CLICK_TOLERANCE = 4;
+
+/**
+ * 描述鼠标事件命中的标记。
+ * @function describeMarker
+ * @param {Marker} marker - 标记。
+ * @param {object} [event3D] - MouseHandler 派发的事件。
+ * @returns {{ns: string, id: number, type: number, pose: object, text: string, frameID: string,
+ *   point: THREE.Vector3|null, index: number|null, marker: Marker}} 标记信息：`pose` 为消息中的位姿（标记坐标系），
+ *   `point` 为射线与标记的交点（场景根坐标系），`index` 为列表与点标记中命中的点的下标。
+ */
+export function describeMarker(marker, event3D) {
+  const { message } = marker;
+  const intersection = event3D && event3D.intersection;
+  const hit = intersection && intersection.object && isPartOf(intersection.object, marker, intersection);
+  let index = null;
+  if (hit && [MARKER_CUBE_LIST, MARKER_SPHERE_LIST, MARKER_POINTS].includes(message.type)) {
+    const member = marker.children[0];
+    if (intersection.instanceId !== undefined) {
+      index = member && member.isMarkerBatchMember
+        ? intersection.instanceId - member.offset
+        : intersection.instanceId;
+    } else if (intersection.index !== undefined) {
+      index = intersection.index;
+    }
+  }
+  return {
+    ns: message.ns,
+    id: message.id,
+    type: message.type,
+    pose: message.pose,
+    text: message.text,
+    frameID: message.header.frame_id,
+    point: hit ? intersection.point.clone() : null,
+    index,
+    marker,
+  };
+}
+
+/**
+ * 判断交点是否落在标记上：交点对象是标记的后代，或是合并绘制的批次中属于该标记的实例。
+ */
+function isPartOf(object, marker, intersection) {
+  if (typeof object.resolvePickTarget === "function") {
+    const target = object.resolvePickTarget(intersection);
+    return Boolean(target) && target.parent === marker;
+  }
+  for (let current = object; current; current = current.parent) {
+    if (current === marker) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 让标记响应 MouseHandler 的鼠标事件：悬停与单击时由 `emitter` 派发 'mouseover'、'mouseout' 与 'click' 事件，
+ * 参数为 `describeMarker` 的结果。标记接受悬停事件，因此 Highlighter 会高亮悬停的标记；
+ * 合并绘制的标记使用只包含自身实例的代理网格高亮。
+ * 标记需要位于 MouseHandler 的拾取根对象（`viewer.selectableObjects`）中。
+ * @function bindMarkerSelection
+ * @param {Marker} marker - 标记。
+ * @param {EventEmitter} emitter - 派发事件的客户端。
+ */
+export function bindMarkerSelection(marker, emitter) {
+  let press = null;
+
+  marker.addEventListener("mouseover", (event3D) => {
+    event3D.stopPropagation();
+    const member = marker.children[0];
+    if (member && member.isMarkerBatchMember) {
+      member.createHighlight();
+    }
+    emitter.emit("mouseover", describeMarker(marker, event3D));
+  });
+  marker.addEventListener("mouseout", (event3D) => {
+    event3D.stopPropagation();
+    emitter.emit("mouseout", describeMarker(marker));
+  });
+  marker.addEventListener("mousedown", (event3D) => {
+    const { domEvent } = event3D;
+    press = { x: domEvent.clientX, y: domEvent.clientY };
+  });
+  marker.addEventListener("click", (event3D) => {
+    const { domEvent } = event3D;
+    // 从标记上开始拖动（例如旋转视角）不视为单击
+    const dragged =
+      press !== null &&
+      Math.hypot(domEvent.clientX - press.x, domEvent.clientY - press.y) > CLICK_TOLERANCE;
+    press = null;
+    if (!dragged) {
+      event3D.stopPropagation();
+      emitter.emit("click", describeMarker(marker, event3D));
+    }
+  });
+}
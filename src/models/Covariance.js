@@ -0,0 +1,241 @@
+/**
+ * @fileOverview 定义了 Covariance 类，用于显示位姿协方差的位置椭球与姿态不确定度。
+ */
+
+import * as THREE from "three";
+
+// 姿态锥体的最大半张角，避免不确定度过大时锥体半径趋于无穷
+const MAX_CONE_ANGLE = (80 * Math.PI) / 180;
+// 扇形的分段数
+const DISC_SEGMENTS = 32;
+
+// 6x6 协方差中 roll、pitch、yaw 方差的下标
+const ROLL = 21;
+const PITCH = 28;
+const YAW = 35;
+
+/**
+ * 对称 3x3 矩阵的特征分解（Jacobi 方法）。
+ * @function symmetricEigen3
+ * @param {Array<Array<number>>} matrix - 按行存储的对称矩阵。
+ * @returns {{values: Array<number>, vectors: Array<THREE.Vector3>}} 特征值与对应的单位特征向量，
+ *   特征向量构成右手系。
+ */
+export function symmetricEigen3(matrix) {
+  const a = matrix.map((row) => [...row]);
+  const v = [
+    [1, 0, 0],
+    [0, 1, 0],
+    [0, 0, 1],
+  ];
+  for (let sweep = 0; sweep < 32; sweep++) {
+    const off = a[0][1] * a[0][1] + a[0][2] * a[0][2] + a[1][2] * a[1][2];
+    if (off < 1e-30) {
+      break;
+    }
+    for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+      if (Math.abs(a[p][q]) < 1e-300) {
+        continue;
+      }
+      const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+      const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+      const c = 1 / Math.sqrt(t * t + 1);
+      const s = t * c;
+      for (let k = 0; k < 3; k++) {
+        const akp = a[k][p];
+        const akq = a[k][q];
+        a[k][p] = c * akp - s * akq;
+        a[k][q] = s * akp + c * akq;
+      }
+      for (let k = 0; k < 3; k++) {
+        const apk = a[p][k];
+        const aqk = a[q][k];
+        a[p][k] = c * apk - s * aqk;
+        a[q][k] = s * apk + c * aqk;
+      }
+      for (let k = 0; k < 3; k++) {
+        const vkp = v[k][p];
+        const vkq = v[k][q];
+        v[k][p] = c * vkp - s * vkq;
+        v[k][q] = s * vkp + c * vkq;
+      }
+    }
+  }
+  const vectors = [0, 1, 2].map((i) => new THREE.Vector3(v[0][i], v[1][i], v[2][i]));
+  if (vectors[0].clone().cross(vectors[1]).dot(vectors[2]) < 0) {
+    vectors[2].negate();
+  }
+  return { values: [a[0][0], a[1][1], a[2][2]], vectors };
+}
+
+/**
+ * 把半张角转换为单位长度锥体的底面半径。
+ * @private
+ */
+function coneRadius(variance, sigma) {
+  const angle = Math.min(sigma * Math.sqrt(Math.max(variance, 0)), MAX_CONE_ANGLE);
+  return Math.max(Math.tan(angle), 1e-4);
+}
+
+/**
+ * Covariance 对象显示 `geometry_msgs/PoseWithCovariance` 的不确定度：
+ * - 位置：对协方差左上 3x3 块做特征分解，按 `sigma` 倍标准差绘制椭球，椭球轴与消息坐标系中的特征向量一致。
+ * - 姿态（位姿的局部坐标系中）：`orientationMode` 为 '3d' 时沿局部 X、Y、Z 轴各绘制一个椭圆锥，
+ *   锥体两个方向的半张角为使该轴偏转的两个旋转的 `sigma` 倍标准差（例如 X 轴锥体由 yaw 和 pitch 决定）；
+ *   为 '2d' 时只在 XY 平面绘制张角为 ±`sigma` 倍 yaw 标准差的扇形。
+ */
+export class Covariance extends THREE.Object3D {
+  /**
+   * @param {object} [options] - 配置选项。
+   * @param {number} [options.sigma=1] - 按几倍标准差绘制。
+   * @param {THREE.Color|number|string} [options.positionColor=0xcc33cc] - 位置椭球的颜色。
+   * @param {THREE.Color|number|string} [options.orientationColor] - 姿态锥体或扇形的颜色，
+   *   默认 X、Y、Z 锥体分别为红、绿、蓝，扇形为黄色。
+   * @param {number} [options.opacity=0.3] - 不透明度。
+   * @param {string|boolean} [options.orientationMode='3d'] - 姿态不确定度的显示方式：'3d'、'2d' 或 false（不显示）。
+   * @param {number} [options.orientationScale=1] - 锥体长度与扇形半径（米）。
+   */
+  constructor(options = {}) {
+    super();
+    const {
+      sigma = 1,
+      positionColor = 0xcc33cc,
+      orientationColor,
+      opacity = 0.3,
+      orientationMode = "3d",
+      orientationScale = 1,
+    } = options;
+
+    this.sigma = sigma;
+    this.orientationMode = orientationMode;
+    this.orientationScale = orientationScale;
+
+    const material = (color) =>
+      new THREE.MeshBasicMaterial({
+        color,
+        opacity,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+      });
+
+    this.position3D = new THREE.Mesh(
+      new THREE.SphereBufferGeometry(1, 24, 16),
+      material(positionColor)
+    );
+    this.add(this.position3D);
+
+    // 姿态部分位于位姿的局部坐标系中
+    this.orientation3D = new THREE.Object3D();
+    this.add(this.orientation3D);
+    this.cones = [];
+    this.disc = null;
+
+    if (orientationMode === "2d") {
+      const geometry = new THREE.BufferGeometry();
+      const positions = new Float32Array((DISC_SEGMENTS + 2) * 3);
+      const position = new THREE.BufferAttribute(positions, 3);
+      position.setUsage(THREE.DynamicDrawUsage);
+      geometry.setAttribute("position", position);
+      const index = [];
+      for (let i = 1; i <= DISC_SEGMENTS; i++) {
+        index.push(0, i, i + 1);
+      }
+      geometry.setIndex(index);
+      this.disc = new THREE.Mesh(geometry, material(orientationColor ?? 0xffff00));
+      this.disc.frustumCulled = false;
+      this.orientation3D.add(this.disc);
+    } else if (orientationMode) {
+      // 顶点位于原点、底面位于 x = 1 的单位锥体，X、Y、Z 轴的锥体由其旋转得到
+      const cone = new THREE.ConeBufferGeometry(1, 1, 24, 1, true);
+      cone.translate(0, -0.5, 0);
+      cone.rotateZ(Math.PI / 2);
+      const rotations = [
+        new THREE.Euler(0, 0, 0),
+        new THREE.Euler(0, 0, Math.PI / 2),
+        new THREE.Euler(0, -Math.PI / 2, 0),
+      ];
+      const colors = [0xff0000, 0x00ff00, 0x0000ff];
+      this.cones = rotations.map((rotation, i) => {
+        const mesh = new THREE.Mesh(cone, material(orientationColor ?? colors[i]));
+        mesh.rotation.copy(rotation);
+        this.orientation3D.add(mesh);
+        return mesh;
+      });
+    }
+    this.visible = false; // 收到协方差前不显示
+  }
+
+  /**
+   * @method update
+   * @description 按位姿与协方差更新显示，不重新创建几何体。
+   * @param {object} pose - `geometry_msgs/Pose`，位于父对象（消息）坐标系中。
+   * @param {Array<number>} covariance - 按行展开的 6x6 协方差（x、y、z、roll、pitch、yaw）。
+   */
+  update(pose, covariance) {
+    const { position, orientation } = pose;
+    const c = covariance;
+
+    const { values, vectors } = symmetricEigen3([
+      [c[0], c[1], c[2]],
+      [c[6], c[7], c[8]],
+      [c[12], c[13], c[14]],
+    ]);
+    this.position3D.position.set(position.x, position.y, position.z);
+    this.position3D.quaternion.setFromRotationMatrix(
+      new THREE.Matrix4().makeBasis(vectors[0], vectors[1], vectors[2])
+    );
+    this.position3D.scale.set(
+      ...values.map((value) => Math.max(this.sigma * Math.sqrt(Math.max(value, 0)), 1e-4))
+    );
+
+    this.orientation3D.position.set(position.x, position.y, position.z);
+    this.orientation3D.quaternion.set(orientation.x, orientation.y, orientation.z, orientation.w);
+    this.orientation3D.scale.setScalar(this.orientationScale);
+
+    if (this.cones.length > 0) {
+      // 每个锥体的局部 y、z 方向分别由两个使该轴偏转的旋转决定
+      const spans = [
+        [c[YAW], c[PITCH]],
+        [c[YAW], c[ROLL]],
+        [c[ROLL], c[PITCH]],
+      ];
+      this.cones.forEach((cone, i) => {
+        cone.scale.set(1, coneRadius(spans[i][0], this.sigma), coneRadius(spans[i][1], this.sigma));
+      });
+    }
+    if (this.disc) {
+      this.#updateDisc(c[YAW]);
+    }
+    this.visible = true;
+  }
+
+  /**
+   * 按 yaw 方差更新扇形顶点。
+   * @private
+   */
+  #updateDisc(variance) {
+    const angle = Math.min(this.sigma * Math.sqrt(Math.max(variance, 0)), Math.PI);
+    const attribute = this.disc.geometry.getAttribute("position");
+    const array = attribute.array;
+    for (let i = 0; i <= DISC_SEGMENTS; i++) {
+      const theta = -angle + (2 * angle * i) / DISC_SEGMENTS;
+      array[(i + 1) * 3] = Math.cos(theta);
+      array[(i + 1) * 3 + 1] = Math.sin(theta);
+      array[(i + 1) * 3 + 2] = 0;
+    }
+    attribute.needsUpdate = true;
+  }
+
+  /**
+   * 释放此对象占用的GPU资源。
+   */
+  dispose() {
+    this.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+  }
+}
@@ -32,6 +32,9 @@ export class MeshResource extends THREE.Object3D {
       ...loaderOptions // 将 material, warnings 等透传给加载函数
     } = options;
 
+    // 加载模型时使用的材质，为 null 时使用模型自带的材质
+    this.material = loaderOptions.material || null;
+
     if (!resource) {
       console.error("错误: MeshResource 的构造函数缺少 resource 参数。");
       return;
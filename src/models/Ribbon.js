@@ -0,0 +1,148 @@
+/**
+ * @fileOverview 定义了 Ribbon 类，用于以米为单位的宽度绘制始终朝向相机的折线。
+ */
+
+import * as THREE from "three";
+
+const VERTEX_SHADER = `
+attribute vec3 previous;
+attribute vec3 next;
+attribute float side;
+uniform float lineWidth;
+varying vec3 vColor;
+
+void main() {
+  vColor = vec3(1.0);
+#ifdef USE_COLOR
+  vColor = color;
+#endif
+  // 在视图空间中沿垂直于折线且垂直于视线的方向展开，宽度不随距离变化
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+  vec3 before = (modelViewMatrix * vec4(previous, 1.0)).xyz;
+  vec3 after = (modelViewMatrix * vec4(next, 1.0)).xyz;
+  vec3 direction = after - before;
+  if (length(direction) < 1e-6) {
+    direction = vec3(1.0, 0.0, 0.0);
+  }
+  vec3 normal = cross(normalize(direction), normalize(-mvPosition.xyz));
+  if (length(normal) < 1e-6) {
+    normal = vec3(0.0, 1.0, 0.0);
+  }
+  mvPosition.xyz += normalize(normal) * lineWidth * 0.5 * side;
+  gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const FRAGMENT_SHADER = `
+uniform vec3 diffuse;
+uniform float opacity;
+varying vec3 vColor;
+
+void main() {
+  gl_FragColor = vec4(diffuse * vColor, opacity);
+}
+`;
+
+/**
+ * Ribbon 把折线展开为宽度以米为单位、始终朝向相机的条带（对应 RViz 的 Billboards 线型），
+ * 用于替代 WebGL 中会被忽略的 `linewidth`。每个点生成左右两个顶点，在顶点着色器中按相邻点的方向展开。
+ */
+export class Ribbon extends THREE.Mesh {
+  /**
+   * @param {object} [options] - 配置选项。
+   * @param {number} [options.width=0.03] - 条带宽度（米）。
+   * @param {THREE.Color|number|string} [options.color=0xffffff] - 颜色，启用顶点色时与顶点色相乘。
+   * @param {number} [options.opacity=1] - 不透明度。
+   * @param {boolean} [options.vertexColors=false] - 是否使用 `setPoints` 传入的逐点颜色。
+   */
+  constructor(options = {}) {
+    const { width = 0.03, color = 0xffffff, opacity = 1, vertexColors = false } = options;
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        diffuse: { value: new THREE.Color(color) },
+        opacity: { value: opacity },
+        lineWidth: { value: width },
+      },
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER,
+      vertexColors,
+      transparent: opacity < 1,
+      depthWrite: opacity >= 1,
+      side: THREE.DoubleSide,
+    });
+    super(new THREE.BufferGeometry(), material);
+    // 顶点在着色器中展开，包围球不准确
+    this.frustumCulled = false;
+  }
+
+  /**
+   * 设置折线的点。
+   * @param {Array<{x: number, y: number, z: number}>} points - 折线上的点。
+   * @param {Float32Array|Array<number>} [colors] - 每个点的 RGB 颜色（0-1），长度为点数的 3 倍。
+   */
+  setPoints(points, colors) {
+    const n = points.length;
+    const position = new Float32Array(n * 6);
+    const previous = new Float32Array(n * 6);
+    const next = new Float32Array(n * 6);
+    const side = new Float32Array(n * 2);
+    const color = colors ? new Float32Array(n * 6) : null;
+    const write = (array, vertex, point) => {
+      array[vertex * 3] = point.x;
+      array[vertex * 3 + 1] = point.y;
+      array[vertex * 3 + 2] = point.z;
+    };
+
+    for (let i = 0; i < n; i++) {
+      const before = points[Math.max(i - 1, 0)];
+      const after = points[Math.min(i + 1, n - 1)];
+      for (let k = 0; k < 2; k++) {
+        const vertex = i * 2 + k;
+        write(position, vertex, points[i]);
+        write(previous, vertex, before);
+        write(next, vertex, after);
+        side[vertex] = k === 0 ? 1 : -1;
+        if (color) {
+          color[vertex * 3] = colors[i * 3];
+          color[vertex * 3 + 1] = colors[i * 3 + 1];
+          color[vertex * 3 + 2] = colors[i * 3 + 2];
+        }
+      }
+    }
+
+    const index = [];
+    for (let i = 0; i < n - 1; i++) {
+      const a = i * 2;
+      index.push(a, a + 1, a + 2, a + 2, a + 1, a + 3);
+    }
+
+    // 释放旧的GPU缓冲区
+    this.geometry.dispose();
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(position, 3));
+    geometry.setAttribute("previous", new THREE.BufferAttribute(previous, 3));
+    geometry.setAttribute("next", new THREE.BufferAttribute(next, 3));
+    geometry.setAttribute("side", new THREE.BufferAttribute(side, 1));
+    if (color) {
+      geometry.setAttribute("color", new THREE.BufferAttribute(color, 3));
+    }
+    geometry.setIndex(index);
+    this.geometry = geometry;
+  }
+
+  /**
+   * 设置条带宽度。
+   * @param {number} width - 宽度（米）。
+   */
+  setWidth(width) {
+    this.material.uniforms.lineWidth.value = width;
+  }
+
+  /**
+   * 释放此对象占用的GPU资源。
+   */
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
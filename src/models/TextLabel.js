@@ -0,0 +1,334 @@
+/**
+ * @fileOverview 定义了 TextLabel 类，用有向距离场（SDF）绘制始终朝向相机、任意缩放下都清晰的文本标签。
+ */
+
+import * as THREE from "three";
+import { rasterizeText, SDF_RADIUS, SDF_CUTOFF } from "./text.sdf.js";
+
+const VERTEX_SHADER = `
+uniform vec2 size;
+uniform vec2 viewport;
+uniform float pixelRatio;
+varying vec2 vUv;
+
+void main() {
+  // 距离场纹理的第一行是文本的顶部
+  vUv = vec2(uv.x, 1.0 - uv.y);
+  vec4 mvPosition = modelViewMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+#ifdef SCREEN_SIZE
+  // 以像素为单位在裁剪空间中展开，屏幕上的大小不随距离变化
+  gl_Position = projectionMatrix * mvPosition;
+  gl_Position.xy += position.xy * size * pixelRatio * 2.0 / viewport * gl_Position.w;
+#else
+  // 以米为单位在视图空间中展开
+  mvPosition.xy += position.xy * size;
+  gl_Position = projectionMatrix * mvPosition;
+#endif
+}
+`;
+
+const FRAGMENT_SHADER = `
+uniform sampler2D map;
+uniform vec3 color;
+uniform float opacity;
+uniform vec3 outlineColor;
+uniform float edge;
+uniform float outlineEdge;
+uniform vec4 background;
+varying vec2 vUv;
+
+void main() {
+  float sdf = texture2D(map, vUv).r;
+  // 按距离场在屏幕上的变化率抗锯齿，放大或缩小后边缘都保持一个像素左右的过渡
+  float smoothing = max(fwidth(sdf) * 0.7, 0.001);
+  float fill = smoothstep(edge - smoothing, edge + smoothing, sdf);
+  float glyph = smoothstep(outlineEdge - smoothing, outlineEdge + smoothing, sdf);
+  vec3 glyphColor = mix(outlineColor, color, fill);
+  float alpha = glyph + background.a * (1.0 - glyph);
+  if (alpha * opacity < 0.004) {
+    discard;
+  }
+  vec3 rgb = (glyphColor * glyph + background.rgb * background.a * (1.0 - glyph)) / alpha;
+  gl_FragColor = vec4(rgb, alpha * opacity);
+}
+`;
+
+const drawingBufferSize = new THREE.Vector2();
+const center = new THREE.Vector3();
+const right = new THREE.Vector3();
+const up = new THREE.Vector3();
+const corners = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+const hit = new THREE.Vector3();
+
+/**
+ * TextLabel 是始终朝向相机的文本标签。文本先在 Canvas 中绘制再转换为有向距离场纹理，
+ * 在着色器中按距离场重建边缘，因此放大后依然清晰，并可以绘制描边。支持 '\n' 分隔的多行文本与中文等任意 Unicode 字符。
+ * 文本的高度以米为单位（大写字母的高度，与 RViz 中 TEXT_VIEW_FACING 标记的 `scale.z` 一致），
+ * 或通过 `pixelHeight` 在屏幕上保持固定的像素大小。标签以对象的原点为中心，不受对象缩放的影响。
+ */
+export class TextLabel extends THREE.Mesh {
+  /**
+   * @param {object} [options] - 配置选项。
+   * @param {string} [options.text=''] - 文本，'\n' 分行。
+   * @param {number} [options.height=0.3] - 文本高度（米），即大写字母的高度。
+   * @param {number|null} [options.pixelHeight=null] - 设置后文本在屏幕上保持该高度（CSS 像素），忽略 `height`。
+   * @param {THREE.Color|number|string} [options.color=0xffffff] - 文本颜色。
+   * @param {number} [options.opacity=1] - 不透明度，同时作用于描边与背景框。
+   * @param {THREE.Color|number|string|null} [options.outlineColor=null] - 描边颜色，为 null 时不描边。
+   * @param {number} [options.outlineWidth=0.12] - 描边宽度，相对文本高度的比例，最大约 0.2。
+   * @param {THREE.Color|number|string|null} [options.backgroundColor=null] - 背景框颜色，为 null 时不绘制背景框。
+   * @param {number} [options.backgroundOpacity=0.6] - 背景框的不透明度。
+   * @param {number} [options.padding=0.3] - 背景框在文本四周的边距，相对文本高度的比例。
+   * @param {string} [options.fontFamily='sans-serif'] - 字体。
+   * @param {string} [options.fontWeight='normal'] - 字重，例如 'bold'。
+   * @param {string} [options.align='center'] - 多行文本的对齐方式：'left'、'center' 或 'right'。
+   * @param {boolean} [options.depthTest=true] - 是否被场景中的物体遮挡。
+   */
+  constructor(options = {}) {
+    const {
+      text = "",
+      height = 0.3,
+      pixelHeight = null,
+      color = 0xffffff,
+      opacity = 1,
+      outlineColor = null,
+      outlineWidth = 0.12,
+      backgroundColor = null,
+      backgroundOpacity = 0.6,
+      padding = 0.3,
+      fontFamily = "sans-serif",
+      fontWeight = "normal",
+      align = "center",
+      depthTest = true,
+    } = options;
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        map: { value: null },
+        color: { value: new THREE.Color(color) },
+        opacity: { value: opacity },
+        outlineColor: { value: new THREE.Color() },
+        edge: { value: 1 - SDF_CUTOFF },
+        outlineEdge: { value: 1 - SDF_CUTOFF },
+        background: { value: new THREE.Vector4() },
+        size: { value: new THREE.Vector2() },
+        viewport: { value: new THREE.Vector2(1, 1) },
+        pixelRatio: { value: 1 },
+      },
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER,
+      extensions: { derivatives: true },
+      transparent: true,
+      depthWrite: false,
+      depthTest,
+    });
+    // 不透明度以材质的 opacity 为准，使 Marker 的 setOpacityScale 等通用逻辑同样适用
+    material.opacity = opacity;
+    super(new THREE.PlaneBufferGeometry(1, 1), material);
+
+    this.text = "";
+    this.height = height;
+    this.pixelHeight = pixelHeight;
+    this.outlineColor = outlineColor === null ? null : new THREE.Color(outlineColor);
+    this.outlineWidth = outlineWidth;
+    this.backgroundColor = backgroundColor === null ? null : new THREE.Color(backgroundColor);
+    this.backgroundOpacity = backgroundOpacity;
+    this.padding = padding;
+    this.font = { fontFamily, fontWeight, align };
+    // 距离场纹理的尺寸与其中大写字母的高度（像素），文本为空或无法绘制时为 null
+    this.layout = null;
+    this.viewportHeight = 0;
+    // 顶点在着色器中展开，包围球不准确
+    this.frustumCulled = false;
+
+    this.onBeforeRender = (renderer) => {
+      const { uniforms } = this.material;
+      renderer.getDrawingBufferSize(drawingBufferSize);
+      uniforms.viewport.value.copy(drawingBufferSize);
+      uniforms.pixelRatio.value = renderer.getPixelRatio();
+      uniforms.opacity.value = this.material.opacity;
+      this.viewportHeight = drawingBufferSize.y / uniforms.pixelRatio.value;
+    };
+
+    this.setText(text);
+  }
+
+  /**
+   * 设置文本，重新生成距离场纹理。
+   * @param {string} text - 文本，'\n' 分行。
+   */
+  setText(text) {
+    const value = text === undefined || text === null ? "" : String(text);
+    if (value === this.text && this.layout) {
+      return;
+    }
+    this.text = value;
+    const { uniforms } = this.material;
+    if (uniforms.map.value) {
+      uniforms.map.value.dispose();
+      uniforms.map.value = null;
+    }
+    this.layout = null;
+
+    const padding = this.backgroundColor ? this.padding : 0;
+    const sdf = value.length > 0 ? rasterizeText(value, { ...this.font, padding }) : null;
+    if (sdf) {
+      const texture = new THREE.DataTexture(sdf.data, sdf.width, sdf.height, THREE.LuminanceFormat);
+      texture.minFilter = THREE.LinearFilter;
+      texture.magFilter = THREE.LinearFilter;
+      texture.generateMipmaps = false;
+      texture.unpackAlignment = 1;
+      texture.needsUpdate = true;
+      uniforms.map.value = texture;
+      this.layout = { width: sdf.width, height: sdf.height, capHeight: sdf.capHeight };
+    }
+    this.#updateStyle();
+  }
+
+  /**
+   * 设置文本高度（米）。
+   * @param {number} height - 大写字母的高度。
+   */
+  setHeight(height) {
+    this.height = height;
+    this.#updateStyle();
+  }
+
+  /**
+   * 设置屏幕上的固定高度，为 null 时恢复为以米为单位的 `height`。
+   * @param {number|null} pixelHeight - 大写字母在屏幕上的高度（CSS 像素）。
+   */
+  setPixelHeight(pixelHeight) {
+    this.pixelHeight = pixelHeight;
+    this.#updateStyle();
+  }
+
+  /**
+   * 设置文本颜色与不透明度。
+   * @param {THREE.Color|number|string} color - 文本颜色。
+   * @param {number} [opacity] - 不透明度，省略时不变。
+   */
+  setColor(color, opacity) {
+    this.material.uniforms.color.value.set(color);
+    if (opacity !== undefined) {
+      this.material.opacity = opacity;
+    }
+    // 不描边时描边颜色跟随文本颜色
+    this.#updateStyle();
+  }
+
+  /**
+   * 按当前的尺寸、描边与背景框设置更新着色器参数。
+   */
+  #updateStyle() {
+    const { uniforms } = this.material;
+    const { layout } = this;
+
+    const screenSize = this.pixelHeight !== null && this.pixelHeight !== undefined;
+    if (("SCREEN_SIZE" in this.material.defines) !== screenSize) {
+      if (screenSize) {
+        this.material.defines.SCREEN_SIZE = "";
+      } else {
+        delete this.material.defines.SCREEN_SIZE;
+      }
+      this.material.needsUpdate = true;
+    }
+
+    if (!layout) {
+      uniforms.size.value.set(0, 0);
+      return;
+    }
+    const scale = (screenSize ? this.pixelHeight : this.height) / layout.capHeight;
+    uniforms.size.value.set(layout.width * scale, layout.height * scale);
+
+    // 描边是距离场中边缘以外的一圈，宽度受距离场覆盖范围的限制
+    const edge = 1 - SDF_CUTOFF;
+    if (this.outlineColor) {
+      const width = (this.outlineWidth * layout.capHeight) / SDF_RADIUS;
+      uniforms.outlineEdge.value = Math.max(edge - width, 0.02);
+      uniforms.outlineColor.value.copy(this.outlineColor);
+    } else {
+      uniforms.outlineEdge.value = edge;
+      uniforms.outlineColor.value.copy(uniforms.color.value);
+    }
+
+    if (this.backgroundColor) {
+      const { r, g, b } = this.backgroundColor;
+      uniforms.background.value.set(r, g, b, this.backgroundOpacity);
+    } else {
+      uniforms.background.value.set(0, 0, 0, 0);
+    }
+  }
+
+  /**
+   * 标签在场景中的尺寸（米）。固定像素大小时按相机与最近一次渲染的视口计算，尚未渲染时为 0。
+   * @param {THREE.Camera} camera - 相机。
+   * @param {THREE.Vector2} [target] - 保存结果的向量。
+   * @returns {THREE.Vector2} 宽度与高度。
+   */
+  getWorldSize(camera, target = new THREE.Vector2()) {
+    const { size } = this.material.uniforms;
+    if (!("SCREEN_SIZE" in this.material.defines)) {
+      return target.copy(size.value);
+    }
+    if (!camera || this.viewportHeight <= 0) {
+      return target.set(0, 0);
+    }
+    let metersPerPixel;
+    if (camera.isOrthographicCamera) {
+      metersPerPixel = (camera.top - camera.bottom) / camera.zoom / this.viewportHeight;
+    } else {
+      center.setFromMatrixPosition(this.matrixWorld).applyMatrix4(camera.matrixWorldInverse);
+      const depth = Math.max(-center.z, 0);
+      metersPerPixel =
+        (2 * depth * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) / camera.zoom / this.viewportHeight;
+    }
+    return target.copy(size.value).multiplyScalar(metersPerPixel);
+  }
+
+  /**
+   * 按朝向相机的四边形进行射线检测，需要射线投射器的 `camera`（`Raycaster.setFromCamera` 会设置）。
+   */
+  raycast(raycaster, intersects) {
+    const { camera } = raycaster;
+    if (!camera || !this.layout) {
+      return;
+    }
+    const size = this.getWorldSize(camera);
+    if (size.x <= 0 || size.y <= 0) {
+      return;
+    }
+
+    center.setFromMatrixPosition(this.matrixWorld);
+    right.setFromMatrixColumn(camera.matrixWorld, 0).normalize().multiplyScalar(size.x / 2);
+    up.setFromMatrixColumn(camera.matrixWorld, 1).normalize().multiplyScalar(size.y / 2);
+    corners[0].copy(center).sub(right).sub(up);
+    corners[1].copy(center).add(right).sub(up);
+    corners[2].copy(center).add(right).add(up);
+    corners[3].copy(center).sub(right).add(up);
+
+    const { ray } = raycaster;
+    const point =
+      ray.intersectTriangle(corners[0], corners[1], corners[2], false, hit) ||
+      ray.intersectTriangle(corners[0], corners[2], corners[3], false, hit);
+    if (!point) {
+      return;
+    }
+    const distance = ray.origin.distanceTo(point);
+    if (distance < raycaster.near || distance > raycaster.far) {
+      return;
+    }
+    intersects.push({ distance, point: point.clone(), face: null, object: this });
+  }
+
+  /**
+   * 释放此对象占用的GPU资源。
+   */
+  dispose() {
+    if (this.material.uniforms.map.value) {
+      this.material.uniforms.map.value.dispose();
+    }
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
@@ -9,3 +9,17 @@ export { Axes } from "./Axes.js";
 export { Grid } from "./Grid.js";
 export { MeshResource } from "./MeshResource.js";
 export { TriangleList } from "./TriangleList.js";
+export { Ribbon } from "./Ribbon.js";
+export { TextLabel } from "./TextLabel.js";
+export { computeSDF, rasterizeText } from "./text.sdf.js";
+export { Covariance, symmetricEigen3 } from "./Covariance.js";
+export {
+  POINT_STYLES,
+  isInstancedStyle,
+  createPointsGeometry,
+  createPointAttribute,
+  createPointsMaterial,
+  createPointsObject,
+  setPointsCount,
+  setPointSize,
+} from "./point.styles.js";
@@ -0,0 +1,254 @@
+/**
+ * @fileOverview 点的渲染样式，供 Points（PointCloud2 / LaserScan）与 MARKER_POINTS 标记共用。
+ */
+
+import * as THREE from "three";
+
+/**
+ * 支持的点渲染样式，对应 RViz 的 Style 选项：
+ * - `points`：屏幕像素大小的方点（THREE.PointsMaterial，默认）。
+ * - `squares`：方点，`worldSize` 为 true 时尺寸单位为米。
+ * - `circles`：圆点，`worldSize` 为 true 时尺寸单位为米。
+ * - `billboards`：始终面向相机的方形面片，尺寸单位为米，不受显卡最大点尺寸的限制。
+ * - `spheres`：实例化球体，尺寸为直径（米）。
+ * - `boxes`：实例化立方体，尺寸为边长（米）。
+ */
+export const POINT_STYLES = ["points", "squares", "circles", "billboards", "spheres", "boxes"];
+
+// 实例化样式的基础形状，几何体均带索引，绘制时按索引数确定顶点数
+const INSTANCED_SHAPES = {
+  billboards: () => new THREE.PlaneBufferGeometry(1, 1),
+  spheres: () => new THREE.SphereBufferGeometry(0.5, 10, 6),
+  boxes: () => new THREE.BoxBufferGeometry(1, 1, 1),
+};
+
+const drawingBufferSize = new THREE.Vector2();
+
+const SPRITE_VERTEX_SHADER = `
+uniform float size;
+uniform float viewportHeight;
+uniform float pixelRatio;
+varying vec3 vColor;
+
+void main() {
+#ifdef USE_COLOR
+  vColor = color;
+#endif
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+  gl_Position = projectionMatrix * mvPosition;
+#ifdef WORLD_SIZE
+  // 按投影矩阵把米换算为像素，透视与正交相机都适用
+  gl_PointSize = size * projectionMatrix[1][1] * 0.5 * viewportHeight / gl_Position.w;
+#else
+  gl_PointSize = size * pixelRatio;
+#endif
+}
+`;
+
+const INSTANCED_VERTEX_SHADER = `
+attribute vec3 shape;
+uniform float size;
+varying vec3 vColor;
+varying vec3 vNormal;
+
+void main() {
+#ifdef USE_COLOR
+  vColor = color;
+#endif
+#ifdef BILLBOARD
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+  mvPosition.xy += shape.xy * size;
+  vNormal = vec3(0.0, 0.0, 1.0);
+#else
+  vec4 mvPosition = modelViewMatrix * vec4(position + shape * size, 1.0);
+  vNormal = normalMatrix * normal;
+#endif
+  gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const FRAGMENT_SHADER = `
+uniform vec3 diffuse;
+uniform float opacity;
+varying vec3 vColor;
+#ifdef SHADED
+varying vec3 vNormal;
+#endif
+
+void main() {
+#ifdef ROUND
+  vec2 offset = 2.0 * gl_PointCoord - 1.0;
+  if (dot(offset, offset) > 1.0) discard;
+#endif
+  vec3 color = diffuse;
+#ifdef USE_COLOR
+  color *= vColor;
+#endif
+#ifdef SHADED
+  // 以相机为光源的简单明暗，无需场景灯光
+  color *= 0.4 + 0.6 * abs(normalize(vNormal).z);
+#endif
+  gl_FragColor = vec4(color, opacity);
+}
+`;
+
+/**
+ * 判断样式是否使用实例化网格绘制。
+ * @function isInstancedStyle
+ * @param {string} style - 点渲染样式。
+ * @returns {boolean} 是否为实例化样式。
+ */
+export function isInstancedStyle(style) {
+  return style in INSTANCED_SHAPES;
+}
+
+/**
+ * 创建点集的几何体。实例化样式返回带基础形状（`shape`、`normal` 属性）的 InstancedBufferGeometry，
+ * 点坐标与颜色由 `createPointAttribute` 创建后以 `position` / `color` 名称加入。
+ * @function createPointsGeometry
+ * @param {string} style - 点渲染样式。
+ * @returns {THREE.BufferGeometry} 几何体。
+ */
+export function createPointsGeometry(style) {
+  const createShape = INSTANCED_SHAPES[style];
+  if (!createShape) {
+    return new THREE.BufferGeometry();
+  }
+  const shape = createShape();
+  const geometry = new THREE.InstancedBufferGeometry();
+  geometry.setIndex(shape.index);
+  geometry.setAttribute("shape", shape.getAttribute("position"));
+  geometry.setAttribute("normal", shape.getAttribute("normal"));
+  geometry.instanceCount = 0;
+  return geometry;
+}
+
+/**
+ * 创建逐点的三分量属性（坐标或颜色），实例化样式下为逐实例属性。
+ * @function createPointAttribute
+ * @param {string} style - 点渲染样式。
+ * @param {Float32Array} array - 属性数据。
+ * @returns {THREE.BufferAttribute} 动态更新的属性。
+ */
+export function createPointAttribute(style, array) {
+  const attribute = isInstancedStyle(style)
+    ? new THREE.InstancedBufferAttribute(array, 3, false)
+    : new THREE.BufferAttribute(array, 3, false);
+  attribute.setUsage(THREE.DynamicDrawUsage);
+  return attribute;
+}
+
+/**
+ * 设置绘制的点数。
+ * @function setPointsCount
+ * @param {THREE.BufferGeometry} geometry - `createPointsGeometry` 创建的几何体。
+ * @param {number} n - 点数。
+ */
+export function setPointsCount(geometry, n) {
+  if (geometry.isInstancedBufferGeometry) {
+    geometry.instanceCount = n;
+  } else {
+    geometry.setDrawRange(0, n);
+  }
+}
+
+/**
+ * 创建点集的材质。
+ * @function createPointsMaterial
+ * @param {string} style - 点渲染样式。
+ * @param {object} [options] - 材质选项。`points` 样式直接传给 THREE.PointsMaterial，其余样式使用：
+ * @param {number} [options.size] - 点的尺寸，米或像素，默认 0.05 米或 1 像素。
+ * @param {boolean} [options.worldSize=false] - `squares` / `circles` 的尺寸是否以米为单位。
+ * @param {THREE.Color|number|string} [options.color=0xffffff] - 颜色，启用顶点色时与顶点色相乘。
+ * @param {number} [options.opacity=1] - 不透明度，小于 1 时启用透明混合。
+ * @param {boolean} [options.vertexColors=false] - 是否使用 `color` 属性的顶点色。
+ * @param {boolean} [options.depthTest=true] - 是否进行深度测试。
+ * @returns {THREE.Material} 材质。
+ */
+export function createPointsMaterial(style, options = {}) {
+  if (!POINT_STYLES.includes(style) || style === "points") {
+    return new THREE.PointsMaterial(options);
+  }
+  const metres = style !== "squares" && style !== "circles" ? true : Boolean(options.worldSize);
+  const {
+    size = metres ? 0.05 : 1,
+    color = 0xffffff,
+    opacity = 1,
+    vertexColors = false,
+    depthTest = true,
+  } = options;
+  const transparent = options.transparent ?? opacity < 1;
+
+  const defines = {};
+  if (isInstancedStyle(style)) {
+    if (style === "billboards") {
+      defines.BILLBOARD = "";
+    } else {
+      defines.SHADED = "";
+    }
+  } else {
+    if (metres) {
+      defines.WORLD_SIZE = "";
+    }
+    if (style === "circles") {
+      defines.ROUND = "";
+    }
+  }
+
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      diffuse: { value: new THREE.Color(color) },
+      opacity: { value: opacity },
+      size: { value: size },
+      viewportHeight: { value: 1 },
+      pixelRatio: { value: 1 },
+    },
+    defines,
+    vertexShader: isInstancedStyle(style) ? INSTANCED_VERTEX_SHADER : SPRITE_VERTEX_SHADER,
+    fragmentShader: FRAGMENT_SHADER,
+    vertexColors,
+    transparent,
+    depthTest,
+    depthWrite: !transparent,
+  });
+}
+
+/**
+ * 创建点集对象。实例化样式返回 THREE.Mesh，其余返回 THREE.Points。
+ * @function createPointsObject
+ * @param {string} style - 点渲染样式。
+ * @param {THREE.BufferGeometry} geometry - `createPointsGeometry` 创建的几何体。
+ * @param {THREE.Material|Array<THREE.Material>} material - `createPointsMaterial` 创建的材质。
+ * @returns {THREE.Points|THREE.Mesh} 点集对象。
+ */
+export function createPointsObject(style, geometry, material) {
+  const object = isInstancedStyle(style)
+    ? new THREE.Mesh(geometry, material)
+    : new THREE.Points(geometry, material);
+  if (style !== "points") {
+    // 包围球按初始（空）数据计算，不能用于剔除
+    object.frustumCulled = false;
+    object.onBeforeRender = (renderer, scene, camera, geom, activeMaterial) => {
+      const uniforms = activeMaterial && activeMaterial.uniforms;
+      if (uniforms && uniforms.viewportHeight) {
+        uniforms.viewportHeight.value = renderer.getDrawingBufferSize(drawingBufferSize).y;
+        uniforms.pixelRatio.value = renderer.getPixelRatio();
+      }
+    };
+  }
+  return object;
+}
+
+/**
+ * 设置点的尺寸，适用于 `createPointsMaterial` 创建的任意样式的材质。
+ * @function setPointSize
+ * @param {THREE.Material} material - 点集材质。
+ * @param {number} size - 尺寸，单位与创建材质时一致。
+ */
+export function setPointSize(material, size) {
+  if (material.uniforms && material.uniforms.size) {
+    material.uniforms.size.value = size;
+  } else {
+    material.size = size;
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * @fileOverview 文本的有向距离场（SDF）生成：用 Canvas 绘制文本后计算欧氏距离变换，供 TextLabel 渲染任意缩放下都清晰的文字。
+ */
+
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("TextLabel");
+
+const INF = 1e20;
+
+// 生成距离场时使用的字号（像素），以及距离场覆盖的最大距离（像素）
+export const SDF_FONT_SIZE = 48;
+export const SDF_RADIUS = 10;
+// 字形边缘在距离场中的位置：距离场值 1 - SDF_CUTOFF 处为边缘
+export const SDF_CUTOFF = 0.25;
+
+let sharedContext = null;
+let warned = false;
+
+/**
+ * 获取共享的 2D 绘图上下文，环境不支持 Canvas 时返回 null。
+ */
+function getContext() {
+  if (!sharedContext && typeof document !== "undefined") {
+    const canvas = document.createElement("canvas");
+    sharedContext = canvas.getContext("2d", { willReadFrequently: true }) || null;
+  }
+  if (!sharedContext && !warned) {
+    warned = true;
+    logger.warn("Canvas 2D context is not available, text labels will not be drawn.");
+  }
+  return sharedContext;
+}
+
+/**
+ * 一维平方距离变换（Felzenszwalb & Huttenlocher），原地处理 `grid` 中以 `stride` 为间隔的一行或一列。
+ */
+function edt1d(grid, offset, stride, length, f, v, z) {
+  v[0] = 0;
+  z[0] = -INF;
+  z[1] = INF;
+  for (let q = 0; q < length; q++) {
+    f[q] = grid[offset + q * stride];
+  }
+  for (let q = 1, k = 0; q < length; q++) {
+    let s;
+    do {
+      const r = v[k];
+      s = (f[q] - f[r] + q * q - r * r) / (q - r) / 2;
+    } while (s <= z[k] && --k > -1);
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = INF;
+  }
+  for (let q = 0, k = 0; q < length; q++) {
+    while (z[k + 1] < q) {
+      k++;
+    }
+    const r = v[k];
+    grid[offset + q * stride] = f[r] + (q - r) * (q - r);
+  }
+}
+
+/**
+ * 二维平方距离变换，先按列再按行。
+ */
+function edt(grid, width, height) {
+  const length = Math.max(width, height);
+  const f = new Float64Array(length);
+  const v = new Uint16Array(length);
+  const z = new Float64Array(length + 1);
+  for (let x = 0; x < width; x++) {
+    edt1d(grid, x, width, height, f, v, z);
+  }
+  for (let y = 0; y < height; y++) {
+    edt1d(grid, y * width, 1, width, f, v, z);
+  }
+}
+
+/**
+ * 由覆盖率计算有向距离场。字形内部的值大于 `1 - cutoff`，外部随距离减小，距离超过 `radius` 时为 0。
+ * 半透明的抗锯齿像素按覆盖率估计亚像素的边缘位置。
+ * @function computeSDF
+ * @param {Uint8Array|Uint8ClampedArray|Array<number>} alpha - 每个像素的覆盖率（0-255），按行存储。
+ * @param {number} width - 宽度（像素）。
+ * @param {number} height - 高度（像素）。
+ * @param {number} [radius=SDF_RADIUS] - 距离场覆盖的最大距离（像素）。
+ * @param {number} [cutoff=SDF_CUTOFF] - 边缘位置，边缘处的值为 `1 - cutoff`。
+ * @returns {Uint8Array} 距离场（0-255），按行存储。
+ */
+export function computeSDF(alpha, width, height, radius = SDF_RADIUS, cutoff = SDF_CUTOFF) {
+  const size = width * height;
+  const outer = new Float64Array(size);
+  const inner = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    const a = alpha[i] / 255;
+    if (a >= 1) {
+      outer[i] = 0;
+      inner[i] = INF;
+    } else if (a <= 0) {
+      outer[i] = INF;
+      inner[i] = 0;
+    } else {
+      const d = 0.5 - a;
+      outer[i] = d > 0 ? d * d : 0;
+      inner[i] = d < 0 ? d * d : 0;
+    }
+  }
+  edt(outer, width, height);
+  edt(inner, width, height);
+
+  const data = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    const distance = Math.sqrt(outer[i]) - Math.sqrt(inner[i]);
+    data[i] = Math.max(0, Math.min(255, Math.round(255 - 255 * (distance / radius + cutoff))));
+  }
+  return data;
+}
+
+/**
+ * 把文本绘制为距离场。文本按 '\n' 分行，各行按 `align` 对齐；Canvas 使用系统字体绘制，支持中文等任意 Unicode 字符。
+ * 四周留出距离场覆盖范围的边距用于描边，以及 `padding` 指定的额外边距用于背景框。
+ * @function rasterizeText
+ * @param {string} text - 文本。
+ * @param {object} [options] - 选项。
+ * @param {string} [options.fontFamily='sans-serif'] - 字体。
+ * @param {string} [options.fontWeight='normal'] - 字重。
+ * @param {string} [options.align='center'] - 多行文本的对齐方式：'left'、'center' 或 'right'。
+ * @param {number} [options.padding=0] - 额外边距，相对大写字母高度的比例。
+ * @returns {{data: Uint8Array, width: number, height: number, capHeight: number, lines: number}|null}
+ *   距离场及其尺寸，`capHeight` 为大写字母的高度（像素）；不支持 Canvas 时返回 null。
+ */
+export function rasterizeText(text, options = {}) {
+  const { fontFamily = "sans-serif", fontWeight = "normal", align = "center", padding = 0 } = options;
+  const context = getContext();
+  if (!context) {
+    return null;
+  }
+
+  const font = `${fontWeight} ${SDF_FONT_SIZE}px ${fontFamily}`;
+  const lines = String(text).split("\n");
+  const lineHeight = Math.ceil(SDF_FONT_SIZE * 1.2);
+
+  context.font = font;
+  const textWidth = Math.max(1, ...lines.map((line) => context.measureText(line).width));
+  const capHeight = context.measureText("A").actualBoundingBoxAscent || SDF_FONT_SIZE * 0.7;
+  const margin = SDF_RADIUS + Math.ceil(padding * capHeight);
+
+  const width = Math.ceil(textWidth) + margin * 2;
+  const height = lineHeight * lines.length + margin * 2;
+  const { canvas } = context;
+  canvas.width = width;
+  canvas.height = height;
+
+  // 修改画布尺寸会重置绘图状态
+  context.clearRect(0, 0, width, height);
+  context.font = font;
+  context.fillStyle = "#ffffff";
+  context.textAlign = align;
+  context.textBaseline = "middle";
+  const x = { left: margin, center: width / 2, right: width - margin }[align] ?? width / 2;
+  lines.forEach((line, index) => {
+    context.fillText(line, x, margin + lineHeight * (index + 0.5));
+  });
+
+  const pixels = context.getImageData(0, 0, width, height).data;
+  const alpha = new Uint8Array(width * height);
+  for (let i = 0; i < alpha.length; i++) {
+    alpha[i] = pixels[i * 4 + 3];
+  }
+
+  return {
+    data: computeSDF(alpha, width, height),
+    width,
+    height,
+    capHeight,
+    lines: lines.length,
+  };
+}
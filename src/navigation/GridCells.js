@@ -0,0 +1,257 @@
+/**
+ * @fileOverview GridCells - 用于显示ROS nav_msgs/GridCells消息的客户端。
+ */
+
+import * as THREE from "three";
+import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
+import { SceneNode } from "../visualization/SceneNode.js";
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("GridCells");
+
+const VERTEX_SHADER = `
+attribute vec3 cell;
+uniform vec2 cellSize;
+uniform float offset;
+
+void main() {
+  vec3 transformed = cell + vec3(position.xy * cellSize, offset);
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(transformed, 1.0);
+}
+`;
+
+const FRAGMENT_SHADER = `
+uniform vec3 diffuse;
+uniform float opacity;
+
+void main() {
+  gl_FragColor = vec4(diffuse, opacity);
+}
+`;
+
+/**
+ * @class GridCells
+ * @description 一个监听给定GridCells主题并在消息坐标系中以实例化的水平方块显示栅格单元的客户端。
+ * 方块缓冲区只在单元数超过容量时扩容，其余消息原地更新。
+ */
+export class GridCells {
+  /**
+   * @param {object} options - 配置选项。
+   * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
+   * @param {string} [options.topic='/grid_cells'] - 要监听的GridCells主题。
+   * @param {object} options.tfClient - TF客户端句柄。
+   * @param {THREE.Object3D} [options.rootObject] - 用于添加此栅格单元的根对象。
+   * @param {number} [options.color=0x19ff00] - 方块的颜色。
+   * @param {number} [options.alpha=1.0] - 方块的不透明度。
+   * @param {number} [options.offset=0] - 方块沿 z 轴的高度偏移（米）。
+   * @param {number} [options.throttle_rate] - 消息节流速率（毫秒）。
+   */
+  constructor(options = {}) {
+    this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
+    this.topicName = options.topic || "/grid_cells";
+    this.tfClient = options.tfClient;
+    this.color = options.color ?? 0x19ff00;
+    this.alpha = options.alpha ?? 1.0;
+    this.offset = options.offset || 0;
+    this.rootObject = options.rootObject || new THREE.Object3D();
+    this.throttle_rate = options.throttle_rate || null;
+
+    this.sn = null;
+    this.capacity = 0;
+    this.mesh = this._createMesh();
+
+    this.processMessage = this.processMessage.bind(this);
+    if (this.ros) {
+      this.subscribe();
+    }
+  }
+
+  /**
+   * @private
+   * @method _createMesh
+   * @description 创建以单位方块为基础形状、逐实例存储单元中心的网格。
+   * @returns {THREE.Mesh} 网格。
+   */
+  _createMesh() {
+    const plane = new THREE.PlaneBufferGeometry(1, 1);
+    const geometry = new THREE.InstancedBufferGeometry();
+    geometry.setIndex(plane.index);
+    geometry.setAttribute("position", plane.getAttribute("position"));
+    geometry.instanceCount = 0;
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        diffuse: { value: new THREE.Color(this.color) },
+        opacity: { value: this.alpha },
+        cellSize: { value: new THREE.Vector2(1, 1) },
+        offset: { value: this.offset },
+      },
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER,
+      side: THREE.DoubleSide,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    // 包围球按基础形状计算，不能用于剔除
+    mesh.frustumCulled = false;
+    mesh.visible = false;
+    this._updateTransparency(material);
+    return mesh;
+  }
+
+  /**
+   * @private
+   * @method _updateTransparency
+   * @description 按不透明度切换透明混合。
+   */
+  _updateTransparency(material) {
+    const transparent = this.alpha < 1;
+    if (material.transparent !== transparent) {
+      material.transparent = transparent;
+      material.depthWrite = !transparent;
+      material.needsUpdate = true;
+    }
+  }
+
+  /**
+   * @private
+   * @method _clearNode
+   * @description 从场景中移除当前的场景节点，保留网格以便复用。
+   */
+  _clearNode() {
+    if (this.sn) {
+      this.sn.remove(this.mesh);
+      this.rootObject.remove(this.sn);
+      this.sn.dispose();
+      this.sn = null;
+    }
+  }
+
+  /**
+   * @method dispose
+   * @description 清理资源，取消订阅并从场景中移除对象。
+   */
+  dispose() {
+    this.unsubscribe();
+    this._clearNode();
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+
+  /**
+   * @method setColor
+   * @description 设置方块的颜色。
+   * @param {THREE.Color|number|string} color - 颜色。
+   */
+  setColor(color) {
+    this.color = color;
+    this.mesh.material.uniforms.diffuse.value.set(color);
+  }
+
+  /**
+   * @method setAlpha
+   * @description 设置方块的不透明度。
+   * @param {number} alpha - 不透明度（0-1）。
+   */
+  setAlpha(alpha) {
+    this.alpha = alpha;
+    this.mesh.material.uniforms.opacity.value = alpha;
+    this._updateTransparency(this.mesh.material);
+  }
+
+  /**
+   * @method setOffset
+   * @description 设置方块沿 z 轴的高度偏移。
+   * @param {number} offset - 高度偏移（米）。
+   */
+  setOffset(offset) {
+    this.offset = offset;
+    this.mesh.material.uniforms.offset.value = offset;
+  }
+
+  /**
+   * @method unsubscribe
+   * @description 取消订阅ROS主题。
+   */
+  unsubscribe() {
+    if (this.rosTopic) {
+      this.rosTopic.unsubscribe(this.processMessage);
+      this.rosTopic = null;
+    }
+  }
+
+  /**
+   * @method subscribe
+   * @description 订阅ROS主题。
+   */
+  subscribe() {
+    this.unsubscribe();
+
+    this.rosTopic = new ROSLIB.Topic({
+      ros: this.ros,
+      name: this.topicName,
+      messageType: toRosType(
+        "nav_msgs/GridCells",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
+      queue_length: 1,
+      throttle_rate: this.throttle_rate,
+    });
+    this.rosTopic.subscribe(this.processMessage);
+    logger.info(`Subscribed to GridCells topic: ${this.topicName}`);
+  }
+
+  /**
+   * @private
+   * @method processMessage
+   * @description 处理接收到的GridCells消息。
+   * @param {object} message - `nav_msgs/GridCells` 消息。
+   */
+  processMessage(message) {
+    const { cells, cell_width, cell_height } = message;
+    const geometry = this.mesh.geometry;
+
+    if (cells.length > this.capacity) {
+      this.capacity = Math.max(cells.length, this.capacity * 2);
+      const attribute = new THREE.InstancedBufferAttribute(
+        new Float32Array(this.capacity * 3),
+        3
+      );
+      attribute.setUsage(THREE.DynamicDrawUsage);
+      // 释放旧的GPU缓冲区，渲染器在下次渲染时重新上传并重新计算实例数上限
+      geometry.dispose();
+      geometry.setAttribute("cell", attribute);
+      logger.debug(`Grown GridCells buffer to ${this.capacity} cells`);
+    }
+
+    const attribute = geometry.getAttribute("cell");
+    if (attribute) {
+      const array = attribute.array;
+      for (let i = 0; i < cells.length; i++) {
+        const { x, y, z } = cells[i];
+        array[i * 3] = x;
+        array[i * 3 + 1] = y;
+        array[i * 3 + 2] = z;
+      }
+      attribute.updateRange.offset = 0;
+      attribute.updateRange.count = cells.length * 3;
+      attribute.needsUpdate = true;
+    }
+    geometry.instanceCount = cells.length;
+    this.mesh.material.uniforms.cellSize.value.set(cell_width, cell_height);
+    this.mesh.visible = cells.length > 0;
+
+    const frameID = message.header.frame_id;
+    if (!this.sn || this.sn.frameID !== frameID) {
+      this._clearNode();
+      this.sn = new SceneNode({
+        frameID,
+        tfClient: this.tfClient,
+        object: this.mesh,
+      });
+      this.rootObject.add(this.sn);
+    }
+  }
+}
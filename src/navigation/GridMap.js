@@ -0,0 +1,308 @@
+/**
+ * @fileOverview GridMap - 把 grid_map_msgs/GridMap 的一个图层显示为高度场网格。
+ */
+
+import * as THREE from "three";
+import { getLogger } from "../utils/Logger.js";
+import { createColorLUT } from "../sensors/color.transformers.js";
+
+const logger = getLogger("GridMap");
+
+// 颜色查找表纹理的条目数
+const LUT_SIZE = 256;
+
+const VERTEX_SHADER = `
+attribute float value;
+varying float vValue;
+varying vec3 vViewPosition;
+
+void main() {
+  vValue = value;
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+  vViewPosition = -mvPosition.xyz;
+  gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const FRAGMENT_SHADER = `
+uniform sampler2D colorMap;
+uniform float opacity;
+varying float vValue;
+varying vec3 vViewPosition;
+
+void main() {
+  // 按屏幕空间导数计算面法线，以朝向相机的程度明暗着色
+  vec3 normal = normalize(cross(dFdx(vViewPosition), dFdy(vViewPosition)));
+  float shade = 0.4 + 0.6 * abs(dot(normal, normalize(vViewPosition)));
+  float u = clamp(vValue, 0.0, 1.0) * ${(LUT_SIZE - 1) / LUT_SIZE} + ${0.5 / LUT_SIZE};
+  vec3 color = texture2D(colorMap, vec2(u, 0.5)).rgb;
+  gl_FragColor = vec4(color * shade, opacity);
+}
+`;
+
+/**
+ * 读取 GridMap 消息的尺寸与数据布局。grid_map 的 Eigen 矩阵按列存储，
+ * `layout.dim[0]` 为 'column_index' 时第 (i, j) 个单元位于 `data[data_offset + j * rows + i]`，为 'row_index' 时位于 `data[data_offset + i * cols + j]`。
+ * @private
+ */
+function readLayout(message) {
+  const { info, data } = message;
+  const dims = (data[0] && data[0].layout && data[0].layout.dim) || [];
+  const columnDim = dims.find((dim) => dim.label === "column_index");
+  const rowDim = dims.find((dim) => dim.label === "row_index");
+  const rows = rowDim ? rowDim.size : Math.round(info.length_x / info.resolution);
+  const cols = columnDim ? columnDim.size : Math.round(info.length_y / info.resolution);
+  const columnMajor = !dims.length || dims[0].label !== "row_index";
+  return { rows, cols, columnMajor };
+}
+
+/**
+ * 读取图层的数据及其起始下标 `layout.data_offset`，第 k 个单元位于 `data[offset + k]`。
+ * @private
+ */
+function readLayer(message, name) {
+  const index = message ? message.layers.indexOf(name) : -1;
+  if (index < 0) {
+    return null;
+  }
+  const { data, layout } = message.data[index];
+  return { data, offset: (layout && layout.data_offset) || 0 };
+}
+
+/**
+ * @class GridMap
+ * @description 把 `grid_map_msgs/GridMap` 的一个图层显示为高度场网格：每个单元中心为一个顶点，
+ * 高度为 NaN 的单元不参与三角形，形成空洞。可以按另一个图层或按高度着色，并处理环形缓冲区的起始下标。
+ * 网格位于 `info.pose` 描述的地图中心，单元 (0, 0) 对应 +x、+y 方向的角点，与 grid_map 的约定一致。
+ * 尺寸不变的新消息原地更新顶点缓冲区。
+ * @extends THREE.Mesh
+ */
+export class GridMap extends THREE.Mesh {
+  /**
+   * @param {object} options - 配置选项。
+   * @param {object} options.message - `grid_map_msgs/GridMap` 消息。
+   * @param {string} [options.layer='elevation'] - 作为高度的图层。
+   * @param {string} [options.colorLayer] - 用于着色的图层，默认按高度着色。
+   * @param {string|Array|function} [options.colorMap='rainbow'] - 颜色映射，同 `createColorLUT`。
+   * @param {{min: number, max: number}} [options.colorRange] - 映射到颜色表两端的值，默认为着色图层中有效值的范围。
+   * @param {number} [options.opacity=1.0] - 不透明度。
+   */
+  constructor(options = {}) {
+    const {
+      message,
+      layer = "elevation",
+      colorLayer = null,
+      colorMap = "rainbow",
+      colorRange = null,
+      opacity = 1.0,
+    } = options;
+
+    const lut = new Uint8Array(LUT_SIZE * 4);
+    const colorMapTexture = new THREE.DataTexture(lut, LUT_SIZE, 1, THREE.RGBAFormat);
+    colorMapTexture.minFilter = THREE.LinearFilter;
+    colorMapTexture.magFilter = THREE.LinearFilter;
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        colorMap: { value: colorMapTexture },
+        opacity: { value: opacity },
+      },
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER,
+      extensions: { derivatives: true },
+      transparent: opacity < 1.0,
+      side: THREE.DoubleSide,
+    });
+    super(new THREE.BufferGeometry(), material);
+
+    this.layer = layer;
+    this.colorLayer = colorLayer;
+    this.colorRange = colorRange;
+    this.lut = lut;
+    this.colorMapTexture = colorMapTexture;
+    this.rows = 0;
+    this.cols = 0;
+    this.message = null;
+    // 边界随高度变化，不做视锥剔除
+    this.frustumCulled = false;
+
+    this.setColorMap(colorMap);
+    this.setMessage(message);
+  }
+
+  /**
+   * @method dispose
+   * @description 释放此对象占用的资源。
+   */
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+    this.colorMapTexture.dispose();
+  }
+
+  /**
+   * @method setColorMap
+   * @description 切换颜色映射，只更新查找表纹理。
+   * @param {string|Array|function} colorMap - 内置颜色映射名、控制点颜色数组或函数，见 `createColorLUT`。
+   */
+  setColorMap(colorMap) {
+    this.colorMap = colorMap;
+    const colors = createColorLUT(colorMap, LUT_SIZE);
+    for (let i = 0; i < LUT_SIZE; i++) {
+      this.lut[i * 4] = Math.round(colors[i * 3] * 255);
+      this.lut[i * 4 + 1] = Math.round(colors[i * 3 + 1] * 255);
+      this.lut[i * 4 + 2] = Math.round(colors[i * 3 + 2] * 255);
+      this.lut[i * 4 + 3] = 255;
+    }
+    this.colorMapTexture.needsUpdate = true;
+  }
+
+  /**
+   * @method setLayers
+   * @description 切换高度图层与着色图层，并按最近一次的消息重新生成网格。
+   * @param {string} layer - 作为高度的图层。
+   * @param {string|null} [colorLayer=null] - 用于着色的图层，null 时按高度着色。
+   */
+  setLayers(layer, colorLayer = null) {
+    this.layer = layer;
+    this.colorLayer = colorLayer;
+    if (this.message) {
+      this.setMessage(this.message);
+    }
+  }
+
+  /**
+   * @method getLayer
+   * @description 读取消息中某个图层的数据。JSON 编码时 NaN 以 null 表示。
+   * @param {string} name - 图层名。
+   * @returns {Array<number>|Float32Array|null} 图层数据，不存在时返回 null。单元从 `layout.data_offset` 处开始。
+   */
+  getLayer(name) {
+    const layer = readLayer(this.message, name);
+    return layer ? layer.data : null;
+  }
+
+  /**
+   * @method setMessage
+   * @description 按消息更新网格，尺寸不变时复用已有缓冲区。
+   * @param {object} message - `grid_map_msgs/GridMap` 消息。
+   */
+  setMessage(message) {
+    this.message = message;
+    const { info } = message;
+    const { rows, cols, columnMajor } = readLayout(message);
+    if (rows !== this.rows || cols !== this.cols) {
+      this.#allocate(rows, cols);
+    }
+
+    this.position.copy(info.pose.position);
+    this.quaternion.copy(info.pose.orientation);
+
+    const heights = readLayer(message, this.layer);
+    if (!heights) {
+      logger.warn(`GridMap has no layer '${this.layer}'`);
+      this.geometry.setDrawRange(0, 0);
+      return;
+    }
+    const colors = this.colorLayer ? readLayer(message, this.colorLayer) : heights;
+    if (!colors) {
+      logger.warn(`GridMap has no layer '${this.colorLayer}', colouring by height`);
+    }
+
+    const positions = this.geometry.getAttribute("position");
+    const values = this.geometry.getAttribute("value");
+    const valid = new Uint8Array(rows * cols);
+    const outer = message.outer_start_index || 0;
+    const inner = message.inner_start_index || 0;
+    const halfX = info.length_x / 2;
+    const halfY = info.length_y / 2;
+    let min = Infinity;
+    let max = -Infinity;
+
+    // 顶点按环形缓冲区展开后的下标 (ui, uj) 排列，顶点 ui * cols + uj
+    for (let i = 0; i < rows; i++) {
+      const ui = (i - outer + rows) % rows;
+      for (let j = 0; j < cols; j++) {
+        const uj = (j - inner + cols) % cols;
+        const source = columnMajor ? j * rows + i : i * cols + j;
+        const vertex = ui * cols + uj;
+        const height = heights.data[heights.offset + source];
+        const value = colors ? colors.data[colors.offset + source] : height;
+        // null 与 NaN 都视为无效
+        const isValid = height !== null && Number.isFinite(height);
+        valid[vertex] = isValid ? 1 : 0;
+        positions.setXYZ(
+          vertex,
+          halfX - (ui + 0.5) * info.resolution,
+          halfY - (uj + 0.5) * info.resolution,
+          isValid ? height : 0
+        );
+        if (isValid && value !== null && Number.isFinite(value)) {
+          values.array[vertex] = value;
+          min = Math.min(min, value);
+          max = Math.max(max, value);
+        } else {
+          values.array[vertex] = NaN;
+        }
+      }
+    }
+
+    // 归一化着色值，无效值映射为颜色表起点
+    const range = this.colorRange || { min, max };
+    const span = range.max > range.min ? range.max - range.min : 1;
+    for (let k = 0; k < values.array.length; k++) {
+      const value = values.array[k];
+      values.array[k] = Number.isNaN(value) ? 0 : (value - range.min) / span;
+    }
+
+    // 每个单元格四边形拆成两个三角形，三个顶点都有效的三角形才绘制
+    const index = this.geometry.getIndex();
+    const indices = index.array;
+    let count = 0;
+    const addTriangle = (a, b, c) => {
+      if (valid[a] && valid[b] && valid[c]) {
+        indices[count++] = a;
+        indices[count++] = b;
+        indices[count++] = c;
+      }
+    };
+    for (let ui = 0; ui < rows - 1; ui++) {
+      for (let uj = 0; uj < cols - 1; uj++) {
+        const a = ui * cols + uj;
+        const b = a + 1;
+        const c = a + cols;
+        const d = c + 1;
+        addTriangle(a, c, b);
+        addTriangle(b, c, d);
+      }
+    }
+
+    positions.needsUpdate = true;
+    values.needsUpdate = true;
+    index.needsUpdate = true;
+    this.geometry.setDrawRange(0, count);
+  }
+
+  /**
+   * 按尺寸重新分配顶点与索引缓冲区。
+   * @private
+   */
+  #allocate(rows, cols) {
+    this.rows = rows;
+    this.cols = cols;
+    const geometry = this.geometry;
+    // 释放旧的GPU缓冲区，渲染器在下次渲染时重新上传
+    geometry.dispose();
+    const positions = new THREE.BufferAttribute(new Float32Array(rows * cols * 3), 3);
+    const values = new THREE.BufferAttribute(new Float32Array(rows * cols), 1);
+    const index = new THREE.BufferAttribute(
+      new Uint32Array(Math.max(rows - 1, 0) * Math.max(cols - 1, 0) * 6),
+      1
+    );
+    [positions, values, index].forEach((attribute) => attribute.setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute("position", positions);
+    geometry.setAttribute("value", values);
+    geometry.setIndex(index);
+    logger.debug(`Allocated GridMap mesh of ${rows}x${cols} cells`);
+  }
+}
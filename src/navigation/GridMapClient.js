@@ -0,0 +1,182 @@
+/**
+ * @fileOverview GridMapClient - 用于显示 grid_map_msgs/GridMap 高度场的客户端。
+ */
+
+import * as THREE from "three";
+import { EventEmitter } from "eventemitter3";
+import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
+import { SceneNode } from "../visualization/SceneNode.js";
+import { getLogger } from "../utils/Logger.js";
+import { GridMap } from "./GridMap.js";
+
+const logger = getLogger("GridMapClient");
+
+/**
+ * @class GridMapClient
+ * @description 一个监听 `grid_map_msgs/GridMap` 主题（如 elevation_mapping 的高程图）并在地图坐标系中显示高度场的客户端。
+ * 高度场网格在收到的消息间复用，只有尺寸变化时才重新分配缓冲区。
+ * @extends EventEmitter
+ */
+export class GridMapClient extends EventEmitter {
+  /**
+   * @param {object} options - 配置选项。
+   * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
+   * @param {string} [options.topic='/grid_map'] - 要监听的GridMap主题。
+   * @param {object} options.tfClient - TF客户端句柄。
+   * @param {THREE.Object3D} [options.rootObject] - 用于添加此高度场的根对象。
+   * @param {string} [options.layer='elevation'] - 作为高度的图层。
+   * @param {string} [options.colorLayer] - 用于着色的图层，默认按高度着色。
+   * @param {string|Array|function} [options.colorMap='rainbow'] - 颜色映射，同 `createColorLUT`。
+   * @param {{min: number, max: number}} [options.colorRange] - 映射到颜色表两端的值，默认自动计算。
+   * @param {number} [options.opacity=1.0] - 不透明度。
+   * @param {string} [options.compression='cbor'] - 消息压缩方式。
+   * @param {number} [options.throttle_rate] - 消息节流速率（毫秒）。
+   */
+  constructor(options = {}) {
+    super();
+    this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
+    this.topicName = options.topic || "/grid_map";
+    this.tfClient = options.tfClient;
+    this.rootObject = options.rootObject || new THREE.Object3D();
+    this.layer = options.layer || "elevation";
+    this.colorLayer = options.colorLayer || null;
+    this.colorMap = options.colorMap || "rainbow";
+    this.colorRange = options.colorRange || null;
+    this.opacity = options.opacity ?? 1.0;
+    this.compression = options.compression || "cbor";
+    this.throttle_rate = options.throttle_rate || null;
+
+    this.gridMap = null;
+    this.sn = null;
+
+    this.processMessage = this.processMessage.bind(this);
+    if (this.ros) {
+      this.subscribe();
+    }
+  }
+
+  /**
+   * @method dispose
+   * @description 清理资源，取消订阅并从场景中移除高度场。
+   */
+  dispose() {
+    this.unsubscribe();
+    this._clearNode();
+    if (this.gridMap) {
+      this.gridMap.dispose();
+      this.gridMap = null;
+    }
+  }
+
+  /**
+   * @private
+   * @method _clearNode
+   * @description 从场景中移除当前的场景节点，保留高度场以便复用。
+   */
+  _clearNode() {
+    if (this.sn) {
+      this.sn.remove(this.gridMap);
+      this.rootObject.remove(this.sn);
+      this.sn.dispose();
+      this.sn = null;
+    }
+  }
+
+  /**
+   * @method unsubscribe
+   * @description 取消订阅ROS主题。
+   */
+  unsubscribe() {
+    if (this.rosTopic) {
+      this.rosTopic.unsubscribe(this.processMessage);
+      this.rosTopic = null;
+    }
+  }
+
+  /**
+   * @method subscribe
+   * @description 订阅ROS主题。
+   */
+  subscribe() {
+    this.unsubscribe();
+
+    this.rosTopic = new ROSLIB.Topic({
+      ros: this.ros,
+      name: this.topicName,
+      messageType: toRosType(
+        "grid_map_msgs/GridMap",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
+      queue_length: 1,
+      compression: this.compression,
+      throttle_rate: this.throttle_rate,
+    });
+    this.rosTopic.subscribe(this.processMessage);
+    logger.info(`Subscribed to GridMap topic: ${this.topicName}`);
+  }
+
+  /**
+   * @method setLayers
+   * @description 切换高度图层与着色图层，并按最近一次的消息重新生成高度场。
+   * @param {string} layer - 作为高度的图层。
+   * @param {string|null} [colorLayer=null] - 用于着色的图层，null 时按高度着色。
+   */
+  setLayers(layer, colorLayer = null) {
+    this.layer = layer;
+    this.colorLayer = colorLayer;
+    if (this.gridMap) {
+      this.gridMap.setLayers(layer, colorLayer);
+      this.emit("change");
+    }
+  }
+
+  /**
+   * @method setColorMap
+   * @description 切换颜色映射。
+   * @param {string|Array|function} colorMap - 颜色映射，同 `createColorLUT`。
+   */
+  setColorMap(colorMap) {
+    this.colorMap = colorMap;
+    if (this.gridMap) {
+      this.gridMap.setColorMap(colorMap);
+      this.emit("change");
+    }
+  }
+
+  /**
+   * @private
+   * @method processMessage
+   * @description 处理接收到的GridMap消息。
+   * @param {object} message - `grid_map_msgs/GridMap` 消息。
+   */
+  processMessage(message) {
+    if (this.gridMap) {
+      this.gridMap.setMessage(message);
+    } else {
+      this.gridMap = new GridMap({
+        message,
+        layer: this.layer,
+        colorLayer: this.colorLayer,
+        colorMap: this.colorMap,
+        colorRange: this.colorRange,
+        opacity: this.opacity,
+      });
+    }
+
+    // ROS 1 的消息头位于 info 中，ROS 2 位于消息顶层
+    const header = message.header || message.info.header;
+    if (!this.sn || this.sn.frameID !== header.frame_id) {
+      this._clearNode();
+      this.sn = new SceneNode({
+        frameID: header.frame_id,
+        tfClient: this.tfClient,
+        object: this.gridMap,
+      });
+      this.rootObject.add(this.sn);
+    }
+    this.emit("change");
+  }
+}
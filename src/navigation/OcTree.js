@@ -4,57 +4,102 @@
 
 import * as THREE from "three";
 import { getLogger } from "../utils/Logger.js";
+import { createColorLUT } from "../sensors/color.transformers.js";
+import { parseBinaryOcTree, parseFullOcTree } from "./octree.parsers.js";
 
 const logger = getLogger("OcTree");
 
-// 一个用于流式读取ArrayBuffer的辅助类
-class InStream {
-  constructor(arrayBuffer) {
-    this.dataView = new DataView(arrayBuffer);
-    this.cursor = 0;
-  }
-
-  readUint8() {
-    const value = this.dataView.getUint8(this.cursor, true);
-    this.cursor += 1;
-    return value;
-  }
+// OctoMap 的树深度
+const TREE_DEPTH = 16;
 
-  readFloat32() {
-    const value = this.dataView.getFloat32(this.cursor, true);
-    this.cursor += 4;
-    return value;
-  }
-}
+/**
+ * 支持的体素着色方式：
+ * - 'flat'：单一颜色 `color`。
+ * - 'height'：按体素中心的 z 坐标映射到颜色表。
+ * - 'probability'：按占据概率映射到颜色表，二进制格式没有概率，占据体素均为最高值。
+ * - 'cell'：ColorOcTree 中每个节点的颜色。
+ */
+export const OCTREE_COLOR_MODES = ["flat", "height", "probability", "cell"];
 
 /**
  * @class OcTree
- * @description 将 `octomap_msgs/Octomap` 消息解析并渲染为 `InstancedMesh`。
+ * @description 将 `octomap_msgs/Octomap` 消息（完整格式或 octomap_server 默认发布的二进制格式）解析并渲染为 `InstancedMesh`。
+ * 每个最大深度的体素网格在首次显示时构建并缓存，切换 `setMaxDepth` 即可在粗细层级之间切换。
  * @extends THREE.Object3D
  */
 export class OcTree extends THREE.Object3D {
   /**
    * @param {object} options - 配置选项。
    * @param {object} options.message - Octomap 消息。
-   * @param {object} [options.color] - 体素的颜色。
+   * @param {object} [options.color] - 占据体素的颜色（'flat' 着色，或节点没有颜色时）。
    * @param {number} [options.opacity=1.0] - 体素的不透明度。
+   * @param {number} [options.occupancyThreshold=0.5] - 完整格式中判定占据的概率阈值。
+   * @param {string} [options.voxelRenderMode='occupied'] - 显示的体素：'occupied'、'free' 或 'both'。
+   * @param {object} [options.freeColor={r:0, g:128, b:255}] - 空闲体素的颜色。
+   * @param {number} [options.freeOpacity] - 空闲体素的不透明度，默认与 `opacity` 相同；小于 1 时半透明且不写入深度。
+   * @param {string} [options.colorMode='flat'] - 占据体素的着色方式，见 `OCTREE_COLOR_MODES`。
+   * @param {string|Array|function} [options.colorMap='rainbow'] - 'height' 与 'probability' 着色使用的颜色映射，
+   *   同 `createColorLUT`。
+   * @param {{min: number, max: number}} [options.heightRange] - 'height' 着色的 z 范围（米），默认为体素的范围。
+   * @param {number} [options.maxDepth=16] - 显示的最大树深度，每减少一层体素边长加倍。
    */
   constructor(options = {}) {
     super();
-    const { message, color = { r: 0, g: 255, b: 0 }, opacity = 1.0 } = options;
+    const {
+      message,
+      color = { r: 0, g: 255, b: 0 },
+      opacity = 1.0,
+      occupancyThreshold = 0.5,
+      voxelRenderMode = "occupied",
+      freeColor = { r: 0, g: 128, b: 255 },
+      freeOpacity = opacity,
+      colorMode = "flat",
+      colorMap = "rainbow",
+      heightRange = null,
+      maxDepth = TREE_DEPTH,
+    } = options;
 
+    this.message = message;
     this.resolution = message.resolution;
     this.color = new THREE.Color(color.r / 255, color.g / 255, color.b / 255);
+    this.freeColor = new THREE.Color(freeColor.r / 255, freeColor.g / 255, freeColor.b / 255);
     this.opacity = opacity;
-    this.occupancyThreshold = 0.5; // 默认占据阈值
+    this.freeOpacity = freeOpacity;
+    this.occupancyThreshold = occupancyThreshold;
+    this.voxelRenderMode = voxelRenderMode;
+    this.colorMode = OCTREE_COLOR_MODES.includes(colorMode) ? colorMode : "flat";
+    this.colorLUT = createColorLUT(colorMap);
+    this.heightRange = heightRange;
+    this.instancedMesh = null;
+    this.freeMesh = null;
+    this.maxDepth = null;
+    // 按最大深度缓存的 {instancedMesh, freeMesh}
+    this.levels = new Map();
 
-    // 根据消息类型选择解析方法
-    if (message.binary) {
-      logger.warn("Binary OcTree format not yet supported in this version.");
+    this.setMaxDepth(maxDepth);
+  }
+
+  /**
+   * @method setMaxDepth
+   * @description 切换显示的最大树深度，首次使用的深度会重新解析消息并缓存结果。
+   * @param {number} maxDepth - 最大深度（1-16）。
+   */
+  setMaxDepth(maxDepth) {
+    const depth = Math.min(TREE_DEPTH, Math.max(1, Math.floor(maxDepth)));
+    if (depth === this.maxDepth) {
       return;
-    } else {
-      this.parseFull(message.data);
     }
+    [this.instancedMesh, this.freeMesh].forEach((mesh) => mesh && this.remove(mesh));
+
+    let level = this.levels.get(depth);
+    if (!level) {
+      level = this.#buildLevel(depth);
+      this.levels.set(depth, level);
+    }
+    this.maxDepth = depth;
+    this.instancedMesh = level.instancedMesh;
+    this.freeMesh = level.freeMesh;
+    [this.instancedMesh, this.freeMesh].forEach((mesh) => mesh && this.add(mesh));
   }
 
   /**
@@ -62,82 +107,121 @@ export class OcTree extends THREE.Object3D {
    * @description 释放所有Three.js资源。
    */
   dispose() {
-    if (this.instancedMesh) {
-      this.remove(this.instancedMesh);
-      this.instancedMesh.geometry.dispose();
-      this.instancedMesh.material.dispose();
-      this.instancedMesh = null;
-    }
+    this.levels.forEach((level) => {
+      [level.instancedMesh, level.freeMesh].forEach((mesh) => {
+        if (mesh) {
+          this.remove(mesh);
+          mesh.geometry.dispose();
+          mesh.material.dispose();
+        }
+      });
+    });
+    this.levels.clear();
+    this.instancedMesh = null;
+    this.freeMesh = null;
+    this.maxDepth = null;
   }
 
   /**
-   * @private
-   * @method parseFull
-   * @description 解析完整的（非二进制）八叉树数据。
-   * @param {Uint8Array} data - 消息中的数据负载。
+   * @protected
+   * @method _readNodeData
+   * @description 从数据流中读取单个节点的数据（占据率）。
+   * @param {InStream} stream - 输入流。
+   * @returns {number} 占据值（对数几率）。
    */
-  parseFull(data) {
-    const stream = new InStream(data.buffer);
-    const leafNodes = [];
-    const treeDepth = 16;
-    const treeMaxKeyVal = 1 << (treeDepth - 1);
-
-    // 递归解析函数
-    const parseNode = (depth, key) => {
-      // 读取节点数据
-      const nodeData = this._readNodeData(stream);
-      const occupancy = typeof nodeData === 'object' ? nodeData.occupancy : nodeData;
-
-      // 读取子节点存在掩码
-      const childExistsMask = stream.readUint8();
-
-      // 如果是叶子节点
-      if (childExistsMask === 0) {
-        if (occupancy >= this.occupancyThreshold) {
-          const size = this.resolution * (1 << (treeDepth - 1 - depth));
-          const x = (key[0] - treeMaxKeyVal) * this.resolution + size / 2;
-          const y = (key[1] - treeMaxKeyVal) * this.resolution + size / 2;
-          const z = (key[2] - treeMaxKeyVal) * this.resolution + size / 2;
-          leafNodes.push({ x, y, z, size, nodeData });
-        }
-        return;
-      }
+  _readNodeData(stream) {
+    return stream.readFloat32();
+  }
 
-      // 如果有子节点，则递归
-      for (let i = 0; i < 8; i++) {
-        if (childExistsMask & (1 << i)) {
-          const newKey = [...key];
-          const diff = treeDepth - depth - 1;
-          if (i & 1) newKey[0] += (1 << diff);
-          if (i & 2) newKey[1] += (1 << diff);
-          if (i & 4) newKey[2] += (1 << diff);
-          parseNode(depth + 1, newKey);
-        }
-      }
-    };
+  /**
+   * 解析消息并构建指定深度的体素网格。
+   * @private
+   */
+  #buildLevel(maxDepth) {
+    const { message, occupancyThreshold } = this;
+    const leaves = message.binary
+      ? parseBinaryOcTree(message.data, { resolution: this.resolution, maxDepth })
+      : parseFullOcTree(message.data, {
+          resolution: this.resolution,
+          readNodeData: (stream) => this._readNodeData(stream),
+          // 完整格式中节点值为对数几率
+          threshold: Math.log(occupancyThreshold / (1 - occupancyThreshold)),
+          maxDepth,
+        });
+    logger.debug(`Parsed ${leaves.length} ${message.binary ? "binary" : "full"} OcTree leaves at depth ${maxDepth}`);
 
-    // 从根节点开始解析，根节点的键是原点
-    const initialKey = [treeMaxKeyVal, treeMaxKeyVal, treeMaxKeyVal];
-    parseNode(0, initialKey);
+    this.instancedMesh = null;
+    this.freeMesh = null;
+    if (this.voxelRenderMode !== "free") {
+      this.buildInstancedMesh(leaves.filter((leaf) => leaf.occupied));
+    }
+    if (this.voxelRenderMode !== "occupied") {
+      this.#buildFreeMesh(leaves.filter((leaf) => !leaf.occupied));
+    }
+    return { instancedMesh: this.instancedMesh, freeMesh: this.freeMesh };
+  }
 
-    this.buildInstancedMesh(leafNodes);
+  /**
+   * 为空闲叶子节点创建单色的InstancedMesh。
+   * @private
+   */
+  #buildFreeMesh(leafNodes) {
+    if (leafNodes.length === 0) {
+      return;
+    }
+    const translucent = this.freeOpacity < 1.0;
+    const material = new THREE.MeshBasicMaterial({
+      color: this.freeColor,
+      opacity: this.freeOpacity,
+      transparent: translucent,
+      depthWrite: !translucent,
+    });
+    this.freeMesh = new THREE.InstancedMesh(new THREE.BoxBufferGeometry(1, 1, 1), material, leafNodes.length);
+    const matrix = new THREE.Matrix4();
+    const quaternion = new THREE.Quaternion();
+    leafNodes.forEach(({ x, y, z, size }, i) => {
+      matrix.compose(new THREE.Vector3(x, y, z), quaternion, new THREE.Vector3(size, size, size));
+      this.freeMesh.setMatrixAt(i, matrix);
+    });
+    this.freeMesh.instanceMatrix.needsUpdate = true;
+    // 半透明体素在不透明体素之后绘制
+    this.freeMesh.renderOrder = translucent ? 1 : 0;
+    logger.info(`Created InstancedMesh with ${leafNodes.length} free OcTree nodes.`);
   }
 
   /**
    * @protected
-   * @method _readNodeData
-   * @description 从数据流中读取单个节点的数据（占据率）。
-   * @param {InStream} stream - 输入流。
-   * @returns {number} 占据率值。
+   * @method _leafColor
+   * @description 按着色方式计算占据叶子的颜色，'flat' 着色时不调用。
+   * @param {object} leaf - 解析出的叶子节点。
+   * @param {{min: number, max: number}} range - 'height' 着色的 z 范围。
+   * @param {THREE.Color} target - 结果颜色。
+   * @returns {THREE.Color} 结果颜色。
    */
-  _readNodeData(stream) {
-    return stream.readFloat32();
+  _leafColor(leaf, range, target) {
+    if (this.colorMode === "cell") {
+      const cellColor = leaf.nodeData && leaf.nodeData.color;
+      return cellColor
+        ? target.setRGB(cellColor.r / 255, cellColor.g / 255, cellColor.b / 255)
+        : target.copy(this.color);
+    }
+    let value;
+    if (this.colorMode === "height") {
+      value = range.max > range.min ? (leaf.z - range.min) / (range.max - range.min) : 0;
+    } else {
+      // 对数几率转换为概率，二进制格式的占据体素视为确定占据
+      value = leaf.occupancy === null || leaf.occupancy === undefined ? 1 : 1 / (1 + Math.exp(-leaf.occupancy));
+    }
+    const lut = this.colorLUT;
+    const n = lut.length / 3;
+    const index = Math.round(Math.min(1, Math.max(0, value)) * (n - 1)) * 3;
+    return target.setRGB(lut[index], lut[index + 1], lut[index + 2]);
   }
 
   /**
    * @private
    * @method buildInstancedMesh
-   * @description 根据解析出的叶子节点数据创建InstancedMesh。
+   * @description 根据解析出的占据叶子节点数据创建InstancedMesh，非 'flat' 着色时使用逐实例的 `color` 属性。
    * @param {Array<object>} leafNodes - 包含位置和大小的叶子节点数组。
    */
   buildInstancedMesh(leafNodes) {
@@ -145,11 +229,13 @@ export class OcTree extends THREE.Object3D {
       return;
     }
 
-    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const geometry = new THREE.BoxBufferGeometry(1, 1, 1);
+    const flat = this.colorMode === "flat";
     const material = new THREE.MeshBasicMaterial({
-      color: this.color,
+      color: flat ? this.color : 0xffffff,
       opacity: this.opacity,
       transparent: this.opacity < 1.0,
+      vertexColors: !flat,
     });
 
     this.instancedMesh = new THREE.InstancedMesh(
@@ -157,7 +243,6 @@ export class OcTree extends THREE.Object3D {
       material,
       leafNodes.length
     );
-    this.instancedMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
 
     const matrix = new THREE.Matrix4();
     for (let i = 0; i < leafNodes.length; i++) {
@@ -168,9 +253,25 @@ export class OcTree extends THREE.Object3D {
       matrix.compose(position, quaternion, scale);
       this.instancedMesh.setMatrixAt(i, matrix);
     }
-
     this.instancedMesh.instanceMatrix.needsUpdate = true;
-    this.add(this.instancedMesh);
+
+    if (!flat) {
+      let range = this.heightRange;
+      if (!range) {
+        range = { min: Infinity, max: -Infinity };
+        leafNodes.forEach(({ z }) => {
+          range.min = Math.min(range.min, z);
+          range.max = Math.max(range.max, z);
+        });
+      }
+      // 逐实例的颜色属性替代 vertexColors 中的顶点色
+      const colors = new Float32Array(leafNodes.length * 3);
+      const color = new THREE.Color();
+      leafNodes.forEach((leaf, i) => {
+        this._leafColor(leaf, range, color).toArray(colors, i * 3);
+      });
+      geometry.setAttribute("color", new THREE.InstancedBufferAttribute(colors, 3));
+    }
     logger.info(`Created InstancedMesh with ${leafNodes.length} OcTree nodes.`);
   }
 }
@@ -2,8 +2,10 @@
  * @fileOverview OcTreeClient - 用于显示ROS octomap_msgs/Octomap消息的客户端。
  */
 
+import * as THREE from "three";
 import { EventEmitter } from "eventemitter3";
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
 import { SceneNode } from "../visualization/SceneNode.js";
 import { getLogger } from "../utils/Logger.js";
 import { OcTree } from "./OcTree.js";
@@ -20,7 +22,8 @@ export class OcTreeClient extends EventEmitter {
   /**
    * @param {object} options - 配置选项。
    * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros的连接句柄。
-   * @param {string} [options.topic='/octomap_full'] - 要监听的Octomap主题。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
+   * @param {string} [options.topic='/octomap_full'] - 要监听的Octomap主题，也可以是二进制格式的 '/octomap_binary'。
    * @param {boolean} [options.continuous=false] - 地图是否应连续加载。
    * @param {object} options.tfClient - 用于场景节点的TF客户端句柄。
    * @param {string} [options.compression='cbor'] - 消息压缩方式。
@@ -28,10 +31,23 @@ export class OcTreeClient extends EventEmitter {
    * @param {ROSLIB.Pose} [options.offsetPose] - 栅格可视化的偏移位姿。
    * @param {object} [options.color] - （用于非彩色八叉树）体素的颜色。
    * @param {number} [options.opacity=1.0] - 可视化栅格的不透明度。
+   * @param {number} [options.occupancyThreshold=0.5] - 完整格式中判定占据的概率阈值。
+   * @param {string} [options.voxelRenderMode='occupied'] - 显示的体素：'occupied'、'free' 或 'both'。
+   * @param {object} [options.freeColor] - 空闲体素的颜色。
+   * @param {number} [options.freeOpacity] - 空闲体素的不透明度，小于 1 时半透明显示。
+   * @param {string} [options.colorMode] - 占据体素的着色方式：'flat'、'height'、'probability' 或 'cell'，
+   *   默认 ColorOcTree 使用 'cell'，其余使用 'flat'。
+   * @param {string|Array|function} [options.colorMap='rainbow'] - 'height' 与 'probability' 着色的颜色映射。
+   * @param {{min: number, max: number}} [options.heightRange] - 'height' 着色的 z 范围（米）。
+   * @param {number} [options.maxDepth=16] - 显示的最大树深度。
+   * @param {number} [options.interactiveMaxDepth] - 相机移动时临时使用的较小最大深度，需要同时指定 `cameraControls`。
+   * @param {OrbitControls} [options.cameraControls] - 相机控制器（如 `viewer.cameraControls`），其 'change' 事件表示相机正在移动。
+   * @param {number} [options.interactiveDelay=300] - 相机停止移动多久（毫秒）后恢复 `maxDepth`。
    */
   constructor(options = {}) {
     super();
     this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = options.topic || "/octomap_full";
     this.continuous = options.continuous || false;
     this.tfClient = options.tfClient;
@@ -41,9 +57,27 @@ export class OcTreeClient extends EventEmitter {
     this.octreeOptions = {
       color: options.color,
       opacity: options.opacity,
+      occupancyThreshold: options.occupancyThreshold,
+      voxelRenderMode: options.voxelRenderMode,
+      freeColor: options.freeColor,
+      freeOpacity: options.freeOpacity,
+      colorMode: options.colorMode,
+      colorMap: options.colorMap,
+      heightRange: options.heightRange,
     };
+    this.maxDepth = options.maxDepth ?? 16;
+    this.interactiveMaxDepth = options.interactiveMaxDepth;
+    this.cameraControls = options.cameraControls;
+    this.interactiveDelay = options.interactiveDelay ?? 300;
+    this.lodTimer = null;
 
     this.sceneNode = null;
+    this.octree = null;
+
+    this.onCameraChange = this.onCameraChange.bind(this);
+    if (this.cameraControls && this.interactiveMaxDepth) {
+      this.cameraControls.addEventListener("change", this.onCameraChange);
+    }
 
     this.processMessage = this.processMessage.bind(this);
     if (this.ros) {
@@ -57,11 +91,48 @@ export class OcTreeClient extends EventEmitter {
    */
   dispose() {
     this.unsubscribe();
+    if (this.cameraControls) {
+      this.cameraControls.removeEventListener("change", this.onCameraChange);
+    }
+    clearTimeout(this.lodTimer);
+    this.lodTimer = null;
     if (this.sceneNode) {
       this.rootObject.remove(this.sceneNode);
       this.sceneNode.dispose();
       this.sceneNode = null;
     }
+    this.octree = null;
+  }
+
+  /**
+   * @method setMaxDepth
+   * @description 设置显示的最大树深度，立即应用于当前地图。
+   * @param {number} maxDepth - 最大深度（1-16）。
+   */
+  setMaxDepth(maxDepth) {
+    this.maxDepth = maxDepth;
+    if (this.octree && !this.lodTimer) {
+      this.octree.setMaxDepth(maxDepth);
+    }
+  }
+
+  /**
+   * @private
+   * @method onCameraChange
+   * @description 相机移动时切换到 `interactiveMaxDepth`，停止移动后恢复 `maxDepth`。
+   */
+  onCameraChange() {
+    if (!this.octree) {
+      return;
+    }
+    this.octree.setMaxDepth(this.interactiveMaxDepth);
+    clearTimeout(this.lodTimer);
+    this.lodTimer = setTimeout(() => {
+      this.lodTimer = null;
+      if (this.octree) {
+        this.octree.setMaxDepth(this.maxDepth);
+      }
+    }, this.interactiveDelay);
   }
 
   /**
@@ -85,7 +156,10 @@ export class OcTreeClient extends EventEmitter {
     this.rosTopic = new ROSLIB.Topic({
       ros: this.ros,
       name: this.topicName,
-      messageType: "octomap_msgs/Octomap",
+      messageType: toRosType(
+        "octomap_msgs/Octomap",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
       queue_length: 1,
       compression: this.compression,
     });
@@ -106,16 +180,18 @@ export class OcTreeClient extends EventEmitter {
       this.sceneNode = null;
     }
 
-    const octreeOptions = { ...this.octreeOptions, message };
+    const maxDepth = this.lodTimer ? this.interactiveMaxDepth : this.maxDepth;
+    const octreeOptions = { ...this.octreeOptions, message, maxDepth };
     let octreeObject;
 
-    // 根据消息ID决定创建普通八叉树还是彩色八叉树
-    if (message.id === 'ColorOcTree') {
+    // 根据消息ID决定创建普通八叉树还是彩色八叉树，二进制格式不含颜色
+    if (message.id === 'ColorOcTree' && !message.binary) {
       octreeObject = new ColorOcTree(octreeOptions);
     } else {
       octreeObject = new OcTree(octreeOptions);
     }
 
+    this.octree = octreeObject;
     this.sceneNode = new SceneNode({
       frameID: message.header.frame_id,
       tfClient: this.tfClient,
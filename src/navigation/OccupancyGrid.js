@@ -4,62 +4,340 @@
 
 import * as THREE from "three";
 import { getLogger } from "../utils/Logger.js";
+import { createGridPalette } from "./grid.palettes.js";
 
 const logger = getLogger("OccupancyGrid");
 
+const VERTEX_SHADER = `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+const FRAGMENT_SHADER = `
+uniform sampler2D map;
+uniform sampler2D palette;
+uniform float opacity;
+varying vec2 vUv;
+
+void main() {
+  // 纹理中保存占据值的补码（0-255），按其取调色板中对应的颜色
+  float value = texture2D(map, vUv).r * 255.0;
+  vec4 color = texture2D(palette, vec2((value + 0.5) / 256.0, 0.5));
+  if (color.a <= 0.0) discard;
+  gl_FragColor = vec4(color.rgb, color.a * opacity);
+}
+`;
+
+// 渐进构建时每个任务片段的耗时上限（毫秒）
+const BUILD_BUDGET = 8;
+
+/**
+ * 把占据值数组转换为按字节读取的视图，Int8Array / Uint8Array 可以按行整块复制。
+ * @private
+ */
+function toBytes(data) {
+  if (data instanceof Int8Array || data instanceof Uint8Array) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.length);
+  }
+  return null;
+}
+
+/**
+ * 栅格的一个分块，拥有独立的纹理、几何体和材质，纹理尺寸不超过分块大小。
+ * 单个分块时由 OccupancyGrid 本身作为网格显示；切分为多个分块时每个分块由单独的子网格 `mesh` 显示。
+ * @private
+ */
+class GridTile {
+  constructor(x, y, width, height, uniforms) {
+    const texture = new THREE.DataTexture(
+      new Uint8Array(width * height),
+      width,
+      height,
+      THREE.LuminanceFormat
+    );
+    // 纹理只保存占据值，纹理第 row 行对应分块第 row 行（y 方向），局部更新时可以直接按地图坐标写入
+    texture.flipY = false;
+    texture.unpackAlignment = 1;
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+
+    this.material = new THREE.ShaderMaterial({
+      // 调色板与不透明度在所有分块间共享
+      uniforms: { ...uniforms, map: { value: texture } },
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER,
+      transparent: true, // 总是允许透明，以便显示代价地图中的空闲空间
+      side: THREE.DoubleSide,
+    });
+    this.geometry = new THREE.PlaneGeometry(width, height);
+
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+    this.imageData = texture.image.data;
+    this.texture = texture;
+    this.mesh = null; // 切分为多个分块时显示该分块的子网格
+    this.built = false;
+    this.dirtyRects = []; // 等待上传到GPU的局部区域
+  }
+
+  dispose() {
+    this.texture.dispose();
+    this.material.dispose();
+    this.geometry.dispose();
+  }
+
+  /**
+   * 把地图坐标系中矩形 [x0, x1) × [y0, y1) 的占据值写入纹理数据。
+   * `data` 为以 (dataX, dataY) 为左下角、每行 `stride` 个单元的占据值。
+   */
+  write(data, bytes, dataX, dataY, stride, x0, y0, x1, y1) {
+    const count = x1 - x0;
+    for (let row = y0; row < y1; row++) {
+      const target = (row - this.y) * this.width + x0 - this.x;
+      const source = (row - dataY) * stride + x0 - dataX;
+      if (bytes) {
+        this.imageData.set(bytes.subarray(source, source + count), target);
+      } else {
+        // int8 占据值按补码保存为 0-255，与调色板下标一致
+        for (let col = 0; col < count; col++) {
+          this.imageData[target + col] = data[source + col] & 0xff;
+        }
+      }
+    }
+  }
+
+  /**
+   * 用完整地图数据写入整个分块，整张纹理在下次渲染时上传。
+   */
+  build(data, bytes, stride) {
+    this.write(data, bytes, 0, 0, stride, this.x, this.y, this.x + this.width, this.y + this.height);
+    this.built = true;
+    if (this.mesh) {
+      this.mesh.visible = true;
+    }
+    this.dirtyRects = [];
+    this.texture.needsUpdate = true;
+  }
+
+  /**
+   * 写入局部更新与分块的交集，只在下次渲染时上传该区域。
+   */
+  update(update, bytes) {
+    const x0 = Math.max(update.x, this.x);
+    const y0 = Math.max(update.y, this.y);
+    const x1 = Math.min(update.x + update.width, this.x + this.width);
+    const y1 = Math.min(update.y + update.height, this.y + this.height);
+    if (x0 >= x1 || y0 >= y1) {
+      return;
+    }
+    this.write(update.data, bytes, update.x, update.y, update.width, x0, y0, x1, y1);
+    this.dirtyRects.push({ x: x0 - this.x, y: y0 - this.y, width: x1 - x0, height: y1 - y0 });
+
+    // 待上传区域过大时改为整体上传
+    const area = this.dirtyRects.reduce((sum, rect) => sum + rect.width * rect.height, 0);
+    if (area > (this.width * this.height) / 4) {
+      this.dirtyRects = [];
+      this.texture.needsUpdate = true;
+    }
+  }
+
+  /**
+   * 渲染前把待上传的局部区域写入已有纹理。
+   */
+  upload(renderer) {
+    if (this.dirtyRects.length === 0) {
+      return;
+    }
+    const position = new THREE.Vector2();
+    this.dirtyRects.forEach((rect) => {
+      const patch = new Uint8Array(rect.width * rect.height);
+      for (let row = 0; row < rect.height; row++) {
+        const start = (rect.y + row) * this.width + rect.x;
+        patch.set(this.imageData.subarray(start, start + rect.width), row * rect.width);
+      }
+      const source = new THREE.DataTexture(patch, rect.width, rect.height, THREE.LuminanceFormat);
+      source.unpackAlignment = 1;
+      renderer.copyTextureToTexture(position.set(rect.x, rect.y), source, this.texture);
+    });
+    this.dirtyRects = [];
+  }
+}
+
 /**
  * @class OccupancyGrid
  * @description 一个可以将ROS `nav_msgs/OccupancyGrid` 消息转换为可渲染的THREE.js对象的组件。
+ * 默认整张地图使用一张纹理，栅格本身就是显示地图的网格，`geometry`、`material` 与 `texture` 均可直接访问；
+ * 纹理保存占据值，颜色由调色板纹理在着色器中查出。
+ * 指定 `tileSize` 时，超过该尺寸的地图被切分为多个拥有独立纹理的分块，避免超出 WebGL 的最大纹理尺寸，
+ * 此时栅格自身不绘制，分块网格作为子对象添加（见 `getTileMeshes`），`texture` 为 null；
+ * 多个分块时默认在后续任务中逐块写入数据，每个分块写入后才显示，构建完成时 `ready` 兑现并派发 'ready' 事件。
  * @extends THREE.Mesh
  */
 export class OccupancyGrid extends THREE.Mesh {
+  #buildTimer = null;
+  #resolveReady = null;
+
   /**
    * @param {object} options - 配置选项。
    * @param {object} options.message - `nav_msgs/OccupancyGrid` 消息。
-   * @param {object} [options.color={r:0, g:0, b:0}] - 占据空间（100）的颜色。
-   * @param {object} [options.unknownColor={r:128, g:128, b:128}] - 未知空间（-1）的颜色。
+   * @param {string|function|Array<number>|Uint8Array} [options.colorScheme='map'] - 配色方案，
+   *   'map'、'costmap'、'raw' 或自定义查找表，见 `createGridPalette`。
+   * @param {object} [options.color] - 旧版选项，占据空间（100）的颜色 `{r, g, b}`（0-255），覆盖配色方案中的该项。
+   * @param {object} [options.unknownColor] - 旧版选项，未知空间（-1）的颜色 `{r, g, b}`（0-255），覆盖配色方案中的该项。
    * @param {number} [options.opacity=1.0] - 可视化栅格的不透明度。
+   * @param {number} [options.tileSize] - 分块的最大边长（单元数），不应超过
+   *   `renderer.capabilities.maxTextureSize`。未指定时不分块。
+   * @param {boolean} [options.progressive=true] - 多个分块时是否逐块渐进构建，为 false 时在构造函数中同步写入。
    */
   constructor(options = {}) {
     logger.info("Initializing OccupancyGrid component");
-    logger.debug("OccupancyGrid configuration options:", options);
-
-    const {
-      message,
-      opacity = 1.0,
-      color = { r: 255, g: 255, b: 255 }, // 默认以白色表示已占用空间，与旧版设计保持一致
-      unknownColor = { r: 128, g: 128, b: 128 },
-    } = options;
 
+    const { message, opacity = 1.0, colorScheme = "map", color, unknownColor, progressive = true } = options;
     const { info, data } = message;
-    const { width, height, resolution, origin } = info;
+    const { width, height } = info;
+    const tiled = options.tileSize > 0 && (width > options.tileSize || height > options.tileSize);
+    const tileSize = tiled ? options.tileSize : Math.max(width, height, 1);
 
-    const geom = new THREE.PlaneGeometry(width, height);
-    logger.debug(`Created OccupancyGrid geometry of size: ${width}x${height}`);
-
-    const imageData = new Uint8Array(width * height * 4);
-    const texture = new THREE.DataTexture(
-      imageData,
-      width,
-      height,
-      THREE.RGBAFormat
-    );
-    texture.flipY = true;
-    texture.minFilter = THREE.NearestFilter;
-    texture.magFilter = THREE.NearestFilter;
+    const palette = new Uint8Array(256 * 4);
+    const paletteTexture = new THREE.DataTexture(palette, 256, 1, THREE.RGBAFormat);
+    paletteTexture.minFilter = THREE.NearestFilter;
+    paletteTexture.magFilter = THREE.NearestFilter;
+    const uniforms = {
+      palette: { value: paletteTexture },
+      opacity: { value: opacity },
+    };
 
-    const material = new THREE.MeshBasicMaterial({
-      map: texture,
-      transparent: true, // 总是允许透明，以便显示空闲空间
-      opacity: opacity,
-      side: THREE.DoubleSide,
-    });
+    // 分块在本地坐标系中以地图中心为原点排列，单位为单元格
+    const tiles = [];
+    for (let y = 0; y < height; y += tileSize) {
+      for (let x = 0; x < width; x += tileSize) {
+        tiles.push(
+          new GridTile(x, y, Math.min(tileSize, width - x), Math.min(tileSize, height - y), uniforms)
+        );
+      }
+    }
 
-    super(geom, material);
+    if (tiled) {
+      // 栅格自身不绘制，由各分块的子网格显示
+      super(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial({ visible: false }));
+    } else {
+      super(tiles[0].geometry, tiles[0].material);
+    }
 
     this.color = color;
     this.unknownColor = unknownColor;
+    this.info = info;
+    this.tiled = tiled;
+    this.tileSize = tileSize;
+    this.progressive = progressive;
+    this.source = null; // 尚未写入所有分块时保留的完整地图数据
+    this.ready = Promise.resolve(this);
+    this.palette = palette;
+    this.paletteTexture = paletteTexture;
+    this.texture = tiled ? null : tiles[0].texture;
+    this.columns = Math.ceil(width / tileSize);
+    this.tiles = tiles;
+
+    if (tiled) {
+      tiles.forEach((tile) => {
+        const mesh = new THREE.Mesh(tile.geometry, tile.material);
+        mesh.position.set(tile.x + tile.width / 2 - width / 2, tile.y + tile.height / 2 - height / 2, 0);
+        mesh.visible = false; // 首次写入数据前不显示
+        mesh.onBeforeRender = (renderer) => tile.upload(renderer);
+        tile.mesh = mesh;
+        this.add(mesh);
+      });
+    }
+    logger.debug(`Created OccupancyGrid of size ${width}x${height} in ${tiles.length} tile(s)`);
+
+    this.setColorScheme(colorScheme);
+    this.setInfo(info);
+    this.setData(data);
+    logger.info("OccupancyGrid component initialized successfully");
+  }
 
+  /**
+   * @method dispose
+   * @description 释放此对象占用的资源。
+   */
+  dispose() {
+    logger.debug("Disposing OccupancyGrid resources");
+    this.#cancelBuild();
+    this.source = null;
+    this.tiles.forEach((tile) => tile.dispose());
+    this.paletteTexture.dispose();
+    if (this.tiled) {
+      this.geometry.dispose();
+      this.material.dispose();
+    }
+  }
+
+  /**
+   * @method getTileMeshes
+   * @description 返回显示地图的网格：不分块时为栅格本身，否则为各分块的子网格。
+   * @returns {Array<THREE.Mesh>} 网格列表，分块按行优先排列。
+   */
+  getTileMeshes() {
+    return this.tiled ? this.tiles.map((tile) => tile.mesh) : [this];
+  }
+
+  /**
+   * 不分块时在渲染前上传待更新的局部区域。
+   * @private
+   */
+  onBeforeRender(renderer) {
+    if (!this.tiled) {
+      this.tiles[0].upload(renderer);
+    }
+  }
+
+  /**
+   * @method setColorScheme
+   * @description 切换配色方案。只替换所有分块共享的调色板纹理，无需重新处理栅格数据。
+   * 指定了旧版选项 `color`、`unknownColor` 时，它们仍然覆盖新方案中占据（100）与未知（-1）的颜色。
+   * @param {string|function|Array<number>|Uint8Array} scheme - 'map'、'costmap'、'raw' 或自定义查找表，
+   *   见 `createGridPalette`。
+   */
+  setColorScheme(scheme) {
+    this.colorScheme = scheme;
+    this.palette.set(createGridPalette(scheme));
+    if (this.color) {
+      this.palette.set([this.color.r, this.color.g, this.color.b, 255], 100 * 4);
+    }
+    if (this.unknownColor) {
+      this.palette.set([this.unknownColor.r, this.unknownColor.g, this.unknownColor.b, 255], 255 * 4);
+    }
+    this.paletteTexture.needsUpdate = true;
+  }
+
+  /**
+   * @method matches
+   * @description 判断地图元数据的尺寸和分辨率是否与当前栅格一致，一致时可以原地更新。
+   * @param {object} info - `nav_msgs/MapMetaData`。
+   * @returns {boolean} 是否一致。
+   */
+  matches(info) {
+    return (
+      info.width === this.info.width &&
+      info.height === this.info.height &&
+      info.resolution === this.info.resolution
+    );
+  }
+
+  /**
+   * @method setInfo
+   * @description 按地图元数据（原点、分辨率）放置栅格。尺寸变化时应重新创建栅格。
+   * @param {object} info - `nav_msgs/MapMetaData`。
+   */
+  setInfo(info) {
+    const { width, height, resolution, origin } = info;
+    this.info = info;
     this.quaternion.copy(origin.orientation);
     this.scale.set(resolution, resolution, 1);
     this.position.set(
@@ -67,67 +345,154 @@ export class OccupancyGrid extends THREE.Mesh {
       (height * resolution) / 2 + origin.position.y,
       origin.position.z
     );
+  }
 
-    logger.debug("Processing OccupancyGrid data...");
-    for (let row = 0; row < height; row++) {
-      for (let col = 0; col < width; col++) {
-        const mapI = col + (height - 1 - row) * width;
-        const val = data[mapI];
-        const color = this.getColor(val);
-        const imgI = (col + row * width) * 4;
-        imageData.set(color, imgI);
-      }
+  /**
+   * @method setData
+   * @description 写入完整的栅格数据。多个分块且启用渐进构建时逐块写入，未写入的分块保持原有内容。
+   * @param {Array<number>|Int8Array} data - 按行存储的占据值。
+   */
+  setData(data) {
+    const building = this.#buildTimer !== null;
+    this.#cancelBuild();
+    this.source = data;
+    this.tiles.forEach((tile) => {
+      tile.built = false;
+    });
+    if (!this.progressive || !this.tiled) {
+      this.#buildTiles(Infinity);
+      return;
     }
-
-    texture.needsUpdate = true;
-    logger.info("OccupancyGrid component initialized successfully");
+    // 上一次构建尚未完成时沿用其 ready，在本次构建完成时兑现
+    if (!building) {
+      this.ready = new Promise((resolve) => {
+        this.#resolveReady = resolve;
+      });
+    }
+    this.#scheduleBuild();
   }
 
   /**
-   * @method dispose
-   * @description 释放此对象占用的资源。
+   * @method applyUpdate
+   * @description 应用 `map_msgs/OccupancyGridUpdate` 局部更新，只修改并上传与更新区域相交的分块。
+   * 相交的分块尚未构建时先同步构建。
+   * @param {object} update - `map_msgs/OccupancyGridUpdate` 消息。
+   * @returns {boolean} 更新区域超出当前地图范围时返回 false 且不做任何修改。
    */
-  dispose() {
-    logger.debug("Disposing OccupancyGrid resources");
-    if (this.material.map) {
-      this.material.map.dispose();
+  applyUpdate(update) {
+    const { x, y, width, height, data } = update;
+    if (
+      x < 0 ||
+      y < 0 ||
+      x + width > this.info.width ||
+      y + height > this.info.height ||
+      data.length < width * height
+    ) {
+      return false;
     }
-    this.material.dispose();
-    this.geometry.dispose();
+    const bytes = toBytes(data);
+    this.#tilesIn(x, y, width, height).forEach((tile) => {
+      this.#ensureBuilt(tile);
+      tile.update(update, bytes);
+    });
+    return true;
+  }
+
+  /**
+   * @method getValue
+   * @description 读取单元格当前的占据值。
+   * @param {number} col - 列号（x 方向）。
+   * @param {number} row - 行号（y 方向）。
+   * @returns {number} 占据值（-128 到 127）。
+   */
+  getValue(col, row) {
+    const tile = this.#tilesIn(col, row, 1, 1)[0];
+    this.#ensureBuilt(tile);
+    const value = tile.imageData[(row - tile.y) * tile.width + col - tile.x];
+    return value > 127 ? value - 256 : value;
   }
 
   /**
-   * @private
    * @method getColor
-   * @description 根据占据值计算并返回颜色。
-   * - -1（未知）: 返回 `unknownColor`。
-   * - 0（空闲）: 返回完全透明的颜色。
-   * - 1-100（占据）: 返回基于 `color` 的灰度插值颜色。
+   * @description 返回当前配色方案下占据值对应的颜色。
    * @param {number} value - 单元格的占据值 (-1, 0-100)。
    * @returns {Array<number>} RGBA颜色数组，值范围为0-255。
    */
   getColor(value) {
-    // if (value === -1) {
-    //   return [
-    //     this.unknownColor.r,
-    //     this.unknownColor.g,
-    //     this.unknownColor.b,
-    //     255,
-    //   ];
-    // } else if (value === 0) {
-    //   return [0, 0, 0, 0]; // 透明
-    // } else {
-    //   const intensity = value / 100.0; // 将值 [1, 100] 正确映射到强度 [0.01, 1.0]
-    //   return [this.color.r * intensity, this.color.g * intensity, this.color.b * intensity, 255];
-    // }
-     var colorMap = {
-      "0": [255, 255, 255, 255], // 空闲：白色
-      "100": [0, 0, 0, 255],     // 占用：黑色
-      "-1": [128, 128, 128, 255] // 未知：灰色
-    };
-    // 获取颜色值
-    var colorValue = colorMap[`${value}`] || [255, 255, 255, 255]; // 默认为白色
+    const index = (value & 0xff) * 4;
+    return Array.from(this.palette.subarray(index, index + 4));
+  }
+
+  /**
+   * 返回与地图坐标系中矩形相交的分块。
+   * @private
+   */
+  #tilesIn(x, y, width, height) {
+    const tiles = [];
+    const rows = Math.ceil(this.info.height / this.tileSize);
+    const c0 = Math.floor(x / this.tileSize);
+    const c1 = Math.min(Math.ceil((x + width) / this.tileSize), this.columns);
+    const r0 = Math.floor(y / this.tileSize);
+    const r1 = Math.min(Math.ceil((y + height) / this.tileSize), rows);
+    for (let r = r0; r < r1; r++) {
+      for (let c = c0; c < c1; c++) {
+        tiles.push(this.tiles[r * this.columns + c]);
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * @private
+   */
+  #ensureBuilt(tile) {
+    if (!tile.built) {
+      tile.build(this.source, toBytes(this.source), this.info.width);
+    }
+  }
+
+  /**
+   * 写入尚未构建的分块，超出耗时上限时返回 false。
+   * @private
+   */
+  #buildTiles(budget) {
+    const start = performance.now();
+    const bytes = toBytes(this.source);
+    for (const tile of this.tiles) {
+      if (!tile.built) {
+        if (performance.now() - start > budget) {
+          return false;
+        }
+        tile.build(this.source, bytes, this.info.width);
+      }
+    }
+    this.source = null;
+    return true;
+  }
 
-    return colorValue;
+  /**
+   * @private
+   */
+  #scheduleBuild() {
+    this.#buildTimer = setTimeout(() => {
+      this.#buildTimer = null;
+      if (!this.#buildTiles(BUILD_BUDGET)) {
+        this.#scheduleBuild();
+        return;
+      }
+      logger.debug("OccupancyGrid tiles built");
+      this.#resolveReady(this);
+      this.dispatchEvent({ type: "ready" });
+    }, 0);
+  }
+
+  /**
+   * @private
+   */
+  #cancelBuild() {
+    if (this.#buildTimer !== null) {
+      clearTimeout(this.#buildTimer);
+      this.#buildTimer = null;
+    }
   }
 }
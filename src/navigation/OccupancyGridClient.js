@@ -2,8 +2,10 @@
  * @fileOverview OccupancyGridClient - 用于显示ROS占据栅格地图的客户端。
  */
 
+import * as THREE from "three";
 import { EventEmitter } from "eventemitter3";
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
 import { OccupancyGrid } from "./OccupancyGrid.js";
 import { SceneNode } from "../visualization/SceneNode.js";
 import { getLogger } from "../utils/Logger.js";
@@ -19,31 +21,49 @@ export class OccupancyGridClient extends EventEmitter {
   /**
    * @param {object} options - 配置选项。
    * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
    * @param {string} [options.topic='/map'] - 要监听的地图主题。
    * @param {boolean} [options.continuous=false] - 地图是否应连续加载（例如，用于SLAM）。
+   *   尺寸和分辨率不变的新地图会原地更新已有栅格，不再重建网格和纹理。
+   * @param {string|null} [options.updatesTopic] - 连续加载时监听的 `map_msgs/OccupancyGridUpdate` 主题，
+   *   默认为 `<topic>_updates`，为 null 时不监听局部更新。
    * @param {object} [options.tfClient] - 用于场景节点的TF客户端句柄。
    * @param {string} [options.compression='cbor'] - 消息压缩方式。
    * @param {THREE.Object3D} [options.rootObject] - 用于添加此地图的根对象。
    * @param {ROSLIB.Pose} [options.offsetPose] - 栅格可视化的偏移位姿。
-   * @param {object} [options.color] - 可视化栅格的颜色。
+   * @param {object} [options.color] - 占据空间（100）的颜色 `{r, g, b}`（0-255），覆盖配色方案中的该项。
+   * @param {object} [options.unknownColor] - 未知空间（-1）的颜色 `{r, g, b}`（0-255），覆盖配色方案中的该项。
+   * @param {string|function|Array<number>|Uint8Array} [options.colorScheme='map'] - 配色方案，
+   *   'map'、'costmap'、'raw' 或自定义查找表，见 `createGridPalette`。
    * @param {number} [options.opacity] - 可视化栅格的不透明度。
+   * @param {number} [options.tileSize] - 大地图分块的最大边长（单元数），未指定时整张地图使用一张纹理。
+   * @param {boolean} [options.progressive=true] - 多个分块时是否逐块渐进构建，避免阻塞界面。
    */
   constructor(options = {}) {
     super();
     this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = options.topic || "/map";
     this.continuous = options.continuous || false;
+    this.updatesTopicName =
+      options.updatesTopic === undefined ? `${this.topicName}_updates` : options.updatesTopic;
     this.tfClient = options.tfClient;
     this.rootObject = options.rootObject || new THREE.Object3D();
     this.offsetPose = options.offsetPose || new ROSLIB.Pose();
     this.color = options.color;
+    this.unknownColor = options.unknownColor;
+    this.colorScheme = options.colorScheme || "map";
     this.opacity = options.opacity;
+    this.tileSize = options.tileSize;
+    this.progressive = options.progressive;
     this.compression = options.compression || "cbor";
 
     this.currentGrid = null;
     this.sceneNode = null;
 
+    this.updatesTopic = null;
     this.processMessage = this.processMessage.bind(this);
+    this.processUpdate = this.processUpdate.bind(this);
     this.subscribe();
   }
 
@@ -77,6 +97,10 @@ export class OccupancyGridClient extends EventEmitter {
       this.rosTopic.unsubscribe(this.processMessage);
       this.rosTopic = null;
     }
+    if (this.updatesTopic) {
+      this.updatesTopic.unsubscribe(this.processUpdate);
+      this.updatesTopic = null;
+    }
   }
 
   /**
@@ -89,12 +113,42 @@ export class OccupancyGridClient extends EventEmitter {
     this.rosTopic = new ROSLIB.Topic({
       ros: this.ros,
       name: this.topicName,
-      messageType: "nav_msgs/OccupancyGrid",
+      messageType: toRosType(
+        "nav_msgs/OccupancyGrid",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
       queue_length: 1,
       compression: this.compression,
     });
     this.rosTopic.subscribe(this.processMessage);
     logger.info(`Subscribed to OccupancyGrid topic: ${this.topicName}`);
+
+    if (this.continuous && this.updatesTopicName) {
+      this.updatesTopic = new ROSLIB.Topic({
+        ros: this.ros,
+        name: this.updatesTopicName,
+        messageType: toRosType(
+          "map_msgs/OccupancyGridUpdate",
+          resolveRosVersion(this.ros, this.rosVersion)
+        ),
+        compression: this.compression,
+      });
+      this.updatesTopic.subscribe(this.processUpdate);
+      logger.info(`Subscribed to OccupancyGrid updates topic: ${this.updatesTopicName}`);
+    }
+  }
+
+  /**
+   * @method setColorScheme
+   * @description 切换配色方案，之后重建的栅格沿用该方案。
+   * @param {string|function|Array<number>|Uint8Array} scheme - 'map'、'costmap'、'raw' 或自定义查找表。
+   */
+  setColorScheme(scheme) {
+    this.colorScheme = scheme;
+    if (this.currentGrid) {
+      this.currentGrid.setColorScheme(scheme);
+      this.emit("change");
+    }
   }
 
   /**
@@ -104,6 +158,17 @@ export class OccupancyGridClient extends EventEmitter {
    * @param {object} message - `nav_msgs/OccupancyGrid` 消息。
    */
   processMessage(message) {
+    // 尺寸和分辨率不变时原地更新，原点变化只移动栅格
+    if (this.currentGrid && this.currentGrid.matches(message.info)) {
+      this.currentGrid.setInfo(message.info);
+      this.currentGrid.setData(message.data);
+      this.emit("change");
+      if (!this.continuous) {
+        this.unsubscribe();
+      }
+      return;
+    }
+
     // 清理旧地图
     if (this.currentGrid) {
       this.currentGrid.dispose();
@@ -117,7 +182,11 @@ export class OccupancyGridClient extends EventEmitter {
     const newGrid = new OccupancyGrid({
       message: message,
       color: this.color,
+      unknownColor: this.unknownColor,
+      colorScheme: this.colorScheme,
       opacity: this.opacity,
+      tileSize: this.tileSize,
+      progressive: this.progressive,
     });
     this.currentGrid = newGrid;
 
@@ -145,4 +214,26 @@ export class OccupancyGridClient extends EventEmitter {
       this.unsubscribe();
     }
   }
+
+  /**
+   * @private
+   * @method processUpdate
+   * @description 处理 `map_msgs/OccupancyGridUpdate` 消息，局部更新当前栅格。
+   * 基础地图尚未收到，或更新区域超出当前地图（基础地图的尺寸已变化但新地图尚未到达）时丢弃该更新。
+   * @param {object} update - `map_msgs/OccupancyGridUpdate` 消息。
+   */
+  processUpdate(update) {
+    if (!this.currentGrid) {
+      logger.debug("Dropping OccupancyGrid update received before the base map");
+      return;
+    }
+    if (!this.currentGrid.applyUpdate(update)) {
+      logger.warn(
+        `Dropping OccupancyGrid update [${update.x}, ${update.y}, ${update.width}x${update.height}] ` +
+          "outside of the current map"
+      );
+      return;
+    }
+    this.emit("change");
+  }
 }
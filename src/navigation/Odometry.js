@@ -4,8 +4,10 @@
 
 import * as THREE from "three";
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
 import { SceneNode } from "../visualization/SceneNode.js";
 import { Arrow } from "../models/Arrow.js";
+import { Covariance } from "../models/Covariance.js";
 import { getLogger } from "../utils/Logger.js";
 
 const logger = getLogger("Odometry");
@@ -18,22 +20,26 @@ export class Odometry {
   /**
    * @param {object} options - 配置选项。
    * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
    * @param {string} [options.topic='/odom'] - 要监听的Odometry主题。
    * @param {object} options.tfClient - TF客户端句柄。
    * @param {THREE.Object3D} [options.rootObject] - 用于添加此里程计可视化的根对象。
    * @param {number} [options.keep=1] - 要保留的标记数量。
    * @param {number} [options.color=0xcc00ff] - 箭头的颜色。
    * @param {number} [options.length=1.0] - 箭头的长度。
+   * @param {object|boolean} [options.covariance=true] - 位姿协方差的显示选项（见 `Covariance`），为 false 时不显示。
    * @param {number} [options.throttle_rate] - 消息节流速率（毫秒）。
    */
   constructor(options = {}) {
     this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = options.topic || "/odom";
     this.tfClient = options.tfClient;
     this.color = options.color || 0xcc00ff;
     this.rootObject = options.rootObject || new THREE.Object3D();
     this.keep = options.keep || 1;
     this.throttle_rate = options.throttle_rate || null;
+    this.covarianceOptions = options.covariance ?? true;
 
     // 明确提取与Arrow相关的参数，避免无关参数传入
     this.arrowOptions = {
@@ -85,7 +91,10 @@ export class Odometry {
     this.rosTopic = new ROSLIB.Topic({
       ros: this.ros,
       name: this.topicName,
-      messageType: "nav_msgs/Odometry",
+      messageType: toRosType(
+        "nav_msgs/Odometry",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
       queue_length: 1,
       throttle_rate: this.throttle_rate,
     });
@@ -130,6 +139,12 @@ export class Odometry {
       object: arrow,
     });
 
+    if (this.covarianceOptions !== false) {
+      const covariance = new Covariance(this.covarianceOptions === true ? {} : this.covarianceOptions);
+      covariance.update(message.pose.pose, message.pose.covariance);
+      sceneNode.add(covariance);
+    }
+
     this.sceneNodes.push(sceneNode);
     this.rootObject.add(sceneNode);
   }
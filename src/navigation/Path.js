@@ -4,34 +4,106 @@
 
 import * as THREE from "three";
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
 import { SceneNode } from "../visualization/SceneNode.js";
+import { Arrow } from "../models/Arrow.js";
+import { Axes } from "../models/Axes.js";
+import { Ribbon } from "../models/Ribbon.js";
+import { createColorLUT } from "../sensors/color.transformers.js";
 import { getLogger } from "../utils/Logger.js";
 
 const logger = getLogger("Path");
 
+/**
+ * 一条路径的显示对象：折线或条带，以及可选的位姿箭头或坐标轴。
+ * @private
+ */
+class PathVisual extends THREE.Object3D {
+  /**
+   * 设置所有材质的不透明度，用于缓冲区中旧路径的淡出。
+   */
+  setOpacity(opacity) {
+    this.traverse((object) => {
+      if (object.material) {
+        const material = object.material;
+        if (material.uniforms && material.uniforms.opacity) {
+          material.uniforms.opacity.value = opacity;
+        } else {
+          material.opacity = opacity;
+        }
+        const transparent = opacity < 1;
+        if (material.transparent !== transparent) {
+          material.transparent = transparent;
+          material.depthWrite = !transparent;
+          material.needsUpdate = true;
+        }
+      }
+    });
+  }
+
+  dispose() {
+    this.traverse((object) => {
+      if (object.geometry) {
+        object.geometry.dispose();
+      }
+      if (object.material) {
+        object.material.dispose();
+      }
+    });
+  }
+}
+
 /**
  * @class Path
- * @description 一个监听给定Path主题并显示连接位姿的线的客户端。
+ * @description 一个监听给定Path主题并显示连接位姿的线的客户端，显示选项与 RViz 的 Path 显示一致：
+ * 线型为细线（'lines'）或以米为单位的条带（'billboards'），可在每 N 个位姿处显示坐标轴或箭头，
+ * 可按位姿下标或自定义函数着色，并保留最近 `bufferLength` 条路径，越旧的路径越透明。
  */
 export class Path {
   /**
    * @param {object} options - 配置选项。
    * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
    * @param {string} [options.topic='/path'] - 要监听的Path主题。
    * @param {object} options.tfClient - TF客户端句柄。
    * @param {THREE.Object3D} [options.rootObject] - 用于添加此路径的根对象。
    * @param {number} [options.color=0xcc00ff] - 线的颜色。
+   * @param {number} [options.alpha=1.0] - 最新路径的不透明度。
+   * @param {string} [options.lineStyle='lines'] - 线型：'lines'（1 像素细线）或 'billboards'（朝向相机的条带）。
+   * @param {number} [options.lineWidth=0.03] - 'billboards' 线型的宽度（米）。
+   * @param {string|function} [options.colorBy] - 逐位姿着色：'index' 按下标沿 `colorMap` 渐变，
+   *   或函数 `(poseStamped, index, count) => THREE.Color|number|string`；默认使用 `color`。
+   * @param {string|Array|function} [options.colorMap='rainbow'] - 'index' 着色使用的颜色映射，同 `createColorLUT`。
+   * @param {string} [options.poseStyle='none'] - 位姿的显示方式：'none'、'axes' 或 'arrows'。
+   * @param {number} [options.poseEvery=1] - 每隔多少个位姿显示一个坐标轴或箭头。
+   * @param {number} [options.poseLength=0.3] - 坐标轴或箭头的长度（米）。
+   * @param {number} [options.poseRadius=0.03] - 坐标轴的半径或箭头杆的直径（米）。
+   * @param {number} [options.poseColor=0x55ff00] - 箭头的颜色。
+   * @param {number} [options.bufferLength=1] - 保留的路径条数，旧路径按存在时间线性淡出。
    * @param {number} [options.throttle_rate] - 消息节流速率（毫秒）。
    */
   constructor(options = {}) {
     this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = options.topic || "/path";
     this.tfClient = options.tfClient;
     this.color = options.color || 0xcc00ff;
+    this.alpha = options.alpha ?? 1.0;
+    this.lineStyle = options.lineStyle || "lines";
+    this.lineWidth = options.lineWidth ?? 0.03;
+    this.colorBy = options.colorBy || null;
+    this.colorLUT = createColorLUT(options.colorMap || "rainbow");
+    this.poseStyle = options.poseStyle || "none";
+    this.poseEvery = Math.max(1, Math.floor(options.poseEvery || 1));
+    this.poseLength = options.poseLength ?? 0.3;
+    this.poseRadius = options.poseRadius ?? 0.03;
+    this.poseColor = options.poseColor ?? 0x55ff00;
+    this.bufferLength = Math.max(1, Math.floor(options.bufferLength || 1));
     this.rootObject = options.rootObject || new THREE.Object3D();
     this.throttle_rate = options.throttle_rate || null;
 
-    this.sn = null;
+    this.sn = null; // 最新路径的场景节点
+    this.paths = []; // 缓冲区中的路径 {sn, visual}，从旧到新
 
     this.processMessage = this.processMessage.bind(this);
     if (this.ros) {
@@ -42,12 +114,24 @@ export class Path {
   /**
    * @private
    * @method _clearPath
-   * @description 从场景中移除并清理当前的路径对象。
+   * @description 从场景中移除并清理缓冲区中的所有路径对象。
    */
   _clearPath() {
-    if (this.sn) {
-      this.rootObject.remove(this.sn);
-      this.sn.dispose(); // SceneNode的dispose会处理其子对象
+    while (this.paths.length > 0) {
+      this._removeOldest();
+    }
+  }
+
+  /**
+   * @private
+   * @method _removeOldest
+   * @description 移除缓冲区中最旧的路径。
+   */
+  _removeOldest() {
+    const { sn } = this.paths.shift();
+    this.rootObject.remove(sn);
+    sn.dispose(); // SceneNode的dispose会处理其子对象
+    if (this.sn === sn) {
       this.sn = null;
     }
   }
@@ -82,7 +166,10 @@ export class Path {
     this.rosTopic = new ROSLIB.Topic({
       ros: this.ros,
       name: this.topicName,
-      messageType: "nav_msgs/Path",
+      messageType: toRosType(
+        "nav_msgs/Path",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
       queue_length: 1,
       throttle_rate: this.throttle_rate,
     });
@@ -90,6 +177,62 @@ export class Path {
     logger.info(`Subscribed to Path topic: ${this.topicName}`);
   }
 
+  /**
+   * @private
+   * @method _poseColors
+   * @description 按 `colorBy` 计算每个位姿的颜色。
+   * @param {Array<object>} poses - `geometry_msgs/PoseStamped` 数组。
+   * @returns {Float32Array|null} 逐位姿的 RGB 颜色，未启用逐位姿着色时返回 null。
+   */
+  _poseColors(poses) {
+    if (!this.colorBy) {
+      return null;
+    }
+    const count = poses.length;
+    const colors = new Float32Array(count * 3);
+    const color = new THREE.Color();
+    const lut = this.colorLUT;
+    const last = lut.length / 3 - 1;
+    for (let i = 0; i < count; i++) {
+      if (typeof this.colorBy === "function") {
+        color.set(this.colorBy(poses[i], i, count));
+      } else {
+        const index = Math.round((count > 1 ? i / (count - 1) : 0) * last) * 3;
+        color.setRGB(lut[index], lut[index + 1], lut[index + 2]);
+      }
+      color.toArray(colors, i * 3);
+    }
+    return colors;
+  }
+
+  /**
+   * @private
+   * @method _createPoseMarker
+   * @description 创建位于位姿处的坐标轴或箭头。
+   * @param {object} pose - `geometry_msgs/Pose`。
+   * @returns {THREE.Object3D} 位姿标记。
+   */
+  _createPoseMarker(pose) {
+    const marker = new THREE.Object3D();
+    marker.position.copy(pose.position);
+    marker.quaternion.copy(pose.orientation);
+    if (this.poseStyle === "axes") {
+      const radius = this.poseRadius / this.poseLength;
+      marker.add(new Axes({ scale: this.poseLength, shaftRadius: radius, headRadius: radius * 2, headLength: 0.2 }));
+    } else {
+      marker.add(
+        new Arrow({
+          length: this.poseLength,
+          headLength: this.poseLength * 0.3,
+          shaftDiameter: this.poseRadius,
+          headDiameter: this.poseRadius * 2,
+          material: new THREE.MeshBasicMaterial({ color: this.poseColor }),
+        })
+      );
+    }
+    return marker;
+  }
+
   /**
    * @private
    * @method processMessage
@@ -97,30 +240,67 @@ export class Path {
    * @param {object} message - `nav_msgs/Path` 消息。
    */
   processMessage(message) {
-    this._clearPath(); // 清理旧的路径
-
-    const lineGeometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(message.poses.length * 3);
-    for (let i = 0; i < message.poses.length; i++) {
-      const { x, y, z } = message.poses[i].pose.position;
-      positions[i * 3] = x;
-      positions[i * 3 + 1] = y;
-      positions[i * 3 + 2] = z;
+    const { poses } = message;
+    const points = poses.map(({ pose }) => pose.position);
+    const colors = this._poseColors(poses);
+    const visual = new PathVisual();
+
+    if (this.lineStyle === "billboards") {
+      const ribbon = new Ribbon({
+        width: this.lineWidth,
+        color: colors ? 0xffffff : this.color,
+        vertexColors: Boolean(colors),
+      });
+      ribbon.setPoints(points, colors);
+      visual.add(ribbon);
+    } else {
+      const lineGeometry = new THREE.BufferGeometry();
+      const positions = new Float32Array(points.length * 3);
+      for (let i = 0; i < points.length; i++) {
+        const { x, y, z } = points[i];
+        positions[i * 3] = x;
+        positions[i * 3 + 1] = y;
+        positions[i * 3 + 2] = z;
+      }
+      lineGeometry.setAttribute(
+        "position",
+        new THREE.BufferAttribute(positions, 3)
+      );
+      if (colors) {
+        lineGeometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+      }
+
+      const lineMaterial = new THREE.LineBasicMaterial({
+        color: colors ? 0xffffff : this.color,
+        vertexColors: Boolean(colors),
+      });
+      visual.add(new THREE.Line(lineGeometry, lineMaterial));
     }
-    lineGeometry.setAttribute(
-      "position",
-      new THREE.BufferAttribute(positions, 3)
-    );
 
-    const lineMaterial = new THREE.LineBasicMaterial({ color: this.color });
-    const line = new THREE.Line(lineGeometry, lineMaterial);
+    if (this.poseStyle === "axes" || this.poseStyle === "arrows") {
+      for (let i = 0; i < poses.length; i += this.poseEvery) {
+        visual.add(this._createPoseMarker(poses[i].pose));
+      }
+    }
 
     this.sn = new SceneNode({
       frameID: message.header.frame_id,
       tfClient: this.tfClient,
-      object: line,
+      object: visual,
     });
-
     this.rootObject.add(this.sn);
+    this.paths.push({ sn: this.sn, visual });
+
+    // 超出缓冲区的旧路径被移除，其余按存在时间淡出
+    while (this.paths.length > this.bufferLength) {
+      this._removeOldest();
+    }
+    this.paths.forEach(({ visual: pathVisual }, i) => {
+      const age = this.paths.length - 1 - i;
+      const opacity = this.alpha * (1 - age / this.bufferLength);
+      if (opacity < 1) {
+        pathVisual.setOpacity(opacity);
+      }
+    });
   }
 }
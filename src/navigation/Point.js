@@ -1,11 +1,13 @@
 import * as THREE from 'three';
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from '../utils/ros.js';
 import { SceneNode } from '../visualization/SceneNode.js';
 
 /**
  * @constructor
  * @param {object} options
  * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros 的连接句柄。
+ * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
  * @param {string} options.topic - 要监听的话题，例如 '/point'。
  * @param {ROS3D.TfClient} options.tfClient - 要使用的 TF 客户端句柄。
  * @param {THREE.Object3D} options.rootObject - 要将此标记添加到的根对象。
@@ -17,6 +19,7 @@ export class Point extends SceneNode {
     super(options);
     this.options = options || {};
     this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = options.topic || '/point';
     this.color = options.color || 0xcc00ff;
     this.radius = options.radius || 0.2;
@@ -45,7 +48,10 @@ export class Point extends SceneNode {
       ros: this.ros,
       name: this.topicName,
       queue_length: 1,
-      messageType: 'geometry_msgs/PointStamped',
+      messageType: toRosType(
+        'geometry_msgs/PointStamped',
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
     });
     this.rosTopic.subscribe(this.processMessage);
   }
@@ -4,6 +4,7 @@
 
 import * as THREE from "three";
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
 import { SceneNode } from "../visualization/SceneNode.js";
 import { getLogger } from "../utils/Logger.js";
 
@@ -17,6 +18,7 @@ export class Polygon {
   /**
    * @param {object} options - 配置选项。
    * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
    * @param {string} [options.topic='/polygon'] - 要监听的PolygonStamped主题。
    * @param {object} options.tfClient - TF客户端句柄。
    * @param {THREE.Object3D} [options.rootObject] - 用于添加此多边形的根对象。
@@ -25,6 +27,7 @@ export class Polygon {
    */
   constructor(options = {}) {
     this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = options.topic || "/polygon";
     this.tfClient = options.tfClient;
     this.color = options.color || 0xcc00ff;
@@ -80,7 +83,10 @@ export class Polygon {
     this.rosTopic = new ROSLIB.Topic({
       ros: this.ros,
       name: this.topicName,
-      messageType: "geometry_msgs/PolygonStamped",
+      messageType: toRosType(
+        "geometry_msgs/PolygonStamped",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
       queue_length: 1,
       throttle_rate: this.throttle_rate,
     });
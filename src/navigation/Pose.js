@@ -4,6 +4,7 @@
 
 import * as THREE from "three";
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
 import { SceneNode } from "../visualization/SceneNode.js";
 import { Arrow } from "../models/Arrow.js";
 import { getLogger } from "../utils/Logger.js";
@@ -18,6 +19,7 @@ export class Pose {
   /**
    * @param {object} options - 配置选项。
    * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
    * @param {string} [options.topic='/pose'] - 要监听的PoseStamped主题。
    * @param {object} options.tfClient - TF客户端句柄。
    * @param {THREE.Object3D} [options.rootObject] - 用于添加此位姿的根对象。
@@ -30,6 +32,7 @@ export class Pose {
    */
   constructor(options = {}) {
     this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = options.topic || "/pose";
     this.messageType =
       options.messageType || "geometry_msgs/PoseStamped";
@@ -90,7 +93,10 @@ export class Pose {
     this.rosTopic = new ROSLIB.Topic({
       ros: this.ros,
       name: this.topicName,
-      messageType: this.messageType,
+      messageType: toRosType(
+        this.messageType,
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
       queue_length: 1,
       throttle_rate: this.throttle_rate,
     });
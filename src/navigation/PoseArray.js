@@ -4,7 +4,9 @@
 
 import * as THREE from "three";
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
 import { SceneNode } from "../visualization/SceneNode.js";
+import { Covariance } from "../models/Covariance.js";
 import { getLogger } from "../utils/Logger.js";
 
 const logger = getLogger("PoseArray");
@@ -17,6 +19,7 @@ export class PoseArray {
   /**
    * @param {object} options - 配置选项。
    * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
    * @param {string} [options.topic='/particlecloud'] - 要监听的PoseArray主题。
    * @param {object} options.tfClient - TF客户端句柄。
    * @param {THREE.Object3D} [options.rootObject] - 用于添加此位姿数组的根对象。
@@ -24,10 +27,13 @@ export class PoseArray {
    * @param {number} [options.length=1.0] - 箭头的长度。
    * @param {number} [options.headLength] - 箭头头部的长度，默认为length * 0.2。
    * @param {number} [options.headDiameter] - 箭头头部的直径，默认为length * 0.1。
+   * @param {object|boolean} [options.covariance=false] - 是否显示位姿集合（例如 AMCL 粒子云）的样本均值与协方差，
+   *   可为 `Covariance` 的显示选项。
    * @param {number} [options.throttle_rate] - 消息节流速率（毫秒）。
    */
   constructor(options = {}) {
     this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = options.topic || "/particlecloud";
     this.tfClient = options.tfClient;
     this.color = options.color || 0xcc00ff;
@@ -36,6 +42,7 @@ export class PoseArray {
     this.headDiameter = options.headDiameter || this.length * 0.4;
     this.rootObject = options.rootObject || new THREE.Object3D();
     this.throttle_rate = options.throttle_rate || null;
+    this.covarianceOptions = options.covariance ?? false;
 
     this.sn = null;
 
@@ -88,7 +95,10 @@ export class PoseArray {
     this.rosTopic = new ROSLIB.Topic({
       ros: this.ros,
       name: this.topicName,
-      messageType: "geometry_msgs/PoseArray",
+      messageType: toRosType(
+        "geometry_msgs/PoseArray",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
       queue_length: 1,
       throttle_rate: this.throttle_rate,
     });
@@ -174,6 +184,58 @@ export class PoseArray {
       object: lineSegments,
     });
 
+    if (this.covarianceOptions !== false) {
+      const covariance = new Covariance(this.covarianceOptions === true ? {} : this.covarianceOptions);
+      const { pose, covariance: values } = this._sampleCovariance(message.poses);
+      covariance.update(pose, values);
+      this.sn.add(covariance);
+    }
+
     this.rootObject.add(this.sn);
   }
+
+  /**
+   * @private
+   * @method _sampleCovariance
+   * @description 计算位姿集合的样本均值与协方差。姿态按平面运动处理：
+   *   yaw 取圆周均值，其方差由与均值的角度差计算，roll、pitch 的方差为 0。
+   * @param {Array<object>} poses - `geometry_msgs/Pose` 数组。
+   * @returns {{pose: object, covariance: Array<number>}} 均值位姿与 6x6 协方差。
+   */
+  _sampleCovariance(poses) {
+    const n = poses.length;
+    const mean = new THREE.Vector3();
+    let sin = 0;
+    let cos = 0;
+    const yaws = poses.map(({ position, orientation }) => {
+      mean.add(position);
+      const { x, y, z, w } = orientation;
+      const yaw = Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z));
+      sin += Math.sin(yaw);
+      cos += Math.cos(yaw);
+      return yaw;
+    });
+    mean.divideScalar(n);
+    const meanYaw = Math.atan2(sin, cos);
+
+    const covariance = new Array(36).fill(0);
+    poses.forEach(({ position }, i) => {
+      const d = [position.x - mean.x, position.y - mean.y, position.z - mean.z];
+      for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+          covariance[r * 6 + c] += (d[r] * d[c]) / n;
+        }
+      }
+      const dyaw = Math.atan2(Math.sin(yaws[i] - meanYaw), Math.cos(yaws[i] - meanYaw));
+      covariance[35] += (dyaw * dyaw) / n;
+    });
+
+    return {
+      pose: {
+        position: { x: mean.x, y: mean.y, z: mean.z },
+        orientation: { x: 0, y: 0, z: Math.sin(meanYaw / 2), w: Math.cos(meanYaw / 2) },
+      },
+      covariance,
+    };
+  }
 }
@@ -1,21 +1,45 @@
+/**
+ * @fileOverview PoseWithCovariance - 用于显示ROS geometry_msgs/PoseWithCovarianceStamped消息的客户端。
+ */
+
 import { Pose } from './Pose.js';
+import { Covariance } from '../models/Covariance.js';
 
 /**
- * 一个 PoseWithCovarianceStamped 客户端，监听给定话题并显示一个箭头。
+ * 一个 PoseWithCovarianceStamped 客户端，监听给定话题并显示一个箭头以及协方差的位置椭球与姿态不确定度。
  *
  * @constructor
  * @param {object} options
  * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros 的连接句柄。
+ * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
  * @param {string} options.topic - 要监听的话题。
  * @param {ROS3D.TfClient} options.tfClient - 要使用的 TF 客户端句柄。
  * @param {THREE.Object3D} options.rootObject - 要将此标记添加到的根对象。
  * @param {number} [options.color=0xcc00ff] - 箭头的颜色。
  * @param {number} [options.length] - 箭头的长度。
+ * @param {object|boolean} [options.covariance=true] - 协方差的显示选项（见 `Covariance`），为 false 时不显示。
  */
 export class PoseWithCovariance extends Pose {
-  constructor(options) {
+  constructor(options = {}) {
     // The messageType is the only difference from a standard Pose.
     const messageType = 'geometry_msgs/PoseWithCovarianceStamped';
     super({ ...options, messageType });
+    this.covarianceOptions = options.covariance ?? true;
+  }
+
+  /**
+   * @private
+   * @method processMessage
+   * @description 显示位姿箭头，并在同一场景节点中添加协方差。
+   * @param {object} message - `geometry_msgs/PoseWithCovarianceStamped` 消息。
+   */
+  processMessage(message) {
+    super.processMessage(message);
+    if (this.covarianceOptions === false) {
+      return;
+    }
+    const covariance = new Covariance(this.covarianceOptions === true ? {} : this.covarianceOptions);
+    covariance.update(message.pose.pose, message.pose.covariance);
+    this.sn.add(covariance);
   }
 }
@@ -0,0 +1,79 @@
+/**
+ * @fileOverview 占据栅格的调色板，与 RViz Map 显示的 "map"、"costmap"、"raw" 配色方案一致。
+ * 调色板为 256 个 RGBA 颜色，按占据值（int8）的补码 0-255 索引，例如 -1 对应下标 255。
+ */
+
+// RViz 中未知值（-1）使用的蓝绿灰色
+const UNKNOWN = [0x70, 0x89, 0x86, 255];
+
+/**
+ * 填充非法值区间：101-127 为绿色，-128 到 -2 为红到黄的渐变。
+ * @private
+ */
+function fillIllegal(palette) {
+  for (let i = 101; i <= 127; i++) {
+    palette.set([0, 255, 0, 255], i * 4);
+  }
+  for (let i = 128; i <= 254; i++) {
+    palette.set([255, Math.floor((255 * (i - 128)) / (254 - 128)), 0, 255], i * 4);
+  }
+  palette.set(UNKNOWN, 255 * 4);
+}
+
+/**
+ * 内置调色板的生成函数。
+ */
+const SCHEMES = {
+  // 0（空闲）为白色到 100（占据）为黑色的灰度
+  map: (palette) => {
+    for (let i = 0; i <= 100; i++) {
+      const v = 255 - Math.floor((255 * i) / 100);
+      palette.set([v, v, v, 255], i * 4);
+    }
+    fillIllegal(palette);
+  },
+  // 0 透明，1-98 由蓝到红，99（内切障碍）为青色，100（致命障碍）为紫色
+  costmap: (palette) => {
+    palette.set([0, 0, 0, 0], 0);
+    for (let i = 1; i <= 98; i++) {
+      const v = Math.floor((255 * i) / 100);
+      palette.set([v, 0, 255 - v, 255], i * 4);
+    }
+    palette.set([0, 255, 255, 255], 99 * 4);
+    palette.set([255, 0, 255, 255], 100 * 4);
+    fillIllegal(palette);
+  },
+  // 按原始字节值显示灰度
+  raw: (palette) => {
+    for (let i = 0; i < 256; i++) {
+      palette.set([i, i, i, 255], i * 4);
+    }
+  },
+};
+
+/**
+ * 内置配色方案的名称。
+ */
+export const GRID_COLOR_SCHEMES = Object.keys(SCHEMES);
+
+/**
+ * 生成占据栅格的调色板。
+ * @function createGridPalette
+ * @param {string|function|Array<number>|Uint8Array} scheme - 内置配色方案名（'map'、'costmap'、'raw'）；
+ *   或将占据值（-128 到 127）映射为 `[r, g, b, a]`（0-255）的函数；
+ *   或按补码下标排列的 1024 个 RGBA 分量组成的自定义查找表。
+ * @returns {Uint8Array} 256 个 RGBA 颜色组成的调色板。
+ */
+export function createGridPalette(scheme) {
+  const palette = new Uint8Array(256 * 4);
+  if (typeof scheme === "function") {
+    for (let value = -128; value < 128; value++) {
+      palette.set(scheme(value), (value & 0xff) * 4);
+    }
+  } else if (scheme && typeof scheme.length === "number" && typeof scheme !== "string") {
+    palette.set(Array.from(scheme).slice(0, palette.length));
+  } else {
+    (SCHEMES[scheme] || SCHEMES.map)(palette);
+  }
+  return palette;
+}
@@ -6,12 +6,17 @@
 
 export { OccupancyGrid } from "./OccupancyGrid.js";
 export { OccupancyGridClient } from "./OccupancyGridClient.js";
+export { GRID_COLOR_SCHEMES, createGridPalette } from "./grid.palettes.js";
 export { Path } from "./Path.js";
 export { Polygon } from "./Polygon.js";
+export { GridCells } from "./GridCells.js";
+export { GridMap } from "./GridMap.js";
+export { GridMapClient } from "./GridMapClient.js";
 export { Pose } from "./Pose.js";
 export { PoseArray } from "./PoseArray.js";
 export { Odometry } from "./Odometry.js";
 export { PoseWithCovariance } from "./PoseWithCovariance.js";
-export { OcTree } from "./OcTree.js";
+export { parseFullOcTree, parseBinaryOcTree, toOctomapBytes } from "./octree.parsers.js";
+export { OcTree, OCTREE_COLOR_MODES } from "./OcTree.js";
 export { ColorOcTree } from "./ColorOcTree.js";
 export { OcTreeClient } from "./OcTreeClient.js";
@@ -0,0 +1,197 @@
+/**
+ * @fileOverview 解析 `octomap_msgs/Octomap` 消息中完整格式与二进制格式的八叉树数据。
+ * 两种格式都按深度优先顺序存储节点，子节点 i 的键在 x、y、z 方向上分别由 i 的第 0、1、2 位决定。
+ */
+
+// OctoMap 的树深度固定为 16，键的取值范围为 [0, 2^16)，原点位于键 2^15 处
+const TREE_DEPTH = 16;
+const TREE_MAX_KEY = 1 << (TREE_DEPTH - 1);
+
+// 二进制格式中每个子节点占 2 位
+const BINARY_FREE = 1; // 01：空闲叶子
+const BINARY_OCCUPIED = 2; // 10：占据叶子
+const BINARY_INNER = 3; // 11：有子节点
+
+/**
+ * 一个用于顺序读取字节数据的辅助类（小端序）。
+ */
+export class InStream {
+  /**
+   * @param {Uint8Array} bytes - 字节数据。
+   */
+  constructor(bytes) {
+    this.dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.cursor = 0;
+  }
+
+  /**
+   * 是否还有未读取的数据。
+   * @returns {boolean}
+   */
+  hasMore() {
+    return this.cursor < this.dataView.byteLength;
+  }
+
+  readUint8() {
+    const value = this.dataView.getUint8(this.cursor);
+    this.cursor += 1;
+    return value;
+  }
+
+  readFloat32() {
+    const value = this.dataView.getFloat32(this.cursor, true);
+    this.cursor += 4;
+    return value;
+  }
+}
+
+/**
+ * 把消息中的 int8[] 数据转换为字节数组。CBOR 压缩时为类型化数组，JSON 时为数字数组。
+ * @function toOctomapBytes
+ * @param {Int8Array|Uint8Array|Array<number>} data - 消息中的数据。
+ * @returns {Uint8Array} 字节数组。
+ */
+export function toOctomapBytes(data) {
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return Uint8Array.from(data || [], (value) => value & 0xff);
+}
+
+/**
+ * 计算子节点的键（节点最小角的单元坐标）。
+ * @private
+ */
+function childKey(key, depth, index) {
+  const offset = 1 << (TREE_DEPTH - depth - 1);
+  return [
+    key[0] + (index & 1 ? offset : 0),
+    key[1] + (index & 2 ? offset : 0),
+    key[2] + (index & 4 ? offset : 0),
+  ];
+}
+
+/**
+ * 生成叶子节点的中心位置与边长。
+ * @private
+ */
+function makeLeaf(resolution, depth, key, occupied, occupancy, nodeData) {
+  const size = resolution * (1 << (TREE_DEPTH - depth));
+  return {
+    x: (key[0] - TREE_MAX_KEY) * resolution + size / 2,
+    y: (key[1] - TREE_MAX_KEY) * resolution + size / 2,
+    z: (key[2] - TREE_MAX_KEY) * resolution + size / 2,
+    size,
+    depth,
+    occupied,
+    occupancy,
+    nodeData,
+  };
+}
+
+/**
+ * 把最大深度限制在 [1, 16]。
+ * @private
+ */
+function clampDepth(maxDepth) {
+  return Math.min(TREE_DEPTH, Math.max(1, Math.floor(maxDepth)));
+}
+
+/**
+ * 解析完整格式（`binary: false`）的八叉树：每个节点依次为节点数据和 1 字节的子节点存在掩码。
+ * 限制 `maxDepth` 时，该深度上的内部节点作为叶子返回，其数据即 OctoMap 为内部节点维护的子节点最大占据值。
+ * @function parseFullOcTree
+ * @param {Int8Array|Uint8Array|Array<number>} data - 消息中的数据。
+ * @param {object} options - 解析选项。
+ * @param {number} options.resolution - 叶子节点的分辨率（米）。
+ * @param {function(InStream): (number|object)} [options.readNodeData] - 读取节点数据，
+ *   返回占据值（对数几率）或含 `occupancy` 字段的对象，默认读取一个 float32。
+ * @param {number} [options.threshold=0] - 占据阈值（对数几率），不小于该值的叶子为占据。
+ * @param {number} [options.maxDepth=16] - 返回的叶子的最大深度。
+ * @returns {Array<object>} 叶子节点 `{x, y, z, size, depth, occupied, occupancy, nodeData}`，`occupancy` 为对数几率。
+ */
+export function parseFullOcTree(data, options) {
+  const {
+    resolution,
+    readNodeData = (stream) => stream.readFloat32(),
+    threshold = 0,
+    maxDepth = TREE_DEPTH,
+  } = options;
+  const depthLimit = clampDepth(maxDepth);
+  const stream = new InStream(toOctomapBytes(data));
+  const leaves = [];
+  if (!stream.hasMore()) {
+    return leaves;
+  }
+
+  // emit 为 false 时只消耗子树的数据
+  const parseNode = (depth, key, emit) => {
+    const nodeData = readNodeData(stream);
+    const childExistsMask = stream.readUint8();
+    if (emit && (childExistsMask === 0 || depth === depthLimit)) {
+      const occupancy = typeof nodeData === "object" ? nodeData.occupancy : nodeData;
+      leaves.push(makeLeaf(resolution, depth, key, occupancy >= threshold, occupancy, nodeData));
+      emit = false;
+    }
+    for (let i = 0; i < 8; i++) {
+      if (childExistsMask & (1 << i)) {
+        parseNode(depth + 1, emit ? childKey(key, depth, i) : key, emit);
+      }
+    }
+  };
+  parseNode(0, [0, 0, 0], true);
+  return leaves;
+}
+
+/**
+ * 解析二进制格式（`binary: true`）的八叉树。每个内部节点以 2 字节记录 8 个子节点的状态，
+ * 第一个字节为子节点 0-3，第二个字节为子节点 4-7，子节点 i 占第 2(i%4) 与 2(i%4)+1 位：
+ * 00 未知、01 空闲、10 占据、11 有子节点；随后依次递归写入有子节点的子节点。根节点本身不记录状态。
+ * 限制 `maxDepth` 时，该深度上的内部节点在子树含占据叶子时为占据，否则为空闲。
+ * @function parseBinaryOcTree
+ * @param {Int8Array|Uint8Array|Array<number>} data - 消息中的数据。
+ * @param {object} options - 解析选项。
+ * @param {number} options.resolution - 叶子节点的分辨率（米）。
+ * @param {number} [options.maxDepth=16] - 返回的叶子的最大深度。
+ * @returns {Array<object>} 叶子节点 `{x, y, z, size, depth, occupied}`，二进制格式不含占据概率（`occupancy` 为 null）。
+ */
+export function parseBinaryOcTree(data, options) {
+  const { resolution, maxDepth = TREE_DEPTH } = options;
+  const depthLimit = clampDepth(maxDepth);
+  const stream = new InStream(toOctomapBytes(data));
+  const leaves = [];
+  if (!stream.hasMore()) {
+    return leaves;
+  }
+
+  // 返回子树中出现过的叶子状态（BINARY_FREE 与 BINARY_OCCUPIED 的按位或），emit 为 false 时只消耗数据
+  const parseNode = (depth, key, emit) => {
+    const children = [stream.readUint8(), stream.readUint8()];
+    const inner = [];
+    let states = 0;
+    for (let i = 0; i < 8; i++) {
+      const state = (children[i >> 2] >> (2 * (i & 3))) & 3;
+      if (state === BINARY_INNER) {
+        inner.push(emit ? childKey(key, depth, i) : key);
+      } else if (state === BINARY_FREE || state === BINARY_OCCUPIED) {
+        states |= state;
+        if (emit) {
+          const leafKey = childKey(key, depth, i);
+          leaves.push(makeLeaf(resolution, depth + 1, leafKey, state === BINARY_OCCUPIED, null));
+        }
+      }
+    }
+    // 到达最大深度的内部子节点合并为一个叶子
+    const collapse = emit && depth + 1 === depthLimit;
+    inner.forEach((child) => {
+      const childStates = parseNode(depth + 1, child, emit && !collapse);
+      if (collapse && childStates) {
+        leaves.push(makeLeaf(resolution, depth + 1, child, (childStates & BINARY_OCCUPIED) !== 0, null));
+      }
+      states |= childStates;
+    });
+    return states;
+  };
+  parseNode(0, [0, 0, 0], true);
+  return leaves;
+}
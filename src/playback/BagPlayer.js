@@ -0,0 +1,462 @@
+/**
+ * @fileOverview BagPlayer - 在浏览器中回放 ROS1 rosbag 与 MCAP 文件。
+ */
+
+import { EventEmitter } from "eventemitter3";
+import * as ROSLIB from "roslib";
+import { PlaybackTransport } from "./PlaybackTransport.js";
+import { TFRepublisher } from "./TFRepublisher.js";
+import { detectFormat, readBag, readMcap } from "./bag.reader.js";
+import { clamp } from "../utils/helpers.js";
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("BagPlayer");
+
+const TF_TOPIC = "/tf";
+const TF_STATIC_TOPIC = "/tf_static";
+
+/**
+ * 将 File、Blob、ArrayBuffer、TypedArray 或 URL 统一转换为 Uint8Array。
+ * @private
+ */
+const toBytes = async (source) => {
+  if (source instanceof Uint8Array) {
+    return source;
+  }
+  if (source instanceof ArrayBuffer) {
+    return new Uint8Array(source);
+  }
+  if (ArrayBuffer.isView(source)) {
+    return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+  }
+  if (typeof source === "string") {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${source}: ${response.status}`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+  }
+  if (source && typeof source.arrayBuffer === "function") {
+    return new Uint8Array(await source.arrayBuffer());
+  }
+  throw new Error("Unsupported playback source");
+};
+
+/**
+ * @class BagPlayer
+ * @description 一个基于文件的 ROS 消息源。它持有一个使用回放传输层的 `ROSLIB.Ros`
+ * 实例（`player.ros`），现有的所有客户端（PointCloud2、LaserScan、MarkerClient、
+ * OccupancyGridClient、Path、Odometry 以及 Viewer 的 TFClient 等）都可以像连接实时
+ * rosbridge 一样直接使用它。
+ *
+ * 触发的事件：
+ *  * 'loaded' - 文件加载完成，参数为 `{format, topics, start, end}`。
+ *  * 'play' / 'pause' - 播放状态变化。
+ *  * 'seek' - 跳转完成，参数为 `{time}`。
+ *  * 'time' - 播放时间推进，参数为 `{time, start, end, progress}`。
+ *  * 'message' - 一条消息被派发，参数为 `{topic, type, time, message}`。
+ *  * 'rate' - 播放速率变化。
+ *  * 'end' - 播放到达文件末尾。
+ * @extends EventEmitter
+ */
+export class BagPlayer extends EventEmitter {
+  /**
+   * @param {object} [options] - 选项
+   * @param {number} [options.rate=1.0] - 播放速率。
+   * @param {boolean} [options.loop=false] - 是否循环播放。
+   * @param {object} [options.params={}] - 通过 rosapi/get_param 提供的参数，例如 `{ robot_description: xml }`。
+   * @param {Object<string, function>} [options.decompress={}] - 压缩数据块的解压函数，键为压缩格式（'bz2'、'lz4'、'zstd'）。
+   * @param {number} [options.tickInterval=16] - 播放时钟的刷新间隔（毫秒）。
+   * @param {number} [options.seekTfWindow=10] - 跳转时用于重建 /tf 的回溯时长（秒）。
+   * @param {string} [options.tfServerName='/tf2_web_republisher'] - 要模拟的 tf2_web_republisher 名称。
+   */
+  constructor(options = {}) {
+    super();
+    const {
+      rate = 1.0,
+      loop = false,
+      params = {},
+      decompress = {},
+      tickInterval = 16,
+      seekTfWindow = 10,
+      tfServerName = "/tf2_web_republisher",
+    } = options;
+
+    this.rate = rate;
+    this.loop = loop;
+    this.params = params;
+    this.decompress = decompress;
+    this.tickInterval = tickInterval;
+    this.seekTfWindow = seekTfWindow;
+    this.tfServerName = tfServerName;
+
+    this.channels = new Map();
+    this.messages = [];
+    this.topics = [];
+    this.startTime = 0;
+    this.endTime = 0;
+    this.currentTime = 0;
+    this.playing = false;
+
+    this.cursor = 0;
+    this.timer = null;
+    this.lastWallTime = 0;
+    this.tfGoals = new Map();
+    this.republisher = new TFRepublisher({ cacheTime: seekTfWindow });
+
+    this.tick = this.tick.bind(this);
+    this.transport = new PlaybackTransport({
+      onRequest: (message) => this.#handleRequest(message),
+    });
+    this.ros = new ROSLIB.Ros({
+      url: "playback://",
+      transportFactory: async () => this.transport,
+    });
+
+    logger.info("BagPlayer initialized");
+  }
+
+  /**
+   * @method load
+   * @description 加载一个 rosbag 或 MCAP 文件。
+   * @param {File|Blob|ArrayBuffer|Uint8Array|string} source - 文件对象、二进制数据或URL。
+   * @returns {Promise<BagPlayer>} 加载完成后解析为自身。
+   */
+  async load(source) {
+    this.pause();
+    const bytes = await toBytes(source);
+    const format = detectFormat(bytes);
+    if (!format) {
+      throw new Error("Unrecognized file format, expected a ROS1 bag or MCAP file");
+    }
+
+    const reader = format === "mcap" ? readMcap : readBag;
+    const { channels, messages } = reader(bytes, { decompress: this.decompress });
+
+    this.channels = channels;
+    this.messages = messages;
+    this.startTime = messages.length > 0 ? messages[0].time : 0;
+    this.endTime = messages.length > 0 ? messages[messages.length - 1].time : 0;
+    this.currentTime = this.startTime;
+    this.cursor = 0;
+    this.republisher.clear();
+
+    const counts = new Map();
+    messages.forEach(({ channelId }) => {
+      counts.set(channelId, (counts.get(channelId) || 0) + 1);
+    });
+    this.topics = [...channels.values()].map(({ id, topic, type }) => ({
+      topic,
+      type,
+      count: counts.get(id) || 0,
+    }));
+
+    logger.info(
+      `Loaded ${format} file with ${messages.length} messages on ${this.topics.length} topics`
+    );
+    this.emit("loaded", {
+      format,
+      topics: this.topics,
+      start: this.startTime,
+      end: this.endTime,
+    });
+    this.#emitTime();
+    return this;
+  }
+
+  /**
+   * @method play
+   * @description 从当前时间开始播放。
+   */
+  play() {
+    if (this.playing || this.messages.length === 0) {
+      return;
+    }
+    if (this.currentTime >= this.endTime) {
+      this.seek(this.startTime);
+    }
+    this.playing = true;
+    this.lastWallTime = performance.now();
+    this.timer = setTimeout(this.tick, this.tickInterval);
+    this.emit("play");
+  }
+
+  /**
+   * @method pause
+   * @description 暂停播放。
+   */
+  pause() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.playing) {
+      this.playing = false;
+      this.emit("pause");
+    }
+  }
+
+  /**
+   * @method setRate
+   * @description 设置播放速率。
+   * @param {number} rate - 播放速率，1.0 为实时。
+   */
+  setRate(rate) {
+    this.rate = rate;
+    this.emit("rate", rate);
+  }
+
+  /**
+   * @method seek
+   * @description 跳转到给定时间。每个已订阅主题会收到跳转时间之前的最后一条消息，
+   * TF 树也会被重建，使各显示组件立即反映该时刻的状态。
+   * @param {number} time - 目标时间（秒，与消息时间戳同一时间基准）。
+   */
+  seek(time) {
+    const target = clamp(time, this.startTime, this.endTime);
+    this.cursor = this.#upperBound(target);
+    this.currentTime = target;
+    this.lastWallTime = performance.now();
+
+    this.republisher.clear();
+    const latest = new Map();
+    for (let i = 0; i < this.cursor; i++) {
+      const record = this.messages[i];
+      const channel = this.channels.get(record.channelId);
+      if (!channel || !channel.decode) {
+        continue;
+      }
+      if (channel.topic === TF_STATIC_TOPIC) {
+        this.#replayTransforms(channel, record, true);
+      } else if (channel.topic === TF_TOPIC) {
+        if (record.time >= target - this.seekTfWindow) {
+          this.#replayTransforms(channel, record, false);
+        }
+      } else if (this.transport.isSubscribed(channel.topic)) {
+        latest.set(channel.topic, record);
+      }
+    }
+
+    latest.forEach((record) => this.#dispatch(record));
+    this.#publishTransforms();
+
+    this.emit("seek", { time: target });
+    this.#emitTime();
+  }
+
+  /**
+   * @method dispose
+   * @description 停止播放并关闭回放连接。
+   */
+  dispose() {
+    this.pause();
+    this.tfGoals.clear();
+    this.ros.close();
+    this.removeAllListeners();
+  }
+
+  /**
+   * @private
+   * @method tick
+   * @description 播放时钟回调，按墙上时间和播放速率推进回放时间。
+   */
+  tick() {
+    const now = performance.now();
+    const target = Math.min(
+      this.currentTime + ((now - this.lastWallTime) / 1000) * this.rate,
+      this.endTime
+    );
+    this.lastWallTime = now;
+
+    let tfChanged = false;
+    while (this.cursor < this.messages.length && this.messages[this.cursor].time <= target) {
+      tfChanged = this.#dispatch(this.messages[this.cursor++]) || tfChanged;
+    }
+    this.currentTime = target;
+    if (tfChanged) {
+      this.#publishTransforms();
+    }
+    this.#emitTime();
+
+    if (target >= this.endTime) {
+      if (this.loop) {
+        this.seek(this.startTime);
+      } else {
+        this.pause();
+        this.emit("end");
+        return;
+      }
+    }
+    this.timer = setTimeout(this.tick, this.tickInterval);
+  }
+
+  /**
+   * 解码并派发一条消息，返回该消息是否更新了TF。
+   * @private
+   */
+  #dispatch(record) {
+    const channel = this.channels.get(record.channelId);
+    if (!channel || !channel.decode) {
+      return false;
+    }
+
+    const isTf = channel.topic === TF_TOPIC || channel.topic === TF_STATIC_TOPIC;
+    const subscribed = this.transport.isSubscribed(channel.topic);
+    if (!isTf && !subscribed) {
+      return false;
+    }
+
+    let message;
+    try {
+      message = channel.decode(record.data);
+    } catch (error) {
+      logger.warn(`Failed to decode message on ${channel.topic}:`, error.message);
+      return false;
+    }
+
+    if (isTf) {
+      this.republisher.ingest(message, channel.topic === TF_STATIC_TOPIC);
+    }
+    if (subscribed) {
+      this.transport.publish(channel.topic, message);
+    }
+    this.emit("message", {
+      topic: channel.topic,
+      type: channel.type,
+      time: record.time,
+      message,
+    });
+    return isTf;
+  }
+
+  /**
+   * 跳转时重建TF：写入变换树，并转发给直接订阅 /tf 的客户端（例如 TFListener）。
+   * @private
+   */
+  #replayTransforms(channel, record, isStatic) {
+    let message;
+    try {
+      message = channel.decode(record.data);
+    } catch (error) {
+      logger.warn(`Failed to decode message on ${channel.topic}:`, error.message);
+      return;
+    }
+    this.republisher.ingest(message, isStatic);
+    if (this.transport.isSubscribed(channel.topic)) {
+      this.transport.publish(channel.topic, message);
+    }
+  }
+
+  /**
+   * 将当前TF树按各个 tf2_web_republisher 目标推送给TF客户端。
+   * @private
+   */
+  #publishTransforms() {
+    this.tfGoals.forEach(({ goal, goalId, action }, id) => {
+      const feedback = this.republisher.buildFeedback(goal);
+      if (action) {
+        this.transport.respond({ op: "action_feedback", id, action, values: feedback });
+      } else {
+        this.transport.publish(`${this.tfServerName}/feedback`, {
+          status: { goal_id: goalId, status: 1 },
+          feedback,
+        });
+      }
+    });
+  }
+
+  /**
+   * 处理客户端发出的发布、服务调用和动作请求。
+   * @private
+   */
+  #handleRequest(message) {
+    switch (message.op) {
+      case "publish":
+        if (message.topic === `${this.tfServerName}/goal`) {
+          const { goal_id: goalId, goal } = message.msg;
+          this.tfGoals.set(goalId.id, { goal, goalId });
+          this.#publishTransforms();
+        } else if (message.topic === `${this.tfServerName}/cancel`) {
+          this.tfGoals.delete(message.msg.id);
+        } else if (this.transport.isSubscribed(message.topic)) {
+          // 本地回环，使回放中发布的消息也能被订阅者收到
+          this.transport.publish(message.topic, message.msg);
+        }
+        break;
+      case "send_action_goal":
+        if (message.action === this.tfServerName) {
+          this.tfGoals.set(message.id, { goal: message.args, action: message.action });
+          this.#publishTransforms();
+        }
+        break;
+      case "cancel_action_goal":
+        this.tfGoals.delete(message.id);
+        break;
+      case "call_service":
+        this.#callService(message);
+        break;
+      default:
+        logger.debug(`Ignoring rosbridge operation during playback: ${message.op}`);
+    }
+  }
+
+  /**
+   * 响应回放期间可用的 rosapi 服务。
+   * @private
+   */
+  #callService({ id, service, args = {} }) {
+    const respond = (result, values) => {
+      setTimeout(() => {
+        this.transport.respond({ op: "service_response", id, service, result, values });
+      }, 0);
+    };
+
+    switch (service.replace(/^\//, "")) {
+      case "rosapi/get_param": {
+        const name = args.name.replace(/^\//, "");
+        const value = name in this.params ? this.params[name] : null;
+        respond(true, { value: JSON.stringify(value) });
+        break;
+      }
+      case "rosapi/topics":
+        respond(true, {
+          topics: this.topics.map(({ topic }) => topic),
+          types: this.topics.map(({ type }) => type),
+        });
+        break;
+      default:
+        respond(false, `Service ${service} is not available during playback`);
+    }
+  }
+
+  /**
+   * 返回第一条时间戳大于给定时间的消息下标。
+   * @private
+   */
+  #upperBound(time) {
+    let low = 0;
+    let high = this.messages.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.messages[mid].time <= time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * @private
+   */
+  #emitTime() {
+    const duration = this.endTime - this.startTime;
+    this.emit("time", {
+      time: this.currentTime,
+      start: this.startTime,
+      end: this.endTime,
+      progress: duration > 0 ? (this.currentTime - this.startTime) / duration : 0,
+    });
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * @fileOverview PlaybackTransport - 供 `ROSLIB.Ros` 使用的离线回放传输层。
+ */
+
+import { EventEmitter } from "eventemitter3";
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("PlaybackTransport");
+
+/**
+ * @class PlaybackTransport
+ * @description 实现 roslib 的 `ITransport` 接口，以替代 WebSocket 连接。
+ * 订阅请求在本地登记，其余请求（发布、服务调用、动作目标）交给回放器处理，
+ * 回放器通过 {@link PlaybackTransport#publish} 将消息推送给订阅者。
+ * @extends EventEmitter
+ */
+export class PlaybackTransport extends EventEmitter {
+  /**
+   * @param {object} options - 选项
+   * @param {function(object): void} options.onRequest - 处理非订阅类 rosbridge 请求的回调。
+   */
+  constructor(options = {}) {
+    super();
+    this.onRequest = options.onRequest || (() => {});
+    this.subscriptions = new Map(); // topic -> Set<subscribeId>
+    this.state = "connecting";
+
+    // 在 Ros 注册完事件监听之后再报告连接成功
+    setTimeout(() => {
+      if (this.state === "connecting") {
+        this.state = "open";
+        this.emit("open", { type: "open" });
+      }
+    }, 0);
+  }
+
+  /**
+   * @method send
+   * @description 接收来自 `ROSLIB.Ros` 的 rosbridge 请求。
+   * @param {object} message - rosbridge 协议消息。
+   */
+  send(message) {
+    switch (message.op) {
+      case "subscribe": {
+        if (!this.subscriptions.has(message.topic)) {
+          this.subscriptions.set(message.topic, new Set());
+        }
+        this.subscriptions.get(message.topic).add(message.id);
+        logger.debug(`Subscribed to playback topic: ${message.topic}`);
+        break;
+      }
+      case "unsubscribe": {
+        const ids = this.subscriptions.get(message.topic);
+        if (ids) {
+          ids.delete(message.id);
+          if (ids.size === 0) {
+            this.subscriptions.delete(message.topic);
+          }
+        }
+        break;
+      }
+      case "advertise":
+      case "unadvertise":
+      case "set_level":
+      case "auth":
+        break;
+      default:
+        this.onRequest(message);
+    }
+  }
+
+  /**
+   * @method isSubscribed
+   * @description 判断是否有客户端订阅了给定主题。
+   * @param {string} topic - 主题名
+   * @returns {boolean} 是否已订阅
+   */
+  isSubscribed(topic) {
+    return this.subscriptions.has(topic);
+  }
+
+  /**
+   * @method publish
+   * @description 将一条消息推送给给定主题的订阅者。
+   * @param {string} topic - 主题名
+   * @param {object} msg - 消息内容
+   */
+  publish(topic, msg) {
+    this.emit("message", { op: "publish", topic, msg });
+  }
+
+  /**
+   * @method respond
+   * @description 向 `ROSLIB.Ros` 推送一条任意的 rosbridge 消息（服务响应、动作反馈等）。
+   * @param {object} message - rosbridge 协议消息。
+   */
+  respond(message) {
+    this.emit("message", message);
+  }
+
+  close() {
+    if (this.state !== "closed") {
+      this.state = "closed";
+      this.subscriptions.clear();
+      this.emit("close", { type: "close" });
+    }
+  }
+
+  isConnecting() {
+    return this.state === "connecting";
+  }
+
+  isOpen() {
+    return this.state === "open";
+  }
+
+  isClosing() {
+    return false;
+  }
+
+  isClosed() {
+    return this.state === "closed";
+  }
+}
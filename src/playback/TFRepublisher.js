@@ -0,0 +1,75 @@
+/**
+ * @fileOverview TFRepublisher - 在回放中模拟 tf2_web_republisher 的行为。
+ */
+
+import { TFBuffer } from "../tf/TFBuffer.js";
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("TFRepublisher");
+
+/**
+ * @class TFRepublisher
+ * @description 维护从 /tf 与 /tf_static 回放得到的变换树，并按照 `ROSLIB.TFClient`
+ * 请求的源坐标系和目标坐标系计算相对变换，使现有的TF客户端无需修改即可工作。
+ */
+export class TFRepublisher {
+  /**
+   * @param {object} [options] - 选项
+   * @param {number} [options.cacheTime=10] - 变换历史的保留时长（秒）。
+   */
+  constructor(options = {}) {
+    this.buffer = new TFBuffer({ cacheTime: options.cacheTime });
+  }
+
+  /**
+   * @method clear
+   * @description 清空变换树（例如在跳转播放位置时）。
+   */
+  clear() {
+    this.buffer.clear();
+  }
+
+  /**
+   * @method ingest
+   * @description 合并一条 `tf2_msgs/TFMessage` 消息到变换树中。
+   * @param {object} message - TF 消息。
+   * @param {boolean} [isStatic=false] - 是否来自 /tf_static。
+   */
+  ingest(message, isStatic = false) {
+    this.buffer.ingest(message, isStatic);
+  }
+
+  /**
+   * @method lookup
+   * @description 计算源坐标系相对于目标坐标系的最新变换。
+   * @param {string} targetFrame - 目标（固定）坐标系。
+   * @param {string} sourceFrame - 源坐标系。
+   * @returns {{translation: object, rotation: object}|null} 变换，无法连通时返回 null。
+   */
+  lookup(targetFrame, sourceFrame) {
+    return this.buffer.lookupTransform(targetFrame, sourceFrame);
+  }
+
+  /**
+   * @method buildFeedback
+   * @description 按照 tf2_web_republisher 目标构造 `TFSubscriptionFeedback`。
+   * @param {object} goal - 包含 `source_frames` 和 `target_frame` 的目标。
+   * @returns {{transforms: Array<object>}} 反馈内容。
+   */
+  buildFeedback(goal) {
+    const transforms = [];
+    goal.source_frames.forEach((frame) => {
+      const transform = this.lookup(goal.target_frame, frame);
+      if (transform) {
+        transforms.push({
+          header: { frame_id: goal.target_frame },
+          child_frame_id: frame,
+          transform,
+        });
+      } else {
+        logger.debug(`No transform from '${frame}' to '${goal.target_frame}' yet`);
+      }
+    });
+    return { transforms };
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * @fileOverview
+ *
+ * ROS1 rosbag (v2.0) 与 MCAP 文件的读取函数。
+ * 两种格式都会被读取为统一的结构：通道列表与按时间排序的原始消息列表。
+ */
+
+import { createMessageDecoder } from "./message.decoders.js";
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("BagReader");
+
+const textDecoder = new TextDecoder();
+
+const BAG_MAGIC = "#ROSBAG V2.0\n";
+const MCAP_MAGIC = [0x89, 0x4d, 0x43, 0x41, 0x50, 0x30, 0x0d, 0x0a];
+
+// rosbag 记录操作码
+const BAG_OP_MESSAGE_DATA = 0x02;
+const BAG_OP_CHUNK = 0x05;
+const BAG_OP_CONNECTION = 0x07;
+
+// MCAP 记录操作码
+const MCAP_OP_SCHEMA = 0x03;
+const MCAP_OP_CHANNEL = 0x04;
+const MCAP_OP_MESSAGE = 0x05;
+const MCAP_OP_CHUNK = 0x06;
+
+/**
+ * 判断给定数据的文件格式。
+ * @param {Uint8Array} bytes - 文件内容
+ * @returns {'bag'|'mcap'|null} 文件格式，无法识别时返回 null。
+ */
+export const detectFormat = (bytes) => {
+  if (MCAP_MAGIC.every((value, i) => bytes[i] === value)) {
+    return "mcap";
+  }
+  if (textDecoder.decode(bytes.subarray(0, BAG_MAGIC.length)) === BAG_MAGIC) {
+    return "bag";
+  }
+  return null;
+};
+
+/**
+ * 解压缩数据块，未压缩时直接返回原数据。
+ * @private
+ */
+const decompressChunk = (compression, bytes, size, decompress) => {
+  if (!compression || compression === "none") {
+    return bytes;
+  }
+  const handler = decompress[compression];
+  if (typeof handler !== "function") {
+    throw new Error(
+      `Chunk compression "${compression}" requires a decompress.${compression} handler`
+    );
+  }
+  return handler(bytes, size);
+};
+
+/**
+ * 创建消息解码函数，无法解码的通道返回 null 而不是中断整个文件的读取。
+ * @private
+ */
+const tryCreateDecoder = (options) => {
+  try {
+    return createMessageDecoder(options);
+  } catch (error) {
+    logger.warn(`Cannot decode messages of type "${options.type}":`, error.message);
+    return null;
+  }
+};
+
+/**
+ * 解析 rosbag 记录头中的 `name=value` 字段。
+ * @private
+ */
+const readBagHeader = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const fields = {};
+  let offset = 0;
+  while (offset + 4 <= bytes.length) {
+    const length = view.getUint32(offset, true);
+    offset += 4;
+    const field = bytes.subarray(offset, offset + length);
+    const separator = field.indexOf(0x3d); // '='
+    const name = textDecoder.decode(field.subarray(0, separator));
+    fields[name] = field.subarray(separator + 1);
+    offset += length;
+  }
+  return fields;
+};
+
+/**
+ * 遍历 rosbag 中连续存放的记录。
+ * @private
+ */
+const forEachBagRecord = (bytes, callback) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  while (offset + 4 <= bytes.length) {
+    const headerLength = view.getUint32(offset, true);
+    const header = readBagHeader(bytes.subarray(offset + 4, offset + 4 + headerLength));
+    offset += 4 + headerLength;
+    const dataLength = view.getUint32(offset, true);
+    const data = bytes.subarray(offset + 4, offset + 4 + dataLength);
+    offset += 4 + dataLength;
+    callback(header, data);
+  }
+};
+
+/**
+ * 读取 ROS1 rosbag v2.0 文件。
+ * @param {Uint8Array} bytes - 文件内容
+ * @param {object} [options] - 选项
+ * @param {Object<string, function>} [options.decompress] - 按压缩格式（'bz2'、'lz4'）提供的解压函数 `(bytes, size) => Uint8Array`。
+ * @returns {{channels: Map<number, object>, messages: Array<object>}} 通道与消息列表。
+ */
+export const readBag = (bytes, { decompress = {} } = {}) => {
+  const channels = new Map();
+  const messages = [];
+
+  const handleRecord = (header, data) => {
+    const op = header.op[0];
+    if (op === BAG_OP_CHUNK) {
+      const compression = textDecoder.decode(header.compression);
+      const size = new DataView(header.size.buffer, header.size.byteOffset).getUint32(0, true);
+      forEachBagRecord(decompressChunk(compression, data, size, decompress), handleRecord);
+    } else if (op === BAG_OP_CONNECTION) {
+      const id = new DataView(header.conn.buffer, header.conn.byteOffset).getUint32(0, true);
+      if (channels.has(id)) {
+        return;
+      }
+      const connection = readBagHeader(data);
+      const type = textDecoder.decode(connection.type);
+      const definition = textDecoder.decode(connection.message_definition);
+      channels.set(id, {
+        id,
+        topic: textDecoder.decode(header.topic),
+        type,
+        encoding: "ros1",
+        definition,
+        decode: tryCreateDecoder({ type, definition, encoding: "ros1" }),
+      });
+    } else if (op === BAG_OP_MESSAGE_DATA) {
+      const conn = new DataView(header.conn.buffer, header.conn.byteOffset).getUint32(0, true);
+      const timeView = new DataView(header.time.buffer, header.time.byteOffset);
+      const time = timeView.getUint32(0, true) + timeView.getUint32(4, true) * 1e-9;
+      messages.push({ channelId: conn, time, data });
+    }
+  };
+
+  forEachBagRecord(bytes.subarray(BAG_MAGIC.length), handleRecord);
+  messages.sort((a, b) => a.time - b.time);
+  return { channels, messages };
+};
+
+/**
+ * MCAP 记录内容的游标读取器。
+ * @private
+ */
+class McapCursor {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  uint16() {
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  uint32() {
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  uint64() {
+    const value = this.view.getBigUint64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  bytesOf(length) {
+    const value = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  string() {
+    return textDecoder.decode(this.bytesOf(this.uint32()));
+  }
+}
+
+/**
+ * 遍历 MCAP 中连续存放的记录。
+ * @private
+ */
+const forEachMcapRecord = (bytes, callback) => {
+  const cursor = new McapCursor(bytes);
+  while (cursor.offset + 9 <= bytes.length) {
+    const op = bytes[cursor.offset];
+    cursor.offset += 1;
+    const length = Number(cursor.uint64());
+    callback(op, cursor.bytesOf(length));
+  }
+};
+
+/**
+ * 读取 MCAP 文件。
+ * @param {Uint8Array} bytes - 文件内容
+ * @param {object} [options] - 选项
+ * @param {Object<string, function>} [options.decompress] - 按压缩格式（'zstd'、'lz4'）提供的解压函数 `(bytes, size) => Uint8Array`。
+ * @returns {{channels: Map<number, object>, messages: Array<object>}} 通道与消息列表。
+ */
+export const readMcap = (bytes, { decompress = {} } = {}) => {
+  const schemas = new Map();
+  const channels = new Map();
+  const messages = [];
+
+  const handleRecord = (op, content) => {
+    const cursor = new McapCursor(content);
+    if (op === MCAP_OP_SCHEMA) {
+      const id = cursor.uint16();
+      const name = cursor.string();
+      const encoding = cursor.string();
+      const data = textDecoder.decode(cursor.bytesOf(cursor.uint32()));
+      schemas.set(id, { name, encoding, data });
+    } else if (op === MCAP_OP_CHANNEL) {
+      const id = cursor.uint16();
+      const schemaId = cursor.uint16();
+      const topic = cursor.string();
+      const encoding = cursor.string();
+      if (channels.has(id)) {
+        return; // 摘要区中重复的通道记录
+      }
+      const schema = schemas.get(schemaId) || { name: "", data: "" };
+      channels.set(id, {
+        id,
+        topic,
+        type: schema.name,
+        encoding,
+        definition: schema.data,
+        decode: tryCreateDecoder({ type: schema.name, definition: schema.data, encoding }),
+      });
+    } else if (op === MCAP_OP_MESSAGE) {
+      const channelId = cursor.uint16();
+      cursor.uint32(); // sequence
+      const logTime = cursor.uint64();
+      cursor.uint64(); // publish_time
+      const data = content.subarray(cursor.offset);
+      messages.push({ channelId, time: Number(logTime) * 1e-9, data });
+    } else if (op === MCAP_OP_CHUNK) {
+      cursor.uint64(); // message_start_time
+      cursor.uint64(); // message_end_time
+      const size = Number(cursor.uint64());
+      cursor.uint32(); // uncompressed_crc
+      const compression = cursor.string();
+      const records = cursor.bytesOf(Number(cursor.uint64()));
+      forEachMcapRecord(decompressChunk(compression, records, size, decompress), handleRecord);
+    }
+  };
+
+  forEachMcapRecord(bytes.subarray(MCAP_MAGIC.length), handleRecord);
+  messages.sort((a, b) => a.time - b.time);
+  return { channels, messages };
+};
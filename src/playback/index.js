@@ -0,0 +1,15 @@
+/**
+ * @fileOverview
+ * 
+ * 离线回放模块入口点，导出 rosbag/MCAP 回放相关的类和函数。
+ */
+
+export { BagPlayer } from './BagPlayer.js';
+export { PlaybackTransport } from './PlaybackTransport.js';
+export { TFRepublisher } from './TFRepublisher.js';
+export { detectFormat, readBag, readMcap } from './bag.reader.js';
+export {
+  createMessageDecoder,
+  parseMessageDefinition,
+  normalizeTypeName,
+} from './message.decoders.js';
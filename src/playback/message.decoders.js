@@ -0,0 +1,276 @@
+/**
+ * @fileOverview
+ *
+ * ROS 消息定义解析与二进制消息解码函数（ROS1 序列化格式与 ROS2 CDR 格式）。
+ * 解码结果的结构与 rosbridge 推送的消息保持一致，数值数组以 TypedArray 表示。
+ */
+
+const textDecoder = new TextDecoder();
+
+// 基本类型 -> [字节数, DataView 读取方法, TypedArray 构造函数]
+const PRIMITIVES = {
+  bool: [1, "getUint8", null],
+  int8: [1, "getInt8", Int8Array],
+  uint8: [1, "getUint8", Uint8Array],
+  byte: [1, "getUint8", Uint8Array],
+  char: [1, "getUint8", Uint8Array],
+  int16: [2, "getInt16", Int16Array],
+  uint16: [2, "getUint16", Uint16Array],
+  int32: [4, "getInt32", Int32Array],
+  uint32: [4, "getUint32", Uint32Array],
+  int64: [8, "getBigInt64", null],
+  uint64: [8, "getBigUint64", null],
+  float32: [4, "getFloat32", Float32Array],
+  float64: [8, "getFloat64", Float64Array],
+};
+
+// ROS2 消息定义中可能省略的内置类型
+const BUILTIN_DEFINITIONS = {
+  "builtin_interfaces/Time": [
+    { name: "sec", type: "int32", isArray: false, isComplex: false },
+    { name: "nanosec", type: "uint32", isArray: false, isComplex: false },
+  ],
+  "builtin_interfaces/Duration": [
+    { name: "sec", type: "int32", isArray: false, isComplex: false },
+    { name: "nanosec", type: "uint32", isArray: false, isComplex: false },
+  ],
+};
+
+/**
+ * 将 `pkg/msg/Type` 形式的类型名统一为 `pkg/Type`。
+ * @param {string} type - 类型名
+ * @returns {string} 规范化后的类型名
+ */
+export const normalizeTypeName = (type) => type.replace("/msg/", "/");
+
+/**
+ * 解析 ROS 消息定义文本（ros1msg 或 ros2msg，依赖以 `MSG:` 段落拼接）。
+ * @param {string} text - 完整的消息定义文本。
+ * @param {string} rootType - 根消息类型名，例如 'sensor_msgs/PointCloud2'。
+ * @returns {Object<string, Array<object>>} 以规范化类型名为键的字段列表。
+ */
+export const parseMessageDefinition = (text, rootType) => {
+  const definitions = {};
+  const sections = text.split(/^=+\s*$/m);
+
+  sections.forEach((section, index) => {
+    let lines = section.split("\n");
+    let typeName = normalizeTypeName(rootType);
+
+    if (index > 0) {
+      const header = lines.findIndex((line) => line.trim().startsWith("MSG:"));
+      if (header === -1) {
+        return;
+      }
+      typeName = normalizeTypeName(lines[header].trim().substring(4).trim());
+      lines = lines.slice(header + 1);
+    }
+
+    const pkg = typeName.split("/")[0];
+    definitions[typeName] = lines
+      .map((line) => parseFieldLine(line, pkg))
+      .filter(Boolean);
+  });
+
+  return definitions;
+};
+
+/**
+ * 解析单行字段定义，常量与注释行返回 null。
+ * @private
+ */
+const parseFieldLine = (rawLine, pkg) => {
+  const line = rawLine.replace(/#.*$/, "").trim();
+  if (!line) {
+    return null;
+  }
+
+  const match = line.match(/^(\S+)\s+([A-Za-z_][A-Za-z0-9_]*)\s*(=)?/);
+  if (!match || match[3]) {
+    return null; // 非字段或常量定义
+  }
+
+  let [, type] = match;
+  const name = match[2];
+  let isArray = false;
+  let arrayLength;
+
+  const arrayMatch = type.match(/^(.+)\[(<=)?(\d*)\]$/);
+  if (arrayMatch) {
+    isArray = true;
+    type = arrayMatch[1];
+    // 有界数组 `[<=N]` 按变长数组序列化
+    arrayLength = arrayMatch[3] && !arrayMatch[2] ? Number(arrayMatch[3]) : undefined;
+  }
+
+  // 有界字符串 `string<=N`
+  type = type.replace(/<=\d+$/, "");
+
+  const isComplex = !(type in PRIMITIVES) && !["string", "wstring", "time", "duration"].includes(type);
+  if (isComplex) {
+    if (type === "Header") {
+      type = "std_msgs/Header";
+    } else if (!type.includes("/")) {
+      type = `${pkg}/${type}`;
+    }
+    type = normalizeTypeName(type);
+  }
+
+  return { name, type, isArray, arrayLength, isComplex };
+};
+
+/**
+ * 带游标的二进制读取器，同时支持 ROS1（紧凑、小端）和 CDR（对齐、可选大端）布局。
+ * @private
+ */
+class MessageReader {
+  constructor(bytes, cdr) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.bytes = bytes;
+    this.cdr = cdr;
+    this.offset = 0;
+    this.littleEndian = true;
+
+    if (cdr) {
+      // CDR 封装头：第二个字节为 1 表示小端
+      this.littleEndian = bytes[1] === 1;
+      this.offset = 4;
+    }
+  }
+
+  align(size) {
+    if (this.cdr && size > 1) {
+      // 对齐以封装头之后的位置为起点
+      const position = this.offset - 4;
+      const remainder = position % size;
+      if (remainder > 0) {
+        this.offset += size - remainder;
+      }
+    }
+  }
+
+  primitive(type) {
+    const [size, method] = PRIMITIVES[type];
+    this.align(size);
+    let value = this.view[method](this.offset, this.littleEndian);
+    this.offset += size;
+    if (type === "bool") {
+      value = value !== 0;
+    } else if (size === 8 && typeof value === "bigint") {
+      value = Number(value);
+    }
+    return value;
+  }
+
+  length() {
+    return this.primitive("uint32");
+  }
+
+  string() {
+    const length = this.length();
+    // CDR 字符串长度包含结尾的 '\0'
+    const end = this.offset + (this.cdr ? Math.max(0, length - 1) : length);
+    const value = textDecoder.decode(this.bytes.subarray(this.offset, end));
+    this.offset += length;
+    return value;
+  }
+
+  primitiveArray(type, count) {
+    const [size, , ArrayType] = PRIMITIVES[type];
+    if (count > 0) {
+      this.align(size);
+    }
+    if (!ArrayType) {
+      const values = new Array(count);
+      for (let i = 0; i < count; i++) {
+        values[i] = this.primitive(type);
+      }
+      return values;
+    }
+    if (size === 1) {
+      const slice = this.bytes.slice(this.offset, this.offset + count);
+      this.offset += count;
+      return new ArrayType(slice.buffer);
+    }
+    const values = new ArrayType(count);
+    for (let i = 0; i < count; i++) {
+      values[i] = this.primitive(type);
+    }
+    return values;
+  }
+}
+
+/**
+ * 按字段定义读取单个值。
+ * @private
+ */
+const readValue = (reader, field, definitions) => {
+  const { type } = field;
+  if (type === "string" || type === "wstring") {
+    return reader.string();
+  }
+  if (type === "time" || type === "duration") {
+    // ROS1 时间类型：time 为 uint32，duration 为 int32
+    const method = type === "time" ? "uint32" : "int32";
+    return { secs: reader.primitive(method), nsecs: reader.primitive(method) };
+  }
+  if (field.isComplex) {
+    return readMessage(reader, field.type, definitions);
+  }
+  return reader.primitive(type);
+};
+
+/**
+ * 按类型定义递归读取一个消息对象。
+ * @private
+ */
+const readMessage = (reader, typeName, definitions) => {
+  const fields = definitions[typeName] || BUILTIN_DEFINITIONS[typeName];
+  if (!fields) {
+    throw new Error(`Missing message definition for type "${typeName}"`);
+  }
+
+  const message = {};
+  fields.forEach((field) => {
+    if (!field.isArray) {
+      message[field.name] = readValue(reader, field, definitions);
+      return;
+    }
+
+    const count = field.arrayLength !== undefined ? field.arrayLength : reader.length();
+    if (!field.isComplex && field.type in PRIMITIVES) {
+      message[field.name] = reader.primitiveArray(field.type, count);
+      return;
+    }
+
+    const values = new Array(count);
+    for (let i = 0; i < count; i++) {
+      values[i] = readValue(reader, field, definitions);
+    }
+    message[field.name] = values;
+  });
+  return message;
+};
+
+/**
+ * 为给定的消息类型创建解码函数。
+ * @param {object} options - 选项
+ * @param {string} options.type - 消息类型名，例如 'nav_msgs/Path' 或 'nav_msgs/msg/Path'。
+ * @param {string} options.definition - 消息定义文本。
+ * @param {string} [options.encoding='ros1'] - 消息编码：'ros1'、'cdr' 或 'json'。
+ * @returns {function(Uint8Array): object} 将原始字节解码为消息对象的函数。
+ */
+export const createMessageDecoder = ({ type, definition, encoding = "ros1" }) => {
+  if (encoding === "json") {
+    return (bytes) => JSON.parse(textDecoder.decode(bytes));
+  }
+  if (encoding !== "ros1" && encoding !== "cdr") {
+    throw new Error(`Unsupported message encoding "${encoding}"`);
+  }
+
+  const rootType = normalizeTypeName(type);
+  const definitions = parseMessageDefinition(definition || "", rootType);
+  const cdr = encoding === "cdr";
+
+  return (bytes) => readMessage(new MessageReader(bytes, cdr), rootType, definitions);
+};
@@ -0,0 +1,254 @@
+/**
+ * @fileOverview CameraInfo - 用于显示ROS CameraInfo消息的相机视锥，并可将图像投影到场景中。
+ */
+
+import * as THREE from "three";
+import * as ROSLIB from "roslib";
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
+import { cameraIntrinsics, frustumCorners } from "./camera.utils.js";
+import { ImageClient } from "./ImageClient.js";
+import { ImageProjector } from "./ImageProjector.js";
+import { SceneNode } from "../visualization/SceneNode.js";
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("CameraInfo");
+
+// 视锥线段：光心到近平面、近平面矩形、近平面到远平面、远平面矩形，每条线段两个顶点
+const FRUSTUM_SEGMENTS = 16;
+
+/**
+ * @class CameraInfo
+ * @description 一个监听 `sensor_msgs/CameraInfo` 主题并在光学坐标系中绘制相机视锥的客户端。
+ * 指定图像主题时，会像 RViz 的 Camera 显示一样把图像投影到场景中的几何体（URDF、栅格地图、网格等）上。
+ */
+export class CameraInfo {
+  /**
+   * @param {object} options - 选项对象。
+   * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros 的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
+   * @param {string} [options.topic='/camera/camera_info'] - 要监听的CameraInfo主题。
+   * @param {object} options.tfClient - TF客户端句柄。
+   * @param {THREE.Object3D} [options.rootObject] - 用于添加视锥的根对象。
+   * @param {number} [options.near=0.05] - 视锥近平面的深度（米），同时也是投影的最近深度。
+   * @param {number} [options.far=1] - 视锥远平面的深度（米），同时也是投影的最远深度。
+   * @param {number} [options.color=0x00ffff] - 视锥线条的颜色。
+   * @param {string} [options.imageTopic] - 要投影到场景中的图像主题，不指定时只绘制视锥。
+   * @param {boolean} [options.compressed] - 图像主题是否为 `sensor_msgs/CompressedImage`，默认根据主题名判断。
+   * @param {ROS3D.Viewer} [options.viewer] - 投影图像时需要注册渲染通道的查看器。
+   * @param {number} [options.opacity=0.8] - 投影图像的不透明度。
+   * @param {Array<THREE.Object3D>} [options.targets] - 接收投影的对象，默认投影到场景中的所有网格。
+   * @param {number} [options.throttle_rate] - 消息节流速率（毫秒）。
+   */
+  constructor(options = {}) {
+    logger.info("Initializing CameraInfo component");
+
+    const {
+      ros,
+      rosVersion,
+      topic = "/camera/camera_info",
+      tfClient,
+      rootObject = new THREE.Object3D(),
+      near = 0.05,
+      far = 1,
+      color = 0x00ffff,
+      imageTopic,
+      compressed,
+      viewer,
+      opacity = 0.8,
+      targets,
+      throttle_rate = null,
+    } = options;
+
+    this.ros = ros;
+    this.rosVersion = rosVersion;
+    this.topicName = topic;
+    this.tfClient = tfClient;
+    this.rootObject = rootObject;
+    this.near = near;
+    this.far = far;
+    this.viewer = viewer;
+    this.throttle_rate = throttle_rate;
+
+    this.intrinsics = null;
+    this.sceneNode = null;
+
+    this.geometry = new THREE.BufferGeometry();
+    this.geometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(new Float32Array(FRUSTUM_SEGMENTS * 2 * 3), 3)
+    );
+    this.material = new THREE.LineBasicMaterial({ color });
+    this.frustum = new THREE.LineSegments(this.geometry, this.material);
+
+    this.projector = null;
+    this.imageClient = null;
+    if (imageTopic) {
+      this.projector = new ImageProjector({ opacity, near, far, targets });
+      // 复用 ImageClient 的订阅与解码，只取其纹理用于投影
+      this.imageClient = new ImageClient({
+        ros,
+        rosVersion,
+        topic: imageTopic,
+        compressed,
+        throttle_rate,
+      });
+      this.imageClient.on("change", () => {
+        this.projector.setTexture(this.imageClient.texture);
+      });
+      if (viewer) {
+        viewer.addRenderPass(this.projector);
+      } else {
+        logger.error("CameraInfo image projection requires a viewer.");
+      }
+    }
+
+    this.rosTopic = null;
+    this.processMessage = this.processMessage.bind(this);
+    if (this.ros) {
+      this.subscribe();
+    }
+  }
+
+  /**
+   * @method subscribe
+   * @description 订阅ROS主题。
+   */
+  subscribe() {
+    this.unsubscribe();
+
+    this.rosTopic = new ROSLIB.Topic({
+      ros: this.ros,
+      name: this.topicName,
+      messageType: toRosType(
+        "sensor_msgs/CameraInfo",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
+      queue_length: 1,
+      throttle_rate: this.throttle_rate,
+    });
+    this.rosTopic.subscribe(this.processMessage);
+    logger.info(`Subscribed to CameraInfo topic: ${this.topicName}`);
+  }
+
+  /**
+   * @method unsubscribe
+   * @description 取消订阅ROS主题。
+   */
+  unsubscribe() {
+    if (this.rosTopic) {
+      this.rosTopic.unsubscribe(this.processMessage);
+      this.rosTopic = null;
+    }
+  }
+
+  /**
+   * @method dispose
+   * @description 清理资源，取消订阅并从场景中移除视锥与投影。
+   */
+  dispose() {
+    this.unsubscribe();
+    if (this.imageClient) {
+      this.imageClient.dispose();
+      this.imageClient = null;
+    }
+    if (this.projector) {
+      if (this.viewer) {
+        this.viewer.removeRenderPass(this.projector);
+      }
+      this.projector.dispose();
+      this.projector = null;
+    }
+    this.#removeSceneNode();
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+
+  /**
+   * @method setRange
+   * @description 修改视锥的近平面与远平面深度，投影范围随之更新。
+   * @param {number} near - 近平面深度（米）。
+   * @param {number} far - 远平面深度（米）。
+   */
+  setRange(near, far) {
+    this.near = near;
+    this.far = far;
+    if (this.projector) {
+      this.projector.material.uniforms.near.value = near;
+      this.projector.material.uniforms.far.value = far;
+    }
+    if (this.intrinsics) {
+      this.#updateFrustum();
+    }
+  }
+
+  /**
+   * @private
+   * @method processMessage
+   * @description 处理接收到的CameraInfo消息。
+   * @param {object} message - `sensor_msgs/CameraInfo` 消息。
+   */
+  processMessage(message) {
+    const intrinsics = cameraIntrinsics(message);
+    if (!intrinsics) {
+      logger.warn(`Ignoring uncalibrated CameraInfo on '${this.topicName}'`);
+      return;
+    }
+    this.intrinsics = intrinsics;
+    this.#updateFrustum();
+
+    const frameID = message.header.frame_id;
+    if (!this.sceneNode || this.sceneNode.frameID !== frameID) {
+      this.#removeSceneNode();
+      this.sceneNode = new SceneNode({
+        frameID,
+        tfClient: this.tfClient,
+        object: this.frustum,
+      });
+      this.rootObject.add(this.sceneNode);
+    }
+    this.sceneNode.setStamp(message.header.stamp);
+
+    if (this.projector) {
+      this.projector.setCameraInfo(intrinsics);
+      this.projector.setFrame(this.sceneNode);
+    }
+  }
+
+  /**
+   * 按当前内参和深度范围重新计算视锥顶点。
+   * @private
+   */
+  #updateFrustum() {
+    const nearCorners = frustumCorners(this.intrinsics, this.near);
+    const farCorners = frustumCorners(this.intrinsics, this.far);
+    const origin = new THREE.Vector3();
+    const vertices = [];
+    for (let i = 0; i < 4; i++) {
+      const next = (i + 1) % 4;
+      vertices.push(
+        origin, nearCorners[i],
+        nearCorners[i], nearCorners[next],
+        nearCorners[i], farCorners[i],
+        farCorners[i], farCorners[next]
+      );
+    }
+
+    const position = this.geometry.getAttribute("position");
+    vertices.forEach((vertex, index) => position.setXYZ(index, vertex.x, vertex.y, vertex.z));
+    position.needsUpdate = true;
+    this.geometry.computeBoundingSphere();
+  }
+
+  /**
+   * 移除视锥所在的场景节点，保留视锥对象以便复用。
+   * @private
+   */
+  #removeSceneNode() {
+    if (this.sceneNode) {
+      this.sceneNode.remove(this.frustum);
+      this.sceneNode.dispose();
+      this.rootObject.remove(this.sceneNode);
+      this.sceneNode = null;
+    }
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * @fileOverview DecoderPool - 在 Web Worker 中解码点云消息的线程池。
+ */
+
+import { POINT_DECODERS } from "./points.decoders.js";
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("DecoderPool");
+
+/**
+ * 收集任务中可以转移所有权的输出数组。
+ * @private
+ */
+function transferables(task) {
+  return [task.positions, task.colors]
+    .filter((array) => array && array.byteLength > 0)
+    .map((array) => array.buffer);
+}
+
+/**
+ * @class DecoderPool
+ * @description 管理一组解码 Worker，将 PointCloud2 / LaserScan 的解码、字段提取、着色与子采样移出主线程。
+ * 输出的 Float32Array 通过 Transferable 在线程间传递，调用方可以把上一帧的数组随任务传回以复用内存。
+ *
+ * 运行环境不支持 Worker（例如 Node 测试环境）或 Worker 创建失败时，任务会在主线程上同步执行，
+ * 回调在 `decode` 返回前被调用。
+ */
+export class DecoderPool {
+  static #shared = null;
+
+  /**
+   * 获取所有点云客户端默认共享的解码线程池。
+   * @returns {DecoderPool} 共享线程池。
+   */
+  static shared() {
+    if (!DecoderPool.#shared) {
+      DecoderPool.#shared = new DecoderPool();
+    }
+    return DecoderPool.#shared;
+  }
+
+  /**
+   * @param {object} [options] - 选项对象。
+   * @param {number} [options.size] - 最大 Worker 数量，默认为 CPU 核心数减一（1 到 4 之间）。
+   * @param {boolean} [options.workers=true] - 是否使用 Worker，为 false 时始终在主线程解码。
+   */
+  constructor(options = {}) {
+    const cores =
+      (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2;
+    const { size = Math.max(1, Math.min(4, cores - 1)), workers = true } = options;
+
+    this.size = size;
+    this.useWorkers = workers && typeof Worker !== "undefined";
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.pending = new Map(); // id -> job
+    this.nextId = 0;
+  }
+
+  /**
+   * @method decode
+   * @description 提交一个解码任务。
+   * @param {string} kind - 消息类型，'PointCloud2' 或 'LaserScan'。
+   * @param {object} task - 解码任务，参见 `decodePointCloud2` / `decodeLaserScan`。
+   *   其中的 positions / colors 数组会被转移给 Worker，提交后不应再使用。
+   * @param {function} callback - 解码完成回调，参数为 `{positions, colors, n}`，解码失败时为 null。
+   */
+  decode(kind, task, callback) {
+    const job = { kind, task, callback };
+    if (!this.useWorkers) {
+      this.#runInline(job);
+      return;
+    }
+    this.queue.push(job);
+    this.#drain();
+  }
+
+  /**
+   * @method dispose
+   * @description 终止所有 Worker，尚未完成的任务改为在主线程上执行。
+   */
+  dispose() {
+    this.#terminate();
+    this.useWorkers = false;
+  }
+
+  /**
+   * 将排队的任务分配给空闲的 Worker，必要时创建新的 Worker。
+   * @private
+   */
+  #drain() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker && this.workers.length < this.size) {
+        worker = this.#spawn();
+      }
+      if (!worker) {
+        if (!this.useWorkers) {
+          this.queue.splice(0).forEach((job) => this.#runInline(job));
+        }
+        return;
+      }
+      const job = this.queue.shift();
+      const id = this.nextId++;
+      this.pending.set(id, { job, worker });
+      worker.postMessage({ id, kind: job.kind, task: job.task }, transferables(job.task));
+    }
+  }
+
+  /**
+   * @private
+   */
+  #spawn() {
+    try {
+      const worker = new Worker(new URL("./points.worker.js", import.meta.url), {
+        type: "module",
+      });
+      worker.onmessage = ({ data }) => this.#onResult(worker, data);
+      worker.onerror = (event) => this.#onError(event);
+      this.workers.push(worker);
+      return worker;
+    } catch (error) {
+      logger.warn("Unable to start decoder worker, decoding on the main thread:", error);
+      this.useWorkers = false;
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  #onResult(worker, { id, result, error }) {
+    const entry = this.pending.get(id);
+    if (!entry) {
+      return;
+    }
+    this.pending.delete(id);
+    this.idle.push(worker);
+    this.#drain();
+
+    if (error) {
+      logger.error(`Failed to decode ${entry.job.kind} message: ${error}`);
+      entry.job.callback(null);
+      return;
+    }
+    entry.job.callback(result);
+  }
+
+  /**
+   * Worker 脚本无法加载或崩溃时回退到主线程。
+   * @private
+   */
+  #onError(event) {
+    logger.error("Decoder worker failed, decoding on the main thread:", event.message);
+    this.useWorkers = false;
+    this.#terminate();
+  }
+
+  /**
+   * @private
+   */
+  #terminate() {
+    const jobs = [...this.pending.values()].map(({ job }) => job).concat(this.queue);
+    this.workers.forEach((worker) => worker.terminate());
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.pending.clear();
+    // 已转移的数组在主线程上长度为 0，解码函数会重新分配
+    jobs.forEach((job) => this.#runInline(job));
+  }
+
+  /**
+   * @private
+   */
+  #runInline({ kind, task, callback }) {
+    let result = null;
+    try {
+      result = POINT_DECODERS[kind](task);
+    } catch (error) {
+      logger.error(`Failed to decode ${kind} message:`, error);
+    }
+    callback(result);
+  }
+}
@@ -0,0 +1,321 @@
+/**
+ * @fileOverview ImageClient - 用于显示ROS Image / CompressedImage消息的客户端。
+ */
+
+import * as THREE from "three";
+import { EventEmitter } from "eventemitter3";
+import * as ROSLIB from "roslib";
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
+import { toByteArray } from "../utils/encoding.js";
+import { decodeImage, compressedMimeType } from "./image.decoders.js";
+import { SceneNode } from "../visualization/SceneNode.js";
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("ImageClient");
+
+/**
+ * @class ImageClient
+ * @description 一个监听图像主题的客户端，可以将图像作为屏幕叠加层显示在 Viewer 上，
+ * 或作为纹理平面挂在图像消息的坐标系上。
+ *
+ * 平面模式遵循相机光学坐标系约定（x 向右、y 向下、z 指向前方），平面位于坐标系的 XY 平面内，
+ * 从相机后方沿 +z 方向观察时图像方向正确。
+ * @extends EventEmitter
+ */
+export class ImageClient extends EventEmitter {
+  /**
+   * @param {object} options - 选项对象。
+   * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros 的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
+   * @param {string} [options.topic='/camera/image_raw'] - 要监听的图像主题。
+   * @param {boolean} [options.compressed] - 是否为 `sensor_msgs/CompressedImage`，默认根据主题名是否以 '/compressed' 结尾判断。
+   * @param {string} [options.mode='plane'] - 显示方式：'plane' 为3D纹理平面，'overlay' 为屏幕叠加层。
+   * @param {object} [options.tfClient] - 平面模式下用于坐标变换的TF客户端。
+   * @param {THREE.Object3D} [options.rootObject] - 平面模式下用于添加图像平面的根对象。
+   * @param {ROS3D.Viewer} [options.viewer] - 叠加层模式下要绘制到的查看器。
+   * @param {number} [options.width=1] - 平面模式下平面的宽度（米），高度按图像宽高比计算。
+   * @param {object} [options.pose] - 平面模式下平面相对于图像坐标系的位姿。
+   * @param {object} [options.overlay] - 叠加层模式下的位置与大小（像素）。
+   * @param {number} [options.overlay.left=10] - 距画布左边缘的距离。
+   * @param {number} [options.overlay.top=10] - 距画布上边缘的距离。
+   * @param {number} [options.overlay.width=320] - 叠加图像的宽度，高度按图像宽高比计算。
+   * @param {number} [options.min] - mono16 / 32FC1 图像归一化的下限，默认使用每帧图像的最小值。
+   * @param {number} [options.max] - mono16 / 32FC1 图像归一化的上限，默认使用每帧图像的最大值。
+   * @param {number} [options.opacity=1] - 图像的不透明度。
+   * @param {number} [options.throttle_rate] - 消息节流速率（毫秒）。
+   * @param {string} [options.compression='cbor'] - 消息压缩方式。
+   */
+  constructor(options = {}) {
+    super();
+    logger.info("Initializing ImageClient component");
+
+    const {
+      ros,
+      rosVersion,
+      topic = "/camera/image_raw",
+      compressed = topic.endsWith("/compressed"),
+      mode = "plane",
+      tfClient,
+      rootObject = new THREE.Object3D(),
+      viewer,
+      width = 1,
+      pose,
+      overlay = {},
+      min,
+      max,
+      opacity = 1,
+      throttle_rate = null,
+      compression = "cbor",
+    } = options;
+
+    this.ros = ros;
+    this.rosVersion = rosVersion;
+    this.topicName = topic;
+    this.compressed = compressed;
+    this.mode = mode;
+    this.tfClient = tfClient;
+    this.rootObject = rootObject;
+    this.viewer = viewer;
+    this.planeWidth = width;
+    this.pose = pose;
+    this.overlay = { left: 10, top: 10, width: 320, ...overlay };
+    this.min = min;
+    this.max = max;
+    this.throttle_rate = throttle_rate;
+    this.compression = compression;
+
+    this.texture = null;
+    this.sceneNode = null;
+    this.imageSize = null;
+    this.material = new THREE.MeshBasicMaterial({
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity,
+      depthTest: mode !== "overlay",
+    });
+    this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), this.material);
+
+    // 压缩图像异步解码，解码期间只保留最新的一帧
+    this.pendingCompressed = null;
+    this.decoding = false;
+    this.disposed = false;
+
+    if (mode === "overlay") {
+      if (viewer) {
+        viewer.addOverlay(this.mesh);
+      } else {
+        logger.error("ImageClient in overlay mode requires a viewer.");
+      }
+    }
+
+    this.rosTopic = null;
+    this.processMessage = this.processMessage.bind(this);
+    if (this.ros) {
+      this.subscribe();
+    }
+  }
+
+  /**
+   * @method subscribe
+   * @description 订阅ROS主题。
+   */
+  subscribe() {
+    this.unsubscribe();
+
+    this.rosTopic = new ROSLIB.Topic({
+      ros: this.ros,
+      name: this.topicName,
+      messageType: toRosType(
+        this.compressed ? "sensor_msgs/CompressedImage" : "sensor_msgs/Image",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
+      throttle_rate: this.throttle_rate,
+      queue_length: 1,
+      compression: this.compression,
+    });
+    this.rosTopic.subscribe(this.processMessage);
+    logger.info(`Subscribed to image topic: ${this.topicName}`);
+  }
+
+  /**
+   * @method unsubscribe
+   * @description 取消订阅ROS主题。
+   */
+  unsubscribe() {
+    if (this.rosTopic) {
+      this.rosTopic.unsubscribe(this.processMessage);
+      this.rosTopic = null;
+    }
+  }
+
+  /**
+   * @method dispose
+   * @description 清理资源，取消订阅并从场景或叠加层中移除图像。
+   */
+  dispose() {
+    this.unsubscribe();
+    this.disposed = true;
+    this.pendingCompressed = null;
+
+    if (this.viewer && this.mode === "overlay") {
+      this.viewer.removeOverlay(this.mesh);
+    }
+    this.#removeSceneNode();
+
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+    if (this.texture) {
+      this.texture.dispose();
+      this.texture = null;
+    }
+    this.emit("change");
+  }
+
+  /**
+   * @private
+   * @method processMessage
+   * @description 处理接收到的图像消息。
+   * @param {object} message - `sensor_msgs/Image` 或 `sensor_msgs/CompressedImage` 消息。
+   */
+  processMessage(message) {
+    if (this.compressed) {
+      this.pendingCompressed = message;
+      if (!this.decoding) {
+        this.#decodeCompressed();
+      }
+      return;
+    }
+
+    const reusable =
+      this.texture &&
+      this.texture.isDataTexture &&
+      this.texture.image.width === message.width &&
+      this.texture.image.height === message.height
+        ? this.texture.image.data
+        : undefined;
+    const image = decodeImage(message, {
+      min: this.min,
+      max: this.max,
+      target: reusable,
+    });
+    if (!image) {
+      logger.warn(`Unsupported image encoding '${message.encoding}'`);
+      return;
+    }
+
+    if (image.data === reusable) {
+      this.texture.needsUpdate = true;
+    } else {
+      this.#setTexture(
+        new THREE.DataTexture(image.data, image.width, image.height, THREE.RGBAFormat)
+      );
+    }
+    this.#show(message.header, image.width, image.height);
+  }
+
+  /**
+   * 使用浏览器解码最新的一帧压缩图像。
+   * @private
+   */
+  #decodeCompressed() {
+    const message = this.pendingCompressed;
+    this.pendingCompressed = null;
+    this.decoding = true;
+
+    const url = URL.createObjectURL(
+      new Blob([toByteArray(message.data)], {
+        type: compressedMimeType(message.format),
+      })
+    );
+    const image = new Image();
+    const next = () => {
+      URL.revokeObjectURL(url);
+      this.decoding = false;
+      if (this.pendingCompressed && !this.disposed) {
+        this.#decodeCompressed();
+      }
+    };
+
+    image.onload = () => {
+      if (!this.disposed) {
+        if (this.texture && !this.texture.isDataTexture) {
+          this.texture.image = image;
+          this.texture.needsUpdate = true;
+        } else {
+          this.#setTexture(new THREE.Texture(image));
+        }
+        this.#show(message.header, image.width, image.height);
+      }
+      next();
+    };
+    image.onerror = () => {
+      logger.error(`Failed to decode compressed image (format '${message.format}')`);
+      next();
+    };
+    image.src = url;
+  }
+
+  /**
+   * 替换当前纹理。纹理统一按行从上到下存储（flipY 关闭），方向由网格缩放处理。
+   * @private
+   */
+  #setTexture(texture) {
+    if (this.texture) {
+      this.texture.dispose();
+    }
+    texture.flipY = false;
+    texture.generateMipmaps = false;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    this.texture = texture;
+    this.material.map = texture;
+    this.material.needsUpdate = true;
+  }
+
+  /**
+   * 根据图像尺寸更新网格大小与位置，平面模式下将网格挂到图像坐标系上。
+   * @private
+   */
+  #show(header, width, height) {
+    this.imageSize = { width, height };
+    const aspect = height / width;
+
+    if (this.mode === "overlay") {
+      // 叠加层 y 轴向上，负缩放让第一行像素位于顶部
+      const w = this.overlay.width;
+      const h = w * aspect;
+      this.mesh.scale.set(w, -h, 1);
+      this.mesh.position.set(this.overlay.left + w / 2, -(this.overlay.top + h / 2), 0);
+    } else {
+      // 第一行像素位于 -y，即光学坐标系的上方
+      this.mesh.scale.set(this.planeWidth, this.planeWidth * aspect, 1);
+      const frameID = header && header.frame_id;
+      if (!this.sceneNode || this.sceneNode.frameID !== frameID) {
+        this.#removeSceneNode();
+        this.sceneNode = new SceneNode({
+          frameID,
+          tfClient: this.tfClient,
+          object: this.mesh,
+          pose: this.pose,
+        });
+        this.rootObject.add(this.sceneNode);
+      }
+      this.sceneNode.setStamp(header && header.stamp);
+    }
+    this.emit("change");
+  }
+
+  /**
+   * 移除平面模式下的场景节点，保留网格以便复用。
+   * @private
+   */
+  #removeSceneNode() {
+    if (this.sceneNode) {
+      this.sceneNode.remove(this.mesh);
+      this.sceneNode.dispose();
+      this.rootObject.remove(this.sceneNode);
+      this.sceneNode = null;
+    }
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * @fileOverview ImageProjector - 将相机图像按针孔模型投影到场景几何体上的渲染通道。
+ */
+
+import * as THREE from "three";
+import { projectionTextureMatrix } from "./camera.utils.js";
+
+/**
+ * @class ImageProjector
+ * @description 与 Highlighter 类似的覆盖渲染通道：在常规场景渲染之后，用投影材质重新绘制场景中的网格，
+ * 把图像贴到位于相机视锥内的表面上。投影不考虑遮挡，被前景挡住的表面同样会着色。
+ *
+ * 通过 `viewer.addRenderPass(projector)` 注册到查看器。
+ */
+export class ImageProjector {
+  static #vertexShader = `
+    uniform mat4 textureMatrix;
+    varying vec4 vProjected;
+
+    void main() {
+      vec4 localPosition = vec4(position, 1.0);
+      #ifdef USE_INSTANCING
+        localPosition = instanceMatrix * localPosition;
+      #endif
+      vec4 worldPosition = modelMatrix * localPosition;
+      vProjected = textureMatrix * worldPosition;
+      gl_Position = projectionMatrix * viewMatrix * worldPosition;
+    }
+  `;
+
+  static #fragmentShader = `
+    uniform sampler2D map;
+    uniform float opacity;
+    uniform float near;
+    uniform float far;
+    varying vec4 vProjected;
+
+    void main() {
+      if (vProjected.w < near || vProjected.w > far) {
+        discard;
+      }
+      vec2 uv = vProjected.xy / vProjected.w;
+      if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+        discard;
+      }
+      vec4 color = texture2D(map, uv);
+      gl_FragColor = vec4(color.rgb, color.a * opacity);
+    }
+  `;
+
+  /**
+   * @param {object} [options] - 选项对象。
+   * @param {number} [options.opacity=0.8] - 投影图像的不透明度。
+   * @param {number} [options.near=0.05] - 投影的最近深度（米）。
+   * @param {number} [options.far=100] - 投影的最远深度（米）。
+   * @param {Array<THREE.Object3D>} [options.targets] - 接收投影的对象，默认投影到场景中的所有网格。
+   */
+  constructor(options = {}) {
+    const { opacity = 0.8, near = 0.05, far = 100, targets = [] } = options;
+    this.targets = targets;
+    this.frame = null;
+    this.intrinsics = null;
+    this.enabled = true;
+
+    this.projection = new THREE.Matrix4();
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        map: { value: null },
+        textureMatrix: { value: new THREE.Matrix4() },
+        opacity: { value: opacity },
+        near: { value: near },
+        far: { value: far },
+      },
+      vertexShader: ImageProjector.#vertexShader,
+      fragmentShader: ImageProjector.#fragmentShader,
+      transparent: true,
+      depthTest: true,
+      depthWrite: false,
+      depthFunc: THREE.LessEqualDepth,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1,
+      side: THREE.DoubleSide,
+    });
+  }
+
+  /**
+   * @method setCameraInfo
+   * @description 更新相机内参。
+   * @param {object} intrinsics - `cameraIntrinsics` 的返回值。
+   */
+  setCameraInfo(intrinsics) {
+    this.intrinsics = intrinsics;
+    projectionTextureMatrix(intrinsics, this.projection);
+  }
+
+  /**
+   * @method setFrame
+   * @description 设置表示相机光学坐标系的对象，投影使用其世界矩阵。
+   * @param {THREE.Object3D} frame - 光学坐标系对象，通常为 SceneNode。
+   */
+  setFrame(frame) {
+    this.frame = frame;
+  }
+
+  /**
+   * @method setTexture
+   * @description 设置要投影的图像纹理（按行从上到下存储，即 flipY 关闭）。
+   * @param {THREE.Texture} texture - 图像纹理。
+   */
+  setTexture(texture) {
+    this.material.uniforms.map.value = texture;
+  }
+
+  /**
+   * @method isReady
+   * @description 判断内参、坐标系和纹理是否都已就绪。
+   * @returns {boolean} 是否可以投影。
+   */
+  isReady() {
+    return (
+      this.enabled &&
+      !!this.intrinsics &&
+      !!this.frame &&
+      this.frame.visible &&
+      !!this.material.uniforms.map.value
+    );
+  }
+
+  /**
+   * @method project
+   * @description 计算世界坐标系中的点在图像上的纹理坐标。
+   * @param {THREE.Vector3} point - 世界坐标系中的点。
+   * @returns {THREE.Vector2|null} 纹理坐标，点位于相机后方或坐标系未就绪时返回 null。
+   */
+  project(point) {
+    if (!this.intrinsics || !this.frame) {
+      return null;
+    }
+    const projected = new THREE.Vector4(point.x, point.y, point.z, 1).applyMatrix4(
+      this.#updateTextureMatrix()
+    );
+    if (projected.w <= 0) {
+      return null;
+    }
+    return new THREE.Vector2(projected.x / projected.w, projected.y / projected.w);
+  }
+
+  /**
+   * @method render
+   * @description 在常规场景之后绘制投影。此方法由查看器在每帧渲染时调用。
+   * @param {THREE.Scene} scene - 当前场景。
+   * @param {THREE.WebGLRenderer} renderer - 渲染器。
+   * @param {THREE.Camera} camera - 场景的相机。
+   */
+  render(scene, renderer, camera) {
+    if (!this.isReady()) {
+      return;
+    }
+    this.#updateTextureMatrix();
+
+    const targets = new Set();
+    (this.targets.length > 0 ? this.targets : [scene]).forEach((target) =>
+      target.traverse((object) => {
+        if (object.isMesh) {
+          targets.add(object);
+        }
+      })
+    );
+
+    // 只保留接收投影的网格，线、点和精灵不参与投影
+    const hidden = [];
+    scene.traverse((object) => {
+      const drawable = object.isMesh || object.isLine || object.isPoints || object.isSprite;
+      if (drawable && object.visible && !targets.has(object)) {
+        object.visible = false;
+        hidden.push(object);
+      }
+    });
+
+    const originalOverrideMaterial = scene.overrideMaterial;
+    scene.overrideMaterial = this.material;
+    renderer.render(scene, camera);
+    scene.overrideMaterial = originalOverrideMaterial;
+
+    hidden.forEach((object) => {
+      object.visible = true;
+    });
+  }
+
+  /**
+   * @method dispose
+   * @description 释放投影材质。
+   */
+  dispose() {
+    this.material.dispose();
+    this.frame = null;
+  }
+
+  /**
+   * 世界坐标 -> 光学坐标系 -> 纹理坐标。
+   * @private
+   */
+  #updateTextureMatrix() {
+    const textureMatrix = this.material.uniforms.textureMatrix.value;
+    this.frame.updateMatrixWorld();
+    return textureMatrix.getInverse(this.frame.matrixWorld).premultiply(this.projection);
+  }
+}
@@ -1,10 +1,16 @@
 import * as THREE from "three";
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
 import { Points } from "./Points.js";
+import { MessageFilter } from "../tf/MessageFilter.js";
+import { DecoderPool } from "./DecoderPool.js";
+import { PointsDecodeQueue } from "./PointsDecodeQueue.js";
 import { getLogger } from "../utils/Logger.js";
 
 const logger = getLogger("LaserScan");
 
+const SCAN_FIELDS = [{ name: "intensity" }];
+
 /**
  * @class LaserScan
  * @description 一个监听给定主题并显示激光扫描点云的客户端。
@@ -14,14 +20,19 @@ export class LaserScan extends THREE.Object3D {
   /**
    * @param {object} options - 选项对象。
    * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros 的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
    * @param {string} [options.topic='/scan'] - 要监听的 `sensor_msgs/LaserScan` 主题。
    * @param {object} options.tfClient - 用于坐标变换的TF客户端。
    * @param {number} [options.throttle_rate] - 消息节流速率（毫秒）。
    * @param {string} [options.compression='cbor'] - 消息压缩方式。
+   * @param {number} [options.queueSize=5] - 等待TF的消息队列长度。
    * @param {number} [options.max_pts=10000] - 要绘制的最大点数。
    * @param {number} [options.pointRatio=1] - 点的子采样率，例如，设置为2则每隔一个点绘制一个。
    * @param {object} [options.material] - 用于点的材质，例如 `{ color: 0xff0000, size: 0.1 }`。
+   * @param {object} [options.colorTransformer] - 颜色变换器配置（Intensity、AxisColor、FlatColor），
+   *   Intensity 使用消息的 intensities，参见 `resolveColorTask`。
    * @param {THREE.Object3D} [options.rootObject] - 用于添加此对象的根对象。
+   * @param {DecoderPool} [options.decoderPool] - 解码线程池，默认使用 `DecoderPool.shared()`。
    */
   constructor(options = {}) {
     super();
@@ -35,10 +46,13 @@ export class LaserScan extends THREE.Object3D {
       messageRatio = 1,
       compression = "cbor",
       rootObject,
+      queueSize = 5,
+      decoderPool = DecoderPool.shared(),
       ...pointsOptions // 收集其余所有参数给Points
     } = options;
 
     this.ros = ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = topic;
     this.throttle_rate = throttle_rate;
     this.messageRatio = messageRatio;
@@ -49,7 +63,19 @@ export class LaserScan extends THREE.Object3D {
     this.points = new Points({ ...pointsOptions, rootObject: this });
 
     this.rosTopic = null;
+    this.decodeQueue = new PointsDecodeQueue({
+      points: this.points,
+      decoderPool,
+      type: "LaserScan",
+      prepare: (message) => this.#prepare(message),
+    });
     this.processMessage = this.processMessage.bind(this);
+    // 按消息时间戳等待TF，TF客户端不支持按时间查询时消息会被直接处理
+    this.messageFilter = new MessageFilter({
+      tfClient: options.tfClient,
+      queueSize,
+      callback: (message) => this.renderMessage(message),
+    });
 
     // 将自身添加到父级 rootObject
     if (rootObject) {
@@ -67,7 +93,9 @@ export class LaserScan extends THREE.Object3D {
    * @description 清理资源，取消订阅ROS主题。
    */
   dispose() {
+    this.decodeQueue.dispose();
     this.unsubscribe();
+    this.messageFilter.dispose();
     this.points.dispose();
     if (this.parent) {
       this.parent.remove(this);
@@ -100,16 +128,57 @@ export class LaserScan extends THREE.Object3D {
       throttle_rate: this.throttle_rate,
       compression: this.compression,
       queue_length: 1,
-      messageType: "sensor_msgs/LaserScan",
+      messageType: toRosType(
+        "sensor_msgs/LaserScan",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
     });
     this.rosTopic.subscribe(this.processMessage);
     logger.info("Subscribed to LaserScan topic:", this.topicName);
   }
 
+  /**
+   * @method setColorTransformer
+   * @description 在运行时切换颜色变换器，无需重新订阅。未启用累积时立即用最近一条消息重新着色。
+   * @param {object|null} colorTransformer - 颜色变换器配置，参见 `resolveColorTask`。
+   */
+  setColorTransformer(colorTransformer) {
+    this.decodeQueue.setColorTransformer(colorTransformer);
+  }
+
+  /**
+   * @method describePoint
+   * @description 读取缓冲区中某个点对应的扫描值，需要 `points.retainSources` 为 true。
+   * @param {number} index - 缓冲区中的点下标。
+   * @returns {{range: number, angle: number, intensity?: number}|null} 扫描值。
+   */
+  describePoint(index) {
+    const found = this.points.sourceOf(index);
+    if (!found) {
+      return null;
+    }
+    const { message, ratio } = found.source;
+    // 解码时跳过了超出量程的距离，按同样的规则找到第 index 个有效点
+    let valid = 0;
+    for (let i = 0; i < message.ranges.length; i += ratio) {
+      const range = message.ranges[i];
+      if (range >= message.range_min && range <= message.range_max) {
+        if (valid++ === found.index) {
+          const values = { range, angle: message.angle_min + i * message.angle_increment };
+          if (message.intensities && message.intensities.length > i) {
+            values.intensity = message.intensities[i];
+          }
+          return values;
+        }
+      }
+    }
+    return null;
+  }
+
   /**
    * @private
    * @method processMessage
-   * @description 处理接收到的LaserScan消息，并将其转换为点云。
+   * @description 处理接收到的LaserScan消息，交给消息过滤器等待对应时刻的TF。
    * @param {object} message - `sensor_msgs/LaserScan` 消息。
    */
   processMessage(message) {
@@ -118,27 +187,36 @@ export class LaserScan extends THREE.Object3D {
     if (this.messageCounter % this.messageRatio !== 0) {
       return;
     }
+    this.messageFilter.add(message);
+  }
 
-    if (!this.points.setup(message.header.frame_id)) {
-      logger.debug("Points setup not ready, skipping message processing");
-      return;
-    }
+  /**
+   * @private
+   * @method renderMessage
+   * @description 将LaserScan消息交给解码线程池转换为点云，解码完成后替换点云缓冲区。
+   * @param {object} message - `sensor_msgs/LaserScan` 消息。
+   */
+  renderMessage(message) {
+    this.decodeQueue.render(message);
+  }
 
-    const n = message.ranges.length;
-    let j = 0;
-    for (let i = 0; i < n; i += this.points.pointRatio) {
-      const range = message.ranges[i];
-      if (range >= message.range_min && range <= message.range_max) {
-        const angle = message.angle_min + i * message.angle_increment;
-        this.points.positions.array[j++] = range * Math.cos(angle);
-        this.points.positions.array[j++] = range * Math.sin(angle);
-        this.points.positions.array[j++] = 0.0;
-      }
+  /**
+   * 设置点云，返回解码任务中与消息相关的部分。
+   * @private
+   */
+  #prepare(message) {
+    // LaserScan 没有 PointField，强度作为唯一可用于着色的标量字段
+    if (!this.points.setup(message.header.frame_id, undefined, SCAN_FIELDS)) {
+      logger.debug("Points setup not ready, skipping message processing");
+      return null;
     }
-    this.points.update(Math.floor(j / 3));
-
-    logger.debug(
-      `Processed ${Math.floor(j / 3)} valid points from LaserScan message`
-    );
+    return {
+      ranges: message.ranges,
+      angle_min: message.angle_min,
+      angle_increment: message.angle_increment,
+      range_min: message.range_min,
+      range_max: message.range_max,
+      intensities: message.intensities,
+    };
   }
 }
@@ -4,6 +4,7 @@
 
 import * as THREE from "three";
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
 import { getLogger } from "../utils/Logger.js";
 
 const logger = getLogger("NavSatFix");
@@ -16,6 +17,7 @@ export class NavSatFix {
   /**
    * @param {object} options - 选项对象。
    * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
    * @param {string} [options.topic='/gps/fix'] - 要监听的NavSatFix主题。
    * @param {THREE.Object3D} [options.rootObject] - 用于添加轨迹线和GPS标记的根对象。
    * @param {THREE.Object3D} [options.object3d] - 将由GPS位置转换的3D对象。
@@ -27,6 +29,7 @@ export class NavSatFix {
   constructor(options = {}) {
     logger.info("Initializing NavSatFix component");
     this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = options.topic || "/gps/fix";
     this.rootObject = options.rootObject || new THREE.Object3D();
     this.object3d = options.object3d || new THREE.Object3D();
@@ -96,7 +99,10 @@ export class NavSatFix {
       ros: this.ros,
       name: this.topicName,
       queue_length: 1,
-      messageType: "sensor_msgs/NavSatFix",
+      messageType: toRosType(
+        "sensor_msgs/NavSatFix",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
     });
     this.rosTopic.subscribe(this.processMessage);
     logger.info(`Subscribed to NavSatFix topic: ${this.topicName}`);
@@ -4,9 +4,14 @@
 
 import * as THREE from "three";
 import * as ROSLIB from 'roslib';
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
 import { Points } from "./Points.js";
+import { MessageFilter } from "../tf/MessageFilter.js";
+import { DecoderPool } from "./DecoderPool.js";
+import { PointsDecodeQueue } from "./PointsDecodeQueue.js";
+import { readPointFields } from "./points.decoders.js";
+import { toByteArray } from "../utils/encoding.js";
 import { getLogger } from "../utils/Logger.js";
-import { decode64 } from "../utils/encoding.js";
 
 const logger = getLogger("PointCloud2");
 
@@ -19,14 +24,20 @@ export class PointCloud2 extends THREE.Object3D {
   /**
    * @param {object} options - 选项对象。
    * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros 的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
    * @param {string} [options.topic='/points'] - 要监听的 `sensor_msgs/PointCloud2` 主题。
    * @param {object} options.tfClient - 用于坐标变换的TF客户端。
    * @param {number} [options.throttle_rate] - 消息节流速率（毫秒）。
+   * @param {number} [options.messageRatio=1] - 消息的子采样率，每 N 条接收到的消息显示一条。
    * @param {string} [options.compression='cbor'] - 消息压缩方式。
+   * @param {number} [options.queueSize=5] - 等待TF的消息队列长度。
    * @param {number} [options.max_pts=10000] - 要绘制的最大点数。
    * @param {THREE.Object3D} [options.rootObject] - 用于添加点云的根对象。
+   * @param {object} [options.colorTransformer] - 颜色变换器配置（Intensity、AxisColor、FlatColor、RGB8），
+   *   参见 `resolveColorTask`。
    * @param {string} [options.colorsrc] - 用于着色的字段名。
-   * @param {function} [options.colormap] - 将颜色字段值转换为颜色的函数。
+   * @param {function|string} [options.colormap] - 将 [0, 1] 映射为颜色的函数或内置颜色映射名。
+   * @param {DecoderPool} [options.decoderPool] - 解码线程池，默认使用 `DecoderPool.shared()`。
    */
   constructor(options = {}) {
     super();
@@ -37,23 +48,40 @@ export class PointCloud2 extends THREE.Object3D {
       ros,
       topic = "/points",
       throttle_rate = null,
+      messageRatio = 1,
       compression = "cbor",
       rootObject,
+      queueSize = 5,
+      decoderPool = DecoderPool.shared(),
       ...pointsOptions // 收集其余所有参数给Points
     } = options;
 
     this.ros = ros;
+    this.rosVersion = options.rosVersion;
     this.topicName = topic;
     this.throttle_rate = throttle_rate;
+    this.messageRatio = messageRatio;
+    this.messageCounter = 0;
     this.compression = compression;
 
     // 传递正确的 rootObject 及其他参数给 Points
     this.points = new Points({ ...pointsOptions, rootObject: this });
 
     this.rosTopic = null;
-    this.buffer = null;
+    this.decodeQueue = new PointsDecodeQueue({
+      points: this.points,
+      decoderPool,
+      type: "PointCloud2",
+      prepare: (msg) => this.#prepare(msg),
+    });
 
     this.processMessage = this.processMessage.bind(this);
+    // 按消息时间戳等待TF，TF客户端不支持按时间查询时消息会被直接处理
+    this.messageFilter = new MessageFilter({
+      tfClient: options.tfClient,
+      queueSize,
+      callback: (message) => this.renderMessage(message),
+    });
 
     // 将自身添加到父级 rootObject
     if (rootObject) {
@@ -74,7 +102,9 @@ export class PointCloud2 extends THREE.Object3D {
    * @description 清理资源，取消订阅ROS主题。
    */
   dispose() {
+    this.decodeQueue.dispose();
     this.unsubscribe();
+    this.messageFilter.dispose();
     this.points.dispose();
     if (this.parent) {
       this.parent.remove(this);
@@ -104,7 +134,10 @@ export class PointCloud2 extends THREE.Object3D {
     this.rosTopic = new ROSLIB.Topic({
       ros: this.ros,
       name: this.topicName,
-      messageType: "sensor_msgs/PointCloud2",
+      messageType: toRosType(
+        "sensor_msgs/PointCloud2",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
       throttle_rate: this.throttle_rate,
       queue_length: 1,
       compression: this.compression,
@@ -113,101 +146,79 @@ export class PointCloud2 extends THREE.Object3D {
     logger.info("Subscribed to PointCloud2 topic:", this.topicName);
   }
 
+  /**
+   * @method setColorTransformer
+   * @description 在运行时切换颜色变换器，无需重新订阅。未启用累积时立即用最近一条消息重新着色。
+   * @param {object|null} colorTransformer - 颜色变换器配置，参见 `resolveColorTask`。
+   */
+  setColorTransformer(colorTransformer) {
+    this.decodeQueue.setColorTransformer(colorTransformer);
+  }
+
+  /**
+   * @method describePoint
+   * @description 读取缓冲区中某个点在原始消息中的全部字段值，需要 `points.retainSources` 为 true。
+   * @param {number} index - 缓冲区中的点下标。
+   * @returns {object|null} 按字段名索引的值，参见 `readPointFields`。
+   */
+  describePoint(index) {
+    const found = this.points.sourceOf(index);
+    if (!found) {
+      return null;
+    }
+    const { source } = found;
+    // 同一条消息的多个点共用一次解码结果
+    source.bytes = source.bytes || toByteArray(source.message.data);
+    return readPointFields(source.message, found.index * source.ratio, source.bytes);
+  }
+
   /**
    * @private
    * @method processMessage
-   * @description 处理接收到的PointCloud2消息。
+   * @description 处理接收到的PointCloud2消息，交给消息过滤器等待对应时刻的TF。
    * @param {object} msg - `sensor_msgs/PointCloud2` 消息。
    */
   processMessage(msg) {
-    if (!this.points.setup(msg.header.frame_id, msg.point_step, msg.fields)) {
-      logger.debug("Points setup not ready, skipping message processing");
+    // 按接收到的消息子采样，等待TF或解码后重新渲染的消息不再计数
+    if (this.messageCounter++ % this.messageRatio !== 0) {
       return;
     }
+    this.messageFilter.add(msg);
+  }
 
-    let n;
-    let pointRatio = this.points.pointRatio;
-    const bufSz = this.points.max_pts * msg.point_step;
-    let dv;
-
-    if (typeof msg.data === "string") {
-      if (!this.buffer || this.buffer.byteLength < bufSz) {
-        this.buffer = new Uint8Array(bufSz);
-      }
-      n = decode64(msg.data, this.buffer, msg.point_step, pointRatio);
-      dv = new DataView(this.buffer.buffer);
-      pointRatio = 1;
-      logger.debug(`Decoded base64 data, processing ${n} points`);
-    } else {
-      const sourceData = msg.data;
-      const slicedData = sourceData.slice(
-        0,
-        Math.min(sourceData.byteLength, bufSz)
-      );
-      dv = new DataView(slicedData.buffer);
-      n = Math.floor(
-        Math.min(
-          (msg.height * msg.width) / pointRatio,
-          this.points.positions.array.length / 3
-        )
-      );
-    }
+  /**
+   * @private
+   * @method renderMessage
+   * @description 将PointCloud2消息交给解码线程池，解码完成后替换点云缓冲区。
+   * 同一时刻只有一个解码任务在进行，期间到达的消息只保留最新的一条。
+   * @param {object} msg - `sensor_msgs/PointCloud2` 消息。
+   */
+  renderMessage(msg) {
+    this.decodeQueue.render(msg);
+  }
 
-    const littleEndian = !msg.is_bigendian;
+  /**
+   * 按消息的字段设置点云，返回解码任务中与消息相关的部分。
+   * @private
+   */
+  #prepare(msg) {
+    if (!this.points.setup(msg.header.frame_id, msg.point_step, msg.fields)) {
+      logger.debug("Points setup not ready, skipping message processing");
+      return null;
+    }
     const { x, y, z } = this.points.fields;
-
     if (!x || !y || !z) {
       logger.error("PointCloud2 message is missing x, y, or z fields.");
-      return;
-    }
-
-    for (let i = 0; i < n; i++) {
-      const base = i * pointRatio * msg.point_step;
-      this.points.positions.array[3 * i] = dv.getFloat32(
-        base + x.offset,
-        littleEndian
-      );
-      this.points.positions.array[3 * i + 1] = dv.getFloat32(
-        base + y.offset,
-        littleEndian
-      );
-      this.points.positions.array[3 * i + 2] = dv.getFloat32(
-        base + z.offset,
-        littleEndian
-      );
-
-      if (this.points.colors) {
-        const colorVal = this.points.getColor(dv, base, littleEndian);
-        let color;
-
-        const colorField = this.points.fields[this.points.colorsrc];
-        const isRgbFloat =
-          this.points.colorsrc === "rgb" || this.points.colorsrc === "rgb_float";
-
-        if (colorField && colorField.datatype === 7 && isRgbFloat) {
-          // Handle packed RGB float
-          const colorBuffer = new ArrayBuffer(4);
-          const floatView = new Float32Array(colorBuffer);
-          const byteView = new Uint8Array(colorBuffer);
-          floatView[0] = colorVal;
-          color = new THREE.Color(
-            byteView[2] / 255.0, // r
-            byteView[1] / 255.0, // g
-            byteView[0] / 255.0 // b
-          );
-        } else {
-          // Handle other fields by normalizing and using colormap
-          const { colorMin, colorMax } = this.points;
-          const normalizedVal = (colorVal - colorMin) / (colorMax - colorMin);
-          color = this.points.colormap(normalizedVal);
-        }
-
-        this.points.colors.array[3 * i] = color.r;
-        this.points.colors.array[3 * i + 1] = color.g;
-        this.points.colors.array[3 * i + 2] = color.b;
-      }
+      return null;
     }
-    this.points.update(n);
-    logger.debug(`PointCloud2 data processed, updated ${n} points`);
+    return {
+      // 输入数据可能与其他订阅者共享，只复制不转移
+      data: msg.data,
+      point_step: msg.point_step,
+      width: msg.width,
+      height: msg.height,
+      is_bigendian: msg.is_bigendian,
+      offsets: { x: x.offset, y: y.offset, z: z.offset },
+    };
   }
 }
@@ -4,6 +4,16 @@
 
 import * as THREE from "three";
 import { SceneNode } from "@visualization/SceneNode.js";
+import {
+  createPointAttribute,
+  createPointsGeometry,
+  createPointsMaterial,
+  createPointsObject,
+  setPointsCount,
+} from "../models/point.styles.js";
+import { PointsAccumulator } from "./PointsAccumulator.js";
+import { legacyColorTransformer, resolveColorTask } from "./color.transformers.js";
+import { stampToSeconds } from "../utils/ros.js";
 import { getLogger } from "../utils/Logger.js";
 
 const logger = getLogger("Points");
@@ -21,9 +31,19 @@ export class Points {
    * @param {number} [options.max_pts=10000] - 要绘制的最大点数。
    * @param {number} [options.pointRatio=1] - 点的子采样率。
    * @param {number} [options.messageRatio=1] - 消息的子采样率。
-   * @param {object} [options.material] - 用于构造`THREE.PointsMaterial`的选项。
+   * @param {string} [options.style='points'] - 点的渲染样式，参见 `POINT_STYLES`：
+   *   'points'、'squares'、'circles'、'billboards'、'spheres' 或 'boxes'。
+   * @param {boolean} [options.worldSize=false] - 'squares' / 'circles' 样式的尺寸（`material.size`）是否以米为单位。
+   * @param {object} [options.material] - 材质选项（如 `{ size: 0.05, color: 0xff0000 }`），按样式创建材质；
+   *   也可以直接传入材质实例，此时原样使用。
+   * @param {object} [options.colorTransformer] - 颜色变换器配置，参见 `resolveColorTask`，
+   *   例如 `{ type: 'AxisColor', axis: 'z', colorMap: 'turbo' }`。未指定时使用 colorsrc / colormap。
    * @param {string} [options.colorsrc] - 用于着色的字段名，如 'rgb' 或 'intensity'。
-   * @param {function} [options.colormap] - 将颜色字段值转换为THREE.Color的函数。
+   * @param {function|string} [options.colormap] - 将 [0, 1] 映射为THREE.Color的函数或内置颜色映射名。
+   * @param {number} [options.decayTime=0] - 衰减时间（秒）。大于 0 时在固定坐标系中累积多条消息，
+   *   按消息时间戳淘汰超过该时长的点。
+   * @param {number} [options.maxMessages=0] - 累积的最大消息数，大于 1 时启用累积，0 表示不限制。
+   *   累积的总点数不超过 `max_pts`，超出时淘汰最旧的消息。
    */
   constructor(options = {}) {
     logger.info("Initializing Points component");
@@ -36,10 +56,15 @@ export class Points {
       pointRatio = 1,
       messageRatio = 1,
       material = {},
+      style = "points",
+      worldSize = false,
       colorsrc,
       colormap,
       colorMin = 0.0,
       colorMax = 1.0,
+      colorTransformer = null,
+      decayTime = 0,
+      maxMessages = 0,
     } = options;
 
     this.tfClient = tfClient;
@@ -49,10 +74,23 @@ export class Points {
     this.messageRatio = messageRatio;
     this.messageCount = 0;
     this.material = material;
+    this.style = style;
+    this.worldSize = worldSize;
     this.colorsrc = colorsrc;
     this.colormap = colormap;
     this.colorMin = colorMin;
     this.colorMax = colorMax;
+    this.colorTransformer = colorTransformer;
+    this.colorTask = undefined; // 解析后的颜色任务，undefined 表示尚未解析
+
+    // 启用累积时点坐标在写入前变换到固定坐标系，几何体作为环形缓冲区使用
+    this.accumulator =
+      decayTime > 0 || maxMessages > 1
+        ? new PointsAccumulator({ capacity: max_pts, decayTime, maxMessages })
+        : null;
+    this.frame = null;
+    this.latestTransform = null;
+    this.tfUpdate = null;
 
     if ("color" in options || "size" in options || "texture" in options) {
       console.warn(
@@ -68,7 +106,11 @@ export class Points {
     this.positions = null;
     this.colors = null;
     this.object = null;
-    this.getColor = null;
+    this.spare = null; // 上一帧被换下的顶点数组，随下一个解码任务传回以复用内存
+    // 是否保留点所属的消息以便拾取时读取字段值，由 PointsPicker 开启；累积时每个分段保留一条消息
+    this.retainSources = false;
+    this.source = null;
+    this.count = 0; // 未累积时当前绘制的点数
 
     logger.debug("Points component initialized");
   }
@@ -78,6 +120,10 @@ export class Points {
    * @description 清理并释放所有相关资源。
    */
   dispose() {
+    if (this.tfUpdate) {
+      this.tfClient.unsubscribe(this.frame, this.tfUpdate);
+      this.tfUpdate = null;
+    }
     if (this.sn) {
       this.rootObject.remove(this.sn);
       this.sn.dispose();
@@ -111,64 +157,17 @@ export class Points {
         this.fields[field.name] = field;
       });
 
-      this.geom = new THREE.BufferGeometry();
-      this.positions = new THREE.BufferAttribute(
-        new Float32Array(this.max_pts * 3),
-        3,
-        false
-      );
-      this.positions.setUsage(THREE.DynamicDrawUsage);
+      this.geom = createPointsGeometry(this.style);
+      this.positions = createPointAttribute(this.style, new Float32Array(this.max_pts * 3));
       this.geom.setAttribute("position", this.positions);
 
-      if (!this.colorsrc) {
-        // 如果未明确提供colorsrc
-        // 自动检测常见的颜色字段名
-        const commonColorFields = ["rgb", "rgb_float", "rgba"];
-        for (const fieldName of commonColorFields) {
-          if (this.fields[fieldName]) {
-            this.colorsrc = fieldName;
-            logger.debug(
-              `Automatically detected color source field: '${fieldName}'`
-            );
-            break; // 使用找到的第一个字段
-          }
-        }
-      }
-
-      if (this.colorsrc) {
-        const field = this.fields[this.colorsrc];
-        if (field) {
-          this.colors = new THREE.BufferAttribute(
-            new Float32Array(this.max_pts * 3),
-            3,
-            false
-          );
-          this.colors.setUsage(THREE.DynamicDrawUsage);
-          this.geom.setAttribute("color", this.colors);
-
-          const { offset, datatype } = field;
-          const colorFunctions = [
-            (dv, base, le) => dv.getInt8(base + offset, le),
-            (dv, base, le) => dv.getUint8(base + offset, le),
-            (dv, base, le) => dv.getInt16(base + offset, le),
-            (dv, base, le) => dv.getUint16(base + offset, le),
-            (dv, base, le) => dv.getInt32(base + offset, le),
-            (dv, base, le) => dv.getUint32(base + offset, le),
-            (dv, base, le) => dv.getFloat32(base + offset, le),
-            (dv, base, le) => dv.getFloat64(base + offset, le),
-          ];
-          this.getColor = colorFunctions[datatype - 1];
-
-          this.colormap = this.colormap || ((x) => new THREE.Color(x));
-        } else {
-          logger.warn(
-            `Color source field "${this.colorsrc}" is not available.`
-          );
-        }
+      if (this.getColorTask()) {
+        this.#createColors();
       }
 
       if (!this.material.isMaterial) {
         const materialOptions = {
+          ...(this.style === "points" ? {} : { worldSize: this.worldSize }),
           ...this.material, // 用户提供的选项将覆盖默认值
         };
 
@@ -177,19 +176,24 @@ export class Points {
           materialOptions.vertexColors = true;
         }
         
-        this.material = new THREE.PointsMaterial(materialOptions);
+        this.material = createPointsMaterial(this.style, materialOptions);
         logger.debug(
-          "Created THREE.PointsMaterial with options:",
+          `Created '${this.style}' points material with options:`,
           materialOptions
         );
       }
 
-      this.object = new THREE.Points(this.geom, this.material);
-      this.sn = new SceneNode({
-        frameID: frame,
-        tfClient: this.tfClient,
-        object: this.object,
-      });
+      this.frame = frame;
+      if (this.accumulator) {
+        this.#setupAccumulation(frame);
+      } else {
+        this.object = createPointsObject(this.style, this.geom, this.material);
+        this.sn = new SceneNode({
+          frameID: frame,
+          tfClient: this.tfClient,
+          object: this.object,
+        });
+      }
       this.rootObject.add(this.sn);
       logger.debug("SceneNode created and added to the root object");
     }
@@ -198,20 +202,308 @@ export class Points {
     return shouldProcess;
   }
 
+  /**
+   * @method getColorTask
+   * @description 获取当前颜色变换器解析出的颜色任务，供解码函数着色。
+   * @returns {object|null} 颜色任务，不着色时为 null。
+   */
+  getColorTask() {
+    if (this.colorTask === undefined) {
+      const transformer =
+        this.colorTransformer || legacyColorTransformer(this, this.fields);
+      this.colorTask = transformer ? resolveColorTask(transformer, this.fields) : null;
+      if (transformer && !this.colorTask) {
+        logger.warn(`Color transformer ${transformer.type} is not applicable, points are not colored.`);
+      }
+    }
+    return this.colorTask;
+  }
+
+  /**
+   * @method setColorTransformer
+   * @description 切换颜色变换器，从下一条解码的消息开始生效。
+   * @param {object|null} colorTransformer - 颜色变换器配置，为 null 时恢复 colorsrc / colormap 的行为。
+   */
+  setColorTransformer(colorTransformer) {
+    this.colorTransformer = colorTransformer;
+    this.colorTask = undefined;
+    if (!this.geom) {
+      return;
+    }
+    const colored = Boolean(this.getColorTask());
+    if (colored && !this.colors) {
+      this.#createColors();
+    }
+    if (this.material.isMaterial && this.material.vertexColors !== colored) {
+      this.material.vertexColors = colored;
+      this.material.needsUpdate = true;
+    }
+  }
+
+  /**
+   * @method getColorTransform
+   * @description 获取点云坐标系到固定坐标系的变换矩阵，供 AxisColor 在固定坐标系中着色。
+   * @param {object} [stamp] - 点云数据的时间戳。
+   * @returns {Array<number>|null} 列主序的 4x4 矩阵元素，尚未收到TF时为 null。
+   */
+  getColorTransform(stamp) {
+    if (this.accumulator) {
+      const transform = this.#transformAt(stamp);
+      return transform ? Points.#toMatrix(transform).elements : null;
+    }
+    return this.sn ? this.sn.matrix.elements.slice() : null;
+  }
+
+  /**
+   * @method takeSpare
+   * @description 取出上一帧被换下的顶点数组，取出后由调用方持有。
+   * @returns {{positions: Float32Array, colors: Float32Array|null}} 可复用的数组，没有时各项为 null。
+   */
+  takeSpare() {
+    const spare = this.spare || { positions: null, colors: null };
+    this.spare = null;
+    return spare;
+  }
+
+  /**
+   * @method swap
+   * @description 用解码好的顶点数组替换几何体的缓冲区，并保留旧数组以便复用。
+   * @param {Float32Array} positions - 长度为 `max_pts * 3` 的坐标数组。
+   * @param {Float32Array|null} colors - 长度为 `max_pts * 3` 的颜色数组。
+   * @param {number} n - 有效点数。
+   * @param {object} [stamp] - 点云数据的时间戳。
+   * @param {object} [source] - 点的数据来源（如原始消息），`retainSources` 为 true 时保留供 `sourceOf` 查询。
+   */
+  swap(positions, colors, n, stamp, source) {
+    source = this.retainSources ? source || null : null;
+    if (this.accumulator) {
+      this.#accumulate(positions, colors, n, stamp, source);
+      this.spare = { positions, colors };
+      return;
+    }
+    this.spare = {
+      positions: this.positions.array,
+      colors: this.colors && colors ? this.colors.array : null,
+    };
+    this.source = source;
+    this.positions.array = positions;
+    if (this.colors && colors) {
+      this.colors.array = colors;
+    }
+    this.update(n, stamp);
+  }
+
   /**
    * @method update
    * @description 更新点云的几何体以反映新的点数据。
    * @param {number} n - 要渲染的点的数量。
+   * @param {object} [stamp] - 点云数据的时间戳，用于按该时刻的TF放置点云。
    */
-  update(n) {
-    this.geom.setDrawRange(0, n);
+  update(n, stamp) {
+    if (stamp && this.sn) {
+      this.sn.setStamp(stamp);
+    }
+    setPointsCount(this.geom, n);
     this.positions.needsUpdate = true;
-    this.positions.count = n;
-
+    this.count = n;
     if (this.colors) {
       this.colors.needsUpdate = true;
-      this.colors.count = n;
+    }
+
+    // 实例化几何体首次绘制时按属性的 count 缓存最大实例数，只有 dispose 才会重置，
+    // 因此实例属性保持 max_pts 的长度，绘制数量只由 instanceCount 决定；
+    // 点精灵的射线检测按 count 遍历顶点，缩短 count 避免拾取到上一帧残留的点
+    if (!this.geom.isInstancedBufferGeometry) {
+      this.positions.count = n;
+      if (this.colors) {
+        this.colors.count = n;
+      }
     }
     logger.debug(`Updated points geometry with ${n} points`);
   }
+
+  /**
+   * @method liveRanges
+   * @description 当前绘制的点在缓冲区中的连续区间。
+   * @returns {Array<{start: number, count: number}>} 连续区间。
+   */
+  liveRanges() {
+    if (!this.positions) {
+      return [];
+    }
+    if (this.accumulator) {
+      return this.accumulator.runs();
+    }
+    return [{ start: 0, count: this.count }];
+  }
+
+  /**
+   * @method sourceOf
+   * @description 查找缓冲区中的点所属的数据来源及其在来源中的序号。
+   * @param {number} index - 缓冲区中的点下标。
+   * @returns {{source: object, index: number}|null} 未保留来源时返回 null。
+   */
+  sourceOf(index) {
+    if (this.accumulator) {
+      const segment = this.accumulator.segmentAt(index);
+      return segment && segment.source
+        ? { source: segment.source, index: index - segment.start }
+        : null;
+    }
+    return this.source ? { source: this.source, index } : null;
+  }
+
+  /**
+   * @method clear
+   * @description 清空累积的点。未启用累积时不做任何事。
+   */
+  clear() {
+    if (this.accumulator) {
+      this.accumulator.clear();
+      this.#updateGroups();
+    }
+  }
+
+  /**
+   * 累积模式下几何体直接位于固定坐标系中，不随TF移动。
+   * @private
+   */
+  #setupAccumulation(frame) {
+    // 存活的点最多构成两段连续区间，用几何体分组绘制
+    this.object = createPointsObject(this.style, this.geom, [this.material]);
+    this.sn = new SceneNode({ object: this.object });
+
+    const timeAware =
+      this.tfClient && typeof this.tfClient.lookupTransform === "function";
+    if (this.tfClient && !timeAware) {
+      this.tfUpdate = (transform) => {
+        this.latestTransform = transform;
+      };
+      this.tfClient.subscribe(frame, this.tfUpdate);
+    }
+    this.#updateGroups();
+  }
+
+  /**
+   * 获取点云坐标系在数据时刻到固定坐标系的变换。
+   * 支持按时间查询的TF客户端使用数据时间戳，否则使用最新收到的变换。
+   * @private
+   */
+  #transformAt(stamp) {
+    if (!this.tfClient) {
+      return { translation: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } };
+    }
+    if (typeof this.tfClient.lookupTransform === "function") {
+      return this.tfClient.lookupTransform(this.frame, stamp || 0);
+    }
+    return this.latestTransform;
+  }
+
+  /**
+   * 将一条消息的点变换到固定坐标系后写入环形缓冲区，只上传写入的区间。
+   * @private
+   */
+  #accumulate(positions, colors, n, stamp, source) {
+    const transform = this.#transformAt(stamp);
+    if (!transform) {
+      logger.debug(`No transform for frame '${this.frame}', dropping points`);
+      return;
+    }
+    const time = stampToSeconds(stamp) || Date.now() / 1000;
+    const { start, count } = this.accumulator.allocate(n, time, source);
+
+    const e = Points.#toMatrix(transform).elements;
+    const target = this.positions.array;
+    for (let i = 0; i < count; i++) {
+      const x = positions[3 * i];
+      const y = positions[3 * i + 1];
+      const z = positions[3 * i + 2];
+      const j = 3 * (start + i);
+      target[j] = e[0] * x + e[4] * y + e[8] * z + e[12];
+      target[j + 1] = e[1] * x + e[5] * y + e[9] * z + e[13];
+      target[j + 2] = e[2] * x + e[6] * y + e[10] * z + e[14];
+    }
+    Points.#markUpdated(this.positions, start, count);
+
+    if (this.colors && colors) {
+      this.colors.array.set(colors.subarray(0, 3 * count), 3 * start);
+      Points.#markUpdated(this.colors, start, count);
+    }
+
+    this.#updateGroups();
+    if (stamp && this.sn) {
+      this.sn.setStamp(stamp);
+    }
+    logger.debug(`Accumulated ${count} points, ${this.accumulator.size()} in total`);
+  }
+
+  /**
+   * @private
+   */
+  #createColors() {
+    this.colors = createPointAttribute(this.style, new Float32Array(this.max_pts * 3));
+    this.geom.setAttribute("color", this.colors);
+  }
+
+  /**
+   * @private
+   */
+  static #toMatrix({ translation: t, rotation: r }) {
+    return new THREE.Matrix4()
+      .makeRotationFromQuaternion(new THREE.Quaternion(r.x, r.y, r.z, r.w))
+      .setPosition(t.x, t.y, t.z);
+  }
+
+  /**
+   * 合并待上传区间。一帧内可能写入多个分段，而 BufferAttribute 只有一个 updateRange。
+   * @private
+   */
+  static #markUpdated(attribute, start, count) {
+    const range = attribute.updateRange;
+    let offset = start * 3;
+    let end = offset + count * 3;
+    // 渲染器上传后会把 updateRange.count 重置为 -1
+    if (range.count !== -1) {
+      offset = Math.min(offset, range.offset);
+      end = Math.max(end, range.offset + range.count);
+    }
+    range.offset = offset;
+    range.count = end - offset;
+    attribute.needsUpdate = true;
+  }
+
+  /**
+   * 按存活区间重建几何体的绘制分组。
+   * @private
+   */
+  #updateGroups() {
+    const runs = this.accumulator.runs();
+    if (this.geom.isInstancedBufferGeometry) {
+      this.#hideGaps(runs);
+      return;
+    }
+    this.geom.clearGroups();
+    runs.forEach(({ start, count }) => {
+      this.geom.addGroup(start, count, 0);
+    });
+  }
+
+  /**
+   * 实例化几何体的分组只作用于基础形状，无法跳过实例。
+   * 因此绘制到最后一个存活区间为止，并把其间已淘汰的点坐标置为 NaN，使其不被光栅化。
+   * @private
+   */
+  #hideGaps(runs) {
+    const end = runs.length > 0 ? runs[runs.length - 1].start + runs[runs.length - 1].count : 0;
+    const array = this.positions.array;
+    let cursor = 0;
+    runs.concat({ start: end, count: 0 }).forEach(({ start, count }) => {
+      if (start > cursor) {
+        array.fill(NaN, 3 * cursor, 3 * start);
+        Points.#markUpdated(this.positions, cursor, start - cursor);
+      }
+      cursor = start + count;
+    });
+    this.geom.instanceCount = end;
+  }
 }
@@ -0,0 +1,129 @@
+/**
+ * @fileOverview PointsAccumulator - 点云累积（衰减时间）使用的环形缓冲区分段管理。
+ */
+
+// 超过该时长（秒）的时间倒退被视为时间回跳（例如回放循环），清空全部累积
+const TIME_JUMP_THRESHOLD = 1.0;
+
+/**
+ * @class PointsAccumulator
+ * @description 在固定容量的顶点缓冲区上管理按消息划分的分段。
+ * 每条消息占用一段连续空间，新分段写在最新分段之后，放不下时回绕到缓冲区开头；
+ * 与新分段重叠的旧分段、超出衰减时间或消息数量的分段会按从旧到新的顺序被淘汰。
+ * 因此存活的点最多构成两段连续区间，可以直接作为几何体的绘制分组。
+ */
+export class PointsAccumulator {
+  /**
+   * @param {object} options - 选项对象。
+   * @param {number} options.capacity - 缓冲区可容纳的点数。
+   * @param {number} [options.decayTime=0] - 分段保留的时长（秒），0 表示不按时间淘汰。
+   * @param {number} [options.maxMessages=0] - 保留的最大消息数，0 表示不按数量淘汰。
+   */
+  constructor(options) {
+    const { capacity, decayTime = 0, maxMessages = 0 } = options;
+    this.capacity = capacity;
+    this.decayTime = decayTime;
+    this.maxMessages = maxMessages;
+    this.segments = []; // 从旧到新：{ start, count, time, source }
+    this.head = 0;
+  }
+
+  /**
+   * @method clear
+   * @description 丢弃所有分段。
+   */
+  clear() {
+    this.segments = [];
+    this.head = 0;
+  }
+
+  /**
+   * @method size
+   * @description 当前存活的点数。
+   * @returns {number} 点数。
+   */
+  size() {
+    return this.segments.reduce((sum, segment) => sum + segment.count, 0);
+  }
+
+  /**
+   * @method allocate
+   * @description 为一条消息分配连续空间，并淘汰过期或将被覆盖的分段。
+   * @param {number} n - 消息的点数，超过容量时截断。
+   * @param {number} time - 消息时间（秒）。
+   * @param {object} [source] - 与分段关联的数据来源，用于按下标查找点所属的消息。
+   * @returns {{start: number, count: number}} 分配到的起始下标与点数。
+   */
+  allocate(n, time, source = null) {
+    const count = Math.min(n, this.capacity);
+    const newest = this.segments[this.segments.length - 1];
+    if (newest && time < newest.time - TIME_JUMP_THRESHOLD) {
+      this.clear();
+    }
+    this.expire(time);
+
+    const start = this.head + count > this.capacity ? 0 : this.head;
+    const end = start + count;
+    while (
+      this.segments.length > 0 &&
+      this.segments.some((segment) => segment.start < end && segment.start + segment.count > start)
+    ) {
+      this.segments.shift();
+    }
+    if (this.maxMessages > 0) {
+      this.segments.splice(0, Math.max(0, this.segments.length - this.maxMessages + 1));
+    }
+
+    this.segments.push({ start, count, time, source });
+    this.head = end;
+    return { start, count };
+  }
+
+  /**
+   * @method expire
+   * @description 淘汰早于 `time - decayTime` 的分段。
+   * @param {number} time - 当前时间（秒）。
+   * @returns {boolean} 是否有分段被淘汰。
+   */
+  expire(time) {
+    if (this.decayTime <= 0) {
+      return false;
+    }
+    const oldest = time - this.decayTime;
+    const before = this.segments.length;
+    while (this.segments.length > 0 && this.segments[0].time < oldest) {
+      this.segments.shift();
+    }
+    return this.segments.length !== before;
+  }
+
+  /**
+   * @method segmentAt
+   * @description 查找包含给定缓冲区下标的存活分段。
+   * @param {number} index - 缓冲区中的点下标。
+   * @returns {object|null} 分段 `{start, count, time, source}`，不存在时为 null。
+   */
+  segmentAt(index) {
+    return (
+      this.segments.find(({ start, count }) => index >= start && index < start + count) || null
+    );
+  }
+
+  /**
+   * @method runs
+   * @description 将存活分段合并为连续区间（最多两段），按缓冲区中的位置排列。
+   * @returns {Array<{start: number, count: number}>} 连续区间。
+   */
+  runs() {
+    const runs = [];
+    this.segments.forEach(({ start, count }) => {
+      const last = runs[runs.length - 1];
+      if (last && last.start + last.count === start) {
+        last.count += count;
+      } else {
+        runs.push({ start, count });
+      }
+    });
+    return runs.sort((a, b) => a.start - b.start);
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * @fileOverview PointsDecodeQueue - PointCloud2 / LaserScan 共用的解码流程：把消息交给解码线程池，解码完成后替换点云缓冲区。
+ */
+
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("PointsDecodeQueue");
+
+/**
+ * @class PointsDecodeQueue
+ * @description 同一时刻只有一个解码任务在进行，期间到达的消息只保留最新的一条，在当前任务完成后渲染。
+ * 未启用累积时保留最近渲染的消息，切换颜色变换器后用它重新着色；累积时已显示的点不会重新着色，不保留消息。
+ */
+export class PointsDecodeQueue {
+  /**
+   * @param {object} options - 选项对象。
+   * @param {Points} options.points - 接收解码结果的点云。
+   * @param {DecoderPool} options.decoderPool - 解码线程池。
+   * @param {string} options.type - 解码器类型，'PointCloud2' 或 'LaserScan'。
+   * @param {function(object): object|null} options.prepare - 为消息设置点云并返回解码任务中与消息相关的字段，
+   *   返回 null 时跳过该消息。
+   */
+  constructor(options) {
+    const { points, decoderPool, type, prepare } = options;
+    this.points = points;
+    this.decoderPool = decoderPool;
+    this.type = type;
+    this.prepare = prepare;
+    this.decoding = false;
+    this.pendingMessage = null;
+    this.lastMessage = null;
+    this.disposed = false;
+  }
+
+  /**
+   * @method dispose
+   * @description 丢弃等待中的消息，进行中的任务完成后不再写入点云。
+   */
+  dispose() {
+    this.disposed = true;
+    this.pendingMessage = null;
+    this.lastMessage = null;
+  }
+
+  /**
+   * @method render
+   * @description 解码并显示一条消息，已有任务在进行时替换等待中的消息。
+   * @param {object} message - 带 `header` 的消息。
+   */
+  render(message) {
+    if (this.disposed) {
+      return;
+    }
+    if (this.decoding) {
+      this.pendingMessage = message;
+      return;
+    }
+    const fields = this.prepare(message);
+    if (!fields) {
+      return;
+    }
+
+    const { points } = this;
+    const spare = points.takeSpare();
+    const task = {
+      ...fields,
+      max_pts: points.max_pts,
+      pointRatio: points.pointRatio,
+      positions: spare.positions,
+      colors: spare.colors,
+      color: points.getColorTask(),
+    };
+    if (task.color && task.color.mode === "axis" && !task.color.local) {
+      task.transform = points.getColorTransform(message.header.stamp);
+    }
+
+    this.lastMessage = points.accumulator ? null : message;
+    this.decoding = true;
+    this.decoderPool.decode(this.type, task, (result) => {
+      this.decoding = false;
+      if (this.disposed) {
+        return;
+      }
+      if (result) {
+        points.swap(result.positions, result.colors, result.n, message.header.stamp, {
+          message,
+          ratio: task.pointRatio,
+        });
+        logger.debug(`Decoded ${result.n} points from ${this.type} message`);
+      }
+      if (this.pendingMessage) {
+        const next = this.pendingMessage;
+        this.pendingMessage = null;
+        this.render(next);
+      }
+    });
+  }
+
+  /**
+   * @method setColorTransformer
+   * @description 切换点云的颜色变换器，未启用累积且空闲时立即用最近一条消息重新着色。
+   * @param {object|null} colorTransformer - 颜色变换器配置，参见 `resolveColorTask`。
+   */
+  setColorTransformer(colorTransformer) {
+    this.points.setColorTransformer(colorTransformer);
+    if (this.lastMessage && !this.decoding) {
+      this.render(this.lastMessage);
+    }
+  }
+}
@@ -0,0 +1,356 @@
+/**
+ * @fileOverview PointsPicker - 点云的单击拾取与框选，返回点的下标、固定坐标系位置和字段值。
+ */
+
+import * as THREE from "three";
+import { EventEmitter } from "eventemitter3";
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("PointsPicker");
+
+// 按下与抬起之间移动不超过该距离（像素）时视为单击
+const CLICK_TOLERANCE = 4;
+
+/**
+ * @class PointsPicker
+ * @description 在屏幕空间中拾取 PointCloud2 / LaserScan 的点。
+ * THREE.Raycaster 对点使用世界单位的阈值，且无法处理实例化样式，因此这里把存活的点投影到屏幕上按像素距离选取，
+ * 与点的渲染样式无关。
+ *
+ * 启用后接管鼠标左键（中键、右键与滚轮仍由相机控制器处理）：
+ * 单击拾取阈值范围内距离最近的点并触发 'pick' 事件；拖动绘制选框，松开时触发 'select' 事件。
+ * 两个事件的参数都包含 `points` 数组，每项为 `{target, index, position, fields, screen}`：
+ * `target` 为点所属的客户端，`index` 为点在缓冲区中的下标，`position` 为固定坐标系（场景根坐标系）中的 THREE.Vector3，
+ * `fields` 为 `target.describePoint(index)` 返回的字段值，`screen` 为点在画布上的像素坐标。
+ * @extends EventEmitter
+ */
+export class PointsPicker extends EventEmitter {
+  /**
+   * @param {object} options - 选项对象。
+   * @param {Viewer} [options.viewer] - 查看器，提供相机和画布。
+   * @param {THREE.Camera} [options.camera] - 相机，未提供 viewer 时使用。
+   * @param {HTMLElement} [options.domElement] - 画布元素，未提供 viewer 时使用。
+   * @param {Array<PointCloud2|LaserScan>} [options.targets] - 参与拾取的点云客户端。
+   * @param {number} [options.threshold=8] - 单击拾取的像素半径。
+   * @param {number} [options.maxSelection=10000] - 框选时读取字段值的最大点数。
+   * @param {boolean} [options.enabled=false] - 是否立即启用鼠标拾取。
+   */
+  constructor(options = {}) {
+    super();
+    const {
+      viewer,
+      camera = viewer && viewer.camera,
+      domElement = viewer && viewer.renderer.domElement,
+      targets = [],
+      threshold = 8,
+      maxSelection = 10000,
+      enabled = false,
+    } = options;
+
+    this.camera = camera;
+    this.domElement = domElement;
+    this.targets = [];
+    this.threshold = threshold;
+    this.maxSelection = maxSelection;
+    this.enabled = enabled;
+    this.dragStart = null;
+    this.box = null;
+
+    targets.forEach((target) => this.add(target));
+
+    // 捕获阶段的监听器先于 MouseHandler 执行，从而阻止左键事件到达相机控制器
+    this.listeners = {
+      mousedown: this.#onMouseDown.bind(this),
+      mousemove: this.#onMouseMove.bind(this),
+      mouseup: this.#onMouseUp.bind(this),
+      click: this.#onClick.bind(this),
+    };
+    if (this.domElement) {
+      Object.entries(this.listeners).forEach(([type, listener]) => {
+        this.domElement.addEventListener(type, listener, true);
+      });
+    }
+  }
+
+  /**
+   * @method dispose
+   * @description 移除DOM事件监听器和选框。
+   */
+  dispose() {
+    if (this.domElement) {
+      Object.entries(this.listeners).forEach(([type, listener]) => {
+        this.domElement.removeEventListener(type, listener, true);
+      });
+    }
+    this.#removeBox();
+    this.targets = [];
+    this.removeAllListeners();
+  }
+
+  /**
+   * @method add
+   * @description 添加参与拾取的点云客户端，并让其保留原始消息以便读取字段值。
+   * @param {PointCloud2|LaserScan} target - 点云客户端。
+   */
+  add(target) {
+    if (!this.targets.includes(target)) {
+      target.points.retainSources = true;
+      this.targets.push(target);
+    }
+  }
+
+  /**
+   * @method remove
+   * @description 移除点云客户端。
+   * @param {PointCloud2|LaserScan} target - 点云客户端。
+   */
+  remove(target) {
+    this.targets = this.targets.filter((item) => item !== target);
+  }
+
+  /**
+   * @method enable
+   * @description 启用鼠标拾取，接管鼠标左键。
+   */
+  enable() {
+    this.enabled = true;
+  }
+
+  /**
+   * @method disable
+   * @description 停用鼠标拾取，鼠标左键交还给相机控制器。
+   */
+  disable() {
+    this.enabled = false;
+    this.dragStart = null;
+    this.#removeBox();
+  }
+
+  /**
+   * @method pick
+   * @description 拾取画布坐标附近距离最近的点，并触发 'pick' 事件。
+   * @param {number} x - 相对画布左上角的横坐标（像素）。
+   * @param {number} y - 相对画布左上角的纵坐标（像素）。
+   * @returns {Array<object>} 拾取到的点，没有时为空数组。
+   */
+  pick(x, y) {
+    const limit = this.threshold * this.threshold;
+    let best = null;
+    this.#forEachScreenPoint((target, index, sx, sy, depth) => {
+      const distance = (sx - x) * (sx - x) + (sy - y) * (sy - y);
+      if (distance > limit) {
+        return;
+      }
+      // 像素距离相同的点优先选择更靠近相机的
+      if (!best || distance < best.distance || (distance === best.distance && depth < best.depth)) {
+        best = { target, index, sx, sy, distance, depth };
+      }
+    });
+
+    const points = best ? [this.#describe(best.target, best.index, best.sx, best.sy)] : [];
+    logger.debug(`Picked ${points.length} point(s) at (${x}, ${y})`);
+    this.emit("pick", { x, y, points });
+    return points;
+  }
+
+  /**
+   * @method selectRect
+   * @description 选取画布矩形内的所有点，并触发 'select' 事件。
+   * 事件参数包含 `rect`、最多 `maxSelection` 个点的 `points`，以及矩形内的点总数 `total`。
+   * @param {number} x0 - 矩形一角的横坐标（像素）。
+   * @param {number} y0 - 矩形一角的纵坐标（像素）。
+   * @param {number} x1 - 对角的横坐标（像素）。
+   * @param {number} y1 - 对角的纵坐标（像素）。
+   * @returns {Array<object>} 选中的点。
+   */
+  selectRect(x0, y0, x1, y1) {
+    const rect = {
+      left: Math.min(x0, x1),
+      top: Math.min(y0, y1),
+      width: Math.abs(x1 - x0),
+      height: Math.abs(y1 - y0),
+    };
+    const points = [];
+    let total = 0;
+    this.#forEachScreenPoint((target, index, sx, sy) => {
+      if (
+        sx >= rect.left &&
+        sx <= rect.left + rect.width &&
+        sy >= rect.top &&
+        sy <= rect.top + rect.height
+      ) {
+        total++;
+        if (points.length < this.maxSelection) {
+          points.push(this.#describe(target, index, sx, sy));
+        }
+      }
+    });
+    logger.debug(`Selected ${total} point(s)`);
+    this.emit("select", { rect, points, total });
+    return points;
+  }
+
+  /**
+   * 将所有存活的点投影到画布坐标，跳过相机后方与裁剪范围外的点。
+   * @private
+   */
+  #forEachScreenPoint(visit) {
+    if (!this.camera) {
+      return;
+    }
+    const width = this.domElement.clientWidth || this.domElement.width;
+    const height = this.domElement.clientHeight || this.domElement.height;
+
+    this.camera.updateMatrixWorld();
+    const viewProjection = new THREE.Matrix4().multiplyMatrices(
+      this.camera.projectionMatrix,
+      new THREE.Matrix4().getInverse(this.camera.matrixWorld)
+    );
+    const mvp = new THREE.Matrix4();
+
+    this.targets.forEach((target) => {
+      const { object, positions } = target.points;
+      if (!object || !positions || !target.visible) {
+        return;
+      }
+      object.updateWorldMatrix(true, false);
+      const e = mvp.multiplyMatrices(viewProjection, object.matrixWorld).elements;
+      const array = positions.array;
+
+      target.points.liveRanges().forEach(({ start, count }) => {
+        for (let i = start; i < start + count; i++) {
+          const x = array[3 * i];
+          const y = array[3 * i + 1];
+          const z = array[3 * i + 2];
+          const w = e[3] * x + e[7] * y + e[11] * z + e[15];
+          if (!(w > 0)) {
+            continue;
+          }
+          const depth = (e[2] * x + e[6] * y + e[10] * z + e[14]) / w;
+          if (depth < -1 || depth > 1) {
+            continue;
+          }
+          const sx = (((e[0] * x + e[4] * y + e[8] * z + e[12]) / w + 1) / 2) * width;
+          const sy = ((1 - (e[1] * x + e[5] * y + e[9] * z + e[13]) / w) / 2) * height;
+          visit(target, i, sx, sy, depth);
+        }
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  #describe(target, index, sx, sy) {
+    const { object, positions } = target.points;
+    const position = new THREE.Vector3()
+      .fromArray(positions.array, 3 * index)
+      .applyMatrix4(object.matrixWorld);
+    return {
+      target,
+      index,
+      position,
+      fields: typeof target.describePoint === "function" ? target.describePoint(index) : null,
+      screen: { x: sx, y: sy },
+    };
+  }
+
+  /**
+   * @private
+   */
+  #localPoint(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  /**
+   * @private
+   */
+  #onMouseDown(event) {
+    if (!this.enabled || event.button !== 0) {
+      return;
+    }
+    event.stopImmediatePropagation();
+    event.preventDefault();
+    this.dragStart = this.#localPoint(event);
+  }
+
+  /**
+   * @private
+   */
+  #onMouseMove(event) {
+    if (!this.dragStart) {
+      return;
+    }
+    event.stopImmediatePropagation();
+    const end = this.#localPoint(event);
+    if (Math.hypot(end.x - this.dragStart.x, end.y - this.dragStart.y) > CLICK_TOLERANCE) {
+      this.#updateBox(this.dragStart, end);
+    }
+  }
+
+  /**
+   * @private
+   */
+  #onMouseUp(event) {
+    if (!this.dragStart) {
+      return;
+    }
+    event.stopImmediatePropagation();
+    const start = this.dragStart;
+    const end = this.#localPoint(event);
+    this.dragStart = null;
+    this.#removeBox();
+    if (Math.hypot(end.x - start.x, end.y - start.y) <= CLICK_TOLERANCE) {
+      this.pick(end.x, end.y);
+    } else {
+      this.selectRect(start.x, start.y, end.x, end.y);
+    }
+  }
+
+  /**
+   * @private
+   */
+  #onClick(event) {
+    if (this.enabled && event.button === 0) {
+      event.stopImmediatePropagation();
+    }
+  }
+
+  /**
+   * 在画布上方绘制选框。
+   * @private
+   */
+  #updateBox(start, end) {
+    const parent = this.domElement.parentElement;
+    if (!parent) {
+      return;
+    }
+    if (!this.box) {
+      this.box = document.createElement("div");
+      Object.assign(this.box.style, {
+        position: "absolute",
+        border: "1px dashed #ffffff",
+        background: "rgba(255, 255, 255, 0.1)",
+        pointerEvents: "none",
+      });
+      parent.appendChild(this.box);
+    }
+    Object.assign(this.box.style, {
+      left: `${this.domElement.offsetLeft + Math.min(start.x, end.x)}px`,
+      top: `${this.domElement.offsetTop + Math.min(start.y, end.y)}px`,
+      width: `${Math.abs(end.x - start.x)}px`,
+      height: `${Math.abs(end.y - start.y)}px`,
+    });
+  }
+
+  /**
+   * @private
+   */
+  #removeBox() {
+    if (this.box) {
+      this.box.remove();
+      this.box = null;
+    }
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * @fileOverview 相机内参相关的辅助函数。
+ */
+
+import * as THREE from "three";
+
+/**
+ * 从 `sensor_msgs/CameraInfo` 中提取针孔相机内参。
+ * 优先使用投影矩阵 P（校正后图像），P 为空时退回内参矩阵 K。同时兼容 ROS 1 的大写字段和 ROS 2 的小写字段。
+ * @function cameraIntrinsics
+ * @param {object} info - `sensor_msgs/CameraInfo` 消息。
+ * @returns {{width: number, height: number, fx: number, fy: number, cx: number, cy: number, skew: number, tx: number, ty: number}|null}
+ *   内参，图像尺寸或焦距无效时返回 null。
+ */
+export function cameraIntrinsics(info) {
+  const K = info.K || info.k || [];
+  const P = info.P || info.p || [];
+  const { width, height } = info;
+  const usesP = P.length === 12 && P[0] !== 0;
+
+  const intrinsics = usesP
+    ? { fx: P[0], skew: P[1], cx: P[2], tx: P[3], fy: P[5], cy: P[6], ty: P[7] }
+    : { fx: K[0], skew: K[1], cx: K[2], tx: 0, fy: K[4], cy: K[5], ty: 0 };
+
+  if (!width || !height || !intrinsics.fx || !intrinsics.fy) {
+    return null;
+  }
+  return { width, height, ...intrinsics };
+}
+
+/**
+ * 计算相机视锥在给定深度处的四个角点（光学坐标系，x 向右、y 向下、z 向前）。
+ * 角点顺序为左上、右上、右下、左下。
+ * @function frustumCorners
+ * @param {object} intrinsics - `cameraIntrinsics` 的返回值。
+ * @param {number} depth - 沿光轴的深度（米）。
+ * @returns {Array<THREE.Vector3>} 四个角点。
+ */
+export function frustumCorners({ width, height, fx, fy, cx, cy, skew }, depth) {
+  return [
+    [0, 0],
+    [width, 0],
+    [width, height],
+    [0, height],
+  ].map(([u, v]) => {
+    const y = ((v - cy) / fy) * depth;
+    const x = ((u - cx - (skew * y) / depth) / fx) * depth;
+    return new THREE.Vector3(x, y, depth);
+  });
+}
+
+/**
+ * 构造将光学坐标系中的点映射到纹理坐标的矩阵。
+ * 结果的 xy 除以 w 后即为纹理坐标（第一行像素位于 v = 0），w 为沿光轴的深度。
+ * @function projectionTextureMatrix
+ * @param {object} intrinsics - `cameraIntrinsics` 的返回值。
+ * @param {THREE.Matrix4} [target] - 存放结果的矩阵。
+ * @returns {THREE.Matrix4} 投影矩阵。
+ */
+export function projectionTextureMatrix(
+  { width, height, fx, fy, cx, cy, skew, tx, ty },
+  target = new THREE.Matrix4()
+) {
+  return target.set(
+    fx / width, skew / width, cx / width, tx / width,
+    0, fy / height, cy / height, ty / height,
+    0, 0, 1, 0,
+    0, 0, 1, 0
+  );
+}
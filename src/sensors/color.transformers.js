@@ -0,0 +1,159 @@
+/**
+ * @fileOverview 点云颜色变换器（Color Transformer）与颜色映射表。
+ */
+
+import * as THREE from "three";
+
+// 颜色查找表的默认条目数
+const LUT_SIZE = 256;
+
+// PointCloud2 中常见的打包 RGB 字段名
+const RGB_FIELDS = ["rgb", "rgba", "rgb_float"];
+
+/**
+ * 内置颜色映射表，每项为等间距的控制点颜色。
+ * `rainbow` 与 RViz 的 Intensity 彩虹色一致（品红 -> 蓝 -> 青 -> 绿 -> 黄 -> 红）。
+ */
+export const COLOR_MAPS = {
+  rainbow: ["#ff00ff", "#0000ff", "#00ffff", "#00ff00", "#ffff00", "#ff0000"],
+  viridis: [
+    "#440154", "#482878", "#3e4989", "#31688e", "#26828e",
+    "#1f9e89", "#35b779", "#6ece58", "#fde725",
+  ],
+  turbo: [
+    "#30123b", "#4454c4", "#4490fe", "#1fc8de", "#29efa2", "#7dff56",
+    "#c1f334", "#f1ca3a", "#fe922a", "#ea4f0d", "#7a0403",
+  ],
+  jet: [
+    "#00007f", "#0000ff", "#007fff", "#00ffff", "#7fff7f",
+    "#ffff00", "#ff7f00", "#ff0000", "#7f0000",
+  ],
+  grayscale: ["#000000", "#ffffff"],
+};
+
+/**
+ * 生成颜色查找表。
+ * @function createColorLUT
+ * @param {string|Array|function} colorMap - 内置颜色映射名、控制点颜色数组，或把 [0, 1] 映射为 THREE.Color 的函数。
+ * @param {number} [size=256] - 查找表条目数。
+ * @returns {Float32Array} RGB 三元组组成的查找表。
+ */
+export function createColorLUT(colorMap, size = LUT_SIZE) {
+  let sample = colorMap;
+  if (typeof colorMap !== "function") {
+    const stops = (Array.isArray(colorMap) ? colorMap : COLOR_MAPS[colorMap]) ||
+      COLOR_MAPS.rainbow;
+    const colors = stops.map((stop) => new THREE.Color(stop));
+    sample = (value) => {
+      const position = value * (colors.length - 1);
+      const index = Math.min(colors.length - 2, Math.floor(position));
+      return colors[index].clone().lerp(colors[index + 1], position - index);
+    };
+  }
+
+  const lut = new Float32Array(size * 3);
+  for (let i = 0; i < size; i++) {
+    const color = sample(i / (size - 1));
+    lut[3 * i] = color.r;
+    lut[3 * i + 1] = color.g;
+    lut[3 * i + 2] = color.b;
+  }
+  return lut;
+}
+
+/**
+ * 将颜色变换器配置解析为解码函数使用的、可在线程间传递的颜色任务。
+ *
+ * 支持的变换器：
+ * - `{type: 'Intensity', field='intensity', autoRange=true, min=0, max=1, colorMap='rainbow', minColor, maxColor}`：
+ *   按标量字段着色，指定 minColor 和 maxColor 时使用两色渐变。
+ * - `{type: 'AxisColor', axis='z', frame='fixed', autoRange=true, min=0, max=1, colorMap='rainbow'}`：
+ *   按固定坐标系（'fixed'）或点云坐标系（'local'）中的坐标轴着色。
+ * - `{type: 'FlatColor', color=0xffffff}`：单一颜色。
+ * - `{type: 'RGB8', field}`：解包 rgb / rgba 字段中的 0x00RRGGBB 颜色，默认自动检测字段。
+ *
+ * @function resolveColorTask
+ * @param {object} transformer - 颜色变换器配置。
+ * @param {object} fields - 按名称索引的 PointField 定义；LaserScan 使用 `{intensity: {}}`。
+ * @returns {object|null} 颜色任务，所需字段不存在时返回 null。
+ */
+export function resolveColorTask(transformer, fields) {
+  const {
+    type,
+    autoRange = true,
+    min = 0,
+    max = 1,
+    colorMap = "rainbow",
+    minColor,
+    maxColor,
+  } = transformer;
+  const lut = () =>
+    createColorLUT(minColor !== undefined && maxColor !== undefined ? [minColor, maxColor] : colorMap);
+
+  switch (type) {
+    case "FlatColor": {
+      const color = new THREE.Color(transformer.color ?? 0xffffff);
+      return { mode: "flat", flat: [color.r, color.g, color.b] };
+    }
+    case "RGB8": {
+      const name = transformer.field || RGB_FIELDS.find((candidate) => fields[candidate]);
+      const field = fields[name];
+      return field ? { mode: "packed", field: name, offset: field.offset } : null;
+    }
+    case "AxisColor":
+      return {
+        mode: "axis",
+        axis: ["x", "y", "z"].indexOf(transformer.axis || "z"),
+        local: transformer.frame === "local",
+        autoRange,
+        min,
+        max,
+        lut: lut(),
+      };
+    case "Intensity": {
+      const name = transformer.field || "intensity";
+      const field = fields[name];
+      if (!field) {
+        return null;
+      }
+      return {
+        mode: "scalar",
+        field: name,
+        offset: field.offset,
+        datatype: field.datatype,
+        autoRange,
+        min,
+        max,
+        lut: lut(),
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * 根据旧的 `colorsrc` / `colormap` 选项推断颜色变换器，保持已有配置的行为。
+ * 打包的 RGB 字段使用 RGB8，其余字段按 [colorMin, colorMax] 归一化后使用 colormap 着色。
+ * @function legacyColorTransformer
+ * @param {object} options - 包含 colorsrc、colormap、colorMin、colorMax 的选项。
+ * @param {object} fields - 按名称索引的 PointField 定义。
+ * @returns {object|null} 颜色变换器配置，没有可用的颜色字段时返回 null。
+ */
+export function legacyColorTransformer({ colorsrc, colormap, colorMin, colorMax }, fields) {
+  const name = colorsrc || RGB_FIELDS.find((candidate) => fields[candidate]);
+  if (!name) {
+    return null;
+  }
+  if (RGB_FIELDS.includes(name)) {
+    return { type: "RGB8", field: name };
+  }
+  return {
+    type: "Intensity",
+    field: name,
+    autoRange: false,
+    min: colorMin,
+    max: colorMax,
+    colorMap: colormap || "rainbow",
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * @fileOverview 将 `sensor_msgs/Image` 的原始像素解码为 RGBA 字节的辅助函数。
+ */
+
+import { toByteArray } from "../utils/encoding.js";
+
+// 每种编码的通道数与每通道字节数
+const ENCODINGS = {
+  rgb8: { channels: 3, bytes: 1 },
+  rgba8: { channels: 4, bytes: 1 },
+  bgr8: { channels: 3, bytes: 1 },
+  bgra8: { channels: 4, bytes: 1 },
+  mono8: { channels: 1, bytes: 1 },
+  "8UC1": { channels: 1, bytes: 1 },
+  mono16: { channels: 1, bytes: 2 },
+  "16UC1": { channels: 1, bytes: 2 },
+  "32FC1": { channels: 1, bytes: 4 },
+};
+
+/**
+ * 判断是否支持给定的图像编码。
+ * @function isSupportedEncoding
+ * @param {string} encoding - `sensor_msgs/Image` 的 encoding 字段。
+ * @returns {boolean} 是否支持。
+ */
+export function isSupportedEncoding(encoding) {
+  return Object.prototype.hasOwnProperty.call(ENCODINGS, encoding);
+}
+
+/**
+ * 读取单通道图像的所有像素值。
+ * @private
+ */
+function readScalars(bytes, width, height, step, bytesPerPixel, encoding, littleEndian) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const values = new Float32Array(width * height);
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const offset = row * step + col * bytesPerPixel;
+      values[row * width + col] =
+        encoding === "32FC1"
+          ? view.getFloat32(offset, littleEndian)
+          : view.getUint16(offset, littleEndian);
+    }
+  }
+  return values;
+}
+
+/**
+ * 计算有限值的最小值与最大值。
+ * @private
+ */
+function valueRange(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (Number.isFinite(value)) {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+  }
+  return min <= max ? { min, max } : { min: 0, max: 1 };
+}
+
+/**
+ * 将 `sensor_msgs/Image` 解码为按行从上到下排列的 RGBA 字节。
+ * 16 位和浮点深度图会按 [min, max] 线性归一化为灰度，未指定范围时使用图像中有限值的范围，
+ * NaN/Inf 像素输出为全透明。
+ * @function decodeImage
+ * @param {object} message - `sensor_msgs/Image` 消息。
+ * @param {object} [options] - 解码选项。
+ * @param {number} [options.min] - 归一化下限。
+ * @param {number} [options.max] - 归一化上限。
+ * @param {Uint8Array} [options.target] - 可复用的输出缓冲区，长度不足时会重新分配。
+ * @returns {{width: number, height: number, data: Uint8Array}|null} 解码结果，编码不受支持时返回 null。
+ */
+export function decodeImage(message, options = {}) {
+  const { width, height, encoding } = message;
+  const format = ENCODINGS[encoding];
+  if (!format) {
+    return null;
+  }
+
+  const bytes = toByteArray(message.data);
+  const bytesPerPixel = format.channels * format.bytes;
+  const step = message.step || width * bytesPerPixel;
+  const size = width * height * 4;
+  const data =
+    options.target && options.target.length === size
+      ? options.target
+      : new Uint8Array(size);
+
+  if (format.bytes === 1) {
+    const swap = encoding.startsWith("bgr");
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        const src = row * step + col * bytesPerPixel;
+        const dst = (row * width + col) * 4;
+        if (format.channels === 1) {
+          data[dst] = data[dst + 1] = data[dst + 2] = bytes[src];
+        } else {
+          data[dst] = bytes[src + (swap ? 2 : 0)];
+          data[dst + 1] = bytes[src + 1];
+          data[dst + 2] = bytes[src + (swap ? 0 : 2)];
+        }
+        data[dst + 3] = format.channels === 4 ? bytes[src + 3] : 255;
+      }
+    }
+    return { width, height, data };
+  }
+
+  const values = readScalars(
+    bytes,
+    width,
+    height,
+    step,
+    bytesPerPixel,
+    encoding,
+    !message.is_bigendian
+  );
+  const range = valueRange(values);
+  const min = options.min ?? range.min;
+  const max = options.max ?? range.max;
+  const scale = max > min ? 255 / (max - min) : 0;
+
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    const dst = i * 4;
+    if (!Number.isFinite(value)) {
+      data[dst] = data[dst + 1] = data[dst + 2] = data[dst + 3] = 0;
+      continue;
+    }
+    const gray = Math.max(0, Math.min(255, Math.round((value - min) * scale)));
+    data[dst] = data[dst + 1] = data[dst + 2] = gray;
+    data[dst + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+/**
+ * 根据 `sensor_msgs/CompressedImage` 的 format 字段推断 MIME 类型。
+ * @function compressedMimeType
+ * @param {string} format - 例如 'jpeg'、'png' 或 'bgr8; jpeg compressed bgr8'。
+ * @returns {string} MIME 类型。
+ */
+export function compressedMimeType(format = "") {
+  return format.toLowerCase().includes("png") ? "image/png" : "image/jpeg";
+}
@@ -9,3 +9,18 @@ export { PointCloud2 } from "./PointCloud2.js";
 export { Points } from "./Points.js";
 export { NavSatFix } from "./NavSatFix.js";
 export { TFAxes } from "./TFAxes.js";
+export { DecoderPool } from "./DecoderPool.js";
+export { PointsAccumulator } from "./PointsAccumulator.js";
+export { PointsDecodeQueue } from "./PointsDecodeQueue.js";
+export { PointsPicker } from "./PointsPicker.js";
+export { decodePointCloud2, decodeLaserScan, readPointFields } from "./points.decoders.js";
+export { COLOR_MAPS, createColorLUT, resolveColorTask } from "./color.transformers.js";
+export { ImageClient } from "./ImageClient.js";
+export { decodeImage } from "./image.decoders.js";
+export { CameraInfo } from "./CameraInfo.js";
+export { ImageProjector } from "./ImageProjector.js";
+export {
+  cameraIntrinsics,
+  frustumCorners,
+  projectionTextureMatrix,
+} from "./camera.utils.js";
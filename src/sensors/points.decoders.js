@@ -0,0 +1,252 @@
+/**
+ * @fileOverview 将 PointCloud2 / LaserScan 消息解码为顶点数组的纯函数。
+ * 这些函数不依赖 DOM 和 three.js，既在 Web Worker 中运行，也作为无 Worker 环境下的主线程回退实现。
+ */
+
+import { toByteArray } from "../utils/encoding.js";
+
+// 按 sensor_msgs/PointField 的 datatype（1-8）读取数值
+const READERS = [
+  (dv, offset) => dv.getInt8(offset),
+  (dv, offset) => dv.getUint8(offset),
+  (dv, offset, le) => dv.getInt16(offset, le),
+  (dv, offset, le) => dv.getUint16(offset, le),
+  (dv, offset, le) => dv.getInt32(offset, le),
+  (dv, offset, le) => dv.getUint32(offset, le),
+  (dv, offset, le) => dv.getFloat32(offset, le),
+  (dv, offset, le) => dv.getFloat64(offset, le),
+];
+
+// 各 datatype 的字节长度，用于读取 count > 1 的数组字段
+const SIZES = [1, 1, 2, 2, 4, 4, 4, 8];
+
+// 按位打包颜色的字段名
+const PACKED_COLOR_FIELDS = ["rgb", "rgba", "rgb_float"];
+
+/**
+ * 复用长度合适的输出数组，否则重新分配。被转移（detached）的数组长度为 0，同样会重新分配。
+ * @private
+ */
+function ensureArray(target, length) {
+  return target && target.length === length ? target : new Float32Array(length);
+}
+
+/**
+ * 取点在着色坐标轴上的坐标，AxisColor 使用固定坐标系时先乘以点云坐标系到固定坐标系的变换。
+ * @private
+ */
+function axisValue(positions, i, color, transform) {
+  const k = color.axis;
+  if (color.local || !transform) {
+    return positions[3 * i + k];
+  }
+  const x = positions[3 * i];
+  const y = positions[3 * i + 1];
+  const z = positions[3 * i + 2];
+  return transform[k] * x + transform[4 + k] * y + transform[8 + k] * z + transform[12 + k];
+}
+
+/**
+ * 将暂存在 colors[3 * i] 中的标量按范围归一化后查表着色，autoRange 时使用本帧有限值的范围。
+ * @private
+ */
+function mapScalars(colors, n, { autoRange, min, max, lut }) {
+  if (autoRange) {
+    min = Infinity;
+    max = -Infinity;
+    for (let i = 0; i < n; i++) {
+      const value = colors[3 * i];
+      if (Number.isFinite(value)) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+    }
+  }
+  const scale = max > min ? 1 / (max - min) : 0;
+  const last = lut.length / 3 - 1;
+  for (let i = 0; i < n; i++) {
+    const value = (colors[3 * i] - min) * scale;
+    const index = 3 * Math.max(0, Math.min(last, Math.round(value * last) || 0));
+    colors[3 * i] = lut[index];
+    colors[3 * i + 1] = lut[index + 1];
+    colors[3 * i + 2] = lut[index + 2];
+  }
+}
+
+/**
+ * @private
+ */
+function fillFlat(colors, n, [r, g, b]) {
+  for (let i = 0; i < n; i++) {
+    colors[3 * i] = r;
+    colors[3 * i + 1] = g;
+    colors[3 * i + 2] = b;
+  }
+}
+
+/**
+ * 解码 `sensor_msgs/PointCloud2` 的点坐标和颜色。
+ * @function decodePointCloud2
+ * @param {object} task - 解码任务。
+ * @param {string|Uint8Array|Array<number>} task.data - 点云数据，base64 字符串或字节数组。
+ * @param {number} task.point_step - 单个点的字节长度。
+ * @param {number} task.width - 点云宽度。
+ * @param {number} task.height - 点云高度。
+ * @param {boolean} task.is_bigendian - 数据是否为大端字节序。
+ * @param {{x: number, y: number, z: number}} task.offsets - x、y、z 字段的字节偏移。
+ * @param {number} task.max_pts - 最大点数，输出数组长度为 `max_pts * 3`。
+ * @param {number} [task.pointRatio=1] - 点的子采样率。
+ * @param {object} [task.color] - 由 `resolveColorTask` 生成的颜色任务。
+ * @param {Array<number>} [task.transform] - 点云坐标系到固定坐标系的 4x4 矩阵（列主序），用于 AxisColor。
+ * @param {Float32Array} [task.positions] - 可复用的坐标数组。
+ * @param {Float32Array} [task.colors] - 可复用的颜色数组。
+ * @returns {{positions: Float32Array, colors: Float32Array|null, n: number}} 解码结果。
+ */
+export function decodePointCloud2(task) {
+  const { point_step, max_pts, offsets, color, transform } = task;
+
+  // base64 字符串在 Worker 中完整解码后再按 pointRatio 子采样
+  const bytes = toByteArray(task.data);
+  const ratio = task.pointRatio || 1;
+  const available = Math.min(
+    task.width * task.height,
+    Math.floor(bytes.byteLength / point_step)
+  );
+  const n = Math.min(Math.ceil(available / ratio), max_pts);
+
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const le = !task.is_bigendian;
+  const positions = ensureArray(task.positions, max_pts * 3);
+  const colors = color ? ensureArray(task.colors, max_pts * 3) : null;
+  const readValue = color && color.mode === "scalar" && READERS[color.datatype - 1];
+
+  for (let i = 0; i < n; i++) {
+    const base = i * ratio * point_step;
+    positions[3 * i] = dv.getFloat32(base + offsets.x, le);
+    positions[3 * i + 1] = dv.getFloat32(base + offsets.y, le);
+    positions[3 * i + 2] = dv.getFloat32(base + offsets.z, le);
+
+    if (!colors) {
+      continue;
+    }
+    if (color.mode === "packed") {
+      // 打包的 RGB 字段按 0x00RRGGBB 的位模式读取，避免经过浮点数转换
+      const rgb = dv.getUint32(base + color.offset, le);
+      colors[3 * i] = ((rgb >> 16) & 0xff) / 255;
+      colors[3 * i + 1] = ((rgb >> 8) & 0xff) / 255;
+      colors[3 * i + 2] = (rgb & 0xff) / 255;
+    } else if (readValue) {
+      colors[3 * i] = readValue(dv, base + color.offset, le);
+    } else if (color.mode === "axis") {
+      colors[3 * i] = axisValue(positions, i, color, transform);
+    }
+  }
+
+  if (colors) {
+    if (color.mode === "flat") {
+      fillFlat(colors, n, color.flat);
+    } else if (color.mode !== "packed") {
+      mapScalars(colors, n, color);
+    }
+  }
+
+  return { positions, colors, n };
+}
+
+/**
+ * 将 `sensor_msgs/LaserScan` 的有效距离转换为扫描平面内的点坐标。
+ * @function decodeLaserScan
+ * @param {object} task - 解码任务，包含 LaserScan 的 ranges、angle_min、angle_increment、range_min、range_max 字段。
+ * @param {number} task.max_pts - 最大点数，输出数组长度为 `max_pts * 3`。
+ * @param {number} [task.pointRatio=1] - 点的子采样率。
+ * @param {Array<number>} [task.intensities] - LaserScan 的强度值，Intensity 着色时使用。
+ * @param {object} [task.color] - 由 `resolveColorTask` 生成的颜色任务，不支持 RGB8。
+ * @param {Array<number>} [task.transform] - 扫描坐标系到固定坐标系的 4x4 矩阵（列主序），用于 AxisColor。
+ * @param {Float32Array} [task.positions] - 可复用的坐标数组。
+ * @param {Float32Array} [task.colors] - 可复用的颜色数组。
+ * @returns {{positions: Float32Array, colors: Float32Array|null, n: number}} 解码结果。
+ */
+export function decodeLaserScan(task) {
+  const { ranges, angle_min, angle_increment, range_min, range_max, max_pts, color } = task;
+  const ratio = task.pointRatio || 1;
+  const positions = ensureArray(task.positions, max_pts * 3);
+  const colors =
+    color && color.mode !== "packed" ? ensureArray(task.colors, max_pts * 3) : null;
+  const intensities = task.intensities || [];
+
+  let n = 0;
+  for (let i = 0; i < ranges.length && n < max_pts; i += ratio) {
+    const range = ranges[i];
+    if (range >= range_min && range <= range_max) {
+      const angle = angle_min + i * angle_increment;
+      positions[3 * n] = range * Math.cos(angle);
+      positions[3 * n + 1] = range * Math.sin(angle);
+      positions[3 * n + 2] = 0.0;
+      if (colors && color.mode === "scalar") {
+        colors[3 * n] = intensities[i];
+      } else if (colors && color.mode === "axis") {
+        colors[3 * n] = axisValue(positions, n, color, task.transform);
+      }
+      n++;
+    }
+  }
+
+  if (colors) {
+    if (color.mode === "flat") {
+      fillFlat(colors, n, color.flat);
+    } else {
+      mapScalars(colors, n, color);
+    }
+  }
+
+  return { positions, colors, n };
+}
+
+/**
+ * 读取 PointCloud2 中单个点的全部字段值，用于点的拾取与查看。
+ * 打包的 rgb / rgba 字段解包为 0-255 的 `{r, g, b[, a]}`，count 大于 1 的字段返回数组。
+ * @function readPointFields
+ * @param {object} message - `sensor_msgs/PointCloud2` 消息。
+ * @param {number} index - 点在消息中的下标。
+ * @param {Uint8Array} [bytes] - 已解码的消息数据，批量读取时传入以避免重复解码。
+ * @returns {object|null} 按字段名索引的值，下标越界时返回 null。
+ */
+export function readPointFields(message, index, bytes = toByteArray(message.data)) {
+  const base = index * message.point_step;
+  if (index < 0 || base + message.point_step > bytes.byteLength) {
+    return null;
+  }
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const le = !message.is_bigendian;
+  const values = {};
+  (message.fields || []).forEach(({ name, offset, datatype, count = 1 }) => {
+    const read = READERS[datatype - 1];
+    if (!read) {
+      return;
+    }
+    if (PACKED_COLOR_FIELDS.includes(name) && SIZES[datatype - 1] === 4) {
+      const rgb = dv.getUint32(base + offset, le);
+      values[name] = { r: (rgb >> 16) & 0xff, g: (rgb >> 8) & 0xff, b: rgb & 0xff };
+      if (name === "rgba") {
+        values[name].a = rgb >>> 24;
+      }
+      return;
+    }
+    if (count > 1) {
+      values[name] = Array.from({ length: count }, (_, k) =>
+        read(dv, base + offset + k * SIZES[datatype - 1], le)
+      );
+    } else {
+      values[name] = read(dv, base + offset, le);
+    }
+  });
+  return values;
+}
+
+/**
+ * 按消息类型索引的解码函数，供 Worker 与 DecoderPool 使用。
+ */
+export const POINT_DECODERS = {
+  PointCloud2: decodePointCloud2,
+  LaserScan: decodeLaserScan,
+};
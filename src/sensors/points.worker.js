@@ -0,0 +1,18 @@
+/**
+ * @fileOverview 点云解码 Web Worker 入口，由 DecoderPool 创建。
+ */
+
+import { POINT_DECODERS } from "./points.decoders.js";
+
+self.onmessage = ({ data: { id, kind, task } }) => {
+  try {
+    const result = POINT_DECODERS[kind](task);
+    const transfer = [result.positions.buffer];
+    if (result.colors) {
+      transfer.push(result.colors.buffer);
+    }
+    self.postMessage({ id, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,114 @@
+/**
+ * @fileOverview MessageFilter - 在变换可用之前缓存带时间戳的消息。
+ */
+
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("MessageFilter");
+
+/**
+ * @class MessageFilter
+ * @description 类似 tf2 的 `MessageFilter`：只有当消息 `header.frame_id` 在 `header.stamp`
+ * 时刻到固定坐标系的变换可用时才把消息交给回调，否则将其放入队列等待后续的TF更新。
+ * 队列已满时丢弃最旧的消息；早于TF缓存窗口的消息会被直接丢弃。
+ *
+ * 如果TF客户端不支持按时间查询（例如 `ROSLIB.TFClient`），消息会被立即传递，
+ * 行为与之前保持一致。
+ */
+export class MessageFilter {
+  /**
+   * @param {object} options - 选项
+   * @param {object} options.tfClient - TF客户端，通常为 {@link TFListener}。
+   * @param {function(object, object): void} options.callback - 接收 `(message, transform)` 的回调。
+   * @param {number} [options.queueSize=10] - 等待队列的最大长度。
+   */
+  constructor(options = {}) {
+    const { tfClient, callback, queueSize = 10 } = options;
+    this.tfClient = tfClient;
+    this.callback = callback;
+    this.queueSize = queueSize;
+    this.queue = [];
+
+    this.flush = this.flush.bind(this);
+    if (this.isTimeAware()) {
+      this.tfClient.on("change", this.flush);
+    }
+  }
+
+  /**
+   * @method isTimeAware
+   * @description TF客户端是否支持按时间戳查询变换。
+   * @returns {boolean} 是否支持。
+   */
+  isTimeAware() {
+    return !!this.tfClient && typeof this.tfClient.lookupTransform === "function";
+  }
+
+  /**
+   * @method add
+   * @description 添加一条带 `header` 的消息。
+   * @param {object} message - ROS 消息。
+   */
+  add(message) {
+    if (!this.isTimeAware()) {
+      this.callback(message, null);
+      return;
+    }
+
+    const { frame_id, stamp } = message.header;
+    const transform = this.tfClient.lookupTransform(frame_id, stamp);
+    if (transform) {
+      this.callback(message, transform);
+      return;
+    }
+
+    this.queue.push(message);
+    if (this.queue.length > this.queueSize) {
+      const dropped = this.queue.shift();
+      logger.debug(`Queue full, dropping message in frame '${dropped.header.frame_id}'`);
+    }
+  }
+
+  /**
+   * @private
+   * @method flush
+   * @description 按到达顺序处理队列中已经可以变换的消息。
+   */
+  flush() {
+    if (this.queue.length === 0) {
+      return;
+    }
+    const pending = this.queue;
+    this.queue = [];
+    pending.forEach((message) => {
+      const { frame_id, stamp } = message.header;
+      const transform = this.tfClient.lookupTransform(frame_id, stamp);
+      if (transform) {
+        this.callback(message, transform);
+      } else if (this.tfClient.buffer && this.tfClient.buffer.isTooOld(this.tfClient.fixedFrame, frame_id, stamp)) {
+        logger.debug(`Dropping message in frame '${frame_id}', stamp is older than the TF cache`);
+      } else {
+        this.queue.push(message);
+      }
+    });
+  }
+
+  /**
+   * @method clear
+   * @description 清空等待队列。
+   */
+  clear() {
+    this.queue = [];
+  }
+
+  /**
+   * @method dispose
+   * @description 清空队列并停止监听TF更新。
+   */
+  dispose() {
+    this.clear();
+    if (this.isTimeAware()) {
+      this.tfClient.off("change", this.flush);
+    }
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * @fileOverview TFBuffer - 带时间窗口和插值的坐标变换缓存。
+ */
+
+import * as THREE from "three";
+import { stampToSeconds } from "../utils/ros.js";
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("TFBuffer");
+
+// 超过该时长（秒）的时间倒退被视为时间回跳，而不是消息乱序
+const TIME_JUMP_THRESHOLD = 1.0;
+
+const stripSlash = (frame) => (frame.startsWith("/") ? frame.substring(1) : frame);
+
+/**
+ * @class TFBuffer
+ * @description 类似 tf2 的 `BufferCore`：按子坐标系保存一段时间窗口内的变换历史，
+ * 可以在任意时间点上查询两个坐标系之间的变换，相邻时间戳之间做线性/球面插值。
+ * 静态变换（/tf_static）在所有时间点上都有效。
+ */
+export class TFBuffer {
+  /**
+   * @param {object} [options] - 选项
+   * @param {number} [options.cacheTime=10] - 每个坐标系保留的变换历史长度（秒）。
+   */
+  constructor(options = {}) {
+    const { cacheTime = 10 } = options;
+    this.cacheTime = cacheTime;
+    this.frames = new Map(); // child -> { parent, isStatic, samples: [{ time, translation, rotation }] }
+  }
+
+  /**
+   * @method clear
+   * @description 清空所有变换历史。
+   */
+  clear() {
+    this.frames.clear();
+  }
+
+  /**
+   * @method setTransform
+   * @description 写入一条 `geometry_msgs/TransformStamped`。
+   * @param {object} transformStamped - 带时间戳的变换。
+   * @param {boolean} [isStatic=false] - 是否为静态变换。
+   */
+  setTransform({ header, child_frame_id, transform }, isStatic = false) {
+    const child = stripSlash(child_frame_id);
+    const parent = stripSlash(header.frame_id);
+    const { translation, rotation } = transform;
+    const sample = {
+      time: stampToSeconds(header.stamp),
+      translation: new THREE.Vector3(translation.x, translation.y, translation.z),
+      rotation: new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w),
+    };
+
+    let link = this.frames.get(child);
+    if (!link || link.parent !== parent || link.isStatic !== isStatic) {
+      if (link && link.parent !== parent) {
+        logger.debug(`Frame '${child}' re-parented from '${link.parent}' to '${parent}'`);
+      }
+      link = { parent, isStatic, samples: [] };
+      this.frames.set(child, link);
+    }
+
+    if (isStatic) {
+      link.samples = [sample];
+      return;
+    }
+
+    // 时间明显回跳（例如回放跳转或仿真重启）时丢弃该坐标系的旧历史
+    if (
+      link.samples.length > 0 &&
+      sample.time < link.samples[link.samples.length - 1].time - TIME_JUMP_THRESHOLD
+    ) {
+      link.samples = [];
+    }
+
+    // 按时间有序插入（绝大多数情况下是追加到末尾）
+    const { samples } = link;
+    let index = samples.length;
+    while (index > 0 && samples[index - 1].time > sample.time) {
+      index--;
+    }
+    if (index > 0 && samples[index - 1].time === sample.time) {
+      samples[index - 1] = sample;
+    } else {
+      samples.splice(index, 0, sample);
+    }
+
+    // 丢弃超出时间窗口的历史
+    const oldest = samples[samples.length - 1].time - this.cacheTime;
+    let expired = 0;
+    while (expired < samples.length - 1 && samples[expired].time < oldest) {
+      expired++;
+    }
+    if (expired > 0) {
+      samples.splice(0, expired);
+    }
+  }
+
+  /**
+   * @method ingest
+   * @description 写入一条 `tf2_msgs/TFMessage` 中的全部变换。
+   * @param {object} message - TF 消息。
+   * @param {boolean} [isStatic=false] - 是否来自 /tf_static。
+   */
+  ingest(message, isStatic = false) {
+    message.transforms.forEach((transform) => this.setTransform(transform, isStatic));
+  }
+
+  /**
+   * @method getFrames
+   * @description 获取缓存中出现过的所有坐标系名称。
+   * @returns {Array<string>} 坐标系名称列表。
+   */
+  getFrames() {
+    const frames = new Set();
+    this.frames.forEach(({ parent }, child) => {
+      frames.add(child);
+      frames.add(parent);
+    });
+    return [...frames];
+  }
+
+  /**
+   * @method lookupTransform
+   * @description 计算源坐标系在给定时刻相对于目标坐标系的变换。
+   * @param {string} targetFrame - 目标坐标系。
+   * @param {string} sourceFrame - 源坐标系。
+   * @param {object|number} [time=0] - 查询时刻（时间戳或秒），0 表示使用各坐标系的最新变换。
+   * @returns {{translation: object, rotation: object}|null} 变换，数据不足或无法连通时返回 null。
+   */
+  lookupTransform(targetFrame, sourceFrame, time = 0) {
+    const seconds = stampToSeconds(time);
+    const target = this.#toRoot(stripSlash(targetFrame), seconds);
+    const source = this.#toRoot(stripSlash(sourceFrame), seconds);
+    if (!target || !source || target.root !== source.root) {
+      return null;
+    }
+
+    // T_target_source = inverse(T_root_target) * T_root_source
+    const inverseRotation = target.rotation.clone().conjugate();
+    const translation = source.translation
+      .clone()
+      .sub(target.translation)
+      .applyQuaternion(inverseRotation);
+    const rotation = inverseRotation.multiply(source.rotation);
+
+    return {
+      translation: { x: translation.x, y: translation.y, z: translation.z },
+      rotation: { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w },
+    };
+  }
+
+  /**
+   * @method canTransform
+   * @description 判断在给定时刻能否计算两个坐标系之间的变换。
+   * @param {string} targetFrame - 目标坐标系。
+   * @param {string} sourceFrame - 源坐标系。
+   * @param {object|number} [time=0] - 查询时刻。
+   * @returns {boolean} 是否可以变换。
+   */
+  canTransform(targetFrame, sourceFrame, time = 0) {
+    return this.lookupTransform(targetFrame, sourceFrame, time) !== null;
+  }
+
+  /**
+   * @method isTooOld
+   * @description 判断给定时刻是否已早于两个坐标系之间保留的历史，即永远无法再完成变换。
+   * 检查源坐标系和目标坐标系各自到公共祖先的链，公共祖先以上的变换不参与计算。
+   * @param {string} targetFrame - 目标坐标系。
+   * @param {string} sourceFrame - 源坐标系。
+   * @param {object|number} time - 查询时刻。
+   * @returns {boolean} 是否已过期。
+   */
+  isTooOld(targetFrame, sourceFrame, time) {
+    const seconds = stampToSeconds(time);
+    if (seconds === 0) {
+      return false;
+    }
+    const source = this.#chain(stripSlash(sourceFrame));
+    const target = this.#chain(stripSlash(targetFrame));
+    const common = source.find((frame) => target.includes(frame));
+    const expired = (chain) => {
+      for (const frame of chain) {
+        if (frame === common) {
+          return false;
+        }
+        const link = this.frames.get(frame);
+        if (link && !link.isStatic && seconds < link.samples[0].time) {
+          return true;
+        }
+      }
+      return false;
+    };
+    return expired(source) || expired(target);
+  }
+
+  /**
+   * 从坐标系沿父坐标系到根的坐标系列表（包括自身和根）。
+   * @private
+   */
+  #chain(frame) {
+    const chain = [frame];
+    let current = frame;
+    while (this.frames.has(current)) {
+      current = this.frames.get(current).parent;
+      if (chain.includes(current)) {
+        break;
+      }
+      chain.push(current);
+    }
+    return chain;
+  }
+
+  /**
+   * 取某个连接在给定时刻的变换，必要时在前后两个样本之间插值。
+   * @private
+   */
+  #sampleAt(link, time) {
+    const { samples } = link;
+    const last = samples[samples.length - 1];
+    if (link.isStatic || time === 0) {
+      return last;
+    }
+    if (time > last.time || time < samples[0].time) {
+      return null; // 不外推
+    }
+
+    let high = samples.length - 1;
+    while (high > 0 && samples[high - 1].time >= time) {
+      high--;
+    }
+    const after = samples[high];
+    if (after.time === time || high === 0) {
+      return after;
+    }
+    const before = samples[high - 1];
+    const ratio = (time - before.time) / (after.time - before.time);
+    return {
+      time,
+      translation: before.translation.clone().lerp(after.translation, ratio),
+      rotation: before.rotation.clone().slerp(after.rotation, ratio),
+    };
+  }
+
+  /**
+   * 将坐标系沿父链累积到树根。
+   * @private
+   */
+  #toRoot(frame, time) {
+    const translation = new THREE.Vector3();
+    const rotation = new THREE.Quaternion();
+    const visited = new Set();
+    let current = frame;
+
+    while (this.frames.has(current) && !visited.has(current)) {
+      visited.add(current);
+      const link = this.frames.get(current);
+      const sample = this.#sampleAt(link, time);
+      if (!sample) {
+        return null;
+      }
+      // T_parent_frame 左乘：p' = R_link * p + t_link
+      translation.applyQuaternion(sample.rotation).add(sample.translation);
+      rotation.premultiply(sample.rotation);
+      current = link.parent;
+    }
+
+    return { root: current, translation, rotation };
+  }
+}
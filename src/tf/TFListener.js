@@ -0,0 +1,312 @@
+/**
+ * @fileOverview TFListener - 直接订阅 /tf 与 /tf_static 的TF客户端。
+ */
+
+import { EventEmitter } from "eventemitter3";
+import * as ROSLIB from "roslib";
+import { TFBuffer } from "./TFBuffer.js";
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
+import { getLogger } from "../utils/Logger.js";
+
+const logger = getLogger("TFListener");
+
+const stripSlash = (frame) => (frame.startsWith("/") ? frame.substring(1) : frame);
+
+/**
+ * 判断两个变换之间的差异是否超过阈值。
+ * @private
+ */
+const hasMoved = (previous, next, transThres, angularThres) => {
+  if (!previous) {
+    return true;
+  }
+  const a = previous.translation;
+  const b = next.translation;
+  const distance = Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+  const q = previous.rotation;
+  const r = next.rotation;
+  const dot = Math.min(1, Math.abs(q.x * r.x + q.y * r.y + q.z * r.z + q.w * r.w));
+  return distance > transThres || 2 * Math.acos(dot) > angularThres;
+};
+
+/**
+ * @class TFListener
+ * @description 与 `ROSLIB.TFClient` 接口兼容的TF客户端。它不依赖 tf2_web_republisher，
+ * 而是直接订阅 /tf 和 /tf_static，把变换保存在 {@link TFBuffer} 中，因此除了
+ * `subscribe(frameID, callback)` 推送最新变换外，还可以按消息时间戳查询变换
+ * （{@link TFListener#lookupTransform}）或等待变换到达（{@link TFListener#waitForTransform}）。
+ *
+ * 触发的事件：
+ *  * 'change' - 收到新的变换。
+ * @extends EventEmitter
+ */
+export class TFListener extends EventEmitter {
+  #fixedFrame;
+
+  /**
+   * @param {object} options - 选项
+   * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros 的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
+   * @param {string} [options.fixedFrame='map'] - 固定坐标系。
+   * @param {number} [options.cacheTime=10] - 变换历史的保留时长（秒）。
+   * @param {number} [options.rate=10] - 向订阅者推送最新变换的最大频率（Hz）。
+   * @param {number} [options.transThres=0.01] - 推送所需的最小平移变化（米）。
+   * @param {number} [options.angularThres=0.01] - 推送所需的最小旋转变化（弧度）。
+   * @param {string} [options.topic='/tf'] - 动态变换主题。
+   * @param {string} [options.staticTopic='/tf_static'] - 静态变换主题。
+   */
+  constructor(options = {}) {
+    super();
+    const {
+      ros,
+      rosVersion,
+      fixedFrame = "map",
+      cacheTime = 10,
+      rate = 10,
+      transThres = 0.01,
+      angularThres = 0.01,
+      topic = "/tf",
+      staticTopic = "/tf_static",
+    } = options;
+
+    this.ros = ros;
+    this.rosVersion = rosVersion;
+    this.buffer = new TFBuffer({ cacheTime });
+    this.rate = rate;
+    this.transThres = transThres;
+    this.angularThres = angularThres;
+    this.topicName = topic;
+    this.staticTopicName = staticTopic;
+
+    this.frameInfos = {}; // frameID -> { cbs, transform }
+    this.notifyTimer = null;
+    this.rosTopic = null;
+    this.staticTopic = null;
+    this.#fixedFrame = stripSlash(fixedFrame);
+
+    this.processMessage = this.processMessage.bind(this);
+    this.processStaticMessage = this.processStaticMessage.bind(this);
+    this.notify = this.notify.bind(this);
+
+    if (this.ros) {
+      this.subscribeTopics();
+    }
+    logger.info(`TFListener created, fixed frame: ${this.#fixedFrame}`);
+  }
+
+  /**
+   * 固定坐标系。修改后会立即按新的固定坐标系重新推送所有订阅的变换。
+   * @type {string}
+   */
+  get fixedFrame() {
+    return this.#fixedFrame;
+  }
+
+  set fixedFrame(frame) {
+    this.#fixedFrame = stripSlash(frame);
+    Object.values(this.frameInfos).forEach((info) => {
+      info.transform = null;
+    });
+    this.notify();
+  }
+
+  /**
+   * @method subscribeTopics
+   * @description 订阅 /tf 和 /tf_static 主题。
+   */
+  subscribeTopics() {
+    this.unsubscribeTopics();
+    const messageType = toRosType(
+      "tf2_msgs/TFMessage",
+      resolveRosVersion(this.ros, this.rosVersion)
+    );
+    this.rosTopic = new ROSLIB.Topic({
+      ros: this.ros,
+      name: this.topicName,
+      messageType,
+    });
+    this.rosTopic.subscribe(this.processMessage);
+
+    this.staticTopic = new ROSLIB.Topic({
+      ros: this.ros,
+      name: this.staticTopicName,
+      messageType,
+    });
+    this.staticTopic.subscribe(this.processStaticMessage);
+  }
+
+  /**
+   * @method unsubscribeTopics
+   * @description 取消订阅 /tf 和 /tf_static 主题。
+   */
+  unsubscribeTopics() {
+    if (this.rosTopic) {
+      this.rosTopic.unsubscribe(this.processMessage);
+      this.rosTopic = null;
+    }
+    if (this.staticTopic) {
+      this.staticTopic.unsubscribe(this.processStaticMessage);
+      this.staticTopic = null;
+    }
+  }
+
+  /**
+   * @private
+   * @method processMessage
+   * @description 处理 /tf 消息。
+   * @param {object} message - `tf2_msgs/TFMessage` 消息。
+   */
+  processMessage(message) {
+    this.buffer.ingest(message, false);
+    this.#onChange();
+  }
+
+  /**
+   * @private
+   * @method processStaticMessage
+   * @description 处理 /tf_static 消息。
+   * @param {object} message - `tf2_msgs/TFMessage` 消息。
+   */
+  processStaticMessage(message) {
+    this.buffer.ingest(message, true);
+    this.#onChange();
+  }
+
+  /**
+   * @method subscribe
+   * @description 订阅某个坐标系相对于固定坐标系的最新变换，与 `ROSLIB.TFClient#subscribe` 相同。
+   * @param {string} frameID - 坐标系ID。
+   * @param {function(object): void} callback - 接收 `{translation, rotation}` 的回调。
+   */
+  subscribe(frameID, callback) {
+    const frame = stripSlash(frameID);
+    if (!this.frameInfos[frame]) {
+      this.frameInfos[frame] = { cbs: [], transform: null };
+    }
+    const info = this.frameInfos[frame];
+    info.cbs.push(callback);
+
+    const transform = info.transform || this.lookupTransform(frame);
+    if (transform) {
+      info.transform = transform;
+      callback(transform);
+    }
+  }
+
+  /**
+   * @method unsubscribe
+   * @description 取消订阅某个坐标系。
+   * @param {string} frameID - 坐标系ID。
+   * @param {function} [callback] - 要移除的回调，省略时移除该坐标系的全部回调。
+   */
+  unsubscribe(frameID, callback) {
+    const frame = stripSlash(frameID);
+    const info = this.frameInfos[frame];
+    if (!info) {
+      return;
+    }
+    if (callback) {
+      info.cbs = info.cbs.filter((cb) => cb !== callback);
+    }
+    if (!callback || info.cbs.length === 0) {
+      delete this.frameInfos[frame];
+    }
+  }
+
+  /**
+   * @method lookupTransform
+   * @description 查询源坐标系在给定时刻相对于固定坐标系的变换。
+   * @param {string} frameID - 源坐标系。
+   * @param {object|number} [time=0] - 时间戳或秒，0 表示最新。
+   * @returns {{translation: object, rotation: object}|null} 变换或 null。
+   */
+  lookupTransform(frameID, time = 0) {
+    return this.buffer.lookupTransform(this.#fixedFrame, frameID, time);
+  }
+
+  /**
+   * @method canTransform
+   * @description 判断源坐标系在给定时刻能否变换到固定坐标系。
+   * @param {string} frameID - 源坐标系。
+   * @param {object|number} [time=0] - 时间戳或秒。
+   * @returns {boolean} 是否可以变换。
+   */
+  canTransform(frameID, time = 0) {
+    return this.buffer.canTransform(this.#fixedFrame, frameID, time);
+  }
+
+  /**
+   * @method waitForTransform
+   * @description 等待源坐标系在给定时刻的变换可用。
+   * @param {string} frameID - 源坐标系。
+   * @param {object|number} [time=0] - 时间戳或秒。
+   * @param {number} [timeout=5000] - 超时时间（毫秒）。
+   * @returns {Promise<object>} 解析为变换；超时或时刻已超出缓存窗口时拒绝。
+   */
+  waitForTransform(frameID, time = 0, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const check = () => {
+        const transform = this.lookupTransform(frameID, time);
+        if (transform) {
+          cleanup();
+          resolve(transform);
+        } else if (this.buffer.isTooOld(this.#fixedFrame, frameID, time)) {
+          cleanup();
+          reject(new Error(`Transform for '${frameID}' is older than the TF cache`));
+        }
+      };
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.off("change", check);
+      };
+
+      timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Timed out waiting for transform '${frameID}' -> '${this.#fixedFrame}'`));
+      }, timeout);
+      this.on("change", check);
+      check();
+    });
+  }
+
+  /**
+   * @private
+   * @method notify
+   * @description 向各坐标系的订阅者推送变化超过阈值的最新变换。
+   */
+  notify() {
+    this.notifyTimer = null;
+    Object.entries(this.frameInfos).forEach(([frame, info]) => {
+      const transform = this.lookupTransform(frame);
+      if (transform && hasMoved(info.transform, transform, this.transThres, this.angularThres)) {
+        info.transform = transform;
+        info.cbs.forEach((cb) => cb(transform));
+      }
+    });
+  }
+
+  /**
+   * @method dispose
+   * @description 取消订阅并清理所有资源。
+   */
+  dispose() {
+    this.unsubscribeTopics();
+    clearTimeout(this.notifyTimer);
+    this.notifyTimer = null;
+    this.frameInfos = {};
+    this.buffer.clear();
+    this.removeAllListeners();
+  }
+
+  /**
+   * 新变换到达：立即通知等待者，并按推送频率节流通知订阅者。
+   * @private
+   */
+  #onChange() {
+    this.emit("change");
+    if (this.notifyTimer === null) {
+      this.notifyTimer = setTimeout(this.notify, 1000 / this.rate);
+    }
+  }
+}
@@ -0,0 +1,9 @@
+/**
+ * @fileOverview
+ * 
+ * TF模块入口点，导出带时间缓存的坐标变换相关类。
+ */
+
+export { TFBuffer } from './TFBuffer.js';
+export { TFListener } from './TFListener.js';
+export { MessageFilter } from './MessageFilter.js';
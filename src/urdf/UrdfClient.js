@@ -1,24 +1,28 @@
 /**
- * @fileOverview UrdfClient - 从ROS参数服务器加载URDF并进行显示。
+ * @fileOverview UrdfClient - 从ROS参数服务器（ROS 1）或 robot_description 主题（ROS 2）加载URDF并进行显示。
  */
 
+import * as THREE from "three";
 import { EventEmitter } from "eventemitter3";
 import * as ROSLIB from 'roslib';
 import { Urdf } from "./Urdf.js";
+import { resolveRosVersion, toRosType } from "../utils/ros.js";
 import { getLogger } from "../utils/Logger.js";
 
 const logger = getLogger("UrdfClient");
 
 /**
  * @class UrdfClient
- * @description 一个URDF客户端，可用于从ROS参数服务器加载URDF及其关联模型到3D对象中。
+ * @description 一个URDF客户端，可用于从ROS参数服务器或 robot_description 主题加载URDF及其关联模型到3D对象中。
  * @extends EventEmitter
  */
 export class UrdfClient extends EventEmitter {
   /**
    * @param {object} options - 配置选项。
    * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros的连接句柄。
-   * @param {string} [options.param='robot_description'] - 加载URDF的参数名称。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
+   * @param {string} [options.param='robot_description'] - 加载URDF的参数名称（ROS 1）。
+   * @param {string} [options.topic='/robot_description'] - 发布URDF的主题名称（ROS 2）。
    * @param {object} options.tfClient - 用于坐标变换的TF客户端。
    * @param {string} [options.path='/'] - 关联模型文件的基础路径。
    * @param {THREE.Object3D} [options.rootObject] - 用于添加此模型的根对象。
@@ -28,7 +32,9 @@ export class UrdfClient extends EventEmitter {
     super();
     const {
       ros,
+      rosVersion,
       param = "robot_description",
+      topic = "/robot_description",
       tfClient,
       path = "/",
       rootObject = new THREE.Object3D(),
@@ -37,7 +43,10 @@ export class UrdfClient extends EventEmitter {
     } = options;
 
     this.ros = ros;
+    this.rosVersion = rosVersion;
     this.paramName = param;
+    this.topicName = topic;
+    this.rosTopic = null;
     this.tfClient = tfClient;
     this.path = path;
     this.rootObject = rootObject;
@@ -47,6 +56,9 @@ export class UrdfClient extends EventEmitter {
     // 优先处理直接传入的 URDF 字符串
     if (urdfString) {
       this.loadFromString(urdfString);
+    } else if (this.ros && resolveRosVersion(this.ros, this.rosVersion) === 2) {
+      // ROS 2 没有全局参数服务器，robot_state_publisher 通过主题发布 URDF
+      this.loadFromTopic();
     } else if (this.ros) {
       // 否则，从 ROS 参数服务器加载
       this.loadFromServer();
@@ -66,6 +78,7 @@ export class UrdfClient extends EventEmitter {
   loadFromString(xml) {
     try {
       const urdfModel = new ROSLIB.UrdfModel({ string: xml });
+      this.#removeUrdf();
       this.urdf = new Urdf({
         urdfModel,
         path: this.path,
@@ -73,10 +86,10 @@ export class UrdfClient extends EventEmitter {
         tfPrefix: this.tfPrefix,
       });
       this.rootObject.add(this.urdf);
-      logger.info("URDF model loaded from string and added to the scene.");
+      logger.info("URDF model loaded and added to the scene.");
       this.emit("change", this.urdf);
     } catch (e) {
-      logger.error("Error parsing URDF XML from string: ", e);
+      logger.error("Error parsing URDF XML: ", e);
     }
   }
 
@@ -98,33 +111,53 @@ export class UrdfClient extends EventEmitter {
         );
         return;
       }
+      this.loadFromString(xml);
+    });
+  }
 
-      try {
-        const urdfModel = new ROSLIB.UrdfModel({ string: xml });
-        this.urdf = new Urdf({
-          urdfModel,
-          path: this.path,
-          tfClient: this.tfClient,
-          tfPrefix: this.tfPrefix,
-        });
-        this.rootObject.add(this.urdf);
-        logger.info("URDF model loaded and added to the scene.");
-        this.emit("change", this.urdf);
-      } catch (e) {
-        logger.error("Error parsing URDF XML: ", e);
+  /**
+   * @private
+   * @method loadFromTopic
+   * @description 订阅 robot_description 主题加载URDF模型，模型更新时会重新加载。
+   */
+  loadFromTopic() {
+    this.rosTopic = new ROSLIB.Topic({
+      ros: this.ros,
+      name: this.topicName,
+      messageType: toRosType("std_msgs/String", 2),
+    });
+    this.rosTopic.subscribe((message) => {
+      if (!message.data) {
+        logger.error(`Received empty URDF on topic '${this.topicName}'`);
+        return;
       }
+      this.loadFromString(message.data);
     });
   }
 
   /**
-   * @method dispose
-   * @description 销毁此客户端并清理所有相关资源。
+   * 从场景中移除并销毁当前的URDF模型。
+   * @private
    */
-  dispose() {
+  #removeUrdf() {
     if (this.urdf) {
       this.rootObject.remove(this.urdf);
       this.urdf.dispose();
       this.urdf = null;
+    }
+  }
+
+  /**
+   * @method dispose
+   * @description 销毁此客户端并清理所有相关资源。
+   */
+  dispose() {
+    if (this.rosTopic) {
+      this.rosTopic.unsubscribe();
+      this.rosTopic = null;
+    }
+    if (this.urdf) {
+      this.#removeUrdf();
       logger.info("URDFClient disposed.");
     }
   }
@@ -0,0 +1,95 @@
+/**
+ * @fileOverview RosClock - 提供当前 ROS 时间（系统时间或 /clock 仿真时间）。
+ */
+
+import * as ROSLIB from 'roslib';
+import { resolveRosVersion, stampToSeconds, toRosType } from "./ros.js";
+import { getLogger } from "./Logger.js";
+
+const logger = getLogger("RosClock");
+
+/**
+ * @class RosClock
+ * @description 当前 ROS 时间的来源，用于把消息时间戳与“现在”比较（例如标记的生命周期）。
+ * 默认使用浏览器的系统时间；`useSimTime: true` 时订阅 `rosgraph_msgs/Clock`，与节点的 `use_sim_time` 一致，
+ * 收到第一条时钟消息前 `now()` 返回 null。
+ */
+export class RosClock {
+  /**
+   * @param {object} [options] - 配置选项。
+   * @param {ROSLIB.Ros} [options.ros] - ROSLIB.Ros的连接句柄，使用仿真时间时必需。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
+   * @param {boolean} [options.useSimTime=false] - 是否使用 /clock 发布的仿真时间。
+   * @param {string} [options.topic='/clock'] - 仿真时钟主题。
+   */
+  constructor(options = {}) {
+    this.ros = options.ros;
+    this.rosVersion = options.rosVersion;
+    this.useSimTime = options.useSimTime || false;
+    this.topicName = options.topic || "/clock";
+    this.simTime = null;
+    this.rosTopic = null;
+
+    this.processMessage = this.processMessage.bind(this);
+    if (this.useSimTime && this.ros) {
+      this.subscribe();
+    }
+  }
+
+  /**
+   * @method now
+   * @description 当前 ROS 时间（秒）。
+   * @returns {number|null} 秒数，使用仿真时间且尚未收到时钟消息时为 null。
+   */
+  now() {
+    return this.useSimTime ? this.simTime : Date.now() / 1000;
+  }
+
+  /**
+   * @method subscribe
+   * @description 订阅仿真时钟主题。
+   */
+  subscribe() {
+    this.unsubscribe();
+    this.rosTopic = new ROSLIB.Topic({
+      ros: this.ros,
+      name: this.topicName,
+      messageType: toRosType(
+        "rosgraph_msgs/Clock",
+        resolveRosVersion(this.ros, this.rosVersion)
+      ),
+      queue_length: 1,
+    });
+    this.rosTopic.subscribe(this.processMessage);
+    logger.info(`Subscribed to clock topic: ${this.topicName}`);
+  }
+
+  /**
+   * @method unsubscribe
+   * @description 取消订阅仿真时钟主题。
+   */
+  unsubscribe() {
+    if (this.rosTopic) {
+      this.rosTopic.unsubscribe(this.processMessage);
+      this.rosTopic = null;
+    }
+  }
+
+  /**
+   * @method dispose
+   * @description 取消订阅。
+   */
+  dispose() {
+    this.unsubscribe();
+  }
+
+  /**
+   * @private
+   * @method processMessage
+   * @description 处理 `rosgraph_msgs/Clock` 消息。
+   * @param {object} message - 时钟消息。
+   */
+  processMessage(message) {
+    this.simTime = stampToSeconds(message.clock);
+  }
+}
@@ -45,3 +45,32 @@ export function decode64(inbytes, outbytes, record_size, pointRatio) {
   }
   return Math.floor(j / record_size);
 }
+
+/**
+ * 将ROS消息中的 `uint8[]` 字段统一转换为 Uint8Array。
+ * rosbridge 在 JSON 传输时使用 base64 字符串，CBOR 传输时使用 TypedArray，回放或测试数据也可能是普通数组。
+ * @function toByteArray
+ * @param {string|ArrayBuffer|ArrayBufferView|Array<number>} data - 原始数据。
+ * @returns {Uint8Array} 字节数组，TypedArray 输入时不复制数据。
+ */
+export function toByteArray(data) {
+  if (typeof data === 'string') {
+    let padding = 0;
+    while (padding < 2 && data.charAt(data.length - 1 - padding) === '=') {
+      padding++;
+    }
+    const bytes = new Uint8Array(Math.floor((data.length * 3) / 4) - padding);
+    decode64(data, bytes);
+    return bytes;
+  }
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  return Uint8Array.from(data || []);
+}
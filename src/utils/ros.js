@@ -3,6 +3,7 @@
  */
 
 import * as THREE from "three";
+import * as ROSLIB from "roslib";
 import { getLogger } from "./Logger.js";
 
 const logger = getLogger("RosUtils");
@@ -64,3 +65,107 @@ export const applyTransform = (pose, transform) => {
     },
   };
 };
+
+/**
+ * @function stampToSeconds
+ * @description 将 ROS 时间戳转换为以秒为单位的数值。同时支持 ROS1 的 `{secs, nsecs}`
+ * 和 ROS2 的 `{sec, nanosec}` 两种字段格式，数值会被原样返回。
+ * @param {object|number} [stamp] - 时间戳。
+ * @returns {number} 秒数，未提供时间戳时返回 0。
+ */
+export const stampToSeconds = (stamp) => {
+  if (typeof stamp === "number") {
+    return stamp;
+  }
+  if (!stamp) {
+    return 0;
+  }
+  const secs = stamp.secs !== undefined ? stamp.secs : stamp.sec || 0;
+  const nsecs = stamp.nsecs !== undefined ? stamp.nsecs : stamp.nanosec || 0;
+  return secs + nsecs * 1e-9;
+};
+
+/**
+ * @function secondsToStamp
+ * @description 将以秒为单位的时间转换为给定 ROS 版本的时间戳字段格式，与 {@link stampToSeconds} 相反。
+ * @param {number} seconds - 秒数。
+ * @param {number} [rosVersion=1] - ROS 版本（1 或 2）。
+ * @returns {object} ROS 1 的 `{secs, nsecs}` 或 ROS 2 的 `{sec, nanosec}`。
+ */
+export const secondsToStamp = (seconds, rosVersion = 1) => {
+  let secs = Math.floor(seconds);
+  let nsecs = Math.round((seconds - secs) * 1e9);
+  if (nsecs >= 1e9) {
+    secs += 1;
+    nsecs -= 1e9;
+  }
+  return rosVersion === 2 ? { sec: secs, nanosec: nsecs } : { secs, nsecs };
+};
+
+/**
+ * @function resolveRosVersion
+ * @description 确定客户端使用的 ROS 版本：优先使用显式指定的版本，其次使用
+ * {@link detectRosVersion} 在连接句柄上记录的版本，默认为 ROS 1。
+ * @param {ROSLIB.Ros} [ros] - ROSLIB.Ros 的连接句柄。
+ * @param {number} [rosVersion] - 显式指定的 ROS 版本（1 或 2）。
+ * @returns {number} ROS 版本。
+ */
+export const resolveRosVersion = (ros, rosVersion) => {
+  return rosVersion || (ros && ros.rosVersion) || 1;
+};
+
+/**
+ * @function toRosType
+ * @description 将接口类型名转换为给定 ROS 版本的格式：ROS 1 使用 `pkg/Type`，
+ * ROS 2 使用 `pkg/msg/Type`（服务为 `pkg/srv/Type`）。
+ * @param {string} type - 类型名，两种格式均可。
+ * @param {number} [rosVersion=1] - ROS 版本（1 或 2）。
+ * @param {string} [kind='msg'] - 接口种类：'msg'、'srv' 或 'action'。
+ * @returns {string} 转换后的类型名。
+ */
+export const toRosType = (type, rosVersion = 1, kind = "msg") => {
+  const parts = type.split("/");
+  if (parts.length < 2) {
+    return type;
+  }
+  const pkg = parts[0];
+  const name = parts[parts.length - 1];
+  return rosVersion === 2 ? `${pkg}/${kind}/${name}` : `${pkg}/${name}`;
+};
+
+/**
+ * @function detectRosVersion
+ * @description 通过 rosapi 的 `get_ros_version` 服务检测 rosbridge 所连接的 ROS 版本，
+ * 并把结果记录到 `ros.rosVersion` 上，之后创建的客户端会自动使用该版本。
+ * 服务不可用或超时时视为 ROS 1。
+ * @param {ROSLIB.Ros} ros - ROSLIB.Ros 的连接句柄。
+ * @param {number} [timeout=2000] - 超时时间（毫秒）。
+ * @returns {Promise<number>} 检测到的 ROS 版本（1 或 2）。
+ */
+export const detectRosVersion = (ros, timeout = 2000) => {
+  return new Promise((resolve) => {
+    let settled = false;
+    const finish = (version) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      ros.rosVersion = version;
+      logger.info(`Detected ROS version: ${version}`);
+      resolve(version);
+    };
+    const timer = setTimeout(() => finish(1), timeout);
+
+    const service = new ROSLIB.Service({
+      ros,
+      name: "/rosapi/get_ros_version",
+      serviceType: "rosapi/GetROSVersion",
+    });
+    service.callService(
+      {},
+      (result) => finish(result.version === 2 ? 2 : 1),
+      () => finish(1)
+    );
+  });
+};
@@ -37,10 +37,23 @@ export class SceneNode extends THREE.Object3D {
    */
   static #createTFUpdateHandler(sceneNodeInstance) {
     return (msg) => {
+      sceneNodeInstance.latestTransform = msg;
+      // 冻结的节点保持已应用的位姿
+      if (sceneNodeInstance.frozen && sceneNodeInstance.tfApplied) {
+        return;
+      }
+      // 绑定了时间戳的节点保持在该时刻的位姿上，TF更新只用于补全迟到的变换或切换固定坐标系
+      const transform = sceneNodeInstance.stamp
+        ? sceneNodeInstance.lookupStampedTransform()
+        : msg;
+      if (!transform) {
+        return;
+      }
+      sceneNodeInstance.tfApplied = true;
       // 始终基于初始位姿应用变换，避免累积误差
       const poseTransformed = applyTransform(
         sceneNodeInstance.initialPose,
-        msg
+        transform
       );
       // 更新实例的位姿
       sceneNodeInstance.updatePose(poseTransformed);
@@ -60,11 +73,16 @@ export class SceneNode extends THREE.Object3D {
         position: { x: 0, y: 0, z: 0 },
         orientation: { x: 0, y: 0, z: 0, w: 1 },
       },
+      stamp = null,
     } = options;
 
     this.tfClient = tfClient;
     this.frameID = frameID;
     this.initialPose = pose; // 保存初始位姿
+    this.stamp = null;
+    this.frozen = false;
+    this.tfApplied = false; // 是否已应用过TF变换
+    this.latestTransform = null; // 最近一次收到的TF变换
 
     this.visible = false; // 在接收到TF更新前不渲染
 
@@ -81,6 +99,10 @@ export class SceneNode extends THREE.Object3D {
     if (tfClient && frameID) {
       tfClient.subscribe(frameID, this.tfUpdateBound);
     }
+
+    if (stamp) {
+      this.setStamp(stamp);
+    }
   }
 
   /**
@@ -88,6 +110,7 @@ export class SceneNode extends THREE.Object3D {
    * @param {Object} options.tfClient - TF客户端句柄
    * @param {string} options.frameID - 此对象所属的帧ID
    * @param {Object} [options.pose] - 与此对象关联的姿态
+   * @param {Object} [options.stamp] - 数据的时间戳，TF客户端支持按时间查询时使用该时刻的变换
    * @param {THREE.Object3D} options.object - 要渲染的 THREE 3D 对象
    */
   constructor(options = {}) {
@@ -109,6 +132,57 @@ export class SceneNode extends THREE.Object3D {
     this.constructor.#updateObjectPose(this, pose);
   }
 
+  /**
+   * 判断TF客户端是否支持按时间戳查询变换（例如 TFListener）。
+   * @returns {boolean} 是否支持。
+   */
+  isTimeAware() {
+    return !!this.tfClient && typeof this.tfClient.lookupTransform === "function";
+  }
+
+  /**
+   * 将节点绑定到数据的时间戳，使其位姿取该时刻而不是最新时刻的变换。
+   * TF客户端不支持按时间查询时，节点仍然跟随最新变换。
+   * @param {Object|number|null} stamp - ROS 时间戳或秒数，null 表示跟随最新变换。
+   */
+  setStamp(stamp) {
+    if (!this.isTimeAware()) {
+      return;
+    }
+    this.stamp = stamp || null;
+    const transform = this.stamp
+      ? this.lookupStampedTransform()
+      : this.tfClient.lookupTransform(this.frameID);
+    if (transform) {
+      this.updatePose(applyTransform(this.initialPose, transform));
+    }
+  }
+
+  /**
+   * 冻结节点的位姿：冻结后不再跟随TF更新，保持冻结时（尚未收到变换时为收到的第一个变换）的位姿。
+   * 用于无法按时间戳查询变换的TF客户端，使数据停留在接收时刻的位置。
+   * 对已冻结的节点再次冻结时，按最近收到的变换重新确定位姿。
+   * @param {boolean} frozen - 是否冻结，false 时立即恢复跟随最新变换。
+   */
+  setFrozen(frozen) {
+    this.frozen = false;
+    if (this.latestTransform) {
+      this.tfUpdateBound(this.latestTransform);
+    }
+    this.frozen = frozen;
+  }
+
+  /**
+   * 查询节点坐标系在绑定时间戳处到固定坐标系的变换。
+   * @returns {Object|null} 变换，不可用时返回 null。
+   */
+  lookupStampedTransform() {
+    if (!this.isTimeAware() || !this.frameID) {
+      return null;
+    }
+    return this.tfClient.lookupTransform(this.frameID, this.stamp || 0);
+  }
+
   /**
    * 取消订阅TF更新。
    */
@@ -7,6 +7,8 @@ import * as ROSLIB from "roslib";
 import { OrbitControls } from "../interaction/OrbitControls";
 import { MouseHandler } from "../interaction/MouseHandler";
 import { Highlighter } from "../interaction/Highlighter";
+import { TFListener } from "../tf/TFListener.js";
+import { resolveRosVersion } from "../utils/ros.js";
 import { getLogger } from "../utils/Logger.js";
 
 const logger = getLogger("Viewer");
@@ -18,12 +20,19 @@ export class Viewer {
   /**
    * @param {Object} options - 包含配置选项的对象
    * @param {ROSLIB.Ros} options.ros - ROSLIB.Ros 的连接句柄。
+   * @param {number} [options.rosVersion] - ROS 版本（1 或 2），默认使用 `ros.rosVersion` 或 1。
+   *   ROS 2 下使用 `ROSLIB.ROS2TFClient` 与 tf2_web_republisher 的动作接口通信。
    * @param {string} [options.fixedFrame='map'] - 视图的固定坐标系。
+   * @param {boolean} [options.useTFBuffer=false] - 是否使用直接订阅 /tf 的 TFListener 代替 tf2_web_republisher，
+   *   以便按消息时间戳查询变换。
+   * @param {number} [options.tfCacheTime=10] - 使用 TFListener 时变换历史的保留时长（秒）。
    */
   constructor(options = {}) {
     logger.info("初始化Viewer组件...");
     logger.debug("Viewer配置选项:", options);
 
+    this.fixedFrame = options.fixedFrame || "map";
+
     // 仅当用户提供了ros句柄时才设置TF客户端
     if (options.ros) {
       this.#setupTFClient(options);
@@ -38,8 +47,10 @@ export class Viewer {
     this.#setupSceneAndLights(options);
     this.#setupCameraAndControls(options);
     this.#setupInteractions(options);
+    this.#setupOverlay(options);
     this.#attachToDOM(options);
 
+    this.renderPasses = [];
     this.stopped = true;
     this.animationRequestId = undefined;
 
@@ -47,8 +58,30 @@ export class Viewer {
     logger.info("Viewer初始化完成");
   }
 
-  #setupTFClient({ ros, fixedFrame = "map", tf_rate = 10 }) {
-    this.tfClient = new ROSLIB.TFClient({
+  #setupTFClient({
+    ros,
+    rosVersion,
+    fixedFrame = "map",
+    tf_rate = 10,
+    useTFBuffer = false,
+    tfCacheTime = 10,
+  }) {
+    if (useTFBuffer) {
+      this.tfClient = new TFListener({
+        ros,
+        rosVersion,
+        fixedFrame,
+        cacheTime: tfCacheTime,
+        rate: tf_rate,
+      });
+      logger.info(`TFListener 已创建，Fixed Frame: ${fixedFrame}`);
+      return;
+    }
+    const TFClientClass =
+      resolveRosVersion(ros, rosVersion) === 2
+        ? ROSLIB.ROS2TFClient
+        : ROSLIB.TFClient;
+    this.tfClient = new TFClientClass({
       ros,
       fixedFrame,
       angularThres: 0.01,
@@ -124,6 +157,13 @@ export class Viewer {
     logger.debug("鼠标交互和高亮处理器初始化完成");
   }
 
+  #setupOverlay({ width, height }) {
+    // 屏幕空间叠加层：以画布左上角为原点、单位为像素，y 轴向下为负
+    this.overlayScene = new THREE.Scene();
+    this.overlayCamera = new THREE.OrthographicCamera(0, width, 0, -height, -1, 1);
+    logger.debug("屏幕叠加层初始化完成");
+  }
+
   #attachToDOM({ elem, divID }) {
     const node = elem || document.getElementById(divID);
     if (node) {
@@ -168,6 +208,14 @@ export class Viewer {
     this.renderer.clear(true, true, true);
     this.renderer.render(this.scene, this.camera);
     this.highlighter.renderHighlights(this.scene, this.renderer, this.camera);
+    this.renderPasses.forEach((pass) =>
+      pass.render(this.scene, this.renderer, this.camera)
+    );
+
+    if (this.overlayScene.children.length > 0) {
+      this.renderer.clearDepth();
+      this.renderer.render(this.overlayScene, this.overlayCamera);
+    }
   }
 
   /**
@@ -237,6 +285,43 @@ export class Viewer {
     this.selectableObjects.remove(object);
   }
 
+  /**
+   * 将给定的 THREE Object3D 添加到屏幕叠加层，叠加层在3D场景之后绘制且不参与深度测试。
+   * 叠加层坐标以画布左上角为原点、单位为像素，向右为 +x，向下为 -y。
+   * @param {THREE.Object3D} object - 要添加的 THREE Object3D
+   */
+  addOverlay(object) {
+    logger.debug("添加对象到屏幕叠加层:", object);
+    this.overlayScene.add(object);
+  }
+
+  /**
+   * 从屏幕叠加层中移除给定的 THREE Object3D。
+   * @param {THREE.Object3D} object - 要移除的 THREE Object3D
+   */
+  removeOverlay(object) {
+    logger.debug("从屏幕叠加层中移除对象:", object);
+    this.overlayScene.remove(object);
+  }
+
+  /**
+   * 添加在常规场景和高亮之后执行的渲染通道（例如 ImageProjector）。
+   * @param {{render: function(THREE.Scene, THREE.WebGLRenderer, THREE.Camera)}} pass - 渲染通道
+   */
+  addRenderPass(pass) {
+    if (!this.renderPasses.includes(pass)) {
+      this.renderPasses.push(pass);
+    }
+  }
+
+  /**
+   * 移除渲染通道。
+   * @param {object} pass - 要移除的渲染通道
+   */
+  removeRenderPass(pass) {
+    this.renderPasses = this.renderPasses.filter((item) => item !== pass);
+  }
+
   /**
    * 调整 3D 查看器大小
    * @param {number} width - 新的宽度值
@@ -246,6 +331,9 @@ export class Viewer {
     logger.debug("调整查看器大小，新尺寸:", width, "x", height);
     this.camera.aspect = width / height;
     this.camera.updateProjectionMatrix();
+    this.overlayCamera.right = width;
+    this.overlayCamera.bottom = -height;
+    this.overlayCamera.updateProjectionMatrix();
     this.renderer.setSize(width, height);
     logger.debug("查看器大小调整完成");
   }
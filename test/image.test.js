@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import * as ROS3D from '../src/index.js';
+
+const image = (encoding, width, height, data, extra = {}) => ({
+  header: { frame_id: 'camera_optical_frame', stamp: { secs: 1, nsecs: 0 } },
+  width,
+  height,
+  encoding,
+  is_bigendian: 0,
+  step: data.length / height,
+  data,
+  ...extra,
+});
+
+describe('ROS3D.js 图像测试', () => {
+  it('decodeImage 应该处理 bgr8 和 mono8 以及行填充', () => {
+    const bgr = ROS3D.decodeImage(image('bgr8', 1, 1, new Uint8Array([1, 2, 3])));
+    expect([...bgr.data]).toEqual([3, 2, 1, 255]);
+
+    // step 大于 width，行末带有填充字节
+    const mono = ROS3D.decodeImage(
+      image('mono8', 2, 2, new Uint8Array([10, 20, 0, 30, 40, 0]), { step: 3 })
+    );
+    expect([...mono.data].filter((_, i) => i % 4 === 0)).toEqual([10, 20, 30, 40]);
+  });
+
+  it('decodeImage 应该归一化 32FC1 和大端 mono16 图像', () => {
+    const depth = new Float32Array([1, 3, NaN, 2]);
+    const decoded = ROS3D.decodeImage(image('32FC1', 2, 2, new Uint8Array(depth.buffer)));
+    expect(decoded.data[0]).toBe(0);
+    expect(decoded.data[4]).toBe(255);
+    expect(decoded.data[11]).toBe(0); // NaN 透明
+    expect(decoded.data[12]).toBe(128);
+
+    const mono16 = ROS3D.decodeImage(
+      image('mono16', 2, 1, new Uint8Array([0x01, 0x00, 0x02, 0x00]), { is_bigendian: 1 }),
+      { min: 0, max: 512 }
+    );
+    expect(mono16.data[0]).toBe(128);
+    expect(mono16.data[4]).toBe(255);
+    expect(ROS3D.decodeImage(image('yuv422', 1, 1, new Uint8Array(2)))).toBe(null);
+  });
+
+  it('ImageClient 应该把图像显示为坐标系上的纹理平面并复用纹理', () => {
+    const rootObject = new THREE.Object3D();
+    const client = new ROS3D.ImageClient({ rootObject, width: 2 });
+    // base64 编码的 rgb8 数据
+    client.processMessage(image('rgb8', 2, 1, 'AQIDBAUG'));
+
+    expect(client.sceneNode.frameID).toBe('camera_optical_frame');
+    expect(client.mesh.scale.y).toBeCloseTo(1);
+    const texture = client.texture;
+    expect([...texture.image.data.slice(0, 4)]).toEqual([1, 2, 3, 255]);
+
+    client.processMessage(image('rgb8', 2, 1, new Uint8Array([9, 9, 9, 9, 9, 9])));
+    expect(client.texture).toBe(texture);
+    expect(texture.image.data[0]).toBe(9);
+
+    client.dispose();
+    expect(rootObject.children.length).toBe(0);
+  });
+});
+
+describe('ROS3D.js 相机视锥测试', () => {
+  const cameraInfo = {
+    header: { frame_id: 'camera_optical_frame', stamp: { sec: 1, nanosec: 0 } },
+    width: 640,
+    height: 480,
+    // ROS 2 小写字段，P 为空时使用 K
+    k: [320, 0, 320, 0, 320, 240, 0, 0, 1],
+    p: new Array(12).fill(0),
+  };
+
+  it('CameraInfo 应该按内参和远平面绘制视锥', () => {
+    const rootObject = new THREE.Object3D();
+    const display = new ROS3D.CameraInfo({ rootObject, near: 0.1, far: 2 });
+    display.processMessage(cameraInfo);
+
+    expect(display.sceneNode.frameID).toBe('camera_optical_frame');
+    const position = display.geometry.getAttribute('position');
+    // 第 6 个顶点为远平面左上角
+    expect(position.getX(5)).toBeCloseTo(-2);
+    expect(position.getY(5)).toBeCloseTo(-1.5);
+    expect(position.getZ(5)).toBeCloseTo(2);
+
+    display.setRange(0.1, 1);
+    expect(position.getX(5)).toBeCloseTo(-1);
+    display.dispose();
+    expect(rootObject.children.length).toBe(0);
+  });
+
+  it('ImageProjector 应该把光学坐标系中的点映射到纹理坐标', () => {
+    const frame = new THREE.Object3D();
+    frame.position.set(1, 0, 0);
+    const projector = new ROS3D.ImageProjector();
+    projector.setCameraInfo(ROS3D.cameraIntrinsics(cameraInfo));
+    projector.setFrame(frame);
+
+    const center = projector.project(new THREE.Vector3(1, 0, 2));
+    expect(center.x).toBeCloseTo(0.5);
+    expect(center.y).toBeCloseTo(0.5);
+    const corner = projector.project(new THREE.Vector3(2, 0.75, 1));
+    expect(corner.x).toBeCloseTo(1);
+    expect(corner.y).toBeCloseTo(1);
+    expect(projector.project(new THREE.Vector3(1, 0, -1))).toBe(null);
+  });
+});
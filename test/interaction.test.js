@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as THREE from 'three';
+import * as ROSLIB from 'roslib';
+import * as ROS3D from '../src/index.js';
+
+// 90 度视场的相机位于地平面上方 10 米处向下看，画布中心对应原点，画布边缘对应 ±10 米
+const setup = (Tool, options = {}) => {
+  const camera = new THREE.PerspectiveCamera(90, 1, 0.1, 100);
+  camera.position.set(0, 0, 10);
+  const domElement = document.createElement('canvas');
+  domElement.width = 100;
+  domElement.height = 100;
+  const scene = new THREE.Scene();
+  const tool = new Tool({ camera, domElement, scene, ...options });
+  const orbit = vi.fn();
+  domElement.addEventListener('mousedown', orbit);
+  const mouse = (type, x, y, button = 0) =>
+    domElement.dispatchEvent(new MouseEvent(type, { clientX: x, clientY: y, button, bubbles: true }));
+  return { tool, scene, orbit, mouse };
+};
+
+describe('ROS3D.js 导航工具测试', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('GoalTool 应该在地平面上拖动确定朝向并发布 PoseStamped', () => {
+    const { tool, scene, orbit, mouse } = setup(ROS3D.GoalTool, { fixedFrame: 'odom' });
+    expect(tool.topicName).toBe('/move_base_simple/goal');
+    const onPublish = vi.fn();
+    tool.on('publish', onPublish);
+
+    // 未激活时不接管鼠标
+    mouse('mousedown', 50, 50);
+    expect(orbit).toHaveBeenCalledTimes(1);
+    mouse('mouseup', 50, 50);
+
+    tool.activate();
+    mouse('mousedown', 75, 50);
+    expect(orbit).toHaveBeenCalledTimes(1);
+    expect(scene.children).toContain(tool.arrow);
+    expect(tool.arrow.position.x).toBeCloseTo(5);
+    mouse('mousemove', 75, 25);
+    mouse('mouseup', 75, 25);
+
+    const { message } = onPublish.mock.calls[0][0];
+    expect(message.header.frame_id).toBe('odom');
+    expect(message.header.stamp.secs).toBeGreaterThan(0);
+    expect(message.pose.position.x).toBeCloseTo(5);
+    expect(message.pose.position.y).toBeCloseTo(0);
+    expect(message.pose.orientation.z).toBeCloseTo(Math.SQRT1_2);
+    expect(message.pose.orientation.w).toBeCloseTo(Math.SQRT1_2);
+
+    // 发布后自动停用并移除预览箭头
+    expect(tool.active).toBe(false);
+    expect(scene.children).not.toContain(tool.arrow);
+    tool.dispose();
+  });
+
+  it('PoseEstimateTool 应该向 /initialpose 发布带协方差的位姿', () => {
+    const publish = vi.spyOn(ROSLIB.Topic.prototype, 'publish').mockImplementation(() => {});
+    const ros = new ROSLIB.Ros();
+    ros.rosVersion = 2;
+    const { tool, mouse } = setup(ROS3D.PoseEstimateTool, { ros });
+    tool.activate();
+    mouse('mousedown', 50, 50);
+    mouse('mouseup', 50, 50);
+
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect(tool.rosTopic.name).toBe('/initialpose');
+    expect(tool.rosTopic.messageType).toBe('geometry_msgs/msg/PoseWithCovarianceStamped');
+    const message = publish.mock.calls[0][0];
+    expect(message.header.frame_id).toBe('map');
+    expect(message.header.stamp).toHaveProperty('nanosec');
+    expect(message.pose.pose.orientation.w).toBe(1);
+    expect(message.pose.covariance[0]).toBe(0.25);
+    expect(message.pose.covariance[35]).toBeCloseTo(0.0685389);
+    tool.dispose();
+  });
+
+  it('拖动时按下其他鼠标键应该取消发布', () => {
+    const { tool, scene, mouse } = setup(ROS3D.GoalTool);
+    const onPublish = vi.fn();
+    tool.on('publish', onPublish);
+    tool.activate();
+    mouse('mousedown', 50, 50);
+    mouse('mousedown', 50, 50, 2);
+    mouse('mouseup', 60, 50);
+    expect(onPublish).not.toHaveBeenCalled();
+    expect(scene.children).not.toContain(tool.arrow);
+    expect(tool.active).toBe(true);
+    tool.dispose();
+  });
+
+  it('PublishPointTool 应该发布鼠标下可见表面上的点', () => {
+    const { tool, scene, mouse } = setup(ROS3D.PublishPointTool, { oneShot: false });
+    const box = new THREE.Mesh(new THREE.BoxBufferGeometry(2, 2, 2), new THREE.MeshBasicMaterial());
+    box.position.set(5, 0, 0);
+    scene.add(box);
+    const onPublish = vi.fn();
+    tool.on('publish', onPublish);
+    tool.activate();
+
+    mouse('mousedown', 75, 50);
+    mouse('mouseup', 75, 50);
+    expect(onPublish.mock.calls[0][0].topic).toBe('/clicked_point');
+    const { point } = onPublish.mock.calls[0][0].message;
+    expect(point.x).toBeCloseTo(4.5);
+    expect(point.z).toBeCloseTo(1);
+
+    // 隐藏的对象不参与拾取，落在地平面上
+    box.visible = false;
+    mouse('mousedown', 75, 50);
+    mouse('mouseup', 75, 50);
+    expect(onPublish.mock.calls[1][0].message.point.z).toBeCloseTo(0);
+
+    // 拖动不发布
+    mouse('mousedown', 50, 50);
+    mouse('mouseup', 70, 50);
+    expect(onPublish).toHaveBeenCalledTimes(2);
+    tool.dispose();
+  });
+});
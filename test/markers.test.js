@@ -0,0 +1,608 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import * as THREE from 'three';
+import * as ROSLIB from 'roslib';
+import * as ROS3D from '../src/index.js';
+
+const markerMessage = ({ ns = 'planner', id = 0, action = 0, type = ROS3D.MARKER_CUBE, ...rest } = {}) => ({
+  header: { frame_id: 'map', stamp: { secs: 0, nsecs: 0 } },
+  ns,
+  id,
+  type,
+  action,
+  pose: { position: { x: id, y: 0, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } },
+  scale: { x: 1, y: 1, z: 1 },
+  color: { r: 1, g: 0, b: 0, a: 1 },
+  lifetime: { secs: 0, nsecs: 0 },
+  frame_locked: false,
+  points: [],
+  colors: [],
+  text: '',
+  ...rest,
+});
+
+const createArrayClient = (options = {}) =>
+  new ROS3D.MarkerArrayClient({
+    ros: new ROSLIB.Ros(),
+    topic: '/markers',
+    rootObject: new THREE.Object3D(),
+    ...options,
+  });
+
+const markerOf = (client, key) => client.markers[key].children[0];
+
+describe('ROS3D.js 标记命名空间测试', () => {
+  it('应该列出命名空间并在清单变化时派发事件', () => {
+    const client = createArrayClient();
+    const onNamespaces = vi.fn();
+    client.on('namespaces', onNamespaces);
+
+    client.processMessage({
+      markers: [markerMessage({ ns: 'path', id: 2 }), markerMessage({ ns: 'path', id: 1 }), markerMessage({ ns: 'goal' })],
+    });
+    expect(onNamespaces).toHaveBeenCalledTimes(1);
+    expect(client.getNamespaces()).toEqual([
+      { ns: 'goal', ids: [0], visible: true, opacity: 1 },
+      { ns: 'path', ids: [1, 2], visible: true, opacity: 1 },
+    ]);
+
+    // 重新发布相同的标记不改变清单
+    client.processMessage({ markers: [markerMessage({ ns: 'path', id: 2, color: { r: 0, g: 1, b: 0, a: 1 } })] });
+    expect(onNamespaces).toHaveBeenCalledTimes(1);
+
+    client.processMessage({ markers: [markerMessage({ ns: 'path', id: 1, action: 2 })] });
+    expect(onNamespaces).toHaveBeenCalledTimes(2);
+    expect(onNamespaces.mock.calls[1][0][1].ids).toEqual([2]);
+    client.dispose();
+  });
+
+  it('命名空间的显示设置应该在 DELETEALL 和重新发布后保留', () => {
+    const client = createArrayClient();
+    client.processMessage({ markers: [markerMessage({ ns: 'path' }), markerMessage({ ns: 'goal' })] });
+
+    client.setNamespaceVisible('path', false);
+    client.setNamespaceOpacity('goal', 0.5);
+    expect(markerOf(client, 'path/0').visible).toBe(false);
+    const material = markerOf(client, 'goal/0').children[0].material;
+    expect(material.opacity).toBeCloseTo(0.5);
+    expect(material.transparent).toBe(true);
+
+    client.processMessage({ markers: [markerMessage({ action: 3 })] });
+    expect(client.getNamespaces()).toEqual([]);
+
+    client.processMessage({ markers: [markerMessage({ ns: 'path' }), markerMessage({ ns: 'goal' })] });
+    expect(markerOf(client, 'path/0').visible).toBe(false);
+    expect(markerOf(client, 'goal/0').children[0].material.opacity).toBeCloseTo(0.5);
+
+    // 颜色变化重建材质后仍沿用不透明度比例
+    client.processMessage({ markers: [markerMessage({ ns: 'goal', color: { r: 0, g: 0, b: 1, a: 1 } })] });
+    expect(markerOf(client, 'goal/0').children[0].material.opacity).toBeCloseTo(0.5);
+
+    client.setNamespaceOpacity('goal', 1);
+    expect(markerOf(client, 'goal/0').children[0].material.opacity).toBe(1);
+    expect(client.getNamespaces()[1]).toEqual({ ns: 'path', ids: [0], visible: false, opacity: 1 });
+    client.dispose();
+  });
+});
+
+// 与 ROSLIB.TFClient 一样只推送最新变换的TF客户端（不支持按时间查询），订阅时立即推送已有的变换
+const createTfClient = () => ({
+  callbacks: new Set(),
+  transform: null,
+  subscribe(frameID, callback) {
+    this.callbacks.add(callback);
+    if (this.transform) {
+      callback(this.transform);
+    }
+  },
+  unsubscribe(frameID, callback) {
+    this.callbacks.delete(callback);
+  },
+  push(x) {
+    this.transform = { translation: { x, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } };
+    this.callbacks.forEach((callback) => callback(this.transform));
+  },
+});
+
+const worldX = (client, key) => markerOf(client, key).getWorldPosition(new THREE.Vector3()).x;
+
+describe('ROS3D.js 标记生命周期与坐标系锁定测试', () => {
+  it('生命周期应该从 header.stamp 开始计算', () => {
+    let now = 101;
+    const client = createArrayClient({ clock: () => now });
+    const onChange = vi.fn();
+    client.on('change', onChange);
+    client.processMessage({
+      markers: [
+        markerMessage({ id: 1, header: { frame_id: 'map', stamp: { secs: 100, nsecs: 0 } }, lifetime: { secs: 2, nsecs: 0 } }),
+        // 时间戳为 0 时从接收时刻开始计算
+        markerMessage({ id: 2, lifetime: { secs: 2, nsecs: 0 } }),
+        markerMessage({ id: 3 }),
+      ],
+    });
+
+    now = 102.5;
+    client.lifetimes.check();
+    expect(Object.keys(client.markers)).toEqual(['planner/2', 'planner/3']);
+    expect(client.getNamespaces()[0].ids).toEqual([2, 3]);
+    expect(onChange).toHaveBeenCalledTimes(2);
+
+    now = 103;
+    client.lifetimes.check();
+    expect(Object.keys(client.markers)).toEqual(['planner/3']);
+    expect(client.lifetimes.timer).toBe(null);
+    client.dispose();
+  });
+
+  it('MarkerClient 应该按仿真时间移除过期标记，并保留 lifetime 选项作为默认生命周期', () => {
+    const clock = new ROS3D.RosClock({ useSimTime: true });
+    const client = new ROS3D.MarkerClient({
+      ros: new ROSLIB.Ros(),
+      topic: '/marker',
+      rootObject: new THREE.Object3D(),
+      clock,
+      lifetime: 1000,
+    });
+    const stamp = { secs: 50, nsecs: 0 };
+    client.processMessage(markerMessage({ id: 1, header: { frame_id: 'map', stamp }, lifetime: { secs: 5, nsecs: 0 } }));
+
+    // 收到时钟消息前不判断过期
+    client.lifetimes.check();
+    expect(client.markers['planner/1']).toBeDefined();
+
+    clock.processMessage({ clock: { secs: 54, nsecs: 0 } });
+    client.processMessage(markerMessage({ id: 2 }));
+    client.lifetimes.check();
+    expect(Object.keys(client.markers)).toEqual(['planner/1', 'planner/2']);
+
+    clock.processMessage({ clock: { secs: 55, nsecs: 0 } });
+    client.lifetimes.check();
+    expect(Object.keys(client.markers)).toEqual([]);
+    client.dispose();
+  });
+
+  it('未锁定坐标系的标记应该停留在接收时刻的位姿，frame_locked 的标记跟随TF', () => {
+    const tfClient = createTfClient();
+    const client = createArrayClient({ tfClient });
+    tfClient.push(0);
+    client.processMessage({
+      markers: [markerMessage({ id: 1 }), markerMessage({ id: 2, frame_locked: true })],
+    });
+    tfClient.push(5);
+    tfClient.push(10);
+
+    // 位姿只由标记自身应用一次
+    expect(worldX(client, 'planner/1')).toBeCloseTo(1);
+    expect(worldX(client, 'planner/2')).toBeCloseTo(12);
+
+    // 更新后停留在新的接收时刻
+    client.processMessage({ markers: [markerMessage({ id: 1 })] });
+    tfClient.push(20);
+    expect(worldX(client, 'planner/1')).toBeCloseTo(11);
+    client.dispose();
+    expect(tfClient.callbacks.size).toBe(0);
+  });
+
+  it('支持按时间查询的TF客户端应该使用标记时间戳时刻的变换', () => {
+    const tfClient = new ROS3D.TFListener({ fixedFrame: 'odom' });
+    const odom = (secs, x) => ({
+      header: { frame_id: 'odom', stamp: { secs, nsecs: 0 } },
+      child_frame_id: 'base_link',
+      transform: { translation: { x, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } },
+    });
+    tfClient.processMessage({ transforms: [odom(10, 0), odom(12, 2)] });
+
+    const client = createArrayClient({ tfClient });
+    const header = { frame_id: 'base_link', stamp: { secs: 11, nsecs: 0 } };
+    client.processMessage({
+      markers: [
+        markerMessage({ id: 0, header }),
+        markerMessage({ id: 1, header, frame_locked: true }),
+      ],
+    });
+    expect(worldX(client, 'planner/0')).toBeCloseTo(1);
+    expect(worldX(client, 'planner/1')).toBeCloseTo(3);
+
+    // 坐标系变化时重建场景节点
+    client.processMessage({ markers: [markerMessage({ id: 0, header: { ...header, frame_id: 'odom' } })] });
+    expect(client.markers['planner/0'].frameID).toBe('odom');
+    client.dispose();
+    tfClient.dispose();
+  });
+});
+
+describe('ROS3D.js 标记实例化与合并测试', () => {
+  const points = (n) => Array.from({ length: n }, (_, i) => ({ x: i, y: 0, z: 0 }));
+  const translationX = (mesh, instance) => mesh.instanceMatrix.array[instance * 16 + 12];
+
+  it('CUBE_LIST 应该原地更新实例并按需扩容', () => {
+    const message = markerMessage({
+      type: ROS3D.MARKER_CUBE_LIST,
+      points: points(2),
+      colors: [{ r: 0, g: 1, b: 0, a: 1 }, { r: 0, g: 0, b: 1, a: 1 }],
+      scale: { x: 0.5, y: 0.5, z: 0.5 },
+    });
+    const marker = new ROS3D.Marker({ message });
+    const mesh = marker.children[0];
+    const { material } = mesh;
+    expect(mesh.count).toBe(2);
+    expect(Array.from(mesh.geometry.getAttribute('color').array.slice(0, 6))).toEqual([0, 1, 0, 0, 0, 1]);
+
+    // 扩容只替换实例属性，几何体的其余缓冲区保留在GPU上
+    const previous = mesh.instanceMatrix;
+    const onDispose = vi.fn();
+    mesh.geometry.addEventListener('dispose', onDispose);
+    const attributes = Object.keys(mesh.geometry.attributes);
+    expect(marker.update({ ...message, points: points(3), colors: [], color: { r: 1, g: 1, b: 0, a: 1 } })).toBe(true);
+    expect(onDispose).not.toHaveBeenCalled();
+    expect(mesh.instanceMatrix).not.toBe(previous);
+    expect(Object.keys(mesh.geometry.attributes)).toEqual(attributes);
+    expect(marker.children[0]).toBe(mesh);
+    expect(mesh.material).toBe(material);
+    expect(mesh.count).toBe(3);
+    expect(mesh.instanceMatrix.count).toBeGreaterThanOrEqual(3);
+    expect(translationX(mesh, 2)).toBe(2);
+    expect(mesh.instanceMatrix.array[0]).toBeCloseTo(0.5);
+    expect(Array.from(mesh.geometry.getAttribute('color').array.slice(6, 9))).toEqual([1, 1, 0]);
+
+    // 缩小时复用缓冲区
+    const buffer = mesh.instanceMatrix;
+    marker.update({ ...message, points: points(1) });
+    expect(mesh.instanceMatrix).toBe(buffer);
+    expect(mesh.count).toBe(1);
+    marker.dispose();
+  });
+
+  it('颜色变化应该原地更新材质，POINTS 的点数变化应该复用对象', () => {
+    const cube = new ROS3D.Marker({ message: markerMessage() });
+    const { material } = cube.children[0];
+    cube.update(markerMessage({ color: { r: 0, g: 0, b: 1, a: 1 } }));
+    expect(cube.children[0].material).toBe(material);
+    expect(material.color.b).toBe(1);
+    // 不透明与透明之间切换时重建
+    expect(cube.update(markerMessage({ color: { r: 0, g: 0, b: 1, a: 0.5 } }))).toBe(false);
+
+    const message = markerMessage({ type: ROS3D.MARKER_POINTS, points: points(2), scale: { x: 0.1, y: 0.1, z: 0 } });
+    const marker = new ROS3D.Marker({ message });
+    const object = marker.children[0];
+    expect(marker.update({ ...message, points: points(5), color: { r: 0, g: 1, b: 0, a: 1 } })).toBe(true);
+    expect(marker.children[0]).toBe(object);
+    expect(object.geometry.getAttribute('position').getX(4)).toBe(4);
+    expect(object.geometry.drawRange.count).toBe(5);
+    expect(object.material.uniforms.diffuse.value.g).toBe(1);
+
+    // 不透明度原地更新
+    expect(marker.update({ ...message, points: points(5), color: { r: 0, g: 1, b: 0, a: 0.4 } })).toBe(true);
+    expect(object.material.uniforms.opacity.value).toBeCloseTo(0.4);
+    expect(object.material.transparent).toBe(true);
+
+    const line = new ROS3D.Marker({ message: { ...message, type: ROS3D.MARKER_LINE_STRIP, color: { r: 1, g: 0, b: 0, a: 0.5 } } });
+    const { material: lineMaterial } = line.children[0];
+    expect(lineMaterial.opacity).toBeCloseTo(0.5);
+    expect(lineMaterial.transparent).toBe(true);
+    expect(line.update({ ...message, type: ROS3D.MARKER_LINE_STRIP, color: { r: 0, g: 0, b: 1, a: 1 } })).toBe(true);
+    expect(line.children[0].material).toBe(lineMaterial);
+    expect(lineMaterial.color.b).toBe(1);
+    expect(lineMaterial.opacity).toBe(1);
+    expect(lineMaterial.transparent).toBe(false);
+  });
+
+  it('实例化样式的 POINTS 扩容时应该换用新的几何体并释放旧几何体', () => {
+    const message = markerMessage({ type: ROS3D.MARKER_POINTS, points: points(2), scale: { x: 0.1, y: 0.1, z: 0 } });
+    const marker = new ROS3D.Marker({ message, pointStyle: 'spheres' });
+    const object = marker.children[0];
+    const { geometry } = object;
+    const onDispose = vi.fn();
+    geometry.addEventListener('dispose', onDispose);
+
+    expect(marker.update({ ...message, points: points(3) })).toBe(true);
+    expect(marker.children[0]).toBe(object);
+    expect(object.geometry).not.toBe(geometry);
+    expect(onDispose).toHaveBeenCalledTimes(1);
+    // 基础形状沿用，点坐标扩容
+    expect(object.geometry.isInstancedBufferGeometry).toBe(true);
+    expect(object.geometry.index).toBe(geometry.index);
+    expect(object.geometry.getAttribute('shape')).toBe(geometry.getAttribute('shape'));
+    expect(object.geometry.getAttribute('position').count).toBe(3);
+    expect(object.geometry.instanceCount).toBe(3);
+
+    // 容量足够时原地更新
+    const grown = object.geometry;
+    expect(marker.update({ ...message, points: points(1) })).toBe(true);
+    expect(object.geometry).toBe(grown);
+    expect(object.geometry.instanceCount).toBe(1);
+    marker.dispose();
+  });
+
+  it('MESH_RESOURCE 的颜色变化应该原地更新加载模型使用的材质', () => {
+    const message = markerMessage({ type: ROS3D.MARKER_MESH_RESOURCE, mesh_resource: 'package://robot/part.txt' });
+    const marker = new ROS3D.Marker({ message });
+    const resource = marker.children[0];
+    const { material } = resource;
+    expect(material.color.r).toBe(1);
+
+    expect(marker.update({ ...message, color: { r: 0, g: 1, b: 0, a: 1 } })).toBe(true);
+    expect(resource.material).toBe(material);
+    expect(material.color.g).toBe(1);
+    // 透明度跨越阈值，或改用模型自带材质时重建
+    expect(marker.update({ ...message, color: { r: 0, g: 1, b: 0, a: 0.5 } })).toBe(false);
+    expect(marker.update({ ...message, color: { r: 0, g: 0, b: 0, a: 0 } })).toBe(false);
+  });
+
+  it('batch 选项应该把不透明度相同的立方体与球体标记合并为共享的绘制调用', () => {
+    const tfClient = createTfClient();
+    tfClient.push(10);
+    const client = createArrayClient({ tfClient, batch: true });
+    client.processMessage({
+      markers: [
+        markerMessage({ id: 1 }),
+        markerMessage({ id: 2, color: { r: 0, g: 1, b: 0, a: 1 } }),
+        markerMessage({ id: 3, type: ROS3D.MARKER_CUBE_LIST, points: points(3) }),
+        markerMessage({ ns: 'ghost', id: 4, color: { r: 1, g: 0, b: 0, a: 0.5 } }),
+        markerMessage({ ns: 'balls', id: 5, type: ROS3D.MARKER_SPHERE }),
+      ],
+    });
+    client.rootObject.updateMatrixWorld();
+
+    const [cubes, ghosts, balls] = client.batcher.getBatches();
+    expect(cubes.count).toBe(5);
+    expect(ghosts.count).toBe(1);
+    expect(balls.count).toBe(1);
+    expect(Array.from({ length: 5 }, (_, i) => translationX(cubes, i))).toEqual([11, 12, 13, 14, 15]);
+    expect(cubes.geometry.getAttribute('color').array[4]).toBe(1);
+    expect(cubes.memberAt(3).parent.message.id).toBe(3);
+
+    // 隐藏命名空间、淡化与TF更新只改写批次
+    client.setNamespaceVisible('balls', false);
+    client.setNamespaceOpacity('planner', 0.5);
+    client.rootObject.updateMatrixWorld();
+    expect(balls.count).toBe(0);
+    expect(cubes.count).toBe(0);
+    expect(ghosts.count).toBe(6);
+
+    client.setNamespaceOpacity('planner', 1);
+    client.processMessage({ markers: [markerMessage({ id: 1, action: 2 })] });
+    client.processMessage({ markers: [markerMessage({ id: 2, frame_locked: true })] });
+    tfClient.push(20);
+    client.rootObject.updateMatrixWorld();
+    expect(cubes.count).toBe(4);
+    expect(Array.from({ length: 4 }, (_, i) => translationX(cubes, i))).toEqual([22, 13, 14, 15]);
+
+    client.dispose();
+    expect(client.rootObject.children).toEqual([]);
+  });
+});
+
+describe('ROS3D.js 标记选择测试', () => {
+  // 90 度视场的相机位于地平面上方 10 米处向下看，画布中心对应原点，画布边缘对应 ±10 米
+  const setupViewer = (options = {}) => {
+    const camera = new THREE.PerspectiveCamera(90, 1, 0.1, 100);
+    camera.position.set(0, 0, 10);
+    camera.updateMatrixWorld();
+    const domElement = document.createElement('canvas');
+    Object.defineProperty(domElement, 'clientWidth', { value: 100 });
+    Object.defineProperty(domElement, 'clientHeight', { value: 100 });
+    const selectableObjects = new THREE.Group();
+    const mouseHandler = new ROS3D.MouseHandler({
+      renderer: { domElement },
+      camera,
+      rootObject: selectableObjects,
+      fallbackTarget: new THREE.EventDispatcher(),
+    });
+    const highlighter = new ROS3D.Highlighter({ mouseHandler });
+    const tfClient = createTfClient();
+    tfClient.push(0);
+    const client = createArrayClient({ tfClient, rootObject: selectableObjects, selectable: true, ...options });
+    const mouse = (type, x, y) => {
+      selectableObjects.updateMatrixWorld();
+      domElement.dispatchEvent(new MouseEvent(type, { clientX: x, clientY: y, bubbles: true }));
+    };
+    return { client, highlighter, mouse, mouseHandler };
+  };
+  const hovered = (highlighter) => Object.values(highlighter.hoverObjs).map((object) => object.message.id);
+
+  it('悬停与单击应该派发带有标记信息的事件并高亮标记', () => {
+    const { client, highlighter, mouse, mouseHandler } = setupViewer();
+    client.processMessage({
+      markers: [
+        markerMessage({ id: 0, text: 'origin' }),
+        markerMessage({ id: 5, type: ROS3D.MARKER_SPHERE }),
+        markerMessage({ ns: 'hidden', id: -5 }),
+      ],
+    });
+    client.setNamespaceVisible('hidden', false);
+    const onOver = vi.fn();
+    const onOut = vi.fn();
+    const onClick = vi.fn();
+    client.on('mouseover', onOver);
+    client.on('mouseout', onOut);
+    client.on('click', onClick);
+
+    mouse('mousemove', 50, 50);
+    const info = onOver.mock.calls[0][0];
+    expect(info).toMatchObject({ ns: 'planner', id: 0, type: ROS3D.MARKER_CUBE, text: 'origin', frameID: 'map' });
+    expect(info.pose.position.x).toBe(0);
+    expect(info.point.z).toBeCloseTo(0.5);
+    expect(hovered(highlighter)).toEqual([0]);
+
+    // 从一个标记移到另一个标记
+    mouse('mousemove', 75, 50);
+    expect(onOut.mock.calls[0][0].id).toBe(0);
+    expect(onOver.mock.calls[1][0].id).toBe(5);
+    expect(hovered(highlighter)).toEqual([5]);
+
+    mouse('mousedown', 75, 50);
+    mouse('mouseup', 75, 50);
+    mouse('click', 75, 50);
+    expect(onClick).toHaveBeenCalledTimes(1);
+    expect(onClick.mock.calls[0][0].type).toBe(ROS3D.MARKER_SPHERE);
+
+    // 从标记上开始的拖动不是单击
+    mouse('mousedown', 75, 50);
+    mouse('mousemove', 90, 50);
+    mouse('click', 90, 50);
+    expect(onClick).toHaveBeenCalledTimes(1);
+
+    // 移到空白处与隐藏的标记上都结束悬停
+    mouse('mousemove', 25, 50);
+    expect(onOut.mock.calls[1][0].id).toBe(5);
+    expect(hovered(highlighter)).toEqual([]);
+    expect(onOver).toHaveBeenCalledTimes(2);
+    client.dispose();
+    mouseHandler.dispose();
+  });
+
+  it('合并绘制的标记应该可以逐个选择并只高亮自身', () => {
+    const { client, highlighter, mouse, mouseHandler } = setupViewer({ batch: true });
+    client.processMessage({
+      markers: [
+        markerMessage({ id: 0 }),
+        markerMessage({
+          id: 5,
+          type: ROS3D.MARKER_CUBE_LIST,
+          pose: { position: { x: 0, y: 0, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } },
+          points: [{ x: 3, y: 0, z: 0 }, { x: 5, y: 0, z: 0 }],
+        }),
+      ],
+    });
+    const onOver = vi.fn();
+    const onClick = vi.fn();
+    client.on('mouseover', onOver);
+    client.on('click', onClick);
+
+    mouse('mousemove', 50, 50);
+    mouse('mousemove', 75, 50);
+    expect(onOver.mock.calls.map(([info]) => info.id)).toEqual([0, 5]);
+    expect(onOver.mock.calls[1][0].index).toBe(1);
+    expect(hovered(highlighter)).toEqual([5]);
+
+    const [marker] = Object.values(highlighter.hoverObjs);
+    const { highlight } = marker.children[0];
+    expect(highlight.count).toBe(2);
+    expect(highlight.visible).toBe(false);
+    expect(highlight.geometry).toBe(client.batcher.getBatches()[0].geometry);
+
+    mouse('click', 65, 50);
+    expect(onClick.mock.calls[0][0]).toMatchObject({ id: 5, index: 0 });
+    client.dispose();
+    mouseHandler.dispose();
+  });
+});
+
+describe('ROS3D.js 文本标签测试', () => {
+  // jsdom 不提供 Canvas 绘图，用按字符数排版、把每行文本绘制为实心矩形的上下文代替
+  const CHAR_WIDTH = 24;
+  const CAP_HEIGHT = 34;
+  const context = {
+    canvas: null,
+    lines: [],
+    measureText: (text) => ({ width: [...text].length * CHAR_WIDTH, actualBoundingBoxAscent: CAP_HEIGHT }),
+    clearRect() {
+      this.lines = [];
+    },
+    fillText(text, x, y) {
+      this.lines.push({ text, x, y });
+    },
+    getImageData(left, top, width, height) {
+      const data = new Uint8ClampedArray(width * height * 4);
+      this.lines.forEach(({ text, x, y }) => {
+        const half = ([...text].length * CHAR_WIDTH) / 2;
+        for (let row = Math.round(y - CAP_HEIGHT / 2); row < y + CAP_HEIGHT / 2; row++) {
+          for (let col = Math.round(x - half); col < x + half; col++) {
+            data[(row * width + col) * 4 + 3] = 255;
+          }
+        }
+      });
+      return { data };
+    },
+  };
+  beforeAll(() => {
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function getContext() {
+      context.canvas = this;
+      return context;
+    });
+  });
+  afterAll(() => {
+    vi.restoreAllMocks();
+  });
+
+  const textMarker = (rest = {}) =>
+    markerMessage({ type: ROS3D.MARKER_TEXT_VIEW_FACING, text: '会议室', scale: { x: 0, y: 0, z: 0.5 }, ...rest });
+
+  it('距离场在字形内部大于边缘值，并随离开字形的距离减小', () => {
+    const size = 21;
+    const alpha = new Uint8Array(size * size);
+    for (let y = 7; y < 14; y++) {
+      for (let x = 7; x < 14; x++) {
+        alpha[y * size + x] = 255;
+      }
+    }
+    const sdf = ROS3D.computeSDF(alpha, size, size, 10, 0.25);
+    const edge = 255 * 0.75;
+    const row = Array.from(sdf.subarray(10 * size, 11 * size));
+    expect(row[10]).toBeGreaterThan(edge);
+    expect(row[13]).toBeGreaterThan(edge);
+    expect(row[14]).toBeLessThan(edge);
+    for (let x = 14; x < size - 1; x++) {
+      expect(row[x + 1]).toBeLessThan(row[x]);
+    }
+    expect(sdf[0]).toBe(0);
+  });
+
+  it('TEXT_VIEW_FACING 标记应该以 scale.z 为文本高度绘制多行 SDF 文本', () => {
+    const marker = new ROS3D.Marker({
+      message: textMarker({ text: '会议室 A\nroom 101' }),
+      textStyle: { outlineColor: 0x000000, backgroundColor: 0x202020 },
+    });
+    const label = marker.children[0];
+    expect(label).toBeInstanceOf(ROS3D.TextLabel);
+    expect(context.lines.map((line) => line.text)).toEqual(['会议室 A', 'room 101']);
+
+    const { uniforms } = label.material;
+    const texture = uniforms.map.value;
+    expect(texture.image.width).toBe(label.layout.width);
+    // 尺寸按大写字母高度换算为米：0.5 米对应距离场中的 CAP_HEIGHT 像素
+    expect(uniforms.size.value.y).toBeCloseTo((texture.image.height * 0.5) / CAP_HEIGHT);
+    expect(uniforms.size.value.x).toBeCloseTo((texture.image.width * 0.5) / CAP_HEIGHT);
+    expect(uniforms.outlineEdge.value).toBeLessThan(uniforms.edge.value);
+    expect(uniforms.background.value.w).toBeCloseTo(0.6);
+    expect(label.material.defines.SCREEN_SIZE).toBeUndefined();
+
+    // 文本、颜色与尺寸原地更新
+    expect(marker.update(textMarker({ text: '走廊', scale: { x: 0, y: 0, z: 1 }, color: { r: 0, g: 1, b: 0, a: 0.5 } }))).toBe(true);
+    expect(marker.children[0]).toBe(label);
+    expect(label.text).toBe('走廊');
+    expect(texture.image.data).not.toBe(uniforms.map.value.image.data);
+    expect(uniforms.size.value.y).toBeCloseTo((uniforms.map.value.image.height * 1) / CAP_HEIGHT);
+    expect(uniforms.color.value.g).toBe(1);
+    expect(label.material.opacity).toBe(0.5);
+    marker.dispose();
+  });
+
+  it('pixelHeight 应该在屏幕上保持固定大小，并可以用射线拾取', () => {
+    const label = new ROS3D.TextLabel({ text: 'A', pixelHeight: 20 });
+    expect(label.material.defines.SCREEN_SIZE).toBeDefined();
+    const camera = new THREE.PerspectiveCamera(90, 1, 0.1, 100);
+    camera.position.set(0, 0, 10);
+    camera.updateMatrixWorld();
+    label.updateMatrixWorld();
+    // 渲染时记录视口：200 像素高的画布
+    label.onBeforeRender({
+      getDrawingBufferSize: (target) => target.set(200, 200),
+      getPixelRatio: () => 1,
+    });
+    // 距离 10 米、视场角 90° 时每像素 0.1 米
+    const size = label.getWorldSize(camera);
+    expect(size.y).toBeCloseTo((label.layout.height * 20 * 0.1) / CAP_HEIGHT);
+
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
+    expect(raycaster.intersectObject(label)).toHaveLength(1);
+    raycaster.setFromCamera(new THREE.Vector2(0.9, 0), camera);
+    expect(raycaster.intersectObject(label)).toHaveLength(0);
+
+    label.setPixelHeight(null);
+    expect(label.material.defines.SCREEN_SIZE).toBeUndefined();
+    expect(label.getWorldSize(camera).y).toBeCloseTo((label.layout.height * 0.3) / CAP_HEIGHT);
+    label.dispose();
+  });
+});
@@ -0,0 +1,699 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+import * as ROSLIB from 'roslib';
+import * as ROS3D from '../src/index.js';
+
+const mapMessage = ({ width = 4, height = 3, x = 0, value = 0 } = {}) => ({
+  header: { frame_id: 'map' },
+  info: {
+    width,
+    height,
+    resolution: 0.5,
+    origin: { position: { x, y: 0, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } },
+  },
+  data: new Array(width * height).fill(value),
+});
+
+// 按纹理中保存的占据值读取地图单元 (col, row) 在调色板中的 RGBA 颜色
+const cellColor = (grid, col, row) => grid.getColor(grid.getValue(col, row));
+
+const UNKNOWN = [0x70, 0x89, 0x86, 255];
+
+describe('ROS3D.js 占据栅格测试', () => {
+  it('OccupancyGrid 纹理的行应该与地图的行一致', () => {
+    const message = mapMessage();
+    message.data[1 * 4 + 2] = 100;
+    message.data[2 * 4 + 0] = -1;
+    const grid = new ROS3D.OccupancyGrid({ message });
+    expect(cellColor(grid, 2, 1)).toEqual([0, 0, 0, 255]);
+    expect(cellColor(grid, 0, 2)).toEqual(UNKNOWN);
+    expect(cellColor(grid, 0, 0)).toEqual([255, 255, 255, 255]);
+    expect(grid.position.x).toBeCloseTo(1);
+    grid.dispose();
+  });
+
+  it('applyUpdate 应该原地修改矩形区域并只上传该区域', () => {
+    const grid = new ROS3D.OccupancyGrid({ message: mapMessage() });
+    const [tile] = grid.tiles;
+    const version = tile.texture.version;
+    expect(grid.applyUpdate({ x: 1, y: 1, width: 2, height: 1, data: [100, -1] })).toBe(true);
+    expect(cellColor(grid, 1, 1)).toEqual([0, 0, 0, 255]);
+    expect(cellColor(grid, 2, 1)).toEqual(UNKNOWN);
+    expect(tile.texture.version).toBe(version);
+
+    const copies = [];
+    const renderer = {
+      copyTextureToTexture: (position, source, target) =>
+        copies.push({ x: position.x, y: position.y, source, target }),
+    };
+    grid.onBeforeRender(renderer);
+    expect(copies.length).toBe(1);
+    expect(copies[0]).toMatchObject({ x: 1, y: 1, target: tile.texture });
+    expect([...copies[0].source.image.data]).toEqual([100, 255]);
+    grid.onBeforeRender(renderer);
+    expect(copies.length).toBe(1);
+
+    // 超出地图范围的更新被拒绝
+    expect(grid.applyUpdate({ x: 3, y: 0, width: 2, height: 1, data: [0, 0] })).toBe(false);
+    grid.dispose();
+  });
+
+  it('配色方案应该只替换调色板而不修改栅格数据', () => {
+    const message = mapMessage();
+    message.data.splice(0, 5, 0, 50, 99, 100, -1);
+    const grid = new ROS3D.OccupancyGrid({ message, colorScheme: 'costmap' });
+    expect(cellColor(grid, 0, 0)).toEqual([0, 0, 0, 0]);
+    expect(cellColor(grid, 1, 0)).toEqual([127, 0, 128, 255]);
+    expect(cellColor(grid, 2, 0)).toEqual([0, 255, 255, 255]);
+    expect(cellColor(grid, 3, 0)).toEqual([255, 0, 255, 255]);
+    expect(cellColor(grid, 0, 1)).toEqual(UNKNOWN);
+
+    const data = [...grid.tiles[0].imageData];
+    const version = grid.paletteTexture.version;
+    grid.setColorScheme('map');
+    expect(grid.paletteTexture.version).toBe(version + 1);
+    expect([...grid.tiles[0].imageData]).toEqual(data);
+    expect(cellColor(grid, 0, 0)).toEqual([255, 255, 255, 255]);
+    expect(cellColor(grid, 1, 0)).toEqual([128, 128, 128, 255]);
+    expect(cellColor(grid, 3, 0)).toEqual([0, 0, 0, 255]);
+    expect(grid.getColor(101)).toEqual([0, 255, 0, 255]);
+
+    grid.setColorScheme('raw');
+    expect(cellColor(grid, 3, 0)).toEqual([100, 100, 100, 255]);
+    expect(cellColor(grid, 0, 1)).toEqual([255, 255, 255, 255]);
+    expect(grid.getValue(0, 1)).toBe(-1);
+
+    // 自定义查找表：函数或按补码下标排列的 RGBA 数组
+    grid.setColorScheme((value) => (value < 0 ? [0, 0, 255, 255] : [value, 0, 0, 255]));
+    expect(cellColor(grid, 1, 0)).toEqual([50, 0, 0, 255]);
+    expect(cellColor(grid, 0, 1)).toEqual([0, 0, 255, 255]);
+    const lut = new Uint8Array(1024).fill(7);
+    grid.setColorScheme(lut);
+    expect(cellColor(grid, 2, 0)).toEqual([7, 7, 7, 7]);
+    expect(ROS3D.GRID_COLOR_SCHEMES).toEqual(['map', 'costmap', 'raw']);
+    grid.dispose();
+  });
+
+  it('旧版 color 与 unknownColor 选项应该覆盖调色板中占据与未知的颜色', () => {
+    const message = mapMessage();
+    message.data.splice(0, 3, 100, -1, 50);
+    const client = new ROS3D.OccupancyGridClient({
+      ros: new ROSLIB.Ros(),
+      rootObject: new THREE.Object3D(),
+      color: { r: 255, g: 0, b: 0 },
+      unknownColor: { r: 0, g: 0, b: 64 },
+    });
+    client.processMessage(message);
+    const grid = client.currentGrid;
+    expect(cellColor(grid, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(cellColor(grid, 1, 0)).toEqual([0, 0, 64, 255]);
+    expect(cellColor(grid, 2, 0)).toEqual([128, 128, 128, 255]);
+
+    // 切换配色方案后仍然生效
+    grid.setColorScheme('costmap');
+    expect(cellColor(grid, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(cellColor(grid, 1, 0)).toEqual([0, 0, 64, 255]);
+    expect(cellColor(grid, 2, 0)).toEqual([127, 0, 128, 255]);
+    client.dispose();
+  });
+
+  it('大地图应该切分为分块并逐块渐进构建', async () => {
+    const message = mapMessage({ width: 5, height: 3 });
+    message.data = Int8Array.from(message.data.map((value, i) => (i % 5) * 10));
+    const grid = new ROS3D.OccupancyGrid({ message, tileSize: 2 });
+    expect(grid.tiles.map((tile) => [tile.x, tile.y, tile.width, tile.height])).toEqual([
+      [0, 0, 2, 2], [2, 0, 2, 2], [4, 0, 1, 2],
+      [0, 2, 2, 1], [2, 2, 2, 1], [4, 2, 1, 1],
+    ]);
+    expect(grid.tiles.every((tile) => !tile.built && !tile.mesh.visible)).toBe(true);
+    // 分块中心相对地图中心放置，栅格自身不绘制
+    expect(grid.getTileMeshes()).toEqual(grid.children);
+    expect(grid.tiles[5].mesh.position.toArray()).toEqual([2, 1, 0]);
+    expect(grid.material.visible).toBe(false);
+    expect(grid.texture).toBeNull();
+
+    // 局部更新只构建并修改相交的分块
+    expect(grid.applyUpdate({ x: 3, y: 1, width: 2, height: 1, data: [100, -1] })).toBe(true);
+    expect(grid.tiles.map((tile) => tile.built)).toEqual([false, true, true, false, false, false]);
+    expect(grid.tiles[1].dirtyRects).toEqual([{ x: 1, y: 1, width: 1, height: 1 }]);
+
+    await grid.ready;
+    expect(grid.tiles.every((tile) => tile.built && tile.mesh.visible)).toBe(true);
+    expect(grid.getValue(3, 1)).toBe(100);
+    expect(grid.getValue(4, 1)).toBe(-1);
+    expect(grid.getValue(4, 2)).toBe(40);
+    expect(grid.getValue(1, 2)).toBe(10);
+    grid.dispose();
+
+    // 关闭渐进构建时同步写入
+    const sync = new ROS3D.OccupancyGrid({ message, tileSize: 2, progressive: false });
+    expect(sync.tiles.every((tile) => tile.built)).toBe(true);
+    expect(sync.getValue(4, 2)).toBe(40);
+    sync.dispose();
+  });
+
+  it('OccupancyGridClient 应该原地应用更新并在尺寸变化时重建栅格', () => {
+    const client = new ROS3D.OccupancyGridClient({
+      ros: new ROSLIB.Ros(),
+      continuous: true,
+      rootObject: new THREE.Object3D(),
+    });
+    expect(client.updatesTopic.name).toBe('/map_updates');
+
+    client.processUpdate({ x: 0, y: 0, width: 1, height: 1, data: [100] });
+    expect(client.currentGrid).toBeNull();
+
+    client.processMessage(mapMessage());
+    const grid = client.currentGrid;
+    // 未指定 tileSize 时栅格本身就是显示整张地图的网格
+    expect(grid.isMesh).toBe(true);
+    expect(grid.children).toEqual([]);
+    expect(grid.getTileMeshes()).toEqual([grid]);
+    expect(grid.geometry.parameters).toMatchObject({ width: 4, height: 3 });
+    expect(grid.material.visible).toBe(true);
+    expect(grid.material.uniforms.map.value).toBe(grid.texture);
+    expect(grid.texture.image).toMatchObject({ width: 4, height: 3 });
+    client.processUpdate({ x: 0, y: 0, width: 1, height: 1, data: [100] });
+    expect(cellColor(grid, 0, 0)).toEqual([0, 0, 0, 255]);
+
+    // 同尺寸的新地图原地更新并移动到新原点
+    client.processMessage(mapMessage({ x: 2 }));
+    expect(client.currentGrid).toBe(grid);
+    expect(cellColor(grid, 0, 0)).toEqual([255, 255, 255, 255]);
+    expect(grid.position.x).toBeCloseTo(3);
+
+    // 尺寸变化时重建
+    client.setColorScheme('costmap');
+    expect(cellColor(grid, 1, 0)).toEqual([0, 0, 0, 0]);
+    client.processMessage(mapMessage({ width: 6 }));
+    expect(client.currentGrid).not.toBe(grid);
+    expect(client.currentGrid.colorScheme).toBe('costmap');
+    expect(client.rootObject.children).toEqual([client.currentGrid]);
+    client.dispose();
+    expect(client.updatesTopic).toBeNull();
+  });
+});
+
+describe('ROS3D.js 栅格单元测试', () => {
+  it('GridCells 应该复用实例缓冲区并只在超出容量时扩容', () => {
+    const client = new ROS3D.GridCells({ rootObject: new THREE.Object3D(), offset: 0.1, alpha: 0.5 });
+    const cells = (n) => Array.from({ length: n }, (_, i) => ({ x: i, y: 2 * i, z: 0 }));
+    const message = (n, frame = 'map') => ({
+      header: { frame_id: frame },
+      cell_width: 0.05,
+      cell_height: 0.1,
+      cells: cells(n),
+    });
+
+    client.processMessage(message(3));
+    const { mesh } = client;
+    const attribute = mesh.geometry.getAttribute('cell');
+    expect(client.capacity).toBe(3);
+    expect(mesh.geometry.instanceCount).toBe(3);
+    expect([...attribute.array.slice(6, 9)]).toEqual([2, 4, 0]);
+    expect(mesh.material.uniforms.cellSize.value.toArray()).toEqual([0.05, 0.1]);
+    expect(mesh.material.uniforms.offset.value).toBe(0.1);
+    expect(mesh.material.transparent).toBe(true);
+    expect(client.sn.frameID).toBe('map');
+    expect(client.rootObject.children).toEqual([client.sn]);
+
+    // 单元数不超过容量时原地更新
+    client.processMessage(message(2));
+    expect(mesh.geometry.getAttribute('cell')).toBe(attribute);
+    expect(mesh.geometry.instanceCount).toBe(2);
+
+    client.processMessage(message(4));
+    expect(client.capacity).toBe(6);
+    expect(mesh.geometry.getAttribute('cell')).not.toBe(attribute);
+
+    client.processMessage(message(0));
+    expect(mesh.visible).toBe(false);
+
+    // 坐标系变化时更换场景节点，网格保持不变
+    const node = client.sn;
+    client.processMessage(message(1, 'odom'));
+    expect(client.sn).not.toBe(node);
+    expect(client.sn.children).toEqual([mesh]);
+    expect(client.rootObject.children).toEqual([client.sn]);
+
+    client.setAlpha(1);
+    expect(mesh.material.transparent).toBe(false);
+    client.setColor(0xff0000);
+    expect(mesh.material.uniforms.diffuse.value.getHex()).toBe(0xff0000);
+    client.dispose();
+    expect(client.rootObject.children).toEqual([]);
+  });
+});
+
+describe('ROS3D.js 协方差测试', () => {
+  // 6x6 协方差，只设置给定下标的元素
+  const covariance = (entries) => {
+    const values = new Array(36).fill(0);
+    Object.entries(entries).forEach(([index, value]) => {
+      values[index] = value;
+    });
+    return values;
+  };
+  const identityPose = { position: { x: 1, y: 2, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } };
+
+  it('symmetricEigen3 应该返回右手系的特征向量', () => {
+    const matrix = [
+      [2, 1, 0],
+      [1, 2, 0],
+      [0, 0, 5],
+    ];
+    const { values, vectors } = ROS3D.symmetricEigen3(matrix);
+    values.forEach((value, i) => {
+      const v = vectors[i];
+      const product = matrix.map((row) => row[0] * v.x + row[1] * v.y + row[2] * v.z);
+      expect(product[0]).toBeCloseTo(value * v.x);
+      expect(product[1]).toBeCloseTo(value * v.y);
+      expect(product[2]).toBeCloseTo(value * v.z);
+    });
+    expect([...values].sort()).toEqual([1, 3, 5].map((value) => expect.closeTo(value)));
+    expect(vectors[0].clone().cross(vectors[1]).dot(vectors[2])).toBeCloseTo(1);
+  });
+
+  it('Covariance 应该按特征分解绘制椭球并按姿态方差缩放锥体', () => {
+    const visual = new ROS3D.Covariance({ sigma: 2 });
+    expect(visual.visible).toBe(false);
+    // x、y 方向相关，特征值为 0.01 与 0.09，特征向量沿对角线
+    visual.update(identityPose, covariance({ 0: 0.05, 1: 0.04, 6: 0.04, 7: 0.05, 14: 0.0004, 35: 0.01, 28: 0.04 }));
+    expect(visual.visible).toBe(true);
+    const ellipsoid = visual.position3D;
+    expect(ellipsoid.position.toArray()).toEqual([1, 2, 0]);
+    const scales = ellipsoid.scale.toArray().sort();
+    expect(scales[0]).toBeCloseTo(0.04);
+    expect(scales[1]).toBeCloseTo(0.2);
+    expect(scales[2]).toBeCloseTo(0.6);
+    // 最长轴沿 (1, 1, 0) 方向
+    const longest = ellipsoid.scale.toArray().indexOf(Math.max(...ellipsoid.scale.toArray()));
+    const axis = new THREE.Vector3().setComponent(longest, 1).applyQuaternion(ellipsoid.quaternion);
+    expect(Math.abs(axis.x)).toBeCloseTo(Math.SQRT1_2);
+    expect(Math.abs(axis.y)).toBeCloseTo(Math.SQRT1_2);
+
+    // X 轴锥体由 yaw（0.1 rad）和 pitch（0.2 rad）的 2 倍标准差决定
+    const [xCone, yCone] = visual.cones;
+    expect(xCone.scale.y).toBeCloseTo(Math.tan(0.2));
+    expect(xCone.scale.z).toBeCloseTo(Math.tan(0.4));
+    expect(yCone.scale.z).toBeCloseTo(1e-4);
+    visual.dispose();
+  });
+
+  it('2D 模式应该绘制 yaw 扇形', () => {
+    const visual = new ROS3D.Covariance({ orientationMode: '2d' });
+    expect(visual.cones).toEqual([]);
+    visual.update(identityPose, covariance({ 0: 1, 7: 1, 35: 0.25 }));
+    const positions = visual.disc.geometry.getAttribute('position').array;
+    // 第一个弧点位于 -0.5 rad
+    expect(positions[3]).toBeCloseTo(Math.cos(-0.5));
+    expect(positions[4]).toBeCloseTo(Math.sin(-0.5));
+    visual.dispose();
+  });
+
+  it('PoseWithCovariance、Odometry 与 PoseArray 应该显示协方差', () => {
+    const withCovariance = new ROS3D.PoseWithCovariance({ rootObject: new THREE.Object3D() });
+    withCovariance.processMessage({
+      header: { frame_id: 'map' },
+      pose: { pose: identityPose, covariance: covariance({ 0: 0.25, 7: 0.25, 35: 0.07 }) },
+    });
+    const [, visual] = withCovariance.sn.children;
+    expect(visual).toBeInstanceOf(ROS3D.Covariance);
+    expect(visual.position3D.scale.x).toBeCloseTo(0.5);
+    withCovariance.dispose();
+
+    const odometry = new ROS3D.Odometry({ rootObject: new THREE.Object3D(), covariance: false });
+    odometry.processMessage({
+      header: { frame_id: 'odom' },
+      pose: { pose: identityPose, covariance: covariance({ 0: 1 }) },
+    });
+    expect(odometry.sceneNodes[0].children.some((child) => child instanceof ROS3D.Covariance)).toBe(false);
+    odometry.dispose();
+
+    // 粒子云的样本协方差：两个粒子在 x 方向相距 2 米，朝向为 ±0.2 rad
+    const particles = new ROS3D.PoseArray({ rootObject: new THREE.Object3D(), covariance: true });
+    const particle = (x, yaw) => ({
+      position: { x, y: 0, z: 0 },
+      orientation: { x: 0, y: 0, z: Math.sin(yaw / 2), w: Math.cos(yaw / 2) },
+    });
+    particles.processMessage({ header: { frame_id: 'map' }, poses: [particle(0, 0.2), particle(2, -0.2)] });
+    const cloud = particles.sn.children.find((child) => child instanceof ROS3D.Covariance);
+    expect(cloud.position3D.position.x).toBeCloseTo(1);
+    expect(Math.max(...cloud.position3D.scale.toArray())).toBeCloseTo(1);
+    expect(cloud.orientation3D.quaternion.w).toBeCloseTo(1);
+    expect(cloud.cones[0].scale.y).toBeCloseTo(Math.tan(0.2));
+    particles.dispose();
+  });
+});
+
+// 从根节点沿子节点 7、0、0…… 到达深度 15 的节点，其最小角位于原点，叶子为边长等于分辨率的体素
+const binaryOcTree = (leafPair) => {
+  const bytes = [0x00, 0xc0];
+  for (let depth = 1; depth < 15; depth++) {
+    bytes.push(0x03, 0x00);
+  }
+  return [...bytes, ...leafPair];
+};
+
+const fullOcTree = (leafValues) => {
+  const view = new DataView(new ArrayBuffer((16 + leafValues.length) * 5));
+  let offset = 0;
+  const node = (value, mask) => {
+    view.setFloat32(offset, value, true);
+    view.setUint8(offset + 4, mask);
+    offset += 5;
+  };
+  node(0, 0x80);
+  for (let depth = 1; depth < 15; depth++) {
+    node(0, 0x01);
+  }
+  node(0, (1 << leafValues.length) - 1);
+  leafValues.forEach((value) => node(value, 0));
+  return new Int8Array(view.buffer);
+};
+
+describe('ROS3D.js 八叉树测试', () => {
+  it('parseBinaryOcTree 应该按 2 位编码解析空闲与占据叶子', () => {
+    // 子节点 0 占据（10）、子节点 1 空闲（01），JSON 中的字节可能为负数
+    const data = binaryOcTree([0x06, 0x00]).map((byte) => (byte > 127 ? byte - 256 : byte));
+    const leaves = ROS3D.parseBinaryOcTree(data, { resolution: 0.1 });
+    expect(leaves).toHaveLength(2);
+    expect(leaves[0]).toMatchObject({ depth: 16, occupied: true });
+    expect(leaves[0].size).toBeCloseTo(0.1);
+    expect(leaves[0].x).toBeCloseTo(0.05);
+    expect(leaves[0].z).toBeCloseTo(0.05);
+    expect(leaves[1].occupied).toBe(false);
+    expect(leaves[1].x).toBeCloseTo(0.15);
+
+    // 较浅的叶子边长更大：根节点的子节点 1 为占据叶子
+    const [shallow] = ROS3D.parseBinaryOcTree([0x08, 0x00], { resolution: 0.1 });
+    expect(shallow.depth).toBe(1);
+    expect(shallow.size).toBeCloseTo(3276.8);
+    expect(shallow.x).toBeCloseTo(1638.4);
+    expect(shallow.y).toBeCloseTo(-1638.4);
+  });
+
+  it('parseFullOcTree 应该按对数几率阈值区分占据叶子', () => {
+    const leaves = ROS3D.parseFullOcTree(fullOcTree([2, -2, 0.1]), { resolution: 0.05 });
+    expect(leaves.map((leaf) => leaf.occupied)).toEqual([true, false, true]);
+    expect(leaves[2].y).toBeCloseTo(0.075);
+    expect(leaves[2].nodeData).toBeCloseTo(0.1);
+  });
+
+  it('OcTree 应该按 voxelRenderMode 显示占据与空闲体素', () => {
+    const message = { binary: true, id: 'OcTree', resolution: 0.1, data: binaryOcTree([0x16, 0x00]) };
+    const both = new ROS3D.OcTree({ message, voxelRenderMode: 'both' });
+    expect(both.instancedMesh.count).toBe(1);
+    expect(both.freeMesh.count).toBe(2);
+    both.dispose();
+
+    const occupiedOnly = new ROS3D.OcTree({ message });
+    expect(occupiedOnly.freeMesh).toBeNull();
+
+    // 完整格式的占据阈值为概率
+    const full = { binary: false, id: 'OcTree', resolution: 0.1, data: fullOcTree([2, 0.1]) };
+    expect(new ROS3D.OcTree({ message: full }).instancedMesh.count).toBe(2);
+    expect(new ROS3D.OcTree({ message: full, occupancyThreshold: 0.7 }).instancedMesh.count).toBe(1);
+  });
+
+  it('OcTreeClient 应该显示 octomap_binary 消息', () => {
+    const client = new ROS3D.OcTreeClient({ rootObject: new THREE.Object3D(), voxelRenderMode: 'both' });
+    client.processMessage({
+      header: { frame_id: 'map' },
+      binary: true,
+      id: 'ColorOcTree',
+      resolution: 0.1,
+      data: new Int8Array(binaryOcTree([0x06, 0x00])),
+    });
+    const octree = client.sceneNode.children.find((child) => child instanceof ROS3D.OcTree);
+    expect(octree.instancedMesh.count).toBe(1);
+    expect(octree.freeMesh.count).toBe(1);
+    client.dispose();
+  });
+});
+
+describe('ROS3D.js 八叉树着色与层级测试', () => {
+  const colorAt = (mesh, i) => mesh.geometry.getAttribute('color').array.slice(i * 3, i * 3 + 3);
+
+  it('解析时应该把超过最大深度的子树合并为一个叶子', () => {
+    // 深度 15 的节点含一个占据和一个空闲叶子，合并后为占据
+    const binary = ROS3D.parseBinaryOcTree(binaryOcTree([0x06, 0x00]), { resolution: 0.1, maxDepth: 15 });
+    expect(binary).toHaveLength(1);
+    expect(binary[0]).toMatchObject({ depth: 15, occupied: true });
+    expect(binary[0].size).toBeCloseTo(0.2);
+    expect(binary[0].x).toBeCloseTo(0.1);
+
+    // 只含空闲叶子的子树合并为空闲
+    const free = ROS3D.parseBinaryOcTree(binaryOcTree([0x05, 0x00]), { resolution: 0.1, maxDepth: 12 });
+    expect(free).toHaveLength(1);
+    expect(free[0]).toMatchObject({ depth: 12, occupied: false });
+
+    // 完整格式使用内部节点自身的值
+    const full = ROS3D.parseFullOcTree(fullOcTree([2, -2]), { resolution: 0.1, maxDepth: 14 });
+    expect(full).toHaveLength(1);
+    expect(full[0]).toMatchObject({ depth: 14, occupied: true, occupancy: 0 });
+  });
+
+  it('OcTree 应该按高度和占据概率着色', () => {
+    const message = { binary: false, id: 'OcTree', resolution: 0.1, data: fullOcTree([0, 4]) };
+    const flat = new ROS3D.OcTree({ message });
+    expect(flat.instancedMesh.geometry.getAttribute('color')).toBeUndefined();
+
+    // 两个叶子只在 x 方向不同，按高度着色时使用颜色表的起点
+    const height = new ROS3D.OcTree({ message, colorMode: 'height', colorMap: ['#000000', '#ffffff'] });
+    expect(height.instancedMesh.material.vertexColors).toBe(true);
+    expect(Array.from(colorAt(height.instancedMesh, 1))).toEqual([0, 0, 0]);
+
+    const probability = new ROS3D.OcTree({ message, colorMode: 'probability', colorMap: 'grayscale' });
+    expect(colorAt(probability.instancedMesh, 0)[0]).toBeCloseTo(0.5, 1);
+    expect(colorAt(probability.instancedMesh, 1)[0]).toBeCloseTo(0.98, 1);
+  });
+
+  it('ColorOcTree 应该默认使用节点颜色', () => {
+    const view = new DataView(new ArrayBuffer(17 * 8));
+    let offset = 0;
+    const node = (mask, r = 0) => {
+      view.setFloat32(offset, 1, true);
+      view.setUint8(offset + 4, r);
+      view.setUint8(offset + 7, mask);
+      offset += 8;
+    };
+    node(0x80);
+    for (let depth = 1; depth < 16; depth++) {
+      node(0x01);
+    }
+    node(0, 255);
+    const octree = new ROS3D.ColorOcTree({
+      message: { binary: false, id: 'ColorOcTree', resolution: 0.1, data: new Uint8Array(view.buffer) },
+    });
+    expect(Array.from(colorAt(octree.instancedMesh, 0))).toEqual([1, 0, 0]);
+  });
+
+  it('setMaxDepth 应该缓存各层级并切换显示的网格', () => {
+    const message = { binary: true, id: 'OcTree', resolution: 0.1, data: binaryOcTree([0x06, 0x00]) };
+    const octree = new ROS3D.OcTree({ message, voxelRenderMode: 'both', freeOpacity: 0.3 });
+    const fine = octree.instancedMesh;
+    expect(octree.freeMesh.material.transparent).toBe(true);
+    expect(octree.freeMesh.material.depthWrite).toBe(false);
+
+    octree.setMaxDepth(10);
+    expect(octree.children).toEqual([octree.instancedMesh]);
+    expect(octree.freeMesh).toBeNull();
+    octree.setMaxDepth(16);
+    expect(octree.instancedMesh).toBe(fine);
+    expect(octree.children).toHaveLength(2);
+    octree.dispose();
+    expect(octree.children).toHaveLength(0);
+  });
+
+  it('OcTreeClient 应该在相机移动时临时降低最大深度', () => {
+    vi.useFakeTimers();
+    const cameraControls = new THREE.EventDispatcher();
+    const client = new ROS3D.OcTreeClient({
+      rootObject: new THREE.Object3D(),
+      cameraControls,
+      interactiveMaxDepth: 8,
+    });
+    client.processMessage({
+      header: { frame_id: 'map' },
+      binary: true,
+      id: 'OcTree',
+      resolution: 0.1,
+      data: binaryOcTree([0x06, 0x00]),
+    });
+    expect(client.octree.maxDepth).toBe(16);
+    cameraControls.dispatchEvent({ type: 'change' });
+    expect(client.octree.maxDepth).toBe(8);
+    vi.advanceTimersByTime(300);
+    expect(client.octree.maxDepth).toBe(16);
+
+    client.setMaxDepth(12);
+    expect(client.octree.maxDepth).toBe(12);
+    client.dispose();
+    vi.useRealTimers();
+  });
+});
+
+// 3x3 的 grid_map 消息，数据按列存储：单元 (i, j) 位于 data[j * 3 + i]
+const gridMapMessage = ({ elevation, intensity = elevation, outer = 0, inner = 0 } = {}) => ({
+  info: {
+    header: { frame_id: 'odom' },
+    resolution: 1,
+    length_x: 3,
+    length_y: 3,
+    pose: { position: { x: 10, y: 0, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } },
+  },
+  layers: ['elevation', 'intensity'],
+  basic_layers: ['elevation'],
+  data: [elevation, intensity].map((data) => ({
+    layout: {
+      dim: [
+        { label: 'column_index', size: 3, stride: 9 },
+        { label: 'row_index', size: 3, stride: 3 },
+      ],
+      data_offset: 0,
+    },
+    data,
+  })),
+  outer_start_index: outer,
+  inner_start_index: inner,
+});
+
+describe('ROS3D.js 栅格高度图测试', () => {
+  // 单元 (i, j) 的高度为 i * 10 + j
+  const elevation = Array.from({ length: 9 }, (_, k) => (k % 3) * 10 + Math.floor(k / 3));
+
+  it('GridMap 应该把图层显示为以地图中心为原点的高度场', () => {
+    const grid = new ROS3D.GridMap({ message: gridMapMessage({ elevation }) });
+    const positions = grid.geometry.getAttribute('position');
+    expect(grid.position.x).toBe(10);
+    // 单元 (0, 0) 位于 +x、+y 角
+    expect([positions.getX(0), positions.getY(0), positions.getZ(0)]).toEqual([1, 1, 0]);
+    expect([positions.getX(5), positions.getY(5), positions.getZ(5)]).toEqual([0, -1, 12]);
+    expect(grid.geometry.drawRange.count).toBe(24);
+    // 按高度着色时归一化到 [0, 1]
+    const values = grid.geometry.getAttribute('value').array;
+    expect(values[0]).toBe(0);
+    expect(values[8]).toBe(1);
+    grid.dispose();
+  });
+
+  it('GridMap 应该从 layout.data_offset 开始读取图层数据', () => {
+    const message = gridMapMessage({ elevation });
+    message.data[0] = { ...message.data[0], data: [-1, -1, ...elevation] };
+    message.data[0].layout = { ...message.data[0].layout, data_offset: 2 };
+    const grid = new ROS3D.GridMap({ message });
+    const positions = grid.geometry.getAttribute('position');
+    expect(positions.getZ(0)).toBe(0);
+    expect(positions.getZ(5)).toBe(12);
+    expect(positions.getZ(8)).toBe(22);
+    grid.dispose();
+  });
+
+  it('GridMap 应该处理环形缓冲区的起始下标和 NaN 空洞', () => {
+    const data = [...elevation];
+    data[4] = null; // JSON 中的 NaN，单元 (1, 1)
+    const grid = new ROS3D.GridMap({ message: gridMapMessage({ elevation: data, outer: 1, inner: 2 }) });
+    const positions = grid.geometry.getAttribute('position');
+    // 展开后的第一个单元为存储中的 (1, 2)
+    expect(positions.getZ(0)).toBe(12);
+    // 无效单元展开后为 (0, 2)，只有不含该顶点的三角形被绘制
+    const index = Array.from(grid.geometry.getIndex().array.slice(0, grid.geometry.drawRange.count));
+    expect(index).not.toContain(2);
+    expect(index).toHaveLength(18);
+    grid.dispose();
+  });
+
+  it('GridMapClient 应该按另一个图层着色并原地更新', () => {
+    const client = new ROS3D.GridMapClient({ rootObject: new THREE.Object3D(), colorLayer: 'intensity' });
+    const intensity = new Float32Array(9).fill(5);
+    intensity[0] = 15;
+    client.processMessage({ header: { frame_id: 'map' }, ...gridMapMessage({ elevation, intensity }) });
+    const grid = client.gridMap;
+    expect(client.sn.frameID).toBe('map');
+    const values = grid.geometry.getAttribute('value').array;
+    expect(values[0]).toBe(1);
+    expect(values[1]).toBe(0);
+
+    const onChange = vi.fn();
+    client.on('change', onChange);
+    client.processMessage({ header: { frame_id: 'map' }, ...gridMapMessage({ elevation, intensity: elevation }) });
+    expect(client.gridMap).toBe(grid);
+    expect(onChange).toHaveBeenCalledTimes(1);
+
+    client.setLayers('intensity');
+    expect(grid.geometry.getAttribute('position').getZ(5)).toBe(12);
+    client.dispose();
+  });
+});
+
+describe('ROS3D.js 路径显示测试', () => {
+  const pathMessage = (count, y = 0) => ({
+    header: { frame_id: 'map' },
+    poses: Array.from({ length: count }, (_, i) => ({
+      header: { frame_id: 'map' },
+      pose: { position: { x: i, y, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } },
+    })),
+  });
+
+  it('billboards 线型应该生成以米为单位的条带并按下标着色', () => {
+    const path = new ROS3D.Path({
+      rootObject: new THREE.Object3D(),
+      lineStyle: 'billboards',
+      lineWidth: 0.2,
+      colorBy: 'index',
+      colorMap: 'grayscale',
+    });
+    path.processMessage(pathMessage(3));
+    const [ribbon] = path.sn.children[0].children;
+    expect(ribbon).toBeInstanceOf(ROS3D.Ribbon);
+    expect(ribbon.material.uniforms.lineWidth.value).toBe(0.2);
+    // 每个点两个顶点，每段两个三角形
+    expect(ribbon.geometry.getAttribute('position').count).toBe(6);
+    expect(ribbon.geometry.getIndex().count).toBe(12);
+    const colors = ribbon.geometry.getAttribute('color').array;
+    expect(colors[0]).toBe(0);
+    expect(colors[15]).toBe(1);
+    path.dispose();
+  });
+
+  it('应该按自定义函数着色并每隔 N 个位姿显示箭头或坐标轴', () => {
+    const path = new ROS3D.Path({
+      rootObject: new THREE.Object3D(),
+      colorBy: (poseStamped, index) => (index === 0 ? 0xff0000 : 0x0000ff),
+      poseStyle: 'arrows',
+      poseEvery: 2,
+    });
+    path.processMessage(pathMessage(5));
+    const [line, ...markers] = path.sn.children[0].children;
+    expect(line.material.vertexColors).toBe(true);
+    expect(Array.from(line.geometry.getAttribute('color').array.slice(0, 6))).toEqual([1, 0, 0, 0, 0, 1]);
+    expect(markers).toHaveLength(3);
+    expect(markers[1].position.x).toBe(2);
+    expect(markers[1].children[0]).toBeInstanceOf(ROS3D.Arrow);
+    path.dispose();
+
+    const axes = new ROS3D.Path({ rootObject: new THREE.Object3D(), poseStyle: 'axes' });
+    axes.processMessage(pathMessage(2));
+    expect(axes.sn.children[0].children[1].children[0]).toBeInstanceOf(ROS3D.Axes);
+    axes.dispose();
+  });
+
+  it('bufferLength 应该保留最近的路径并淡出旧路径', () => {
+    const rootObject = new THREE.Object3D();
+    const path = new ROS3D.Path({ rootObject, bufferLength: 2 });
+    path.processMessage(pathMessage(2, 0));
+    path.processMessage(pathMessage(2, 1));
+    expect(rootObject.children).toHaveLength(2);
+    const [older, newer] = path.paths.map(({ visual }) => visual.children[0].material);
+    expect(older.opacity).toBeCloseTo(0.5);
+    expect(older.transparent).toBe(true);
+    expect(newer.opacity).toBe(1);
+
+    path.processMessage(pathMessage(2, 2));
+    expect(rootObject.children).toHaveLength(2);
+    expect(path.paths[0].visual.children[0].geometry.getAttribute('position').getY(0)).toBe(1);
+    path.dispose();
+    expect(rootObject.children).toHaveLength(0);
+  });
+});
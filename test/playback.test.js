@@ -0,0 +1,199 @@
+import { describe, it, expect } from 'vitest';
+import * as ROSLIB from 'roslib';
+import * as ROS3D from '../src/index.js';
+
+const encoder = new TextEncoder();
+
+const concat = (parts) => {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+};
+
+const uint32 = (value) => {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value, true);
+  return bytes;
+};
+
+const uint64 = (value) => {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setBigUint64(0, BigInt(value), true);
+  return bytes;
+};
+
+const rosString = (text) => {
+  const bytes = encoder.encode(text);
+  return concat([uint32(bytes.length), bytes]);
+};
+
+// rosbag 记录头：`len name=value` 字段序列
+const bagHeader = (fields) => concat(
+  Object.entries(fields).map(([name, value]) => {
+    const field = concat([encoder.encode(`${name}=`), value]);
+    return concat([uint32(field.length), field]);
+  })
+);
+
+const bagRecord = (fields, data) => {
+  const header = bagHeader(fields);
+  return concat([uint32(header.length), header, uint32(data.length), data]);
+};
+
+const buildBag = (messages) => {
+  const connection = bagRecord(
+    { op: Uint8Array.of(0x07), conn: uint32(0), topic: encoder.encode('/chatter') },
+    bagHeader({
+      topic: encoder.encode('/chatter'),
+      type: encoder.encode('std_msgs/String'),
+      md5sum: encoder.encode('992ce8a1687cec8c8bd883ec73ca41d1'),
+      message_definition: encoder.encode('string data\n'),
+    })
+  );
+  const records = messages.map(([secs, text]) => bagRecord(
+    { op: Uint8Array.of(0x02), conn: uint32(0), time: concat([uint32(secs), uint32(0)]) },
+    rosString(text)
+  ));
+  return concat([encoder.encode('#ROSBAG V2.0\n'), connection, ...records]);
+};
+
+const mcapRecord = (op, content) => concat([Uint8Array.of(op), uint64(content.length), content]);
+
+const uint16 = (value) => Uint8Array.of(value & 0xff, value >> 8);
+
+const buildMcap = () => {
+  const magic = Uint8Array.of(0x89, 0x4d, 0x43, 0x41, 0x50, 0x30, 0x0d, 0x0a);
+  const definition = encoder.encode('float64 x\nfloat64 y\nfloat64 z\n');
+  const schema = mcapRecord(0x03, concat([
+    uint16(1), rosString('geometry_msgs/msg/Point'), rosString('ros2msg'),
+    uint32(definition.length), definition,
+  ]));
+  const channel = mcapRecord(0x04, concat([
+    uint16(1), uint16(1), rosString('/point'), rosString('cdr'), uint32(0),
+  ]));
+  // CDR：小端封装头 + 3 个 float64（对齐从封装头之后开始）
+  const payload = new Uint8Array(4 + 24);
+  payload[1] = 1;
+  const view = new DataView(payload.buffer);
+  view.setFloat64(4, 1.5, true);
+  view.setFloat64(12, -2, true);
+  view.setFloat64(20, 3.25, true);
+  const message = mcapRecord(0x05, concat([
+    uint16(1), uint32(0), uint64(2e9), uint64(2e9), payload,
+  ]));
+  return concat([magic, schema, channel, message]);
+};
+
+describe('ROS3D.js 回放测试', () => {
+  it('应该识别文件格式', () => {
+    expect(ROS3D.detectFormat(buildBag([]))).toBe('bag');
+    expect(ROS3D.detectFormat(buildMcap())).toBe('mcap');
+    expect(ROS3D.detectFormat(new Uint8Array(16))).toBe(null);
+  });
+
+  it('应该读取并解码 ROS1 rosbag', () => {
+    const { channels, messages } = ROS3D.readBag(buildBag([[2, 'world'], [1, 'hello']]));
+    const channel = channels.get(0);
+    expect(channel.topic).toBe('/chatter');
+    expect(messages.map(({ time }) => time)).toEqual([1, 2]);
+    expect(channel.decode(messages[0].data)).toEqual({ data: 'hello' });
+  });
+
+  it('应该读取并解码 MCAP 中的 CDR 消息', () => {
+    const { channels, messages } = ROS3D.readMcap(buildMcap());
+    const channel = channels.get(1);
+    expect(channel.type).toBe('geometry_msgs/msg/Point');
+    expect(messages[0].time).toBe(2);
+    expect(channel.decode(messages[0].data)).toEqual({ x: 1.5, y: -2, z: 3.25 });
+  });
+
+  it('应该将数组解码为 TypedArray', () => {
+    const decode = ROS3D.createMessageDecoder({
+      type: 'test_msgs/Array',
+      definition: 'uint8[] data\nfloat32[2] values\n',
+    });
+    const values = new Float32Array([0.5, 4]);
+    const bytes = concat([uint32(3), Uint8Array.of(1, 2, 3), new Uint8Array(values.buffer)]);
+    const message = decode(bytes);
+    expect(message.data).toBeInstanceOf(Uint8Array);
+    expect(Array.from(message.data)).toEqual([1, 2, 3]);
+    expect(Array.from(message.values)).toEqual([0.5, 4]);
+  });
+
+  it('BagPlayer 应该通过 ROSLIB.Topic 派发消息', async () => {
+    const player = new ROS3D.BagPlayer();
+    await player.load(buildBag([[1, 'hello'], [2, 'world']]));
+    await new Promise((resolve) => player.ros.on('connection', resolve));
+
+    const received = [];
+    const topic = new ROSLIB.Topic({
+      ros: player.ros,
+      name: '/chatter',
+      messageType: 'std_msgs/String',
+    });
+    topic.subscribe((message) => received.push(message.data));
+
+    player.seek(1);
+    player.seek(2);
+    expect(received).toEqual(['hello', 'world']);
+    player.dispose();
+  });
+
+  it('BagPlayer 跳转时应该跳过无法解码的TF记录', async () => {
+    const player = new ROS3D.BagPlayer();
+    await player.load(buildBag([[1, 'hello'], [2, 'world']]));
+    await new Promise((resolve) => player.ros.on('connection', resolve));
+
+    const received = [];
+    const topic = new ROSLIB.Topic({
+      ros: player.ros,
+      name: '/chatter',
+      messageType: 'std_msgs/String',
+    });
+    topic.subscribe((message) => received.push(message.data));
+
+    // 损坏的 /tf_static 记录
+    player.channels.set(99, {
+      id: 99,
+      topic: '/tf_static',
+      type: 'tf2_msgs/TFMessage',
+      decode: () => {
+        throw new Error('truncated message');
+      },
+    });
+    player.messages.unshift({ channelId: 99, time: 1, data: new Uint8Array(0) });
+
+    expect(() => player.seek(2)).not.toThrow();
+    expect(received).toEqual(['world']);
+    player.dispose();
+  });
+
+  it('TFRepublisher 应该计算相对变换', () => {
+    const republisher = new ROS3D.TFRepublisher();
+    republisher.ingest({
+      transforms: [{
+        header: { frame_id: 'map' },
+        child_frame_id: 'base_link',
+        transform: {
+          translation: { x: 1, y: 0, z: 0 },
+          rotation: { x: 0, y: 0, z: Math.SQRT1_2, w: Math.SQRT1_2 },
+        },
+      }, {
+        header: { frame_id: 'base_link' },
+        child_frame_id: 'laser',
+        transform: {
+          translation: { x: 1, y: 0, z: 0 },
+          rotation: { x: 0, y: 0, z: 0, w: 1 },
+        },
+      }],
+    });
+    const { translation } = republisher.lookup('map', 'laser');
+    expect(translation.x).toBeCloseTo(1);
+    expect(translation.y).toBeCloseTo(1);
+    expect(republisher.lookup('map', 'unknown')).toBe(null);
+  });
+});
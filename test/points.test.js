@@ -0,0 +1,534 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as THREE from 'three';
+import * as ROS3D from '../src/index.js';
+
+const FIELDS = [
+  { name: 'x', offset: 0, datatype: 7, count: 1 },
+  { name: 'y', offset: 4, datatype: 7, count: 1 },
+  { name: 'z', offset: 8, datatype: 7, count: 1 },
+  { name: 'rgb', offset: 12, datatype: 7, count: 1 },
+];
+
+const cloud = (points) => {
+  const data = new Uint8Array(points.length * 16);
+  const view = new DataView(data.buffer);
+  points.forEach(([x, y, z, rgb], i) => {
+    view.setFloat32(i * 16, x, true);
+    view.setFloat32(i * 16 + 4, y, true);
+    view.setFloat32(i * 16 + 8, z, true);
+    view.setUint32(i * 16 + 12, rgb, true);
+  });
+  return {
+    header: { frame_id: 'lidar' },
+    height: 1,
+    width: points.length,
+    fields: FIELDS,
+    is_bigendian: false,
+    point_step: 16,
+    row_step: points.length * 16,
+    data,
+  };
+};
+
+describe('ROS3D.js 点云解码测试', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('decodePointCloud2 应该解码打包的 RGB 并按 pointRatio 子采样', () => {
+    const msg = cloud([[1, 2, 3, 0xff0000], [4, 5, 6, 0x00ff00], [7, 8, 9, 0x0000ff]]);
+    const task = {
+      ...msg,
+      offsets: { x: 0, y: 4, z: 8 },
+      color: { mode: 'packed', offset: 12 },
+      max_pts: 10,
+      pointRatio: 2,
+    };
+    const result = ROS3D.decodePointCloud2(task);
+    expect(result.n).toBe(2);
+    expect([...result.positions.slice(0, 6)]).toEqual([1, 2, 3, 7, 8, 9]);
+    expect([...result.colors.slice(0, 6)]).toEqual([1, 0, 0, 0, 0, 1]);
+
+    // base64 数据同样按 pointRatio 子采样
+    const base64 = btoa(String.fromCharCode(...msg.data));
+    const decoded = ROS3D.decodePointCloud2({ ...task, data: base64 });
+    expect(decoded.n).toBe(2);
+    expect(decoded.positions[3]).toBe(7);
+  });
+
+  it('PointCloud2 在无 Worker 环境下应该同步解码并复用缓冲区', () => {
+    const rootObject = new THREE.Object3D();
+    const pointCloud = new ROS3D.PointCloud2({
+      rootObject,
+      max_pts: 4,
+      decoderPool: new ROS3D.DecoderPool({ workers: false }),
+    });
+    pointCloud.processMessage(cloud([[1, 0, 0, 0xffffff]]));
+    const first = pointCloud.points.positions.array;
+    expect(first[0]).toBe(1);
+    expect(pointCloud.points.positions.count).toBe(1);
+
+    pointCloud.processMessage(cloud([[2, 0, 0, 0], [3, 0, 0, 0]]));
+    pointCloud.processMessage(cloud([[4, 0, 0, 0]]));
+    // 第三帧复用第一帧解码得到的数组
+    expect(pointCloud.points.positions.array).toBe(first);
+    expect(first[0]).toBe(4);
+    pointCloud.dispose();
+  });
+
+  it('PointCloud2 的 messageRatio 应该只按接收到的消息计数', () => {
+    // 解码完成前保留回调，使后续消息进入等待
+    const sync = new ROS3D.DecoderPool({ workers: false });
+    const queued = [];
+    const pointCloud = new ROS3D.PointCloud2({
+      rootObject: new THREE.Object3D(),
+      max_pts: 4,
+      messageRatio: 3,
+      decoderPool: { decode: (type, task, callback) => queued.push(() => sync.decode(type, task, callback)) },
+    });
+    [1, 2, 3, 4].forEach((x) => pointCloud.processMessage(cloud([[x, 0, 0, 0]])));
+    // 第一条开始解码，第四条等待解码完成后渲染
+    expect(queued).toHaveLength(1);
+    queued.shift()();
+    expect(pointCloud.points.positions.array[0]).toBe(1);
+    expect(queued).toHaveLength(1);
+    queued.shift()();
+    expect(pointCloud.points.positions.array[0]).toBe(4);
+
+    // 切换颜色变换器时重新渲染最近一条消息，不受子采样影响
+    pointCloud.setColorTransformer({ type: 'FlatColor', color: 0xff0000 });
+    expect(queued).toHaveLength(1);
+    queued.shift()();
+    expect([...pointCloud.points.colors.array.slice(0, 3)]).toEqual([1, 0, 0]);
+    pointCloud.dispose();
+  });
+
+  it('DecoderPool 应该在 Worker 中解码并只处理最新的一帧', async () => {
+    const posted = [];
+    // 模拟 Worker：异步执行解码函数并返回结果
+    class FakeWorker {
+      constructor(url) {
+        this.url = String(url);
+      }
+      postMessage(message, transfer) {
+        posted.push({ message, transfer });
+        setTimeout(() => {
+          const result = ROS3D.decodeLaserScan(message.task);
+          this.onmessage({ data: { id: message.id, result } });
+        }, 0);
+      }
+      terminate() {}
+    }
+    vi.stubGlobal('Worker', FakeWorker);
+
+    const pool = new ROS3D.DecoderPool({ size: 1 });
+    const laserScan = new ROS3D.LaserScan({ max_pts: 8, decoderPool: pool });
+    const scan = (range) => ({
+      header: { frame_id: 'laser' },
+      angle_min: 0,
+      angle_increment: Math.PI / 2,
+      range_min: 0.1,
+      range_max: 10,
+      ranges: [range, range, 20],
+    });
+    laserScan.processMessage(scan(1));
+    laserScan.processMessage(scan(2));
+    laserScan.processMessage(scan(3));
+    expect(laserScan.points.positions.array[0]).toBe(0);
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    // 第二帧在解码期间被第三帧替换
+    expect(posted.length).toBe(2);
+    expect(pool.workers[0].url).toContain('points.worker.js');
+    expect(posted[1].transfer.length).toBe(1);
+    expect(laserScan.points.positions.count).toBe(2);
+    expect(laserScan.points.positions.array[0]).toBeCloseTo(3);
+    expect(laserScan.points.positions.array[4]).toBeCloseTo(3);
+    laserScan.dispose();
+  });
+});
+
+describe('ROS3D.js 点云颜色变换器测试', () => {
+  const XYZI = [
+    { name: 'x', offset: 0, datatype: 7, count: 1 },
+    { name: 'y', offset: 4, datatype: 7, count: 1 },
+    { name: 'z', offset: 8, datatype: 7, count: 1 },
+    { name: 'intensity', offset: 12, datatype: 7, count: 1 },
+  ];
+  const fieldMap = Object.fromEntries(XYZI.map((field) => [field.name, field]));
+  const task = (points, color, extra = {}) => {
+    const data = new Uint8Array(points.length * 16);
+    const view = new DataView(data.buffer);
+    points.flat().forEach((value, i) => view.setFloat32(i * 4, value, true));
+    return {
+      data,
+      point_step: 16,
+      width: points.length,
+      height: 1,
+      is_bigendian: false,
+      offsets: { x: 0, y: 4, z: 8 },
+      max_pts: points.length,
+      color,
+      ...extra,
+    };
+  };
+
+  it('createColorLUT 应该支持内置颜色映射和控制点数组', () => {
+    const lut = ROS3D.createColorLUT('grayscale', 3);
+    expect([...lut]).toEqual([0, 0, 0, 0.5, 0.5, 0.5, 1, 1, 1]);
+    expect(Object.keys(ROS3D.COLOR_MAPS)).toEqual(
+      expect.arrayContaining(['rainbow', 'viridis', 'turbo', 'jet'])
+    );
+    const gradient = ROS3D.createColorLUT([0xff0000, 0x0000ff], 2);
+    expect([...gradient]).toEqual([1, 0, 0, 0, 0, 1]);
+  });
+
+  it('Intensity 应该支持自动范围、固定范围和两色渐变', () => {
+    const points = [[0, 0, 0, 10], [0, 0, 0, 20], [0, 0, 0, 30]];
+    const auto = ROS3D.resolveColorTask(
+      { type: 'Intensity', minColor: 0x000000, maxColor: 0xffffff },
+      fieldMap
+    );
+    const { colors } = ROS3D.decodePointCloud2(task(points, auto));
+    expect(colors[0]).toBe(0);
+    expect(colors[3]).toBeCloseTo(0.5, 1);
+    expect(colors[6]).toBe(1);
+
+    const fixed = ROS3D.resolveColorTask(
+      { type: 'Intensity', autoRange: false, min: 0, max: 20, colorMap: 'grayscale' },
+      fieldMap
+    );
+    const clamped = ROS3D.decodePointCloud2(task(points, fixed)).colors;
+    expect(clamped[0]).toBeCloseTo(0.5, 1);
+    expect(clamped[3]).toBe(1);
+    expect(clamped[6]).toBe(1);
+
+    expect(ROS3D.resolveColorTask({ type: 'Intensity', field: 'missing' }, fieldMap)).toBeNull();
+  });
+
+  it('AxisColor 应该在固定坐标系或点云坐标系中按坐标轴着色', () => {
+    const points = [[0, 0, 0, 0], [0, 0, 1, 0]];
+    const fixed = ROS3D.resolveColorTask(
+      { type: 'AxisColor', axis: 'z', autoRange: false, min: 0, max: 2, colorMap: 'grayscale' },
+      fieldMap
+    );
+    // 点云坐标系在固定坐标系中抬高 1 米
+    const transform = new THREE.Matrix4().makeTranslation(0, 0, 1).elements;
+    const { colors } = ROS3D.decodePointCloud2(task(points, fixed, { transform }));
+    expect(colors[0]).toBeCloseTo(0.5, 1);
+    expect(colors[3]).toBe(1);
+
+    const local = ROS3D.resolveColorTask(
+      { type: 'AxisColor', axis: 'z', frame: 'local', autoRange: false, min: 0, max: 2, colorMap: 'grayscale' },
+      fieldMap
+    );
+    const localColors = ROS3D.decodePointCloud2(task(points, local, { transform })).colors;
+    expect(localColors[0]).toBe(0);
+    expect(localColors[3]).toBeCloseTo(0.5, 1);
+  });
+
+  it('LaserScan 应该支持按强度着色和单一颜色', () => {
+    const scan = {
+      angle_min: 0,
+      angle_increment: 0.1,
+      range_min: 0.1,
+      range_max: 10,
+      ranges: [1, 20, 1],
+      intensities: [5, 100, 15],
+      max_pts: 3,
+    };
+    const intensity = ROS3D.resolveColorTask(
+      { type: 'Intensity', colorMap: 'grayscale' },
+      { intensity: {} }
+    );
+    const result = ROS3D.decodeLaserScan({ ...scan, color: intensity });
+    // 超出量程的点及其强度不参与自动范围
+    expect(result.n).toBe(2);
+    expect([...result.colors.slice(0, 6)]).toEqual([0, 0, 0, 1, 1, 1]);
+
+    const flat = ROS3D.resolveColorTask({ type: 'FlatColor', color: 0x00ff00 }, {});
+    const green = ROS3D.decodeLaserScan({ ...scan, color: flat }).colors;
+    expect([...green.slice(0, 6)]).toEqual([0, 1, 0, 0, 1, 0]);
+  });
+
+  it('PointCloud2 应该在运行时切换颜色变换器而不重新订阅', () => {
+    const pointCloud = new ROS3D.PointCloud2({
+      rootObject: new THREE.Object3D(),
+      max_pts: 4,
+      decoderPool: new ROS3D.DecoderPool({ workers: false }),
+    });
+    // 自动检测 rgb 字段并解包
+    pointCloud.processMessage(cloud([[1, 0, 0, 0x0000ff]]));
+    expect(pointCloud.points.getColorTask().mode).toBe('packed');
+    expect([...pointCloud.points.colors.array.slice(0, 3)]).toEqual([0, 0, 1]);
+
+    pointCloud.setColorTransformer({ type: 'FlatColor', color: 0xff0000 });
+    expect([...pointCloud.points.colors.array.slice(0, 3)]).toEqual([1, 0, 0]);
+    expect(pointCloud.points.material.vertexColors).toBe(true);
+    pointCloud.dispose();
+    expect(pointCloud.decodeQueue.lastMessage).toBeNull();
+  });
+
+  it('LaserScan 切换颜色变换器时应该创建颜色缓冲区', () => {
+    const laserScan = new ROS3D.LaserScan({
+      max_pts: 4,
+      decoderPool: new ROS3D.DecoderPool({ workers: false }),
+    });
+    laserScan.processMessage({
+      header: { frame_id: 'laser' },
+      angle_min: 0,
+      angle_increment: 0.1,
+      range_min: 0.1,
+      range_max: 10,
+      ranges: [1, 2],
+      intensities: [0, 1],
+    });
+    expect(laserScan.points.colors).toBeNull();
+
+    laserScan.setColorTransformer({ type: 'Intensity', colorMap: 'grayscale' });
+    expect(laserScan.points.material.vertexColors).toBe(true);
+    expect([...laserScan.points.colors.array.slice(0, 6)]).toEqual([0, 0, 0, 1, 1, 1]);
+    laserScan.dispose();
+  });
+});
+
+describe('ROS3D.js 点云累积测试', () => {
+  it('PointsAccumulator 应该回绕写入并淘汰被覆盖的旧分段', () => {
+    const accumulator = new ROS3D.PointsAccumulator({ capacity: 10, maxMessages: 5 });
+    expect(accumulator.allocate(4, 1)).toEqual({ start: 0, count: 4 });
+    expect(accumulator.allocate(4, 2)).toEqual({ start: 4, count: 4 });
+    // 放不下时回绕到开头，覆盖最旧的分段
+    expect(accumulator.allocate(3, 3)).toEqual({ start: 0, count: 3 });
+    expect(accumulator.runs()).toEqual([{ start: 0, count: 3 }, { start: 4, count: 4 }]);
+    expect(accumulator.size()).toBe(7);
+
+    // 时间回跳时清空
+    accumulator.allocate(2, 0);
+    expect(accumulator.size()).toBe(2);
+  });
+
+  it('LaserScan 应该按各自时间戳的TF在固定坐标系中累积并按衰减时间淘汰', () => {
+    const tfClient = new ROS3D.TFListener({ fixedFrame: 'odom' });
+    const odom = (secs, x) => ({
+      header: { frame_id: 'odom', stamp: { secs, nsecs: 0 } },
+      child_frame_id: 'laser',
+      transform: { translation: { x, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } },
+    });
+    tfClient.processMessage({ transforms: [odom(10, 0), odom(11, 1), odom(13, 3)] });
+
+    const laserScan = new ROS3D.LaserScan({
+      tfClient,
+      max_pts: 8,
+      decayTime: 1.5,
+      decoderPool: new ROS3D.DecoderPool({ workers: false }),
+    });
+    const scan = (secs) => ({
+      header: { frame_id: 'laser', stamp: { secs, nsecs: 0 } },
+      angle_min: 0,
+      angle_increment: 0.1,
+      range_min: 0.1,
+      range_max: 10,
+      ranges: [1],
+    });
+
+    laserScan.processMessage(scan(10));
+    laserScan.processMessage(scan(11));
+    const { positions, geom } = laserScan.points;
+    expect([positions.array[0], positions.array[3]]).toEqual([1, 2]);
+    expect(geom.groups).toEqual([{ start: 0, count: 2, materialIndex: 0 }]);
+
+    laserScan.processMessage(scan(13));
+    expect(positions.array[6]).toBe(4);
+    expect(geom.groups).toEqual([{ start: 2, count: 1, materialIndex: 0 }]);
+    // 累积的点不会重新着色，不保留原始消息
+    expect(laserScan.decodeQueue.lastMessage).toBeNull();
+
+    laserScan.dispose();
+    tfClient.dispose();
+  });
+});
+
+describe('ROS3D.js 点渲染样式测试', () => {
+  const scan = (ranges, secs = 0) => ({
+    header: { frame_id: 'laser', stamp: { secs, nsecs: 0 } },
+    angle_min: 0,
+    angle_increment: 0.1,
+    range_min: 0.1,
+    range_max: 10,
+    ranges,
+  });
+
+  it('应该按样式创建点精灵或实例化网格', () => {
+    const circles = ROS3D.createPointsMaterial('circles', { size: 0.1, worldSize: true });
+    expect(circles.isShaderMaterial).toBe(true);
+    expect(circles.defines).toEqual({ WORLD_SIZE: '', ROUND: '' });
+    expect(ROS3D.createPointsMaterial('squares').defines).toEqual({});
+    expect(ROS3D.createPointsMaterial('points', { size: 2 }).isPointsMaterial).toBe(true);
+
+    const geometry = ROS3D.createPointsGeometry('spheres');
+    expect(geometry.isInstancedBufferGeometry).toBe(true);
+    expect(geometry.getAttribute('shape')).toBeDefined();
+    const object = ROS3D.createPointsObject('spheres', geometry, ROS3D.createPointsMaterial('spheres'));
+    expect(object.isMesh).toBe(true);
+    expect(object.frustumCulled).toBe(false);
+
+    ROS3D.setPointSize(circles, 0.3);
+    expect(circles.uniforms.size.value).toBe(0.3);
+  });
+
+  it('LaserScan 应该支持实例化的方块样式', () => {
+    const laserScan = new ROS3D.LaserScan({
+      max_pts: 4,
+      style: 'boxes',
+      material: { size: 0.2 },
+      decoderPool: new ROS3D.DecoderPool({ workers: false }),
+    });
+    laserScan.processMessage(scan([1, 2, 3]));
+    const { geom, positions, object, material } = laserScan.points;
+    expect(object.isMesh).toBe(true);
+    expect(positions.isInstancedBufferAttribute).toBe(true);
+    expect(geom.instanceCount).toBe(3);
+    expect(material.uniforms.size.value).toBe(0.2);
+    laserScan.dispose();
+  });
+
+  it('实例化样式的点数增加时应该绘制全部实例', () => {
+    const laserScan = new ROS3D.LaserScan({
+      max_pts: 4,
+      style: 'spheres',
+      decoderPool: new ROS3D.DecoderPool({ workers: false }),
+    });
+    laserScan.processMessage(scan([1]));
+    // 渲染器首次绘制时按实例属性的 count 缓存最大实例数，之后绘制 min(instanceCount, 缓存值)
+    const { geom, positions } = laserScan.points;
+    const maxInstanceCount = positions.meshPerAttribute * positions.count;
+    expect(Math.min(geom.instanceCount, maxInstanceCount)).toBe(1);
+    laserScan.processMessage(scan([1, 2, 3]));
+    expect(positions.count).toBe(4);
+    expect(Math.min(geom.instanceCount, maxInstanceCount)).toBe(3);
+    laserScan.dispose();
+  });
+
+  it('实例化样式累积时应该隐藏已淘汰的点', () => {
+    const laserScan = new ROS3D.LaserScan({
+      max_pts: 4,
+      maxMessages: 2,
+      style: 'billboards',
+      decoderPool: new ROS3D.DecoderPool({ workers: false }),
+    });
+    laserScan.processMessage(scan([1, 1], 1));
+    laserScan.processMessage(scan([2], 2));
+    laserScan.processMessage(scan([3], 3));
+    const { geom, positions } = laserScan.points;
+    // 第一条消息被淘汰，存活的点位于 [2, 4)
+    expect(geom.instanceCount).toBe(4);
+    expect(positions.array[0]).toBeNaN();
+    expect(positions.array[3]).toBeNaN();
+    expect(positions.array[6]).toBe(2);
+    laserScan.dispose();
+  });
+
+  it('MARKER_POINTS 应该默认以米为单位绘制方点', () => {
+    const message = {
+      header: { frame_id: 'map' },
+      type: ROS3D.MARKER_POINTS,
+      pose: { position: { x: 0, y: 0, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } },
+      scale: { x: 0.2, y: 0.2, z: 0 },
+      color: { r: 1, g: 0, b: 0, a: 1 },
+      points: [{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }],
+      colors: [],
+    };
+    const marker = new ROS3D.Marker({ message });
+    const points = marker.children[0];
+    expect(points.isPoints).toBe(true);
+    expect(points.material.defines.WORLD_SIZE).toBe('');
+    expect(points.material.uniforms.diffuse.value.r).toBe(1);
+
+    expect(marker.update({ ...message, scale: { x: 0.5, y: 0.5, z: 0 } })).toBe(true);
+    expect(points.material.uniforms.size.value).toBe(0.5);
+
+    const spheres = new ROS3D.Marker({ message, pointStyle: 'spheres' });
+    expect(spheres.children[0].geometry.instanceCount).toBe(2);
+  });
+});
+
+describe('ROS3D.js 点拾取测试', () => {
+  const setup = (options = {}) => {
+    const pointCloud = new ROS3D.PointCloud2({
+      rootObject: new THREE.Object3D(),
+      max_pts: 8,
+      decoderPool: new ROS3D.DecoderPool({ workers: false }),
+      ...options,
+    });
+    const camera = new THREE.PerspectiveCamera(90, 1, 0.1, 100);
+    camera.position.set(0, 0, 10);
+    const domElement = document.createElement('canvas');
+    domElement.width = 100;
+    domElement.height = 100;
+    const picker = new ROS3D.PointsPicker({ camera, domElement, targets: [pointCloud] });
+    return { pointCloud, picker, domElement };
+  };
+
+  it('readPointFields 应该读取全部字段并解包 rgb', () => {
+    const msg = cloud([[1, 2, 3, 0x102030], [4, 5, 6, 0]]);
+    expect(ROS3D.readPointFields(msg, 0)).toEqual({ x: 1, y: 2, z: 3, rgb: { r: 16, g: 32, b: 48 } });
+    expect(ROS3D.readPointFields(msg, 2)).toBeNull();
+  });
+
+  it('单击应该拾取最近的点并返回字段值', () => {
+    const { pointCloud, picker } = setup();
+    pointCloud.processMessage(cloud([[0, 0, 0, 0xff0000], [5, 0, 0, 0x00ff00]]));
+    const onPick = vi.fn();
+    picker.on('pick', onPick);
+
+    const [point] = picker.pick(51, 50);
+    expect(point.index).toBe(0);
+    expect(point.fields.rgb).toEqual({ r: 255, g: 0, b: 0 });
+    expect(point.screen.x).toBeCloseTo(50);
+    expect(onPick).toHaveBeenCalledWith(expect.objectContaining({ points: [point] }));
+
+    // 90 度视场下，距相机 10 米处 x = 5 对应画布右侧四分之一处
+    expect(picker.pick(75, 50)[0].position.x).toBeCloseTo(5);
+    expect(picker.pick(10, 10)).toEqual([]);
+    picker.dispose();
+    pointCloud.dispose();
+  });
+
+  it('框选应该返回矩形内的所有点，累积时按所属消息读取字段', () => {
+    const { pointCloud, picker } = setup({ maxMessages: 2 });
+    pointCloud.processMessage(cloud([[0, 0, 0, 1]]));
+    pointCloud.processMessage(cloud([[1, 0, 0, 2], [-9, 0, 0, 3]]));
+
+    const onSelect = vi.fn();
+    picker.on('select', onSelect);
+    const points = picker.selectRect(40, 40, 60, 60);
+    expect(points.map((point) => point.fields.rgb.b)).toEqual([1, 2]);
+    expect(onSelect.mock.calls[0][0].total).toBe(2);
+    picker.dispose();
+    pointCloud.dispose();
+  });
+
+  it('启用后应该接管鼠标左键', () => {
+    const { pointCloud, picker, domElement } = setup();
+    pointCloud.processMessage(cloud([[0, 0, 0, 0]]));
+    const orbit = vi.fn();
+    domElement.addEventListener('mousedown', orbit);
+    const onPick = vi.fn();
+    picker.on('pick', onPick);
+
+    const mouse = (type, x) =>
+      domElement.dispatchEvent(new MouseEvent(type, { clientX: x, clientY: 50, button: 0 }));
+    mouse('mousedown', 50);
+    mouse('mouseup', 50);
+    expect(orbit).toHaveBeenCalledTimes(1);
+    expect(onPick).not.toHaveBeenCalled();
+
+    picker.enable();
+    mouse('mousedown', 50);
+    mouse('mouseup', 51);
+    expect(orbit).toHaveBeenCalledTimes(1);
+    expect(onPick.mock.calls[0][0].points[0].index).toBe(0);
+    picker.dispose();
+    pointCloud.dispose();
+  });
+});
@@ -1,4 +1,6 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+import * as ROSLIB from 'roslib';
 import * as ROS3D from '../src/index.js';
 
 // 基础API测试
@@ -153,4 +155,106 @@ describe('ROS3D.js 类实例化测试', () => {
   it('Highlighter 类定义应该存在', () => {
     expect(typeof ROS3D.Highlighter).toBe('function');
   });
-});
\ No newline at end of file
+});
+
+// ROS 2 兼容性测试
+describe('ROS3D.js ROS 2 兼容性测试', () => {
+  it('toRosType 应该按 ROS 版本转换类型名', () => {
+    expect(ROS3D.toRosType('sensor_msgs/PointCloud2', 2)).toBe('sensor_msgs/msg/PointCloud2');
+    expect(ROS3D.toRosType('sensor_msgs/msg/PointCloud2', 1)).toBe('sensor_msgs/PointCloud2');
+    expect(ROS3D.toRosType('visualization_msgs/GetInteractiveMarkers', 2, 'srv'))
+      .toBe('visualization_msgs/srv/GetInteractiveMarkers');
+  });
+
+  it('resolveRosVersion 应该优先使用显式指定的版本', () => {
+    expect(ROS3D.resolveRosVersion(undefined, undefined)).toBe(1);
+    expect(ROS3D.resolveRosVersion({ rosVersion: 2 }, undefined)).toBe(2);
+    expect(ROS3D.resolveRosVersion({ rosVersion: 2 }, 1)).toBe(1);
+  });
+
+  it('时间戳应该支持 ROS 2 的 sec/nanosec 字段', () => {
+    expect(ROS3D.stampToSeconds({ sec: 3, nanosec: 500000000 })).toBeCloseTo(3.5);
+    expect(ROS3D.stampToSeconds({ secs: 3, nsecs: 250000000 })).toBeCloseTo(3.25);
+    expect(ROS3D.secondsToStamp(3.5, 2)).toEqual({ sec: 3, nanosec: 500000000 });
+    expect(ROS3D.secondsToStamp(3.5)).toEqual({ secs: 3, nsecs: 500000000 });
+    // 舍入到整秒时进位
+    expect(ROS3D.secondsToStamp(1.9999999999, 2)).toEqual({ sec: 2, nanosec: 0 });
+  });
+
+  it('InteractiveMarkerClient 在 ROS 2 下应该使用 update 主题、get_interactive_markers 服务和 ROS2TFClient', () => {
+    const ros = new ROSLIB.Ros();
+    const tfClient = {
+      ros,
+      serverName: '/tf2_web_republisher',
+      subscribe: vi.fn(),
+      unsubscribe: vi.fn(),
+    };
+    const client = new ROS3D.InteractiveMarkerClient({
+      ros,
+      rosVersion: 2,
+      tfClient,
+      topic: '/basic_controls',
+      camera: new THREE.PerspectiveCamera(),
+      rootObject: new THREE.Object3D(),
+    });
+    expect(client.updateTopic.name).toBe('/basic_controls/update');
+    expect(client.updateTopic.messageType).toBe('visualization_msgs/msg/InteractiveMarkerUpdate');
+    expect(client.feedbackTopic.name).toBe('/basic_controls/feedback');
+    expect(client.initService.name).toBe('/basic_controls/get_interactive_markers');
+    expect(client.initService.serviceType).toBe('visualization_msgs/srv/GetInteractiveMarkers');
+
+    // ROS 2 服务直接返回标记列表，控制使用 ROS 2 的 TF 客户端查询子标记的变换
+    client.processInit({
+      markers: [{
+        header: { frame_id: 'base_link', stamp: { sec: 0, nanosec: 0 } },
+        name: 'marker',
+        pose: { position: { x: 1, y: 0, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } },
+        scale: 1,
+        menu_entries: [],
+        controls: [{
+          name: 'move_x',
+          orientation: { x: 0, y: 0, z: 0, w: 1 },
+          orientation_mode: 0,
+          interaction_mode: 0,
+          always_visible: false,
+          markers: [],
+          independent_marker_orientation: false,
+        }],
+      }],
+    });
+    const handle = client.interactiveMarkers.marker;
+    expect(handle.rosVersion).toBe(2);
+    expect(tfClient.subscribe).toHaveBeenCalledWith('base_link', handle.tfUpdate);
+    const control = client.rootObject.children[0].children.find((child) => child.localTfClient);
+    expect(control.localTfClient).toBeInstanceOf(ROSLIB.ROS2TFClient);
+    expect(control.localTfClient.fixedFrame).toBe('base_link');
+    client.unsubscribe();
+
+    // ROS 1 通过 interactive_marker_proxy 的 tunneled 主题通信
+    const ros1 = new ROS3D.InteractiveMarkerClient({ ros, rosVersion: 1, tfClient, topic: '/basic_controls' });
+    expect(ros1.updateTopic.name).toBe('/basic_controls/tunneled/update');
+    expect(ros1.initService.name).toBe('/basic_controls/tunneled/get_init');
+    ros1.unsubscribe();
+  });
+
+  it('UrdfClient 在 ROS 2 下应该从 robot_description 主题加载并在更新时重新加载', () => {
+    const client = new ROS3D.UrdfClient({ ros: new ROSLIB.Ros(), rosVersion: 2 });
+    expect(client.rosTopic.name).toBe('/robot_description');
+    expect(client.rosTopic.messageType).toBe('std_msgs/msg/String');
+
+    const onChange = vi.fn();
+    client.on('change', onChange);
+    client.rosTopic.emit('message', { data: '<robot name="a"><link name="base_link"/></robot>' });
+    const first = client.urdf;
+    expect(first).not.toBeNull();
+    expect(client.rootObject.children).toEqual([first]);
+
+    // 空消息被忽略，新的描述替换旧模型
+    client.rosTopic.emit('message', { data: '' });
+    expect(client.urdf).toBe(first);
+    client.rosTopic.emit('message', { data: '<robot name="b"><link name="base_link"/></robot>' });
+    expect(client.urdf).not.toBe(first);
+    expect(client.rootObject.children).toEqual([client.urdf]);
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { EventEmitter } from 'eventemitter3';
+import * as ROS3D from '../src/index.js';
+
+const transform = (parent, child, secs, x, yaw = 0) => ({
+  header: { frame_id: parent, stamp: { secs, nsecs: 0 } },
+  child_frame_id: child,
+  transform: {
+    translation: { x, y: 0, z: 0 },
+    rotation: { x: 0, y: 0, z: Math.sin(yaw / 2), w: Math.cos(yaw / 2) },
+  },
+});
+
+describe('ROS3D.js TF缓存测试', () => {
+  it('stampToSeconds 应该同时支持 ROS1 和 ROS2 时间戳', () => {
+    expect(ROS3D.stampToSeconds({ secs: 1, nsecs: 5e8 })).toBe(1.5);
+    expect(ROS3D.stampToSeconds({ sec: 2, nanosec: 25e7 })).toBe(2.25);
+    expect(ROS3D.stampToSeconds(undefined)).toBe(0);
+  });
+
+  it('TFBuffer 应该在时间戳之间插值', () => {
+    const buffer = new ROS3D.TFBuffer();
+    buffer.setTransform(transform('odom', 'base_link', 10, 0));
+    buffer.setTransform(transform('odom', 'base_link', 12, 2));
+    buffer.setTransform(transform('base_link', 'laser', 0, 0.5), true);
+
+    expect(buffer.lookupTransform('odom', 'laser', 11).translation.x).toBeCloseTo(1.5);
+    expect(buffer.lookupTransform('odom', 'laser').translation.x).toBeCloseTo(2.5);
+    // 不外推到最新变换之后
+    expect(buffer.lookupTransform('odom', 'laser', 13)).toBe(null);
+    expect(buffer.isTooOld('odom', 'laser', 9)).toBe(true);
+  });
+
+  it('TFBuffer.isTooOld 应该检查两个坐标系到公共祖先的链', () => {
+    const buffer = new ROS3D.TFBuffer();
+    buffer.setTransform(transform('map', 'odom', 5, 0));
+    buffer.setTransform(transform('odom', 'base_link', 10, 0));
+    buffer.setTransform(transform('odom', 'base_link', 12, 2));
+    buffer.setTransform(transform('base_link', 'laser', 0, 0.5), true);
+    buffer.setTransform(transform('odom', 'camera', 20, 0));
+
+    // 目标坐标系一侧的历史也会过期
+    expect(buffer.isTooOld('camera', 'laser', 15)).toBe(true);
+    expect(buffer.isTooOld('laser', 'camera', 15)).toBe(true);
+    expect(buffer.isTooOld('camera', 'laser', 20)).toBe(false);
+    // 公共祖先以上的变换不参与：map -> odom 的历史从 5 秒开始
+    expect(buffer.isTooOld('odom', 'laser', 11)).toBe(false);
+    expect(buffer.isTooOld('map', 'laser', 4)).toBe(true);
+    expect(buffer.isTooOld('base_link', 'laser', 1)).toBe(false);
+    expect(buffer.isTooOld('odom', 'laser', 0)).toBe(false);
+  });
+
+  it('TFBuffer 应该丢弃超出缓存窗口的历史', () => {
+    const buffer = new ROS3D.TFBuffer({ cacheTime: 1 });
+    buffer.setTransform(transform('odom', 'base_link', 10, 0));
+    buffer.setTransform(transform('odom', 'base_link', 11, 1));
+    buffer.setTransform(transform('odom', 'base_link', 12, 2));
+    expect(buffer.canTransform('odom', 'base_link', 10.5)).toBe(false);
+    expect(buffer.canTransform('odom', 'base_link', 11.5)).toBe(true);
+  });
+
+  it('TFListener 应该推送最新变换并响应 waitForTransform', async () => {
+    const listener = new ROS3D.TFListener({ fixedFrame: 'odom', rate: 1000 });
+    const received = [];
+    listener.subscribe('base_link', (tf) => received.push(tf.translation.x));
+
+    const pending = listener.waitForTransform('base_link', { secs: 10, nsecs: 0 }, 1000);
+    listener.processMessage({ transforms: [transform('odom', 'base_link', 10, 3)] });
+    expect((await pending).translation.x).toBeCloseTo(3);
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(received).toEqual([3]);
+    listener.dispose();
+  });
+
+  it('MessageFilter 应该在变换到达前缓存消息', () => {
+    const listener = new ROS3D.TFListener({ fixedFrame: 'odom' });
+    const delivered = [];
+    const filter = new ROS3D.MessageFilter({
+      tfClient: listener,
+      callback: (message, tf) => delivered.push([message.id, tf.translation.x]),
+    });
+
+    listener.processMessage({ transforms: [transform('odom', 'base_link', 10, 0)] });
+    filter.add({ id: 1, header: { frame_id: 'base_link', stamp: { secs: 11, nsecs: 0 } } });
+    expect(delivered).toEqual([]);
+
+    listener.processMessage({ transforms: [transform('odom', 'base_link', 12, 2)] });
+    expect(delivered).toEqual([[1, 1]]);
+
+    filter.dispose();
+    listener.dispose();
+  });
+
+  it('MessageFilter 对不支持时间查询的TF客户端应直接传递消息', () => {
+    const delivered = [];
+    const filter = new ROS3D.MessageFilter({
+      tfClient: new EventEmitter(),
+      callback: (message) => delivered.push(message.id),
+    });
+    filter.add({ id: 1, header: { frame_id: 'base_link' } });
+    expect(delivered).toEqual([1]);
+  });
+});
@@ -13,6 +13,8 @@ export default defineConfig({
       '@interaction': resolve(__dirname, './src/interaction')
     }
   },
+  // 相对路径，使库构建中的 Worker 资源相对于模块文件解析
+  base: './',
   build: {
     lib: {
       entry: './src/index.js',